@@ -0,0 +1,90 @@
+/**
+ * =========================================================
+ * Teeth & Chart Vocabulary
+ * =========================================================
+ * Teeth are identified with FDI two-digit numbers (ISO 3950):
+ * the first digit is the quadrant, the second the tooth
+ * counted from the midline. Permanent teeth are 11–48,
+ * primary (milk) teeth 51–85. Numbers are kept as strings
+ * so they can be used as keys of the tooth chart.
+ * =========================================================
+ */
+
+const QUADRANTS = {
+  1: "upper right",
+  2: "upper left",
+  3: "lower left",
+  4: "lower right",
+  5: "upper right",
+  6: "upper left",
+  7: "lower left",
+  8: "lower right",
+};
+
+const PERMANENT_NAMES = [
+  "central incisor",
+  "lateral incisor",
+  "canine",
+  "first premolar",
+  "second premolar",
+  "first molar",
+  "second molar",
+  "third molar",
+];
+
+const PRIMARY_NAMES = [
+  "central incisor",
+  "lateral incisor",
+  "canine",
+  "first molar",
+  "second molar",
+];
+
+const teethOf = (quadrants, count) =>
+  quadrants.flatMap((quadrant) =>
+    Array.from({ length: count }, (_, i) => `${quadrant}${i + 1}`),
+  );
+
+const PERMANENT_TEETH = teethOf([1, 2, 3, 4], 8);
+const PRIMARY_TEETH = teethOf([5, 6, 7, 8], 5);
+const TOOTH_NUMBERS = [...PERMANENT_TEETH, ...PRIMARY_TEETH];
+
+// What the chart can say about a tooth
+const TOOTH_CONDITIONS = [
+  "healthy",
+  "caries",
+  "filled",
+  "crown",
+  "root-canal",
+  "implant",
+  "bridge",
+  "veneer",
+  "fractured",
+  "missing",
+  "extracted",
+  "watch",
+];
+
+// Mesial, occlusal, distal, buccal, lingual, incisal
+const TOOTH_SURFACES = ["M", "O", "D", "B", "L", "I"];
+
+// "36" → "lower left first molar"; "54" → "upper right first molar (primary)"
+const describeTooth = (number) => {
+  if (!TOOTH_NUMBERS.includes(number)) return null;
+
+  const quadrant = Number(number[0]);
+  const position = Number(number[1]) - 1;
+
+  return quadrant <= 4
+    ? `${QUADRANTS[quadrant]} ${PERMANENT_NAMES[position]}`
+    : `${QUADRANTS[quadrant]} ${PRIMARY_NAMES[position]} (primary)`;
+};
+
+module.exports = {
+  PERMANENT_TEETH,
+  PRIMARY_TEETH,
+  TOOTH_NUMBERS,
+  TOOTH_CONDITIONS,
+  TOOTH_SURFACES,
+  describeTooth,
+};
@@ -8,11 +8,28 @@
  * =========================================================
  */
 
+const crypto = require("crypto");
+const path = require("path");
 const express = require("express");
 const Stripe = require("stripe");
 const cors = require("cors");
 const jwt = require("jsonwebtoken");
+const multer = require("multer");
+const sharp = require("sharp");
 const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
+const { can, isAdmin, getAppointmentActor } = require("./policies");
+const { schemas, validate } = require("./schemas");
+const { render, createTransports } = require("./notifications");
+const { KEY_PATTERN, isPrivateKey, createStorage } = require("./storage");
+const { renderReceiptPdf } = require("./invoices");
+const {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  toMinor,
+  fromMinor,
+  calculateTax,
+} = require("./money");
+const { TOOTH_NUMBERS, describeTooth } = require("./dental");
 require("dotenv").config();
 
 /* ========================
@@ -22,6 +39,9 @@ require("dotenv").config();
 const app = express();
 const port = process.env.PORT || 5000;
 
+// Behind Vercel's proxy: req.ip is the client address, not the proxy's
+app.set("trust proxy", 1);
+
 /* ========================
    Global Middlewares
 ======================== */
@@ -46,13 +66,36 @@ app.use(
   }),
 );
 
-app.use(express.json());
+// Keep the raw body around for the Stripe webhook: signature verification
+// must run against the exact bytes Stripe sent, not the re-serialized JSON.
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/stripe/webhook")) {
+        req.rawBody = buf;
+      }
+    },
+  }),
+);
 
 /* ========================
    Stripe Configuration
 ======================== */
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+// Set by createApp(), so tests can hand in a client of their own
+let stripe;
+
+/* ========================
+   Notification Transports
+======================== */
+
+const transports = createTransports();
+
+/* ========================
+   File Storage
+======================== */
+
+const storage = createStorage();
 
 /* ========================
    MongoDB Configuration
@@ -68,6 +111,43 @@ const client = new MongoClient(process.env.MONGODB_URI, {
 
 let db;
 let Doctors, Services, Reviews, Users, Appointments, Payments;
+let StripeEvents, SlotReservations, RefreshTokens, Notifications, Jobs;
+let Uploads, AuditLog, Counters, Settings, PromoCodes, PromoRedemptions;
+let PatientRecords, TreatmentNotes, TreatmentPlans, Waitlist, Branches;
+let Closures;
+
+/* ========================
+   Collection Handles
+======================== */
+
+// Points every collection handle at `database`
+function useDatabase(database) {
+  db = database;
+
+  Doctors = db.collection("doctors-all");
+  Services = db.collection("services");
+  Reviews = db.collection("reviews");
+  Users = db.collection("users");
+  Appointments = db.collection("appointments");
+  Payments = db.collection("payments");
+  StripeEvents = db.collection("stripe-events");
+  SlotReservations = db.collection("slot-reservations");
+  RefreshTokens = db.collection("refresh-tokens");
+  Notifications = db.collection("notifications");
+  Jobs = db.collection("jobs");
+  Uploads = db.collection("uploads");
+  AuditLog = db.collection("audit-log");
+  Counters = db.collection("counters");
+  Settings = db.collection("settings");
+  PromoCodes = db.collection("promo-codes");
+  PromoRedemptions = db.collection("promo-redemptions");
+  PatientRecords = db.collection("patient-records");
+  TreatmentNotes = db.collection("treatment-notes");
+  TreatmentPlans = db.collection("treatment-plans");
+  Waitlist = db.collection("waitlist");
+  Branches = db.collection("branches");
+  Closures = db.collection("closures");
+}
 
 /* ========================
    Connect to MongoDB
@@ -76,14 +156,7 @@ let Doctors, Services, Reviews, Users, Appointments, Payments;
 async function connectDatabase() {
   try {
     await client.connect();
-    db = client.db("dentistryDB");
-
-    Doctors = db.collection("doctors-all");
-    Services = db.collection("services");
-    Reviews = db.collection("reviews");
-    Users = db.collection("users");
-    Appointments = db.collection("appointments");
-    Payments = db.collection("payments");
+    useDatabase(client.db("dentistryDB"));
 
     console.log("✅ MongoDB Connected Successfully");
   } catch (error) {
@@ -92,6 +165,116 @@ async function connectDatabase() {
   }
 }
 
+/* ========================
+   Firebase Token Verification
+======================== */
+
+// Google's public keys for Firebase ID tokens. Tests can serve their own
+// key set (a { kid: certificatePem } JSON object) and point this at it.
+const FIREBASE_CERTS_URL =
+  process.env.FIREBASE_CERTS_URL ||
+  "https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com";
+
+let firebaseCerts = null;
+let firebaseCertsExpireAt = 0;
+
+// Keys are cached for as long as Google's Cache-Control allows
+const getFirebaseCerts = async () => {
+  if (firebaseCerts && Date.now() < firebaseCertsExpireAt) {
+    return firebaseCerts;
+  }
+
+  const response = await fetch(FIREBASE_CERTS_URL);
+
+  if (!response.ok) {
+    throw new Error(`Could not fetch Firebase keys (${response.status})`);
+  }
+
+  const maxAge = /max-age=(\d+)/.exec(
+    response.headers.get("cache-control") || "",
+  );
+
+  firebaseCerts = await response.json();
+  firebaseCertsExpireAt =
+    Date.now() + (maxAge ? Number(maxAge[1]) * 1000 : 60 * 60 * 1000);
+
+  return firebaseCerts;
+};
+
+// Resolves to the token's claims; throws unless it is a valid Firebase ID
+// token issued for our project
+const verifyFirebaseIdToken = async (idToken) => {
+  const projectId = process.env.FIREBASE_PROJECT_ID;
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded?.header?.kid) {
+    throw new Error("Malformed ID token");
+  }
+
+  const certs = await getFirebaseCerts();
+  const cert = certs[decoded.header.kid];
+
+  if (!cert) {
+    throw new Error("ID token signed with an unknown key");
+  }
+
+  const claims = jwt.verify(idToken, cert, {
+    algorithms: ["RS256"],
+    audience: projectId,
+    issuer: `https://securetoken.google.com/${projectId}`,
+  });
+
+  if (!claims.sub || !claims.email) {
+    throw new Error("ID token has no user or email");
+  }
+
+  if (claims.auth_time * 1000 > Date.now()) {
+    throw new Error("ID token authenticated in the future");
+  }
+
+  return claims;
+};
+
+/* ========================
+   Access & Refresh Tokens
+======================== */
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS ?? 30);
+
+// Only a hash of each refresh token is stored
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const issueTokens = async (user) => {
+  const token = jwt.sign(
+    { email: user.email, role: user.role || "user" },
+    process.env.ACCESS_TOKEN_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN },
+  );
+
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const now = new Date();
+
+  await RefreshTokens.insertOne({
+    tokenHash: hashToken(refreshToken),
+    email: user.email,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_DAYS * 86400000),
+    revokedAt: null,
+  });
+
+  return { token, refreshToken };
+};
+
+// Logs the user out everywhere: used on logout-all, role changes and
+// deletion so a stale role can't be refreshed back into a new token
+const revokeRefreshTokens = (email, reason) =>
+  RefreshTokens.updateMany(
+    { email, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+
 /* ========================
    JWT Middleware
 ======================== */
@@ -115,11 +298,16 @@ const verifyJWT = (req, res, next) => {
   });
 };
 
+// For public routes that show more to signed-in callers: a token is checked
+// when one is sent, and anonymous requests go through without req.decoded
+const optionalJWT = (req, res, next) =>
+  req.headers.authorization ? verifyJWT(req, res, next) : next();
+
 const verifyAdmin = async (req, res, next) => {
   const email = req.decoded.email;
   const user = await Users.findOne({ email });
 
-  if (user.role !== "admin" && user.role !== "super-admin") {
+  if (user?.role !== "admin" && user?.role !== "super-admin") {
     return res.status(403).send({ message: "Forbidden" });
   }
 
@@ -131,7 +319,7 @@ const verifySuperAdmin = async (req, res, next) => {
 
   const user = await Users.findOne({ email });
 
-  if (user.role !== "super-admin") {
+  if (user?.role !== "super-admin") {
     return res.status(403).send({ message: "Super admin only" });
   }
 
@@ -139,715 +327,8329 @@ const verifySuperAdmin = async (req, res, next) => {
 };
 
 /* ========================
-   Routes
+   Validation Middleware
 ======================== */
 
-// Root
-app.get("/", (req, res) => {
-  res.send("SaaD Dentistry server is running...");
-});
+// Validates req.body against a schema from schemas.js and replaces it with
+// only the declared fields. Every field error is reported at once.
+const validateBody = (schema, options) => (req, res, next) => {
+  const { value, errors } = validate(schema, req.body, options);
 
-// JWT
-app.post("/jwt", (req, res) => {
-  const { email } = req.body;
-  const token = jwt.sign({ email }, process.env.ACCESS_TOKEN_SECRET, {
-    expiresIn: "40d",
-  });
-  res.send({ token });
-});
+  if (errors.length) {
+    return res.status(400).json({ message: "Validation failed", errors });
+  }
+
+  req.body = value;
+  next();
+};
 
 /* ========================
-   Services
+   Ownership Middleware
 ======================== */
 
-app.get("/services", async (req, res) => {
+// Checks the caller against the policy table (see policies.js).
+// `loadResource` returns what the route acts on: a document for `:id`
+// routes, or the body/query for creates and lists. The caller's user
+// document and the resource are passed on as req.user and req.resource.
+const authorize = (action, loadResource) => async (req, res, next) => {
   try {
-    const services = await Services.find({}).toArray();
-    res.send(services);
-  } catch (error) {
-    res.status(500).send({ message: error.message });
-  }
-});
+    if (req.params.id && !ObjectId.isValid(req.params.id)) {
+      return res.status(400).send({ error: "Invalid ID" });
+    }
 
-app.get("/services-home", async (req, res) => {
-  try {
-    const services = await Services.find({}).limit(3).toArray();
-    res.send(services);
-  } catch (error) {
-    res.status(500).send({ message: error.message });
-  }
-});
+    const resource = loadResource ? await loadResource(req) : null;
 
-app.get("/services/:id", async (req, res) => {
-  const id = req.params.id;
+    if (loadResource && !resource) {
+      return res.status(404).send({ message: "Not found" });
+    }
 
-  if (!ObjectId.isValid(id)) {
-    return res.status(400).send({ error: "Invalid ID" });
+    const email = req.decoded.email;
+    const user = (await Users.findOne({ email })) || { email, role: "user" };
+
+    if (!can(user, action, resource)) {
+      return res.status(403).send({ message: "Forbidden" });
+    }
+
+    req.user = user;
+    req.resource = resource;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
   }
+};
 
-  const service = await Services.findOne({ _id: new ObjectId(id) });
-  res.send(service);
-});
+const fromBody = (req) => req.body;
+const fromQuery = (req) => req.query;
+const fromParams = (req) => req.params;
 
-app.post("/services", verifyJWT, verifyAdmin, async (req, res) => {
-  const result = await Services.insertOne(req.body);
-  res.send(result);
-});
+const loadAppointment = (req) =>
+  Appointments.findOne({ _id: new ObjectId(req.params.id), deletedAt: null });
 
-app.put("/services/:id", verifyJWT, verifyAdmin, async (req, res) => {
-  const id = req.params.id;
-  const updatedData = req.body;
+const loadDoctor = (req) =>
+  Doctors.findOne({ _id: new ObjectId(req.params.id) });
 
-  const filter = { _id: new ObjectId(id) };
+const loadPayment = async (req) => {
+  const payment = await Payments.findOne({ _id: new ObjectId(req.params.id) });
+  if (!payment || payment.payerEmail) return payment;
 
-  const updateDoc = {
-    $set: {
-      title: updatedData.title,
-      img: updatedData.img,
-      rating: updatedData.rating,
-      price: updatedData.price,
-      description: updatedData.description,
-    },
-  };
+  // Payments recorded before payerEmail was stored
+  const appointment = await Appointments.findOne({
+    _id: payment.appointmentId,
+  });
+  return { ...payment, payerEmail: appointment?.email };
+};
 
-  const result = await Services.updateOne(filter, updateDoc);
+const loadReview = (req) =>
+  Reviews.findOne({ _id: new ObjectId(req.params.id) });
 
-  res.send(result);
-});
+/* ========================
+   List Queries
+======================== */
 
-app.delete("/services/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
+// Shared by every list endpoint: ?page=&limit=&sort=&q= plus per-route
+// filters, answered as { success, data, pagination }.
 
-    const result = await Services.deleteOne({ _id: new ObjectId(id) });
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
 
-    if (result.deletedCount === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Service not found",
-      });
-    }
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE,
+  );
 
-    res.status(200).json({
-      success: true,
-      message: "Service deleted successfully",
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Server error",
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// "?sort=-price,title" → { price: -1, title: 1 }, ignoring unknown fields
+const parseSort = (sortParam, allowedFields, defaultSort) => {
+  const sort = {};
+
+  String(sortParam || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean)
+    .forEach((key) => {
+      const field = key.replace(/^-/, "");
+      if (allowedFields.includes(field)) {
+        sort[field] = key.startsWith("-") ? -1 : 1;
+      }
     });
-  }
-});
+
+  return Object.keys(sort).length ? sort : defaultSort;
+};
+
+// Query strings can carry objects (?status[$ne]=x), so filter values are
+// always flattened to plain strings before they reach MongoDB
+const queryValue = (value) =>
+  value === undefined || value === "" ? undefined : String(value);
+
+// Adds { $gte, $lte } for whichever bounds were given and parse cleanly
+const rangeFilter = (min, max, parse = Number) => {
+  const range = {};
+  const bounds = { $gte: queryValue(min), $lte: queryValue(max) };
+
+  Object.entries(bounds).forEach(([operator, raw]) => {
+    if (raw === undefined) return;
+    const value = parse(raw);
+    if (!Number.isNaN(value)) range[operator] = value;
+  });
+
+  return Object.keys(range).length ? range : undefined;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Drops filters that were not asked for
+const compactFilter = (filter) =>
+  Object.fromEntries(
+    Object.entries(filter).filter(([, value]) => value !== undefined),
+  );
+
+// With a text search the results come back best match first unless the
+// client asked for another order
+const findPage = async (
+  collection,
+  filter,
+  query,
+  sortFields,
+  defaultSort,
+  projection = {},
+) => {
+  const { page, limit, skip } = parsePagination(query);
+  const textSearch = Boolean(filter.$text);
+  const sort =
+    textSearch && !query.sort
+      ? { score: { $meta: "textScore" } }
+      : parseSort(query.sort, sortFields, defaultSort);
+
+  const cursor = collection
+    .find(filter)
+    .project(
+      textSearch
+        ? { ...projection, score: { $meta: "textScore" } }
+        : projection,
+    );
+
+  const [data, total] = await Promise.all([
+    cursor.sort(sort).skip(skip).limit(limit).toArray(),
+    collection.countDocuments(filter),
+  ]);
+
+  return {
+    success: true,
+    data,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
 
 /* ========================
-   Users appointments
+   Notification Outbox
 ======================== */
 
-app.post("/appointment", verifyJWT, async (req, res) => {
-  try {
-    const data = req.body;
-    const { doctorName, doctorEmail } = data;
-    if (!doctorName && !doctorEmail) {
-      return res.status(400).json({ message: "Doctor name is required" });
-    }
-    const result = await Appointments.insertOne({
-      ...data,
-      paymentStatus: "unpaid",
-    });
-    res.send(result);
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
-});
+// Every message is stored in the `notifications` outbox before it is sent,
+// so failed deliveries can be retried and every send can be traced.
+// status: sending → sent, or pending (retry later) → failed (gave up)
 
-app.get("/appointments", verifyJWT, async (req, res) => {
-  try {
-    const { role, email } = req.query;
-    let query = {};
+const MAX_NOTIFICATION_ATTEMPTS = 5;
+const STALE_SENDING_MS = 10 * 60 * 1000;
 
-    if (role === "user") {
-      query = { email: email };
-    }
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+  email: true,
+  sms: false,
+  mutedEvents: [],
+};
 
-    if (role === "doctor") {
-      query = { doctorEmail: email };
-    }
-    const result = await Appointments.find(query).toArray();
+const deliverNotification = async (notification) => {
+  const attempts = notification.attempts + 1;
+  const transport = transports[notification.channel];
+
+  try {
+    const attachments = await buildAttachments(notification.attachments);
+    const { id } = await transport.send({ ...notification, attachments });
 
-    res.status(200).json(result);
+    await Notifications.updateOne(
+      { _id: notification._id },
+      {
+        $set: {
+          status: "sent",
+          attempts,
+          transport: transport.name,
+          providerMessageId: id,
+          sentAt: new Date(),
+          lastError: null,
+        },
+      },
+    );
   } catch (error) {
-    res.status(500).json({
-      message: "Failed to fetch appointments",
-      error: error.message,
-    });
+    // Back off 2, 4, 8, 16 minutes between attempts
+    const gaveUp = attempts >= MAX_NOTIFICATION_ATTEMPTS;
+
+    await Notifications.updateOne(
+      { _id: notification._id },
+      {
+        $set: {
+          status: gaveUp ? "failed" : "pending",
+          attempts,
+          transport: transport.name,
+          lastError: error.message,
+          nextAttemptAt: new Date(Date.now() + 2 ** attempts * 60 * 1000),
+        },
+      },
+    );
   }
-});
+};
+
+// Queues `event` for the user on every channel they accept and tries to
+// deliver it straight away. Never throws: a notification problem must not
+// undo the booking or payment that triggered it.
+// `attachments` (see NOTIFICATION_ATTACHMENTS) go out with the email only.
+const notify = async (event, email, data, { attachments } = {}) => {
+  if (!email) return;
 
-app.delete("/appointment/:id", verifyJWT, async (req, res) => {
   try {
-    const { id } = req.params;
+    const user = await Users.findOne({ email });
+    const preferences = {
+      ...DEFAULT_NOTIFICATION_PREFERENCES,
+      ...user?.notificationPreferences,
+    };
 
-    const result = await Appointments.deleteOne({ _id: new ObjectId(id) });
+    if (preferences.mutedEvents.includes(event)) return;
+
+    const phone = user?.phone || data.phone;
+    const recipients = [];
+
+    if (preferences.email) recipients.push({ channel: "email", to: email });
+    if (preferences.sms && phone)
+      recipients.push({ channel: "sms", to: phone });
+
+    for (const { channel, to } of recipients) {
+      const now = new Date();
+      const notification = {
+        event,
+        channel,
+        to,
+        userEmail: email,
+        ...render(event, channel, data),
+        attachments: channel === "email" ? attachments || [] : [],
+        status: "sending",
+        attempts: 0,
+        claimedAt: now,
+        nextAttemptAt: now,
+        createdAt: now,
+      };
 
-    if (result.deletedCount === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "Appointment not found",
-      });
+      const { insertedId } = await Notifications.insertOne(notification);
+      await deliverNotification({ ...notification, _id: insertedId });
     }
-
-    res.status(200).json({
-      success: true,
-      message: "Appointment deleted successfully",
-    });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-    });
+    console.error(`❌ Notification "${event}" failed:`, error);
   }
-});
+};
 
-app.get("/appointment/:id", verifyJWT, async (req, res) => {
-  try {
-    const { id } = req.params;
+// Retries due messages. Each one is claimed first so two runs never send
+// the same message; claims left behind by a crashed run expire.
+const processOutbox = async (batchSize = 50) => {
+  let processed = 0;
 
-    if (!ObjectId.isValid(id)) {
-      return res.status(400).send({ error: "Invalid ID" });
-    }
+  while (processed < batchSize) {
+    const now = new Date();
+    const { value } = await Notifications.findOneAndUpdate(
+      {
+        $or: [
+          { status: "pending", nextAttemptAt: { $lte: now } },
+          {
+            status: "sending",
+            claimedAt: { $lt: new Date(now - STALE_SENDING_MS) },
+          },
+        ],
+      },
+      { $set: { status: "sending", claimedAt: now } },
+      { sort: { nextAttemptAt: 1 }, returnDocument: "after" },
+    );
 
-    const appointment = await Appointments.findOne({ _id: new ObjectId(id) });
-    res.send(appointment);
-  } catch (error) {
-    res.status(500).json({
-      message: "Failed to fetch appointments",
-      error: error.message,
-    });
+    if (!value) break;
+
+    await deliverNotification(value);
+    processed++;
   }
+
+  return processed;
+};
+
+const appointmentNotificationData = (appointment) => ({
+  name: appointment.name,
+  email: appointment.email,
+  phone: appointment.phone,
+  doctorName: appointment.doctorName,
+  serviceTitle: appointment.serviceTitle,
+  branchName: appointment.branchName,
+  date: appointment.date,
+  time: appointment.time,
 });
 
 /* ========================
-   Pay to stripe
+   Audit Log
 ======================== */
 
-app.post("/create-payment-intent", verifyJWT, async (req, res) => {
-  try {
-    const { serviceId, customerName, customerEmail } = req.body;
-
-    if (!serviceId) {
-      return res.status(400).json({ message: "Service ID is required" });
-    }
+// Append-only record of admin and payment actions. Nothing in the app
+// updates or deletes entries, and the cleanup job leaves them alone.
 
-    // 🔐 Always calculate price from DB (Never trust frontend)
-    const service = await Services.findOne({
-      _id: new ObjectId(serviceId),
-    });
+// Who acted and from where; webhooks and jobs pass their own
+const requestContext = (req) => ({
+  actor: req.decoded?.email || null,
+  ip: req.ip || null,
+  userAgent: req.get("user-agent") || null,
+});
 
-    if (!service) {
-      return res.status(404).json({ message: "Service not found" });
-    }
+// Only the fields `after` changes, as { before, after } snapshots
+const diffFields = (before, after) => {
+  const changed = Object.keys(after).filter(
+    (field) => JSON.stringify(before?.[field]) !== JSON.stringify(after[field]),
+  );
 
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: service.price * 100, // convert to cents
-      currency: "usd",
-      automatic_payment_methods: {
-        enabled: true,
-      },
-      metadata: {
-        serviceId: service._id.toString(),
-        serviceTitle: service.title,
-        customerName,
-        customerEmail,
-      },
-    });
+  return {
+    before: Object.fromEntries(changed.map((f) => [f, before?.[f] ?? null])),
+    after: Object.fromEntries(changed.map((f) => [f, after[f]])),
+  };
+};
 
-    res.send({
-      clientSecret: paymentIntent.client_secret,
+// target: { type, id }. Like notify(), a failed write is logged and never
+// fails the action being audited.
+const recordAudit = async (context, action, target, changes = {}) => {
+  try {
+    await AuditLog.insertOne({
+      action,
+      actor: context.actor || "system",
+      ip: context.ip || null,
+      userAgent: context.userAgent || null,
+      target: { type: target.type, id: target.id ? String(target.id) : null },
+      before: changes.before ?? null,
+      after: changes.after ?? null,
+      at: new Date(),
     });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    console.error(`⚠️ Could not audit "${action}":`, error.message);
   }
-});
+};
 
-/* ====================================
-   Save Payment & Update Appointment
-==================================== */
+/* ========================
+   File Uploads
+======================== */
 
-app.post("/payments", verifyJWT, async (req, res) => {
-  try {
-    const { appointmentId, paymentIntentId, customerEmail, customerName } =
-      req.body;
+// What may be uploaded for each purpose. Images are re-encoded (which also
+// strips EXIF data) and get a square thumbnail; credentials are stored as
+// sent and kept private.
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+const UPLOAD_PURPOSES = {
+  "doctor-photo": { types: IMAGE_TYPES, maxBytes: 5 * 1024 * 1024 },
+  "service-image": {
+    types: IMAGE_TYPES,
+    maxBytes: 5 * 1024 * 1024,
+    adminOnly: true,
+  },
+  avatar: { types: IMAGE_TYPES, maxBytes: 2 * 1024 * 1024 },
+  credential: {
+    types: ["application/pdf", "image/jpeg", "image/png"],
+    maxBytes: 10 * 1024 * 1024,
+    private: true,
+  },
+};
 
-    // 🔎 Validate appointmentId
-    if (!ObjectId.isValid(appointmentId)) {
-      return res.status(400).json({ message: "Invalid appointment ID" });
+const MAX_UPLOAD_BYTES = Math.max(
+  ...Object.values(UPLOAD_PURPOSES).map((purpose) => purpose.maxBytes),
+);
+const IMAGE_MAX_SIZE = 1600;
+const THUMBNAIL_SIZE = 320;
+const SIGNED_URL_SECONDS = 10 * 60;
+const ORPHAN_UPLOAD_HOURS = 24;
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "application/pdf": "pdf",
+};
+
+// The browser-supplied mimetype is only a hint; the first bytes decide
+const detectFileType = (buffer) => {
+  const ascii = (start, end) => buffer.subarray(start, end).toString("latin1");
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (ascii(0, 8) === "\x89PNG\r\n\x1a\n") return "image/png";
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") return "image/webp";
+  if (ascii(0, 5) === "%PDF-") return "application/pdf";
+  return null;
+};
+
+// Files are kept in memory only until they are checked and stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+});
+
+const receiveFile = (req, res, next) => {
+  upload.single("file")(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        message: `File is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`,
+      });
+    }
+    res.status(400).json({ message: error.message });
+  });
+};
+
+// Stores the file (and a thumbnail for images) and returns the upload record
+const storeUpload = async (file, purpose, contentType, ownerEmail) => {
+  const rules = UPLOAD_PURPOSES[purpose];
+  const visibility = rules.private ? "private" : "public";
+  const prefix = `${visibility}/${purpose}/${crypto
+    .randomBytes(16)
+    .toString("hex")}`;
+  const record = {
+    purpose,
+    visibility,
+    ownerEmail,
+    originalName: file.originalname,
+    createdAt: new Date(),
+  };
+
+  if (contentType === "application/pdf" || rules.private) {
+    record.key = `${prefix}.${EXTENSIONS[contentType]}`;
+    record.contentType = contentType;
+    record.size = file.size;
+    await storage.put(record.key, file.buffer, contentType);
+  } else {
+    const image = sharp(file.buffer).rotate();
+    const [resized, thumbnail] = await Promise.all([
+      image
+        .clone()
+        .resize(IMAGE_MAX_SIZE, IMAGE_MAX_SIZE, {
+          fit: "inside",
+          withoutEnlargement: true,
+        })
+        .webp({ quality: 85 })
+        .toBuffer(),
+      image
+        .clone()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "cover" })
+        .webp({ quality: 80 })
+        .toBuffer(),
+    ]);
+
+    record.key = `${prefix}.webp`;
+    record.thumbnailKey = `${prefix}-thumb.webp`;
+    record.contentType = "image/webp";
+    record.size = resized.length;
+
+    await storage.put(record.key, resized, "image/webp");
+    await storage.put(record.thumbnailKey, thumbnail, "image/webp");
+  }
+
+  if (visibility === "public") {
+    record.url = storage.publicUrl(record.key);
+    record.thumbnailUrl = record.thumbnailKey
+      ? storage.publicUrl(record.thumbnailKey)
+      : null;
+  }
+
+  const { insertedId } = await Uploads.insertOne(record);
+  return { _id: insertedId, ...record };
+};
+
+const signUpload = (record) =>
+  storage.signedUrl(record.key, SIGNED_URL_SECONDS);
+
+// Public files are referenced by URL, private credentials by upload id
+const isUploadReferenced = async (record) => {
+  if (record.visibility === "private") {
+    return (
+      (await Doctors.countDocuments(
+        { "certificates.uploadId": record._id },
+        { limit: 1 },
+      )) > 0
+    );
+  }
+
+  const urls = { $in: [record.url, record.thumbnailUrl].filter(Boolean) };
+  const counts = await Promise.all([
+    Services.countDocuments({ img: urls }, { limit: 1 }),
+    Doctors.countDocuments({ doctorImage: urls }, { limit: 1 }),
+    Users.countDocuments({ photoURL: urls }, { limit: 1 }),
+    Reviews.countDocuments({ image: urls }, { limit: 1 }),
+  ]);
+  return counts.some(Boolean);
+};
+
+const removeUpload = async (record) => {
+  await storage.remove(record.key);
+  if (record.thumbnailKey) await storage.remove(record.thumbnailKey);
+  await Uploads.deleteOne({ _id: record._id });
+};
+
+// Deletes the uploads behind `urls`/`uploadIds` that nothing else uses any
+// more. Called after a document holding them is deleted; never throws.
+const releaseUploads = async ({ urls = [], uploadIds = [] }) => {
+  try {
+    const records = await Uploads.find({
+      $or: [
+        { url: { $in: urls.filter(Boolean) } },
+        { _id: { $in: uploadIds.filter(Boolean) } },
+      ],
+    }).toArray();
+
+    for (const record of records) {
+      if (!(await isUploadReferenced(record))) await removeUpload(record);
+    }
+  } catch (error) {
+    console.error("⚠️ Upload cleanup failed:", error.message);
+  }
+};
+
+// Uploads that were never attached to anything (an abandoned form, a
+// replaced photo) are removed once they are old enough
+const cleanupOrphanUploads = async ({ limit = 200 } = {}) => {
+  const cutoff = new Date(Date.now() - ORPHAN_UPLOAD_HOURS * 3600000);
+  const records = await Uploads.find({ createdAt: { $lt: cutoff } })
+    .sort({ checkedAt: 1 })
+    .limit(limit)
+    .toArray();
+  let removed = 0;
+
+  for (const record of records) {
+    if (await isUploadReferenced(record)) {
+      await Uploads.updateOne(
+        { _id: record._id },
+        { $set: { checkedAt: new Date() } },
+      );
+    } else {
+      await removeUpload(record);
+      removed++;
+    }
+  }
+
+  return { checked: records.length, removed };
+};
+
+/* ========================
+   Background Jobs
+======================== */
+
+// A small MongoDB-backed queue. A job is { name, payload, runAt, status }
+// with status queued → running → done / failed. Jobs are claimed with a
+// lock that expires, so only one instance runs a job at a time and a job
+// abandoned by a crashed instance is picked up again. Failures are retried
+// with exponential backoff. The queue is driven by GET /jobs/run (Vercel
+// Cron) or by worker.js on a long-running host.
+
+const JOB_INSTANCE_ID = crypto.randomUUID();
+const JOB_LOCK_MS = 5 * 60 * 1000;
+const DEFAULT_JOB_ATTEMPTS = 5;
+
+// Unpaid bookings are released after this many hours, except for services
+// paid at the clinic
+const UNPAID_HOLD_HOURS = Number(process.env.UNPAID_HOLD_HOURS ?? 2);
+
+// Bookings made at short notice only get the later reminder
+const REMINDERS = [
+  { field: "reminder24hSentAt", hoursBefore: 24, skipWithinHours: 2 },
+  { field: "reminder2hSentAt", hoursBefore: 2, skipWithinHours: 0 },
+];
+
+const enqueueJob = async (name, payload = {}, options = {}) => {
+  const job = {
+    name,
+    payload,
+    status: "queued",
+    runAt: options.runAt || new Date(),
+    attempts: 0,
+    maxAttempts: options.maxAttempts || DEFAULT_JOB_ATTEMPTS,
+    createdAt: new Date(),
+  };
+
+  // A uniqueKey makes enqueueing idempotent
+  if (options.uniqueKey) {
+    await Jobs.updateOne(
+      { uniqueKey: options.uniqueKey },
+      { $setOnInsert: { ...job, uniqueKey: options.uniqueKey } },
+      { upsert: true },
+    );
+    return;
+  }
+
+  await Jobs.insertOne(job);
+};
+
+const sendDueReminders = async () => {
+  const now = new Date();
+  let sent = 0;
+
+  for (const { field, hoursBefore, skipWithinHours } of REMINDERS) {
+    const due = await Appointments.find({
+      status: { $in: ["requested", "confirmed"] },
+      deletedAt: null,
+      startsAt: {
+        $gt: new Date(now.getTime() + skipWithinHours * 3600000),
+        $lte: new Date(now.getTime() + hoursBefore * 3600000),
+      },
+      [field]: null,
+    }).toArray();
+
+    for (const appointment of due) {
+      // Claim the reminder first so a retry never sends it twice
+      const claimed = await Appointments.updateOne(
+        { _id: appointment._id, [field]: null },
+        { $set: { [field]: new Date() } },
+      );
+
+      if (claimed.modifiedCount) {
+        await notify("appointment.reminder", appointment.email, {
+          ...appointmentNotificationData(appointment),
+          hoursBefore,
+        });
+        sent++;
+      }
+    }
+  }
+
+  return { sent };
+};
+
+const expireUnpaidAppointments = async () => {
+  const expired = await Appointments.find({
+    status: "requested",
+    paymentStatus: { $in: ["unpaid", "failed"] },
+    "billing.mode": { $ne: "at-clinic" },
+    deletedAt: null,
+    createdAt: { $lte: new Date(Date.now() - UNPAID_HOLD_HOURS * 3600000) },
+  }).toArray();
+
+  let cancelled = 0;
+
+  for (const appointment of expired) {
+    const updated = await transitionAppointment(
+      appointment,
+      "cancelled",
+      "system",
+      {
+        cancelledBy: "system",
+        cancellationReason: "Booking was not paid in time",
+        cancelledWithinPolicy: true,
+      },
+    );
+    if (updated) cancelled++;
+  }
+
+  return { cancelled };
+};
+
+const cleanupOldRecords = async () => {
+  const daysAgo = (days) => new Date(Date.now() - days * 86400000);
+
+  const jobs = await Jobs.deleteMany({
+    status: { $in: ["done", "failed"] },
+    recurring: { $ne: true },
+    finishedAt: { $lt: daysAgo(30) },
+  });
+  const events = await StripeEvents.deleteMany({
+    receivedAt: { $lt: daysAgo(90) },
+  });
+  const notifications = await Notifications.deleteMany({
+    status: "sent",
+    sentAt: { $lt: daysAgo(180) },
+  });
+  // Reservations whose booking never got saved
+  const reservations = await SlotReservations.deleteMany({
+    appointmentId: { $exists: false },
+    createdAt: { $lt: daysAgo(1) },
+  });
+
+  return {
+    jobs: jobs.deletedCount,
+    stripeEvents: events.deletedCount,
+    notifications: notifications.deletedCount,
+    slotReservations: reservations.deletedCount,
+  };
+};
+
+const JOB_HANDLERS = {
+  "appointment-reminders": sendDueReminders,
+  "expire-unpaid-appointments": expireUnpaidAppointments,
+  "notification-outbox": async () => ({ processed: await processOutbox() }),
+  cleanup: cleanupOldRecords,
+  "upload-cleanup": cleanupOrphanUploads,
+  "waitlist-offer": (payload) => offerFreedSlot(payload),
+  "waitlist-expiry": () => expireWaitlistOffers(),
+  "promo-reservation-expiry": () => expirePromoReservations(),
+};
+
+// Recurring jobs keep a single document that is re-queued after each run
+const RECURRING_JOBS = {
+  "appointment-reminders": 5,
+  "expire-unpaid-appointments": 15,
+  "notification-outbox": 5,
+  cleanup: 24 * 60,
+  "upload-cleanup": 6 * 60,
+  "waitlist-expiry": 5,
+  "promo-reservation-expiry": 15,
+};
+
+const scheduleRecurringJobs = async () => {
+  for (const name of Object.keys(RECURRING_JOBS)) {
+    await Jobs.updateOne(
+      { uniqueKey: `recurring:${name}` },
+      {
+        $setOnInsert: {
+          name,
+          payload: {},
+          status: "queued",
+          runAt: new Date(),
+          attempts: 0,
+          maxAttempts: DEFAULT_JOB_ATTEMPTS,
+          recurring: true,
+          createdAt: new Date(),
+        },
+      },
+      { upsert: true },
+    );
+  }
+};
+
+const claimNextJob = async () => {
+  const now = new Date();
+
+  const { value } = await Jobs.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", runAt: { $lte: now } },
+        { status: "running", lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        status: "running",
+        lockedBy: JOB_INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + JOB_LOCK_MS),
+        startedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, returnDocument: "after" },
+  );
+
+  return value;
+};
+
+const runJob = async (job) => {
+  const handler = JOB_HANDLERS[job.name];
+  const now = new Date();
+  const lock = { _id: job._id, lockedBy: JOB_INSTANCE_ID };
+
+  try {
+    if (!handler) throw new Error(`No handler for job "${job.name}"`);
+
+    const result = await handler(job.payload);
+
+    const next = job.recurring
+      ? {
+          status: "queued",
+          attempts: 0,
+          runAt: new Date(now.getTime() + RECURRING_JOBS[job.name] * 60000),
+        }
+      : { status: "done" };
+
+    await Jobs.updateOne(lock, {
+      $set: {
+        ...next,
+        lastResult: result || null,
+        lastError: null,
+        finishedAt: new Date(),
+      },
+      $unset: { lockedBy: "", lockedUntil: "" },
+    });
+  } catch (error) {
+    const gaveUp = job.attempts >= job.maxAttempts;
+    const backoff = new Date(now.getTime() + 2 ** job.attempts * 60000);
+
+    // A recurring job that keeps failing still comes back next interval
+    const next =
+      gaveUp && job.recurring
+        ? {
+            status: "queued",
+            attempts: 0,
+            runAt: new Date(now.getTime() + RECURRING_JOBS[job.name] * 60000),
+          }
+        : { status: gaveUp ? "failed" : "queued", runAt: backoff };
+
+    console.error(`❌ Job "${job.name}" failed:`, error);
+
+    await Jobs.updateOne(lock, {
+      $set: { ...next, lastError: error.message, finishedAt: new Date() },
+      $unset: { lockedBy: "", lockedUntil: "" },
+    });
+  }
+};
+
+// Runs due jobs until none are left or the time budget is spent
+const runDueJobs = async ({ timeBudgetMs = 8000 } = {}) => {
+  const deadline = Date.now() + timeBudgetMs;
+  let ran = 0;
+
+  await scheduleRecurringJobs();
+
+  while (Date.now() < deadline) {
+    const job = await claimNextJob();
+    if (!job) break;
+
+    await runJob(job);
+    ran++;
+  }
+
+  return ran;
+};
+
+/* ========================
+   Routes
+======================== */
+
+// Root
+app.get("/", (req, res) => {
+  res.send("SaaD Dentistry server is running...");
+});
+
+// JWT: exchange a Firebase ID token for our own access & refresh tokens
+app.post("/jwt", async (req, res) => {
+  const { idToken } = req.body;
+
+  if (!idToken) {
+    return res.status(400).send({ message: "Firebase ID token is required" });
+  }
+
+  let claims;
+  try {
+    claims = await verifyFirebaseIdToken(idToken);
+  } catch (error) {
+    return res.status(401).send({ message: "unauthorized access" });
+  }
+
+  try {
+    // Accounts are created by POST /users; a Firebase login alone isn't one
+    const user = await Users.findOne({ email: claims.email });
+
+    if (!user) {
+      return res
+        .status(403)
+        .send({ message: "No account for this email; register first" });
+    }
+
+    res.send(await issueTokens(user));
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+});
+
+// Trade a refresh token for a new pair; each refresh token works once
+app.post("/jwt/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).send({ message: "Refresh token is required" });
+    }
+
+    const stored = await RefreshTokens.findOne({
+      tokenHash: hashToken(refreshToken),
+    });
+
+    if (!stored || stored.expiresAt <= new Date()) {
+      return res.status(401).send({ message: "unauthorized access" });
+    }
+
+    if (stored.revokedAt) {
+      // A used token coming back means it leaked: end every session
+      await revokeRefreshTokens(stored.email, "reuse-detected");
+      return res.status(401).send({ message: "unauthorized access" });
+    }
+
+    const rotated = await RefreshTokens.updateOne(
+      { _id: stored._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "rotated" } },
+    );
+
+    if (!rotated.modifiedCount) {
+      return res.status(401).send({ message: "unauthorized access" });
+    }
+
+    const user = await Users.findOne({ email: stored.email });
+
+    if (!user) {
+      return res.status(401).send({ message: "unauthorized access" });
+    }
+
+    res.send(await issueTokens(user));
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+});
+
+app.post("/logout", async (req, res) => {
+  try {
+    const { refreshToken, allDevices } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).send({ message: "Refresh token is required" });
+    }
+
+    const stored = await RefreshTokens.findOne({
+      tokenHash: hashToken(refreshToken),
+    });
+
+    if (stored && allDevices) {
+      await revokeRefreshTokens(stored.email, "logout");
+    } else if (stored) {
+      await RefreshTokens.updateOne(
+        { _id: stored._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: "logout" } },
+      );
+    }
+
+    res.send({ success: true, message: "Logged out" });
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+});
+
+/* ========================
+   Prices & Tax
+======================== */
+
+// The service's price in `currency`, in minor units, or undefined when the
+// service isn't sold in that currency. Services created before per-currency
+// prices only have a dollar `price`.
+const priceOf = (service, currency) => {
+  if (Number.isInteger(service.prices?.[currency])) {
+    return service.prices[currency];
+  }
+  if (currency === "usd" && typeof service.price === "number") {
+    return toMinor(service.price, "usd");
+  }
+  return undefined;
+};
+
+// Keeps the legacy dollar `price` and the per-currency `prices` in step
+const syncServicePrices = (changes, existing = {}) => {
+  const prices = { ...existing.prices, ...changes.prices };
+
+  if (changes.price !== undefined && changes.prices?.usd === undefined) {
+    prices.usd = toMinor(changes.price, "usd");
+  }
+
+  const synced = { ...changes };
+  if (Object.keys(prices).length) synced.prices = prices;
+  if (prices.usd !== undefined) synced.price = fromMinor(prices.usd, "usd");
+
+  return synced;
+};
+
+const getTaxRates = async () =>
+  (await Settings.findOne({ _id: "tax" }))?.rates || [];
+
+// { currency, subtotal, discount, promoCode, lines, tax, total }, all in
+// minor units. A promo code comes off the price before tax.
+const quoteService = async (service, currency, promo = null) => {
+  const subtotal = priceOf(service, currency);
+  if (subtotal === undefined) return null;
+
+  const discount = promo ? promoDiscount(promo, subtotal, currency) : 0;
+  const rates = service.taxExempt ? [] : await getTaxRates();
+  const taxed = calculateTax(subtotal - discount, currency, rates);
+
+  return { ...taxed, subtotal, discount, promoCode: promo?.code || null };
+};
+
+// Stripe metadata only holds strings; this reads back what
+// create-payment-intent put there. Intents from before tax have none, and
+// deposits and balances are only part of the bill, so they get none.
+const breakdownFromMetadata = (metadata, total) => {
+  if (["deposit", "balance"].includes(metadata.stage)) return null;
+
+  let lines = [];
+  try {
+    lines = JSON.parse(metadata.taxLines || "[]");
+  } catch (error) {
+    lines = [];
+  }
+
+  const tax = Number(metadata.tax) || 0;
+  const discount = Number(metadata.discount) || 0;
+  const subtotal = Number(metadata.subtotal);
+
+  return {
+    subtotal: Number.isInteger(subtotal) ? subtotal : total - tax + discount,
+    discount,
+    promoCode: metadata.promoCode || null,
+    lines,
+    tax,
+    total,
+  };
+};
+
+/* ========================
+   Promo Codes
+======================== */
+
+// A code is reserved when the payment intent is created: one conditional
+// $inc takes a use from the code's limit, and a unique per-patient slot
+// takes one from the patient's. The reservation becomes a redemption when
+// the payment succeeds, and is released when it fails or is abandoned, so
+// an unpaid checkout never uses a code up.
+//
+// promo-redemptions: { promoId, code, email, appointmentId, userSlot,
+// paymentIntentId, status: reserved → redeemed | released }
+
+const normalizePromoCode = (code) =>
+  String(code || "")
+    .trim()
+    .toUpperCase();
+
+// Rules validateBody can't express on its own
+const checkPromoRules = (promo) => {
+  const errors = [];
+
+  if (promo.type === "percentage" && promo.percentOff === undefined) {
+    errors.push({
+      field: "percentOff",
+      message: "percentOff is required for percentage codes",
+    });
+  }
+
+  if (promo.type === "fixed" && !Object.keys(promo.amountOff || {}).length) {
+    errors.push({
+      field: "amountOff",
+      message: "amountOff needs at least one currency for fixed codes",
+    });
+  }
+
+  if (promo.startsOn && promo.endsOn && promo.endsOn < promo.startsOn) {
+    errors.push({ field: "endsOn", message: "endsOn is before startsOn" });
+  }
+
+  return errors;
+};
+
+// Minor units off `subtotal`, never more than the subtotal itself
+const promoDiscount = (promo, subtotal, currency) => {
+  const off =
+    promo.type === "percentage"
+      ? Math.round((subtotal * promo.percentOff) / 100)
+      : promo.amountOff?.[currency] || 0;
+
+  return Math.min(off, subtotal);
+};
+
+// Resolves to { promo } or { code, error } explaining why it can't be used
+const findApplicablePromo = async (code, { service, currency, email }) => {
+  const promo = await PromoCodes.findOne({ code: normalizePromoCode(code) });
+  const today = clinicToday();
+
+  if (!promo || promo.active === false) {
+    return { code: 404, error: "Promo code not found" };
+  }
+
+  if (
+    (promo.startsOn && today < promo.startsOn) ||
+    (promo.endsOn && today > promo.endsOn)
+  ) {
+    return { code: 400, error: "Promo code is not valid today" };
+  }
+
+  if (
+    promo.serviceIds?.length &&
+    !promo.serviceIds.some((id) => id.equals(service._id))
+  ) {
+    return { code: 400, error: "Promo code does not apply to this service" };
+  }
+
+  if (promo.type === "fixed" && promo.amountOff?.[currency] === undefined) {
+    return {
+      code: 400,
+      error: `Promo code is not valid for ${currency.toUpperCase()} payments`,
+    };
+  }
+
+  if (
+    promo.maxRedemptions &&
+    (promo.redemptionCount || 0) >= promo.maxRedemptions
+  ) {
+    return { code: 400, error: "Promo code has been fully redeemed" };
+  }
+
+  if (promo.maxPerUser) {
+    const used = await PromoRedemptions.countDocuments({
+      promoId: promo._id,
+      email,
+      status: { $ne: "released" },
+    });
+
+    if (used >= promo.maxPerUser) {
+      return { code: 400, error: "You have already used this promo code" };
+    }
+  }
+
+  return { promo };
+};
+
+// Takes one use of the code for the patient, checked against both limits
+// atomically. Resolves to { reservation } or { error }.
+const reservePromo = async (promo, { email, appointmentId }) => {
+  const reservation = {
+    _id: new ObjectId(),
+    promoId: promo._id,
+    code: promo.code,
+    email,
+    appointmentId,
+    status: "reserved",
+    reservedAt: new Date(),
+  };
+
+  // 1️⃣ A free slot of the patient's own; the unique index gives each slot
+  // to one request. Redemptions from before reservations hold none.
+  if (promo.maxPerUser) {
+    const earlier = await PromoRedemptions.countDocuments({
+      promoId: promo._id,
+      email,
+      status: { $exists: false },
+    });
+    let taken = false;
+
+    for (let slot = earlier; slot < promo.maxPerUser && !taken; slot++) {
+      try {
+        await PromoRedemptions.insertOne({ ...reservation, userSlot: slot });
+        taken = true;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    if (!taken) return { error: "You have already used this promo code" };
+  } else {
+    await PromoRedemptions.insertOne(reservation);
+  }
+
+  // 2️⃣ A use from the code's limit, only while one is left
+  const counted = await PromoCodes.updateOne(
+    {
+      _id: promo._id,
+      ...(promo.maxRedemptions && {
+        redemptionCount: { $lt: promo.maxRedemptions },
+      }),
+    },
+    { $inc: { redemptionCount: 1 } },
+  );
+
+  if (!counted.modifiedCount) {
+    await PromoRedemptions.deleteOne({ _id: reservation._id });
+    return { error: "Promo code has been fully redeemed" };
+  }
+
+  return { reservation };
+};
+
+// Gives back the uses held by the reservations matching `filter`
+const releasePromoReservations = async (filter) => {
+  let released = 0;
+  let value;
+
+  do {
+    ({ value } = await PromoRedemptions.findOneAndUpdate(
+      { ...filter, status: "reserved" },
+      {
+        $set: { status: "released", releasedAt: new Date() },
+        $unset: { userSlot: "" },
+      },
+    ));
+
+    if (value) {
+      await PromoCodes.updateOne(
+        { _id: value.promoId },
+        { $inc: { redemptionCount: -1 } },
+      );
+      released++;
+    }
+  } while (value);
+
+  return released;
+};
+
+// Checkouts that were never paid give their codes back after the same hold
+// as unpaid bookings
+const expirePromoReservations = async () => ({
+  released: await releasePromoReservations({
+    reservedAt: { $lt: new Date(Date.now() - UNPAID_HOLD_HOURS * 3600000) },
+  }),
+});
+
+// Turns the intent's reservation into a redemption; safe to repeat
+const redeemPromo = async (paymentIntent, email) => {
+  const { promoId, promoRedemptionId, promoCode, discount } =
+    paymentIntent.metadata || {};
+  const details = {
+    paymentIntentId: paymentIntent.id,
+    discount: Number(discount) || 0,
+    currency: paymentIntent.currency,
+  };
+
+  if (ObjectId.isValid(promoRedemptionId)) {
+    const { value } = await PromoRedemptions.findOneAndUpdate(
+      { _id: new ObjectId(promoRedemptionId), status: { $ne: "redeemed" } },
+      { $set: { ...details, status: "redeemed", redeemedAt: new Date() } },
+    );
+
+    // Released after a failed attempt or a long wait, but paid after all:
+    // the patient got the discount, so the use counts even past the limit
+    if (value?.status === "released") {
+      await PromoCodes.updateOne(
+        { _id: value.promoId },
+        { $inc: { redemptionCount: 1 } },
+      );
+    }
+    return;
+  }
+
+  // Intents created before reservations are counted once per intent here
+  if (!ObjectId.isValid(promoId)) return;
+
+  try {
+    await PromoRedemptions.insertOne({
+      promoId: new ObjectId(promoId),
+      code: promoCode,
+      email,
+      ...details,
+      createdAt: new Date(),
+    });
+  } catch (error) {
+    if (error.code === 11000) return; // already counted
+    throw error;
+  }
+
+  await PromoCodes.updateOne(
+    { _id: new ObjectId(promoId) },
+    { $inc: { redemptionCount: 1 } },
+  );
+};
+
+/* ========================
+   Deposits & Balances
+======================== */
+
+// service.paymentMode says how a visit is paid:
+//   "full"       everything online before the visit (the default)
+//   "deposit"    a deposit online, the balance later, online or in cash
+//   "at-clinic"  at the front desk; paying online in full is still allowed
+// Appointments keep running totals in `billing`, all in minor units:
+// { mode, currency, total, deposit, paid, due }. Appointments booked
+// before deposits have no billing and are paid in full.
+
+const paymentModeOf = (service) => service?.paymentMode || "full";
+
+// Rules validateBody can't express on its own
+const checkPaymentRules = (service) => {
+  const hasDeposit =
+    service.depositPercent !== undefined ||
+    Object.keys(service.depositAmounts || {}).length > 0;
+
+  if (paymentModeOf(service) === "deposit" && !hasDeposit) {
+    return [
+      {
+        field: "depositPercent",
+        message: "depositPercent or depositAmounts is required for deposits",
+      },
+    ];
+  }
+
+  return [];
+};
+
+// Minor units due upfront out of `total`. A currency without a fixed
+// deposit pays in full, and no deposit is below what Stripe will charge.
+const depositFor = (service, currency, total) => {
+  const deposit =
+    service.depositPercent !== undefined
+      ? Math.round((total * service.depositPercent) / 100)
+      : (service.depositAmounts?.[currency] ?? total);
+
+  return Math.min(total, Math.max(deposit, CURRENCIES[currency].minimumCharge));
+};
+
+const buildBilling = (service, quote) => {
+  const mode = paymentModeOf(service);
+
+  return {
+    mode,
+    currency: quote.currency,
+    total: quote.total,
+    deposit:
+      mode === "deposit"
+        ? depositFor(service, quote.currency, quote.total)
+        : null,
+    paid: 0,
+    due: quote.total,
+  };
+};
+
+// Adds a payment (card or cash) to the appointment's totals; called once
+// per payment. The due check and the update are one conditional write, so
+// two payments racing for the same balance can't both land: the loser gets
+// null back. Never downgrades a refund or dispute.
+const applyPayment = async (appointment, amountMinor, transactionId) => {
+  const now = new Date();
+  const set = transactionId ? { transactionId } : {};
+  const settled = ["refunded", "partially_refunded", "disputed"];
+
+  // Booked before deposits: no totals, the status is the whole check
+  if (!appointment.billing) {
+    const { modifiedCount } = await Appointments.updateOne(
+      { _id: appointment._id, paymentStatus: { $nin: ["paid", ...settled] } },
+      { $set: { ...set, paymentStatus: "paid", paidAt: now } },
+    );
+
+    return modifiedCount ? "paid" : null;
+  }
+
+  const { value } = await Appointments.findOneAndUpdate(
+    { _id: appointment._id, "billing.due": { $gte: amountMinor } },
+    { $inc: { "billing.paid": amountMinor, "billing.due": -amountMinor } },
+    { returnDocument: "after" },
+  );
+
+  if (!value) return null;
+
+  const status = value.billing.due > 0 ? "partially_paid" : "paid";
+
+  await Appointments.updateOne(
+    { _id: appointment._id, paymentStatus: { $nin: settled } },
+    {
+      $set: {
+        ...set,
+        paymentStatus: status,
+        ...(status === "paid" && { paidAt: now }),
+      },
+    },
+  );
+
+  return status;
+};
+
+// Undoes applyPayment when the payment it counted couldn't be stored
+const revertPayment = (appointment, amountMinor) =>
+  Appointments.updateOne(
+    { _id: appointment._id },
+    {
+      ...(appointment.billing && {
+        $inc: { "billing.paid": -amountMinor, "billing.due": amountMinor },
+      }),
+      $set: {
+        paymentStatus: appointment.paymentStatus || "unpaid",
+        paidAt: appointment.paidAt || null,
+      },
+    },
+  );
+
+/* ========================
+   Branches
+======================== */
+
+const loadBranch = (req) =>
+  Branches.findOne({ _id: new ObjectId(req.params.id) });
+
+// Validated id strings in a body → ObjectIds, as they are stored
+const toBranchIds = (body) =>
+  body.branchIds
+    ? { ...body, branchIds: body.branchIds.map((id) => new ObjectId(id)) }
+    : body;
+
+// Same shape as a doctor's weeklyHours
+const validateOpeningHours = (openingHours = {}) =>
+  Object.entries(openingHours).flatMap(([day, ranges]) => {
+    if (!WEEKDAYS.includes(day)) return [`Unknown weekday "${day}"`];
+    if (!Array.isArray(ranges) || !ranges.every(isValidRange)) {
+      return [`Invalid opening hours for ${day}`];
+    }
+    return [];
+  });
+
+const checkBranch = (branch) => [
+  ...validateOpeningHours(branch.openingHours).map((message) => ({
+    field: "openingHours",
+    message,
+  })),
+  ...(branch.holidays || [])
+    .filter((date) => !isValidDate(date))
+    .map((date) => ({ field: "holidays", message: `Invalid date ${date}` })),
+];
+
+// Open branches; ?includeInactive=true lists closed ones too
+app.get("/branches", async (req, res) => {
+  try {
+    const { q, city } = req.query;
+
+    const filter = compactFilter({
+      active: req.query.includeInactive === "true" ? undefined : true,
+      "address.city": queryValue(city),
+      name: queryValue(q)
+        ? { $regex: escapeRegex(queryValue(q)), $options: "i" }
+        : undefined,
+    });
+
+    const result = await findPage(
+      Branches,
+      filter,
+      req.query,
+      ["name", "createdAt"],
+      { name: 1 },
+    );
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+});
+
+// A branch with the doctors who work there and the services it offers
+app.get("/branches/:id", async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).send({ error: "Invalid ID" });
+    }
+
+    const branch = await loadBranch(req);
+
+    if (!branch) {
+      return res.status(404).json({ message: "Branch not found" });
+    }
+
+    const [doctors, services] = await Promise.all([
+      Doctors.find(
+        { branchIds: branch._id, permission: "approved" },
+        { projection: { name: 1, specialty: 1, doctorImage: 1 } },
+      ).toArray(),
+      Services.find(
+        {
+          $or: [
+            { branchIds: branch._id },
+            { branchIds: { $exists: false } },
+            { branchIds: { $size: 0 } },
+          ],
+        },
+        { projection: { title: 1, price: 1, prices: 1, img: 1 } },
+      ).toArray(),
+    ]);
+
+    res.send({ ...branch, doctors, services });
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+});
+
+app.post(
+  "/branches",
+  verifyJWT,
+  verifyAdmin,
+  validateBody(schemas.branch),
+  async (req, res) => {
+    try {
+      const errors = checkBranch(req.body);
+      if (errors.length) {
+        return res.status(400).json({ message: "Validation failed", errors });
+      }
+
+      const branch = {
+        openingHours: {},
+        holidays: [],
+        active: true,
+        ...req.body,
+        createdAt: new Date(),
+      };
+      const result = await Branches.insertOne(branch);
+
+      await recordAudit(
+        requestContext(req),
+        "branch.create",
+        { type: "branch", id: result.insertedId },
+        { after: branch },
+      );
+
+      res.status(201).send({ success: true, data: branch });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+// Branch admins keep their own branch's hours, holidays and contact
+// details; only admins open or close a branch
+app.patch(
+  "/branches/:id",
+  verifyJWT,
+  validateBody(schemas.branch, { partial: true }),
+  authorize("branch:manage", loadBranch),
+  async (req, res) => {
+    try {
+      const before = req.resource;
+      const changes = { ...req.body };
+
+      if (changes.active !== undefined && !isAdmin(req.user)) {
+        return res
+          .status(403)
+          .json({ message: "Only admins can open or close a branch" });
+      }
+
+      const errors = checkBranch(changes);
+      if (errors.length) {
+        return res.status(400).json({ message: "Validation failed", errors });
+      }
+
+      const { value: branch } = await Branches.findOneAndUpdate(
+        { _id: before._id },
+        { $set: { ...changes, updatedAt: new Date() } },
+        { returnDocument: "after" },
+      );
+
+      await recordAudit(
+        requestContext(req),
+        "branch.update",
+        { type: "branch", id: before._id },
+        diffFields(before, changes),
+      );
+
+      res.send({ success: true, data: branch });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+// Branches are closed rather than deleted: appointments and payments
+// keep pointing at them
+app.delete("/branches/:id", verifyJWT, verifyAdmin, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).send({ error: "Invalid ID" });
+    }
+
+    const { value: branch } = await Branches.findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), active: true },
+      { $set: { active: false, closedAt: new Date() } },
+    );
+
+    if (!branch) {
+      return res.status(404).json({ message: "Branch not found" });
+    }
+
+    await recordAudit(
+      requestContext(req),
+      "branch.close",
+      { type: "branch", id: branch._id },
+      { before: { active: true }, after: { active: false } },
+    );
+
+    res.send({ success: true, message: "Branch closed" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/* ========================
+   Services
+======================== */
+
+// ?q= searches titles and descriptions; ?minPrice=&maxPrice= in ?currency=
+// (default currency otherwise); ?branchId= keeps the services offered at
+// that branch
+app.get("/services", async (req, res) => {
+  try {
+    const { q, minPrice, maxPrice } = req.query;
+    const branchId = queryValue(req.query.branchId);
+    const currency = (
+      queryValue(req.query.currency) || DEFAULT_CURRENCY
+    ).toLowerCase();
+
+    if (!CURRENCIES[currency]) {
+      return res.status(400).send({ message: "Unsupported currency" });
+    }
+
+    if (branchId && !ObjectId.isValid(branchId)) {
+      return res.status(400).send({ message: "Invalid branchId" });
+    }
+
+    // ?minPrice=&maxPrice= are in `currency`, compared in minor units.
+    // Services saved before `prices` existed only have the dollar `price`.
+    const range = rangeFilter(minPrice, maxPrice, (raw) =>
+      toMinor(Number(raw), currency),
+    );
+    const legacyRange = currency === "usd" && rangeFilter(minPrice, maxPrice);
+
+    const conditions = [
+      range && {
+        $or: [
+          { [`prices.${currency}`]: range },
+          ...(legacyRange
+            ? [
+                {
+                  [`prices.${currency}`]: { $exists: false },
+                  price: legacyRange,
+                },
+              ]
+            : []),
+        ],
+      },
+      branchId && {
+        $or: [
+          { branchIds: new ObjectId(branchId) },
+          { branchIds: { $exists: false } },
+          { branchIds: { $size: 0 } },
+        ],
+      },
+    ].filter(Boolean);
+
+    const filter = compactFilter({
+      $text: queryValue(q) ? { $search: queryValue(q) } : undefined,
+      $and: conditions.length ? conditions : undefined,
+    });
+
+    const result = await findPage(
+      Services,
+      filter,
+      req.query,
+      ["title", "price", "rating", "reviewCount"],
+      { _id: 1 },
+    );
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+});
+
+app.get("/services-home", async (req, res) => {
+  try {
+    const services = await Services.find({}).limit(3).toArray();
+    res.send(services);
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+});
+
+app.get("/services/:id", async (req, res) => {
+  const id = req.params.id;
+
+  if (!ObjectId.isValid(id)) {
+    return res.status(400).send({ error: "Invalid ID" });
+  }
+
+  const service = await Services.findOne({ _id: new ObjectId(id) });
+  res.send(service);
+});
+
+// What the patient will pay: ?currency= (default from DEFAULT_CURRENCY)
+app.get("/services/:id/quote", async (req, res) => {
+  try {
+    const id = req.params.id;
+    const currency = queryValue(req.query.currency) || DEFAULT_CURRENCY;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).send({ error: "Invalid ID" });
+    }
+
+    const service = await Services.findOne({ _id: new ObjectId(id) });
+
+    if (!service) {
+      return res.status(404).json({ message: "Service not found" });
+    }
+
+    const quote = await quoteService(service, currency.toLowerCase());
+
+    if (!quote) {
+      return res.status(400).json({
+        message: `This service has no ${currency.toUpperCase()} price`,
+      });
+    }
+
+    res.send({
+      ...quote,
+      display: {
+        subtotal: fromMinor(quote.subtotal, quote.currency),
+        tax: fromMinor(quote.tax, quote.currency),
+        total: fromMinor(quote.total, quote.currency),
+      },
+    });
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+});
+
+app.post(
+  "/services",
+  verifyJWT,
+  verifyAdmin,
+  validateBody(schemas.service),
+  async (req, res) => {
+    try {
+      const service = syncServicePrices(toBranchIds(req.body));
+
+      if (!service.prices) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: [{ field: "prices", message: "price or prices is required" }],
+        });
+      }
+
+      const errors = checkPaymentRules(service);
+      if (errors.length) {
+        return res.status(400).json({ message: "Validation failed", errors });
+      }
+
+      const result = await Services.insertOne(service);
+
+      await recordAudit(
+        requestContext(req),
+        "service.create",
+        { type: "service", id: result.insertedId },
+        { after: service },
+      );
+
+      res.send(result);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+app.put(
+  "/services/:id",
+  verifyJWT,
+  verifyAdmin,
+  validateBody(schemas.service, { partial: true }),
+  async (req, res) => {
+    try {
+      const id = req.params.id;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({ error: "Invalid ID" });
+      }
+
+      const filter = { _id: new ObjectId(id) };
+
+      const before = await Services.findOne(filter);
+
+      if (!before) {
+        return res.status(404).json({ message: "Service not found" });
+      }
+
+      // Only the fields that were sent (and passed validation) change
+      const changes = syncServicePrices(toBranchIds(req.body), before);
+      const updateDoc = { $set: changes };
+
+      const errors = checkPaymentRules({ ...before, ...changes });
+      if (errors.length) {
+        return res.status(400).json({ message: "Validation failed", errors });
+      }
+
+      const result = await Services.updateOne(filter, updateDoc);
+
+      // Deleted in the meantime
+      if (!result.matchedCount) {
+        return res.status(404).json({ message: "Service not found" });
+      }
+
+      await recordAudit(
+        requestContext(req),
+        "service.update",
+        { type: "service", id },
+        diffFields(before, changes),
+      );
+
+      res.send(result);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+app.delete("/services/:id", verifyJWT, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { value: service } = await Services.findOneAndDelete({
+      _id: new ObjectId(id),
+    });
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        message: "Service not found",
+      });
+    }
+
+    await recordAudit(
+      requestContext(req),
+      "service.delete",
+      { type: "service", id },
+      { before: service },
+    );
+    await releaseUploads({ urls: [service.img] });
+
+    res.status(200).json({
+      success: true,
+      message: "Service deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+});
+
+/* ========================
+   Tax Settings
+======================== */
+
+// Clinic-wide rates added on top of the price at checkout
+app.get("/settings/tax", async (req, res) => {
+  try {
+    res.send({ rates: await getTaxRates() });
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+});
+
+app.put(
+  "/settings/tax",
+  verifyJWT,
+  verifyAdmin,
+  validateBody(schemas.taxSettings),
+  async (req, res) => {
+    try {
+      const before = await getTaxRates();
+      const { rates } = req.body;
+
+      await Settings.updateOne(
+        { _id: "tax" },
+        {
+          $set: { rates, updatedAt: new Date(), updatedBy: req.decoded.email },
+        },
+        { upsert: true },
+      );
+
+      await recordAudit(
+        requestContext(req),
+        "settings.tax",
+        { type: "settings", id: "tax" },
+        { before: { rates: before }, after: { rates } },
+      );
+
+      res.send({ success: true, rates });
+    } catch (error) {
+      res.status(500).send({ message: error.message });
+    }
+  },
+);
+
+/* ========================
+   Promo Codes
+======================== */
+
+// Codes are stored uppercase and matched case-insensitively
+const preparePromo = (body) => {
+  const promo = { ...body };
+
+  if (promo.code !== undefined) promo.code = normalizePromoCode(promo.code);
+  if (promo.serviceIds) {
+    promo.serviceIds = promo.serviceIds.map((id) => new ObjectId(id));
+  }
+
+  return promo;
+};
+
+app.post(
+  "/promo-codes",
+  verifyJWT,
+  verifyAdmin,
+  validateBody(schemas.promoCode),
+  async (req, res) => {
+    try {
+      const promo = {
+        active: true,
+        ...preparePromo(req.body),
+        redemptionCount: 0,
+        createdBy: req.decoded.email,
+        createdAt: new Date(),
+      };
+
+      const errors = checkPromoRules(promo);
+      if (errors.length) {
+        return res.status(400).json({ message: "Validation failed", errors });
+      }
+
+      const result = await PromoCodes.insertOne(promo);
+
+      await recordAudit(
+        requestContext(req),
+        "promo.create",
+        { type: "promo-code", id: result.insertedId },
+        { after: promo },
+      );
+
+      res.status(201).send({ success: true, data: promo });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ message: "Promo code already exists" });
+      }
+      res.status(500).send({ message: error.message });
+    }
+  },
+);
+
+app.get("/promo-codes", verifyJWT, verifyAdmin, async (req, res) => {
+  try {
+    const active = queryValue(req.query.active);
+
+    const filter = compactFilter({
+      active: active === undefined ? undefined : active === "true",
+    });
+
+    const result = await findPage(
+      PromoCodes,
+      filter,
+      req.query,
+      ["createdAt", "code", "redemptionCount", "endsOn"],
+      { createdAt: -1 },
+    );
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+});
+
+app.patch(
+  "/promo-codes/:id",
+  verifyJWT,
+  verifyAdmin,
+  validateBody(schemas.promoCode, { partial: true }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({ error: "Invalid ID" });
+      }
+
+      const filter = { _id: new ObjectId(id) };
+      const before = await PromoCodes.findOne(filter);
+
+      if (!before) {
+        return res.status(404).json({ message: "Promo code not found" });
+      }
+
+      const changes = preparePromo(req.body);
+
+      const errors = checkPromoRules({ ...before, ...changes });
+      if (errors.length) {
+        return res.status(400).json({ message: "Validation failed", errors });
+      }
+
+      const { value: promo } = await PromoCodes.findOneAndUpdate(
+        filter,
+        { $set: { ...changes, updatedAt: new Date() } },
+        { returnDocument: "after" },
+      );
+
+      await recordAudit(
+        requestContext(req),
+        "promo.update",
+        { type: "promo-code", id },
+        diffFields(before, changes),
+      );
+
+      res.send({ success: true, data: promo });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ message: "Promo code already exists" });
+      }
+      res.status(500).send({ message: error.message });
+    }
+  },
+);
+
+// Redemptions point at the code, so it is deactivated rather than deleted
+app.delete("/promo-codes/:id", verifyJWT, verifyAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).send({ error: "Invalid ID" });
+    }
+
+    const { value: before } = await PromoCodes.findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: { active: false, updatedAt: new Date() } },
+    );
+
+    if (!before) {
+      return res.status(404).json({ message: "Promo code not found" });
+    }
+
+    await recordAudit(
+      requestContext(req),
+      "promo.deactivate",
+      { type: "promo-code", id },
+      { before: { active: before.active }, after: { active: false } },
+    );
+
+    res.send({ success: true, message: "Promo code deactivated" });
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+});
+
+// Lets checkout show the discounted price before paying. Nothing is
+// reserved: create-payment-intent checks the code again and reserves it.
+app.post(
+  "/promo-codes/validate",
+  verifyJWT,
+  validateBody(schemas.promoCodeCheck),
+  async (req, res) => {
+    try {
+      const currency = req.body.currency || DEFAULT_CURRENCY;
+
+      const service = await Services.findOne({
+        _id: new ObjectId(req.body.serviceId),
+      });
+
+      if (!service) {
+        return res.status(404).json({ message: "Service not found" });
+      }
+
+      if (priceOf(service, currency) === undefined) {
+        return res.status(400).json({
+          message: `This service has no ${currency.toUpperCase()} price`,
+        });
+      }
+
+      const found = await findApplicablePromo(req.body.code, {
+        service,
+        currency,
+        email: req.decoded.email,
+      });
+
+      if (found.error) {
+        return res
+          .status(found.code)
+          .json({ valid: false, message: found.error });
+      }
+
+      const quote = await quoteService(service, currency, found.promo);
+
+      if (quote.total < CURRENCIES[currency].minimumCharge) {
+        return res.status(400).json({
+          valid: false,
+          message: "The discounted total is below the minimum card payment",
+        });
+      }
+
+      res.send({
+        valid: true,
+        promo: {
+          code: found.promo.code,
+          description: found.promo.description,
+          type: found.promo.type,
+          percentOff: found.promo.percentOff,
+        },
+        quote,
+        display: {
+          subtotal: fromMinor(quote.subtotal, currency),
+          discount: fromMinor(quote.discount, currency),
+          tax: fromMinor(quote.tax, currency),
+          total: fromMinor(quote.total, currency),
+        },
+      });
+    } catch (error) {
+      res.status(500).send({ message: error.message });
+    }
+  },
+);
+
+/* ========================
+   Doctor Schedules & Slots
+======================== */
+
+// Schedules are wall-clock times in the clinic's timezone:
+// {
+//   slotMinutes: 30,
+//   weeklyHours: { mon: [{ start: "09:00", end: "17:00" }], ... },
+//   breaks: [{ start: "13:00", end: "14:00" }],
+//   daysOff: ["2026-12-16"],
+// }
+// A weekday without hours is a day off.
+
+const CLINIC_UTC_OFFSET = process.env.CLINIC_UTC_OFFSET || "+06:00";
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(
+    minutes % 60,
+  ).padStart(2, "0")}`;
+
+const isValidDate = (date) => {
+  if (typeof date !== "string" || !DATE_PATTERN.test(date)) return false;
+
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().startsWith(date);
+};
+
+const toClinicDate = (date, time) =>
+  new Date(`${date}T${time}:00${CLINIC_UTC_OFFSET}`);
+
+// `instant` as the clinic's wall clock, in ISO format (without a zone)
+const toClinicIso = (instant) => {
+  const sign = CLINIC_UTC_OFFSET.startsWith("-") ? -1 : 1;
+  const offset = sign * toMinutes(CLINIC_UTC_OFFSET.slice(1));
+
+  return new Date(instant.getTime() + offset * 60000).toISOString();
+};
+
+// Today's date at the clinic, as YYYY-MM-DD
+const clinicToday = () => toClinicIso(new Date()).slice(0, 10);
+
+const addDays = (date, days) =>
+  new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000)
+    .toISOString()
+    .slice(0, 10);
+
+const getWeekday = (date) =>
+  WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+const isValidRange = (range) =>
+  range &&
+  TIME_PATTERN.test(range.start) &&
+  TIME_PATTERN.test(range.end) &&
+  toMinutes(range.start) < toMinutes(range.end);
+
+// Returns a list of problems, empty when the schedule is usable
+const validateSchedule = (schedule) => {
+  const errors = [];
+
+  if (!schedule || typeof schedule !== "object") {
+    return ["Schedule is required"];
+  }
+
+  const { slotMinutes, weeklyHours = {}, breaks = [], daysOff = [] } = schedule;
+
+  if (!Number.isInteger(slotMinutes) || slotMinutes < 5 || slotMinutes > 240) {
+    errors.push("slotMinutes must be a whole number between 5 and 240");
+  }
+
+  Object.entries(weeklyHours).forEach(([day, ranges]) => {
+    if (!WEEKDAYS.includes(day)) {
+      errors.push(`Unknown weekday "${day}"`);
+    } else if (!Array.isArray(ranges) || !ranges.every(isValidRange)) {
+      errors.push(`Invalid working hours for ${day}`);
+    }
+  });
+
+  if (!Array.isArray(breaks) || !breaks.every(isValidRange)) {
+    errors.push("Invalid breaks");
+  }
+
+  if (!Array.isArray(daysOff) || !daysOff.every(isValidDate)) {
+    errors.push("daysOff must be a list of YYYY-MM-DD dates");
+  }
+
+  return errors;
+};
+
+// Every slot the doctor works on a date, ignoring existing bookings
+const buildDaySlots = (schedule, date) => {
+  if (!schedule || schedule.daysOff?.includes(date)) return [];
+
+  const length = schedule.slotMinutes;
+  const hours = schedule.weeklyHours?.[getWeekday(date)] || [];
+  const breaks = schedule.breaks || [];
+  const slots = [];
+
+  hours.forEach(({ start, end }) => {
+    for (let t = toMinutes(start); t + length <= toMinutes(end); t += length) {
+      const overlapsBreak = breaks.some(
+        (b) => t < toMinutes(b.end) && t + length > toMinutes(b.start),
+      );
+
+      if (!overlapsBreak) {
+        slots.push({ start: toTime(t), end: toTime(t + length) });
+      }
+    }
+  });
+
+  return slots;
+};
+
+// The schedule a doctor works at a branch: their schedule for that branch,
+// or their general one. The branch's holidays are days off either way.
+const scheduleFor = (doctor, branch) => {
+  const schedule =
+    (branch && doctor.branchSchedules?.[branch._id]) || doctor.schedule;
+
+  if (!schedule || !branch?.holidays?.length) return schedule || null;
+
+  return {
+    ...schedule,
+    daysOff: [...(schedule.daysOff || []), ...branch.holidays],
+  };
+};
+
+// The branch a booking with the doctor is at: the one asked for, or the
+// doctor's only branch. Doctors not assigned to a branch book without one.
+const resolveBranch = async (doctor, branchId) => {
+  const assigned = (doctor.branchIds || []).map(String);
+
+  if (!assigned.length && !branchId) return { branch: null };
+
+  const id = branchId ? String(branchId) : assigned.length === 1 && assigned[0];
+
+  if (!id) {
+    return {
+      code: 400,
+      error: "The doctor works at several branches; choose one",
+    };
+  }
+
+  if (!assigned.includes(id)) {
+    return { code: 400, error: "The doctor does not work at this branch" };
+  }
+
+  const branch = await Branches.findOne({
+    _id: new ObjectId(id),
+    active: true,
+  });
+
+  return branch ? { branch } : { code: 400, error: "Branch is not open" };
+};
+
+// The clinic closure or leave that takes a doctor's day at a branch, if any
+const findClosure = (doctor, branch, date) =>
+  Closures.findOne({
+    fromDate: { $lte: date },
+    toDate: { $gte: date },
+    $or: [
+      { doctorId: doctor._id },
+      { doctorId: null, branchId: null },
+      ...(branch ? [{ doctorId: null, branchId: branch._id }] : []),
+    ],
+  });
+
+// Services without branchIds are offered everywhere
+const offeredAt = (service, branch) =>
+  !branch ||
+  !service.branchIds?.length ||
+  service.branchIds.some((id) => id.equals(branch._id));
+
+const getOpenSlots = async (doctor, date, branch = null) => {
+  if (await findClosure(doctor, branch, date)) return [];
+
+  const reservations = await SlotReservations.find({
+    doctorId: doctor._id,
+    date,
+  }).toArray();
+
+  const now = new Date();
+
+  return buildDaySlots(scheduleFor(doctor, branch), date).filter(
+    (slot) =>
+      toClinicDate(date, slot.start) > now &&
+      !reservations.some(
+        (r) =>
+          toMinutes(slot.start) < toMinutes(r.endTime) &&
+          toMinutes(slot.end) > toMinutes(r.startTime),
+      ),
+  );
+};
+
+// Validates a requested time against the doctor's schedule and reserves it.
+// Resolves to { code, error } when the slot can't be taken. `holdId` is a
+// waitlist hold on the slot, which then becomes the reservation; `branch`
+// is where the visit takes place.
+const reserveSlot = async (doctor, date, time, { holdId, branch } = {}) => {
+  const schedule = scheduleFor(doctor, branch);
+
+  if (doctor.permission !== "approved" || !schedule) {
+    return { code: 400, error: "Doctor is not accepting appointments" };
+  }
+
+  // ⏰ Only slots the doctor actually works
+  const slot = buildDaySlots(schedule, date).find((s) => s.start === time);
+
+  if (!slot) {
+    return { code: 400, error: "Selected time is outside the doctor's hours" };
+  }
+
+  // 🚫 Public holidays, branch closures and the doctor's leave
+  const closure = await findClosure(doctor, branch, date);
+
+  if (closure) {
+    return {
+      code: 400,
+      error: closure.doctorId
+        ? "The doctor is on leave on this date"
+        : "The clinic is closed on this date",
+    };
+  }
+
+  const startsAt = toClinicDate(date, slot.start);
+
+  if (startsAt <= new Date()) {
+    return { code: 400, error: "Selected time has passed" };
+  }
+
+  // 🔒 The unique index makes the insert atomic; the overlap check catches
+  // bookings made before the doctor changed their slot length
+  const overlapping = await SlotReservations.findOne({
+    doctorId: doctor._id,
+    date,
+    startTime: { $lt: slot.end },
+    endTime: { $gt: slot.start },
+    ...(holdId && { _id: { $ne: holdId } }),
+  });
+
+  if (overlapping) {
+    return { code: 409, error: "Slot already booked" };
+  }
+
+  if (holdId) {
+    const { value: hold } = await SlotReservations.findOneAndUpdate(
+      { _id: holdId, doctorId: doctor._id, date, startTime: slot.start },
+      { $unset: { waitlistId: "", holdExpiresAt: "" } },
+    );
+
+    return hold
+      ? { slot, startsAt, reservationId: holdId }
+      : { code: 409, error: "The held slot has been released" };
+  }
+
+  try {
+    const reservation = await SlotReservations.insertOne({
+      doctorId: doctor._id,
+      date,
+      startTime: slot.start,
+      endTime: slot.end,
+      createdAt: new Date(),
+    });
+
+    return { slot, startsAt, reservationId: reservation.insertedId };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { code: 409, error: "Slot already booked" };
+    }
+    throw error;
+  }
+};
+
+/* ========================
+   Appointment Lifecycle
+======================== */
+
+// requested → confirmed → checked-in → completed / no-show / cancelled
+// Each status lists who may move an appointment into the next one.
+const APPOINTMENT_TRANSITIONS = {
+  requested: {
+    confirmed: ["doctor", "admin"],
+    cancelled: ["patient", "doctor", "admin"],
+  },
+  confirmed: {
+    "checked-in": ["doctor", "admin"],
+    "no-show": ["doctor", "admin"],
+    cancelled: ["patient", "doctor", "admin"],
+  },
+  "checked-in": {
+    completed: ["doctor", "admin"],
+  },
+  completed: {},
+  "no-show": {},
+  cancelled: {},
+};
+
+const STATUS_TIMESTAMPS = {
+  confirmed: "confirmedAt",
+  "checked-in": "checkedInAt",
+  completed: "completedAt",
+  "no-show": "noShowAt",
+  cancelled: "cancelledAt",
+};
+
+// Patients may cancel or reschedule for free until this many hours before
+const CANCELLATION_WINDOW_HOURS = Number(
+  process.env.CANCELLATION_WINDOW_HOURS ?? 24,
+);
+
+const getAppointmentStatus = (appointment) => appointment.status || "requested";
+
+const isOutsideCancellationWindow = (appointment, now = new Date()) =>
+  !appointment.startsAt ||
+  appointment.startsAt - now >= CANCELLATION_WINDOW_HOURS * 60 * 60 * 1000;
+
+// Moves an appointment to `status` if nobody changed it in the meantime
+const transitionAppointment = async (appointment, status, by, extra = {}) => {
+  const now = new Date();
+
+  const result = await Appointments.updateOne(
+    { _id: appointment._id, status: appointment.status ?? null },
+    {
+      $set: { status, [STATUS_TIMESTAMPS[status]]: now, ...extra },
+      $push: {
+        statusHistory: {
+          from: getAppointmentStatus(appointment),
+          to: status,
+          by,
+          at: now,
+        },
+      },
+    },
+  );
+
+  if (result.modifiedCount && status === "cancelled") {
+    // Free the slot for other patients, starting with the waitlist
+    await SlotReservations.deleteMany({ appointmentId: appointment._id });
+    await queueFreedSlot(appointment);
+    await refundCancelledAppointment({ ...appointment, ...extra });
+
+    const data = {
+      ...appointmentNotificationData(appointment),
+      reason: extra.cancellationReason,
+    };
+    await notify("appointment.cancelled", appointment.email, data);
+    await notify("appointment.cancelled", appointment.doctorEmail, data);
+  }
+
+  if (result.modifiedCount && status === "confirmed") {
+    await notify(
+      "appointment.confirmed",
+      appointment.email,
+      appointmentNotificationData(appointment),
+    );
+  }
+
+  if (result.modifiedCount && appointment.planId) {
+    await syncPlanStep(appointment, status);
+  }
+
+  return result.modifiedCount > 0;
+};
+
+// Reserves the slot and creates the appointment; resolves to
+// { appointment, result } or { code, error } when the slot can't be had
+const bookAppointment = async (data, doctor, by, { holdId } = {}) => {
+  // 🏥 Where the visit takes place
+  const located = await resolveBranch(doctor, data.branchId);
+
+  if (located.error) return located;
+
+  const { branch } = located;
+  const service = ObjectId.isValid(data.serviceId)
+    ? await Services.findOne({ _id: new ObjectId(data.serviceId) })
+    : null;
+
+  if (service && !offeredAt(service, branch)) {
+    return { code: 400, error: "The service is not offered at this branch" };
+  }
+
+  const reservation = await reserveSlot(doctor, data.date, data.time, {
+    holdId,
+    branch,
+  });
+
+  if (reservation.error) return reservation;
+
+  const { slot, startsAt, reservationId } = reservation;
+  const now = new Date();
+
+  // 💵 What the visit costs and how it is paid; create-payment-intent
+  // re-quotes it if the patient pays in another currency
+  const quote = service && (await quoteService(service, DEFAULT_CURRENCY));
+
+  try {
+    const appointment = {
+      ...data,
+      doctorId: doctor._id,
+      doctorName: doctor.name,
+      doctorEmail: doctor.email,
+      branchId: branch?._id || null,
+      branchName: branch?.name || null,
+      time: slot.start,
+      endTime: slot.end,
+      startsAt,
+      status: "requested",
+      statusHistory: [{ from: null, to: "requested", by, at: now }],
+      paymentStatus: "unpaid",
+      ...(quote && { billing: buildBilling(service, quote) }),
+      createdAt: now,
+    };
+    const result = await Appointments.insertOne(appointment);
+
+    await SlotReservations.updateOne(
+      { _id: reservationId },
+      { $set: { appointmentId: result.insertedId } },
+    );
+
+    const notificationData = appointmentNotificationData(appointment);
+    await notify("appointment.booked", appointment.email, notificationData);
+    await notify(
+      "appointment.new-booking",
+      appointment.doctorEmail,
+      notificationData,
+    );
+
+    return { appointment, result };
+  } catch (error) {
+    await SlotReservations.deleteOne({ _id: reservationId });
+    throw error;
+  }
+};
+
+// Moves an appointment to another slot with its doctor, at the same branch.
+// Resolves to { slot } or { code, error }; the old slot goes to the waitlist.
+const moveAppointment = async (appointment, doctor, date, time, options) => {
+  const { by, status } = options;
+  const current = getAppointmentStatus(appointment);
+
+  const branch = appointment.branchId
+    ? await Branches.findOne({ _id: appointment.branchId })
+    : null;
+
+  const reservation = await reserveSlot(doctor, date, time, { branch });
+
+  if (reservation.error) return reservation;
+
+  const { slot, startsAt, reservationId } = reservation;
+  const now = new Date();
+
+  const result = await Appointments.updateOne(
+    { _id: appointment._id, status: appointment.status ?? null },
+    {
+      $set: {
+        date,
+        time: slot.start,
+        endTime: slot.end,
+        startsAt,
+        status,
+        rescheduledAt: now,
+      },
+      $push: {
+        rescheduleHistory: {
+          from: { date: appointment.date, time: appointment.time },
+          to: { date, time: slot.start },
+          by,
+          at: now,
+        },
+        statusHistory: { from: current, to: status, by, at: now },
+      },
+    },
+  );
+
+  if (!result.modifiedCount) {
+    await SlotReservations.deleteOne({ _id: reservationId });
+    return { code: 409, error: "Appointment was changed by someone else" };
+  }
+
+  // Swap the old reservation for the new one
+  await SlotReservations.deleteMany({
+    appointmentId: appointment._id,
+    _id: { $ne: reservationId },
+  });
+  await SlotReservations.updateOne(
+    { _id: reservationId },
+    { $set: { appointmentId: appointment._id } },
+  );
+  await queueFreedSlot(appointment);
+
+  return { slot };
+};
+
+/* ========================
+   Users appointments
+======================== */
+
+app.post(
+  "/appointment",
+  verifyJWT,
+  validateBody(schemas.booking),
+  authorize("appointment:create", fromBody),
+  async (req, res) => {
+    try {
+      const { medicalHistory, ...data } = req.body;
+      const { doctorId, doctorEmail, date } = data;
+
+      if (!doctorId && !doctorEmail) {
+        return res.status(400).json({ message: "Doctor is required" });
+      }
+
+      if (!isValidDate(date)) {
+        return res.status(400).json({ message: "Invalid date" });
+      }
+
+      const doctor = doctorId
+        ? await Doctors.findOne({ _id: new ObjectId(doctorId) })
+        : await Doctors.findOne({ email: doctorEmail });
+
+      if (!doctor) {
+        return res.status(404).json({ message: "Doctor not found" });
+      }
+
+      const booked = await bookAppointment(data, doctor, req.decoded.email);
+
+      if (booked.error) {
+        return res.status(booked.code).json({ message: booked.error });
+      }
+
+      if (medicalHistory) {
+        await saveInitialHistory(data.email, medicalHistory, req.decoded.email);
+      }
+
+      res.send(booked.result);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+app.get(
+  "/appointments",
+  verifyJWT,
+  authorize("appointment:list", fromQuery),
+  async (req, res) => {
+    try {
+      const { role, email, from, to, status, paymentStatus, branchId } =
+        req.query;
+      const branch = queryValue(branchId);
+      let query = {};
+
+      if (role === "user") {
+        query = { email: queryValue(email) };
+      }
+
+      if (role === "doctor") {
+        query = { doctorEmail: queryValue(email) };
+      }
+
+      // ?from=&to= are YYYY-MM-DD and compare as strings
+      const filter = compactFilter({
+        ...query,
+        date: rangeFilter(from, to, String),
+        status: queryValue(status),
+        paymentStatus: queryValue(paymentStatus),
+        branchId: ObjectId.isValid(branch) ? new ObjectId(branch) : undefined,
+        deletedAt: null,
+      });
+
+      const result = await findPage(
+        Appointments,
+        filter,
+        req.query,
+        ["startsAt", "date", "createdAt", "status"],
+        { startsAt: -1 },
+      );
+
+      res.status(200).json(result);
+    } catch (error) {
+      res.status(500).json({
+        message: "Failed to fetch appointments",
+        error: error.message,
+      });
+    }
+  },
+);
+
+app.patch(
+  "/appointment/:id/status",
+  verifyJWT,
+  validateBody(schemas.appointmentStatus),
+  authorize("appointment:manage", loadAppointment),
+  async (req, res) => {
+    try {
+      const { status, reason } = req.body;
+
+      const appointment = req.resource;
+      const email = req.decoded.email;
+      const actor = getAppointmentActor(req.user, appointment);
+      const current = getAppointmentStatus(appointment);
+      const allowedActors = APPOINTMENT_TRANSITIONS[current][status];
+
+      if (!allowedActors) {
+        return res.status(400).json({
+          message: `Cannot move appointment from ${current} to ${status}`,
+        });
+      }
+
+      if (!allowedActors.includes(actor)) {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+
+      if (status === "no-show" && appointment.startsAt > new Date()) {
+        return res
+          .status(400)
+          .json({ message: "Appointment has not started yet" });
+      }
+
+      const extra = {};
+
+      if (status === "cancelled") {
+        extra.cancelledBy = actor;
+        extra.cancellationReason = reason || null;
+        extra.cancelledWithinPolicy = isOutsideCancellationWindow(appointment);
+      }
+
+      const updated = await transitionAppointment(
+        appointment,
+        status,
+        email,
+        extra,
+      );
+
+      if (!updated) {
+        return res
+          .status(409)
+          .json({ message: "Appointment was changed by someone else" });
+      }
+
+      if (actor === "admin") {
+        await recordAudit(
+          requestContext(req),
+          "appointment.status-change",
+          { type: "appointment", id: appointment._id },
+          {
+            before: { status: current },
+            after: { status, reason: reason || null },
+          },
+        );
+      }
+
+      res.json({ success: true, message: `Appointment ${status}` });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+app.patch(
+  "/appointment/:id/reschedule",
+  verifyJWT,
+  validateBody(schemas.reschedule),
+  authorize("appointment:manage", loadAppointment),
+  async (req, res) => {
+    try {
+      const { date, time } = req.body;
+
+      if (!isValidDate(date)) {
+        return res.status(400).json({ message: "Invalid date" });
+      }
+
+      const appointment = req.resource;
+      const email = req.decoded.email;
+      const actor = getAppointmentActor(req.user, appointment);
+      const current = getAppointmentStatus(appointment);
+
+      if (!["requested", "confirmed"].includes(current)) {
+        return res
+          .status(400)
+          .json({ message: `A ${current} appointment cannot be rescheduled` });
+      }
+
+      if (actor === "patient" && !isOutsideCancellationWindow(appointment)) {
+        return res.status(400).json({
+          message: `Appointments can only be rescheduled up to ${CANCELLATION_WINDOW_HOURS} hours before`,
+        });
+      }
+
+      const doctor = await Doctors.findOne({ _id: appointment.doctorId });
+
+      if (!doctor) {
+        return res.status(404).json({ message: "Doctor not found" });
+      }
+
+      // A patient's new time needs the doctor to confirm it again
+      const moved = await moveAppointment(appointment, doctor, date, time, {
+        by: email,
+        status: actor === "patient" ? "requested" : current,
+      });
+
+      if (moved.error) {
+        return res.status(moved.code).json({ message: moved.error });
+      }
+
+      const { slot } = moved;
+
+      if (actor === "admin") {
+        await recordAudit(
+          requestContext(req),
+          "appointment.reschedule",
+          { type: "appointment", id: appointment._id },
+          {
+            before: { date: appointment.date, time: appointment.time },
+            after: { date, time: slot.start },
+          },
+        );
+      }
+
+      res.json({ success: true, message: "Appointment rescheduled" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+// Soft delete: history and linked payments stay in the database
+app.delete(
+  "/appointment/:id",
+  verifyJWT,
+  authorize("appointment:manage", loadAppointment),
+  async (req, res) => {
+    try {
+      const appointment = req.resource;
+      const email = req.decoded.email;
+      const actor = getAppointmentActor(req.user, appointment);
+
+      // An appointment that is still on the calendar is cancelled first
+      const current = getAppointmentStatus(appointment);
+      if (APPOINTMENT_TRANSITIONS[current].cancelled) {
+        const cancelled = await transitionAppointment(
+          appointment,
+          "cancelled",
+          email,
+          {
+            cancelledBy: actor,
+            cancellationReason: "deleted",
+            cancelledWithinPolicy: isOutsideCancellationWindow(appointment),
+          },
+        );
+
+        // Never hide an appointment that is still on the calendar
+        if (!cancelled) {
+          return res
+            .status(409)
+            .json({ message: "Appointment was changed by someone else" });
+        }
+      }
+
+      await Appointments.updateOne(
+        { _id: appointment._id },
+        { $set: { deletedAt: new Date(), deletedBy: email } },
+      );
+
+      if (actor === "admin") {
+        await recordAudit(
+          requestContext(req),
+          "appointment.delete",
+          { type: "appointment", id: appointment._id },
+          { before: { status: current, date: appointment.date } },
+        );
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Appointment deleted successfully",
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  },
+);
+
+app.get(
+  "/appointment/:id",
+  verifyJWT,
+  authorize("appointment:read", loadAppointment),
+  (req, res) => {
+    res.send(req.resource);
+  },
+);
+
+/* ========================
+   Dental Records
+======================== */
+
+// One record per patient (patient-records, keyed by email) holds the
+// medical history and the tooth chart; each completed appointment can have
+// one treatment note (treatment-notes) written by its doctor. Only the
+// patient, doctors they have booked and admins can see any of it, and every
+// read is written to the audit log. Audit entries name the fields that
+// changed but never copy clinical details; the values a history update
+// replaced are kept in the record's historyRevisions.
+
+const getTreatingDoctors = (email) =>
+  Appointments.distinct("doctorEmail", {
+    email,
+    status: { $ne: "cancelled" },
+    deletedAt: null,
+  });
+
+// Doctors the patient is confirmed to see or has already seen
+const getConfirmedDoctors = (email) =>
+  Appointments.distinct("doctorEmail", {
+    email,
+    status: { $in: ["confirmed", "checked-in", "completed"] },
+    deletedAt: null,
+  });
+
+const loadPatient = async (req) => ({
+  email: req.params.email,
+  treatingDoctors: await getTreatingDoctors(req.params.email),
+  confirmedDoctors: await getConfirmedDoctors(req.params.email),
+});
+
+// The appointment's patient, with the appointment passed along
+const loadAppointmentPatient = async (req) => {
+  const appointment = await loadAppointment(req);
+  if (!appointment) return null;
+
+  return {
+    email: appointment.email,
+    treatingDoctors: await getTreatingDoctors(appointment.email),
+    appointment,
+  };
+};
+
+// Only the first history counts: later bookings don't overwrite it
+const saveInitialHistory = async (email, medicalHistory, by) => {
+  const now = new Date();
+
+  await PatientRecords.updateOne(
+    { email },
+    { $setOnInsert: { email, createdAt: now } },
+    { upsert: true },
+  );
+  await PatientRecords.updateOne(
+    { email, medicalHistory: null },
+    {
+      $set: {
+        medicalHistory: { ...medicalHistory, updatedAt: now, updatedBy: by },
+        updatedAt: now,
+      },
+    },
+  );
+};
+
+// validateBody drops unknown keys, which would hide a typo in a tooth number
+const rejectUnknownTeeth = (req, res, next) => {
+  const teeth = req.body?.teeth;
+  const unknown =
+    teeth && typeof teeth === "object"
+      ? Object.keys(teeth).filter((number) => !TOOTH_NUMBERS.includes(number))
+      : [];
+
+  if (unknown.length) {
+    return res.status(400).json({
+      message: "Validation failed",
+      errors: unknown.map((number) => ({
+        field: `teeth.${number}`,
+        message: `${number} is not an FDI tooth number`,
+      })),
+    });
+  }
+
+  next();
+};
+
+const recordAccess = (req, email, detail = {}) =>
+  recordAudit(
+    requestContext(req),
+    "record.view",
+    { type: "patient-record", id: email },
+    { after: detail },
+  );
+
+app.get(
+  "/users/:email/dental-record",
+  verifyJWT,
+  authorize("record:read", loadPatient),
+  async (req, res) => {
+    try {
+      const { email } = req.params;
+
+      const [record, treatmentNotes] = await Promise.all([
+        PatientRecords.findOne({ email }),
+        TreatmentNotes.find({ patientEmail: email })
+          .project({ revisions: 0 })
+          .sort({ visitDate: -1 })
+          .toArray(),
+      ]);
+
+      await recordAccess(req, email);
+
+      res.send({
+        email,
+        medicalHistory: record?.medicalHistory || null,
+        toothChart: Object.fromEntries(
+          Object.entries(record?.toothChart || {}).map(([number, entry]) => [
+            number,
+            { ...entry, tooth: describeTooth(number) },
+          ]),
+        ),
+        treatmentNotes,
+        followUps: treatmentNotes
+          .filter((note) => note.followUp)
+          .map((note) => ({
+            appointmentId: note.appointmentId,
+            doctorName: note.doctorName,
+            visitDate: note.visitDate,
+            ...note.followUp,
+          })),
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+app.put(
+  "/users/:email/medical-history",
+  verifyJWT,
+  validateBody(schemas.medicalHistory),
+  authorize("record:history", loadPatient),
+  async (req, res) => {
+    try {
+      const { email } = req.params;
+      const fields = Object.keys(req.body);
+
+      if (!fields.length) {
+        return res.status(400).json({ message: "Nothing to update" });
+      }
+
+      // Only the fields sent change; what they held before is kept
+      const now = new Date();
+      const before = (await PatientRecords.findOne({ email }))?.medicalHistory;
+      const { value: record } = await PatientRecords.findOneAndUpdate(
+        { email },
+        {
+          $set: {
+            ...Object.fromEntries(
+              fields.map((field) => [
+                `medicalHistory.${field}`,
+                req.body[field],
+              ]),
+            ),
+            "medicalHistory.updatedAt": now,
+            "medicalHistory.updatedBy": req.decoded.email,
+            updatedAt: now,
+          },
+          $push: {
+            historyRevisions: {
+              at: now,
+              by: req.decoded.email,
+              before: Object.fromEntries(
+                fields.map((field) => [field, before?.[field] ?? null]),
+              ),
+            },
+          },
+          $setOnInsert: { email, createdAt: now },
+        },
+        { upsert: true, returnDocument: "after" },
+      );
+
+      await recordAudit(
+        requestContext(req),
+        "record.history-update",
+        { type: "patient-record", id: email },
+        { after: { fields } },
+      );
+
+      res.send({ success: true, medicalHistory: record.medicalHistory });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+app.patch(
+  "/users/:email/tooth-chart",
+  verifyJWT,
+  rejectUnknownTeeth,
+  validateBody(schemas.toothChart),
+  authorize("record:chart", loadPatient),
+  async (req, res) => {
+    try {
+      const { email } = req.params;
+      const { teeth } = req.body;
+      const now = new Date();
+
+      if (!Object.keys(teeth).length) {
+        return res.status(400).json({ message: "No teeth to update" });
+      }
+
+      const set = { updatedAt: now };
+      Object.entries(teeth).forEach(([number, entry]) => {
+        set[`toothChart.${number}`] = {
+          ...entry,
+          updatedAt: now,
+          updatedBy: req.decoded.email,
+        };
+      });
+
+      const { value: record } = await PatientRecords.findOneAndUpdate(
+        { email },
+        { $set: set, $setOnInsert: { email, createdAt: now } },
+        { upsert: true, returnDocument: "after" },
+      );
+
+      await recordAudit(
+        requestContext(req),
+        "record.chart-update",
+        { type: "patient-record", id: email },
+        { after: { teeth: Object.keys(teeth) } },
+      );
+
+      res.send({ success: true, toothChart: record.toothChart });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+app.post(
+  "/appointment/:id/treatment-note",
+  verifyJWT,
+  validateBody(schemas.treatmentNote),
+  authorize("treatment:write", loadAppointment),
+  async (req, res) => {
+    try {
+      const appointment = req.resource;
+
+      if (getAppointmentStatus(appointment) !== "completed") {
+        return res.status(400).json({
+          message: "Treatment notes are written for completed appointments",
+        });
+      }
+
+      const now = new Date();
+      const note = {
+        ...req.body,
+        appointmentId: appointment._id,
+        patientEmail: appointment.email,
+        doctorId: appointment.doctorId,
+        doctorEmail: appointment.doctorEmail,
+        doctorName: appointment.doctorName,
+        serviceTitle: appointment.serviceTitle,
+        visitDate: appointment.date,
+        createdAt: now,
+      };
+
+      const result = await TreatmentNotes.insertOne(note);
+
+      await recordAudit(
+        requestContext(req),
+        "treatment.create",
+        { type: "treatment-note", id: result.insertedId },
+        {
+          after: {
+            appointmentId: appointment._id,
+            patientEmail: appointment.email,
+            fields: Object.keys(req.body),
+          },
+        },
+      );
+
+      if (note.followUp) {
+        await notify("treatment.follow-up", appointment.email, {
+          ...appointmentNotificationData(appointment),
+          inWeeks: note.followUp.inWeeks,
+        });
+      }
+
+      res.status(201).send({ success: true, data: note });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          message: "This appointment already has a treatment note",
+        });
+      }
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+// Amending keeps what was there before in `revisions`
+app.patch(
+  "/appointment/:id/treatment-note",
+  verifyJWT,
+  validateBody(schemas.treatmentNote, { partial: true }),
+  authorize("treatment:write", loadAppointment),
+  async (req, res) => {
+    try {
+      const filter = { appointmentId: req.resource._id };
+      const before = await TreatmentNotes.findOne(filter);
+
+      if (!before) {
+        return res.status(404).json({ message: "Treatment note not found" });
+      }
+
+      const fields = Object.keys(req.body);
+      if (!fields.length) {
+        return res.status(400).json({ message: "Nothing to update" });
+      }
+
+      const now = new Date();
+      const { value: note } = await TreatmentNotes.findOneAndUpdate(
+        filter,
+        {
+          $set: { ...req.body, updatedAt: now },
+          $push: {
+            revisions: {
+              at: now,
+              by: req.decoded.email,
+              before: Object.fromEntries(
+                fields.map((field) => [field, before[field] ?? null]),
+              ),
+            },
+          },
+        },
+        { returnDocument: "after" },
+      );
+
+      await recordAudit(
+        requestContext(req),
+        "treatment.update",
+        { type: "treatment-note", id: before._id },
+        { after: { appointmentId: req.resource._id, fields } },
+      );
+
+      res.send({ success: true, data: note });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+app.get(
+  "/appointment/:id/treatment-note",
+  verifyJWT,
+  authorize("record:read", loadAppointmentPatient),
+  async (req, res) => {
+    try {
+      const { appointment, email } = req.resource;
+      const note = await TreatmentNotes.findOne({
+        appointmentId: appointment._id,
+      });
+
+      await recordAccess(req, email, { appointmentId: appointment._id });
+
+      if (!note) {
+        return res.status(404).json({ message: "Treatment note not found" });
+      }
+
+      res.send(note);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+/* ========================
+   Treatment Plans
+======================== */
+
+// A plan lists the visits one treatment takes (a root canal over three
+// appointments, say). Each step is booked as an ordinary appointment that
+// carries planId and planStepId: completing that appointment completes the
+// step, and cancelling or missing it frees the step to be booked again.
+// Costs are estimates in minor units of the plan's currency; the plan's
+// balance sets them against what its appointments have actually paid.
+
+const loadPlan = (req) =>
+  TreatmentPlans.findOne({ _id: new ObjectId(req.params.id) });
+
+const loadPlanPatient = async (req) => ({
+  email: req.body.email,
+  treatingDoctors: await getTreatingDoctors(req.body.email),
+});
+
+const findPlanStep = (plan, stepId) =>
+  ObjectId.isValid(stepId)
+    ? plan.steps.find((step) => step._id.equals(stepId))
+    : undefined;
+
+// Resolves to { step } or { code, error } for an unknown service
+const buildPlanStep = async (step, currency) => {
+  const service = step.serviceId
+    ? await Services.findOne({ _id: new ObjectId(step.serviceId) })
+    : null;
+
+  if (step.serviceId && !service) {
+    return { code: 404, error: `Service ${step.serviceId} not found` };
+  }
+
+  const quote = service && (await quoteService(service, currency));
+
+  return {
+    step: {
+      _id: new ObjectId(),
+      ...step,
+      serviceId: service?._id || null,
+      serviceTitle: service?.title || null,
+      estimatedCost: step.estimatedCost ?? quote?.total ?? 0,
+      status: "pending",
+      appointmentId: null,
+    },
+  };
+};
+
+// A plan is done once no step is left to book or attend
+const completePlanIfDone = (planId) =>
+  TreatmentPlans.updateOne(
+    {
+      _id: planId,
+      status: "active",
+      "steps.status": { $nin: ["pending", "scheduled"] },
+    },
+    { $set: { status: "completed", completedAt: new Date() } },
+  );
+
+// Called by transitionAppointment for appointments booked from a plan
+const syncPlanStep = async (appointment, status) => {
+  const filter = {
+    _id: appointment.planId,
+    "steps.appointmentId": appointment._id,
+  };
+  const now = new Date();
+
+  if (status === "completed") {
+    await TreatmentPlans.updateOne(filter, {
+      $set: {
+        "steps.$.status": "completed",
+        "steps.$.completedAt": now,
+        updatedAt: now,
+      },
+    });
+    await completePlanIfDone(appointment.planId);
+  }
+
+  if (["cancelled", "no-show"].includes(status)) {
+    await TreatmentPlans.updateOne(filter, {
+      $set: {
+        "steps.$.status": "pending",
+        "steps.$.appointmentId": null,
+        updatedAt: now,
+      },
+      $push: { "steps.$.missedAppointmentIds": appointment._id },
+    });
+  }
+};
+
+// Progress and balance, amounts in minor units. Payments in another
+// currency are listed but left out of the totals.
+const summarizePlan = async (plan) => {
+  const steps = plan.steps.filter((step) => step.status !== "skipped");
+  const completed = steps.filter((step) => step.status === "completed");
+
+  const appointmentIds = await Appointments.distinct("_id", {
+    planId: plan._id,
+  });
+  const payments = await Payments.find({
+    appointmentId: { $in: appointmentIds },
+    status: { $in: ["succeeded", "partially_refunded", "refunded"] },
+  })
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  const counted = payments.filter((p) => p.currency === plan.currency);
+  const paid = counted.reduce(
+    (sum, p) => sum + (p.amountMinor ?? toMinor(p.amount, p.currency)),
+    0,
+  );
+  const refunded = counted.reduce(
+    (sum, p) => sum + toMinor(p.amountRefunded || 0, p.currency),
+    0,
+  );
+  const estimatedTotal = steps.reduce(
+    (sum, step) => sum + step.estimatedCost,
+    0,
+  );
+
+  return {
+    progress: {
+      completed: completed.length,
+      total: steps.length,
+      percent: steps.length
+        ? Math.round((completed.length / steps.length) * 100)
+        : 0,
+    },
+    balance: {
+      currency: plan.currency,
+      estimatedTotal,
+      paid,
+      refunded,
+      due: Math.max(estimatedTotal - (paid - refunded), 0),
+    },
+    payments: payments.map((p) => ({
+      _id: p._id,
+      appointmentId: p.appointmentId,
+      invoiceNumber: p.invoiceNumber,
+      amount: p.amount,
+      amountRefunded: p.amountRefunded || 0,
+      currency: p.currency,
+      method: p.method || "card",
+      status: p.status,
+      createdAt: p.createdAt,
+    })),
+  };
+};
+
+app.post(
+  "/treatment-plans",
+  verifyJWT,
+  validateBody(schemas.treatmentPlan),
+  authorize("plan:create", loadPlanPatient),
+  async (req, res) => {
+    try {
+      const { email, doctorId, title, notes } = req.body;
+      const currency = req.body.currency || DEFAULT_CURRENCY;
+
+      if (!req.body.steps.length) {
+        return res
+          .status(400)
+          .json({ message: "A plan needs at least one step" });
+      }
+
+      // Doctors plan their own treatment; admins say whose plan it is
+      let doctor;
+      if (req.user.role === "doctor") {
+        doctor = await Doctors.findOne({ email: req.user.email });
+      } else if (doctorId) {
+        doctor = await Doctors.findOne({ _id: new ObjectId(doctorId) });
+      } else {
+        return res.status(400).json({ message: "doctorId is required" });
+      }
+
+      if (!doctor) {
+        return res.status(404).json({ message: "Doctor not found" });
+      }
+
+      const steps = [];
+      for (const input of req.body.steps) {
+        const built = await buildPlanStep(input, currency);
+        if (built.error) {
+          return res.status(built.code).json({ message: built.error });
+        }
+        steps.push(built.step);
+      }
+
+      const patient = await Users.findOne({ email });
+      const now = new Date();
+      const plan = {
+        patientEmail: email,
+        patientName: patient?.name || null,
+        doctorId: doctor._id,
+        doctorEmail: doctor.email,
+        doctorName: doctor.name,
+        title,
+        notes: notes || null,
+        currency,
+        steps,
+        status: "active",
+        createdBy: req.decoded.email,
+        createdAt: now,
+      };
+
+      const result = await TreatmentPlans.insertOne(plan);
+
+      await recordAudit(
+        requestContext(req),
+        "plan.create",
+        { type: "treatment-plan", id: result.insertedId },
+        { after: { patientEmail: email, steps: steps.length } },
+      );
+
+      await notify("treatment-plan.created", email, {
+        name: plan.patientName,
+        doctorName: doctor.name,
+        title,
+        steps: steps.length,
+      });
+
+      res.status(201).send({ success: true, data: plan });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+// ?email= for a patient's plans, ?doctorEmail= for a doctor's; ?status=
+app.get(
+  "/treatment-plans",
+  verifyJWT,
+  authorize("plan:list", fromQuery),
+  async (req, res) => {
+    try {
+      const { email, doctorEmail, status } = req.query;
+
+      const filter = compactFilter({
+        patientEmail: queryValue(email),
+        doctorEmail: queryValue(doctorEmail),
+        status: queryValue(status),
+      });
+
+      const result = await findPage(
+        TreatmentPlans,
+        filter,
+        req.query,
+        ["createdAt", "updatedAt"],
+        { createdAt: -1 },
+      );
+      res.send(result);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+app.get(
+  "/treatment-plans/:id",
+  verifyJWT,
+  authorize("plan:read", loadPlan),
+  async (req, res) => {
+    try {
+      const plan = req.resource;
+
+      await recordAccess(req, plan.patientEmail, { planId: plan._id });
+
+      res.send({ ...plan, ...(await summarizePlan(plan)) });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+// Cancelling a plan also cancels the visits booked for it
+app.patch(
+  "/treatment-plans/:id",
+  verifyJWT,
+  validateBody(schemas.treatmentPlanUpdate, { partial: true }),
+  authorize("plan:manage", loadPlan),
+  async (req, res) => {
+    try {
+      const plan = req.resource;
+      const { status } = req.body;
+
+      if (status && plan.status === "completed") {
+        return res.status(400).json({ message: "The plan is completed" });
+      }
+
+      const { value: updated } = await TreatmentPlans.findOneAndUpdate(
+        { _id: plan._id },
+        { $set: { ...req.body, updatedAt: new Date() } },
+        { returnDocument: "after" },
+      );
+
+      if (status === "cancelled" && plan.status !== "cancelled") {
+        const booked = await Appointments.find({
+          planId: plan._id,
+          status: { $in: ["requested", "confirmed"] },
+          deletedAt: null,
+        }).toArray();
+
+        for (const appointment of booked) {
+          await transitionAppointment(
+            appointment,
+            "cancelled",
+            req.decoded.email,
+            {
+              cancelledBy: getAppointmentActor(req.user, appointment),
+              cancellationReason: "Treatment plan cancelled",
+              cancelledWithinPolicy: isOutsideCancellationWindow(appointment),
+            },
+          );
+        }
+      }
+
+      await recordAudit(
+        requestContext(req),
+        "plan.update",
+        { type: "treatment-plan", id: plan._id },
+        diffFields(plan, req.body),
+      );
+
+      res.send({ success: true, data: updated });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+app.post(
+  "/treatment-plans/:id/steps",
+  verifyJWT,
+  validateBody(schemas.planStep),
+  authorize("plan:manage", loadPlan),
+  async (req, res) => {
+    try {
+      const plan = req.resource;
+
+      if (plan.status === "cancelled") {
+        return res.status(400).json({ message: "The plan is cancelled" });
+      }
+
+      const built = await buildPlanStep(req.body, plan.currency);
+      if (built.error) {
+        return res.status(built.code).json({ message: built.error });
+      }
+
+      // A new step reopens a completed plan
+      const { value: updated } = await TreatmentPlans.findOneAndUpdate(
+        { _id: plan._id },
+        {
+          $push: { steps: built.step },
+          $set: { status: "active", updatedAt: new Date() },
+        },
+        { returnDocument: "after" },
+      );
+
+      await recordAudit(
+        requestContext(req),
+        "plan.step-add",
+        { type: "treatment-plan", id: plan._id },
+        { after: { stepId: built.step._id, title: built.step.title } },
+      );
+
+      res.status(201).send({ success: true, data: updated });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+// Booked and completed steps can be edited but not skipped
+app.patch(
+  "/treatment-plans/:id/steps/:stepId",
+  verifyJWT,
+  validateBody(schemas.planStepUpdate, { partial: true }),
+  authorize("plan:manage", loadPlan),
+  async (req, res) => {
+    try {
+      const plan = req.resource;
+      const step = findPlanStep(plan, req.params.stepId);
+
+      if (!step) {
+        return res.status(404).json({ message: "Step not found" });
+      }
+
+      if (req.body.status && !["pending", "skipped"].includes(step.status)) {
+        return res.status(400).json({
+          message: `A ${step.status} step cannot be marked ${req.body.status}`,
+        });
+      }
+
+      const changes = { ...req.body };
+      if (changes.serviceId) {
+        const built = await buildPlanStep(
+          { ...step, ...changes, estimatedCost: changes.estimatedCost },
+          plan.currency,
+        );
+        if (built.error) {
+          return res.status(built.code).json({ message: built.error });
+        }
+        Object.assign(changes, {
+          serviceId: built.step.serviceId,
+          serviceTitle: built.step.serviceTitle,
+          estimatedCost: built.step.estimatedCost,
+        });
+      }
+
+      const set = { updatedAt: new Date() };
+      Object.entries(changes).forEach(([field, value]) => {
+        set[`steps.$.${field}`] = value;
+      });
+
+      await TreatmentPlans.updateOne(
+        { _id: plan._id, "steps._id": step._id },
+        { $set: set },
+      );
+
+      if (changes.status === "skipped") {
+        await completePlanIfDone(plan._id);
+      }
+
+      await recordAudit(
+        requestContext(req),
+        "plan.step-update",
+        { type: "treatment-plan", id: plan._id },
+        { ...diffFields(step, changes), stepId: step._id },
+      );
+
+      res.send({ success: true, data: await loadPlan(req) });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+// Steps are booked in order, each no sooner than its interval after the
+// visit before it
+app.post(
+  "/treatment-plans/:id/steps/:stepId/appointment",
+  verifyJWT,
+  validateBody(schemas.planBooking),
+  authorize("plan:read", loadPlan),
+  async (req, res) => {
+    try {
+      const plan = req.resource;
+      const { branchId, date, time, notes } = req.body;
+      const step = findPlanStep(plan, req.params.stepId);
+
+      if (!step) {
+        return res.status(404).json({ message: "Step not found" });
+      }
+
+      if (plan.status !== "active") {
+        return res.status(400).json({ message: `The plan is ${plan.status}` });
+      }
+
+      if (step.status !== "pending") {
+        return res.status(409).json({ message: `The step is ${step.status}` });
+      }
+
+      if (!isValidDate(date)) {
+        return res.status(400).json({ message: "Invalid date" });
+      }
+
+      const index = plan.steps.indexOf(step);
+      const previous = plan.steps
+        .slice(0, index)
+        .reverse()
+        .find((s) => s.status !== "skipped");
+
+      if (previous?.status === "pending") {
+        return res
+          .status(400)
+          .json({ message: "Book the earlier steps of the plan first" });
+      }
+
+      if (previous?.appointmentId && step.intervalWeeks) {
+        const before = await Appointments.findOne({
+          _id: previous.appointmentId,
+        });
+        const earliest = before && addDays(before.date, step.intervalWeeks * 7);
+
+        if (earliest && date < earliest) {
+          return res.status(400).json({
+            message: `This step can be booked from ${earliest}`,
+          });
+        }
+      }
+
+      const doctor = await Doctors.findOne({ _id: plan.doctorId });
+
+      if (!doctor) {
+        return res.status(404).json({ message: "Doctor not found" });
+      }
+
+      const booked = await bookAppointment(
+        {
+          email: plan.patientEmail,
+          name: plan.patientName,
+          serviceId: step.serviceId?.toString(),
+          serviceTitle: step.serviceTitle || step.title,
+          branchId,
+          date,
+          time,
+          notes,
+          planId: plan._id,
+          planStepId: step._id,
+        },
+        doctor,
+        req.decoded.email,
+      );
+
+      if (booked.error) {
+        return res.status(booked.code).json({ message: booked.error });
+      }
+
+      const appointmentId = booked.result.insertedId;
+      const linked = await TreatmentPlans.updateOne(
+        {
+          _id: plan._id,
+          steps: { $elemMatch: { _id: step._id, status: "pending" } },
+        },
+        {
+          $set: {
+            "steps.$.status": "scheduled",
+            "steps.$.appointmentId": appointmentId,
+            updatedAt: new Date(),
+          },
+        },
+      );
+
+      // Someone else booked the step in the meantime
+      if (!linked.modifiedCount) {
+        await transitionAppointment(
+          { ...booked.appointment, _id: appointmentId },
+          "cancelled",
+          "system",
+          {
+            cancelledBy: "system",
+            cancellationReason: "Treatment plan step already booked",
+            cancelledWithinPolicy: true,
+          },
+        );
+        return res.status(409).json({ message: "The step is already booked" });
+      }
+
+      res.status(201).send({ success: true, appointmentId });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+/* ========================
+   Waitlist
+======================== */
+
+// Patients wait for a doctor (or, without one, for a service with any
+// doctor) between two dates. When a booked slot is freed by a cancellation
+// or a reschedule it is offered to the longest-waiting patient it suits
+// and held for them for WAITLIST_HOLD_MINUTES: a slot reservation carrying
+// the waitlist entry's id keeps everyone else off it. Declining or letting
+// the hold run out passes the slot to the next patient.
+
+const WAITLIST_HOLD_MINUTES = Number(process.env.WAITLIST_HOLD_MINUTES ?? 30);
+const WAITLIST_MAX_DAYS = 90;
+
+const loadWaitlistEntry = (req) =>
+  Waitlist.findOne({ _id: new ObjectId(req.params.id) });
+
+const slotKey = ({ doctorId, date, time }) => `${doctorId}:${date}:${time}`;
+
+// Called when an appointment gives up its slot
+const queueFreedSlot = async (appointment) => {
+  if (!appointment.doctorId || !(appointment.startsAt > new Date())) return;
+
+  await enqueueJob("waitlist-offer", {
+    doctorId: appointment.doctorId.toString(),
+    date: appointment.date,
+    time: appointment.time,
+    serviceId: appointment.serviceId ? String(appointment.serviceId) : null,
+    branchId: appointment.branchId ? String(appointment.branchId) : null,
+  });
+};
+
+// Holds the slot for the first waiting patient it suits and tells them
+const offerFreedSlot = async ({
+  doctorId,
+  date,
+  time,
+  serviceId,
+  branchId,
+}) => {
+  const doctor = await Doctors.findOne({ _id: new ObjectId(doctorId) });
+  if (!doctor || doctor.permission !== "approved") return { offered: false };
+
+  const branch = ObjectId.isValid(branchId)
+    ? await Branches.findOne({ _id: new ObjectId(branchId), active: true })
+    : null;
+  if (branchId && !branch) return { offered: false };
+
+  // Rebooked, held or passed in the meantime
+  const slot = (await getOpenSlots(doctor, date, branch)).find(
+    (open) => open.start === time,
+  );
+  if (!slot) return { offered: false };
+
+  // Patients waiting at another branch don't want this one
+  const candidates = await Waitlist.find({
+    status: "waiting",
+    fromDate: { $lte: date },
+    toDate: { $gte: date },
+    branchId: branch ? { $in: [null, branch._id] } : null,
+    $or: [
+      { doctorId: doctor._id },
+      ...(ObjectId.isValid(serviceId)
+        ? [{ doctorId: null, serviceId: new ObjectId(serviceId) }]
+        : []),
+    ],
+    passedSlots: { $ne: slotKey({ doctorId, date, time }) },
+  })
+    .sort({ createdAt: 1 })
+    .limit(20)
+    .toArray();
+
+  for (const entry of candidates) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + WAITLIST_HOLD_MINUTES * 60000);
+
+    let hold;
+    try {
+      hold = await SlotReservations.insertOne({
+        doctorId: doctor._id,
+        date,
+        startTime: slot.start,
+        endTime: slot.end,
+        waitlistId: entry._id,
+        holdExpiresAt: expiresAt,
+        createdAt: now,
+      });
+    } catch (error) {
+      if (error.code === 11000) return { offered: false }; // booked just now
+      throw error;
+    }
+
+    const offer = {
+      doctorId: doctor._id,
+      doctorName: doctor.name,
+      branchId: branch?._id || null,
+      branchName: branch?.name || null,
+      date,
+      time: slot.start,
+      endTime: slot.end,
+      reservationId: hold.insertedId,
+      offeredAt: now,
+      expiresAt,
+    };
+
+    const claimed = await Waitlist.updateOne(
+      { _id: entry._id, status: "waiting" },
+      { $set: { status: "offered", offer, updatedAt: now } },
+    );
+
+    // The patient left the waitlist meanwhile; try the next one
+    if (!claimed.modifiedCount) {
+      await SlotReservations.deleteOne({ _id: hold.insertedId });
+      continue;
+    }
+
+    await notify("waitlist.offer", entry.email, {
+      name: entry.name,
+      doctorName: doctor.name,
+      date,
+      time: slot.start,
+      expiresAt: toClinicIso(expiresAt).slice(11, 16),
+    });
+
+    return { offered: true, waitlistId: entry._id };
+  }
+
+  return { offered: false };
+};
+
+// Puts a declined or expired offer's patient back in line (without that
+// slot) and offers the slot to the next one
+const releaseOffer = async (entry, outcome) => {
+  const { offer } = entry;
+
+  const released = await Waitlist.updateOne(
+    {
+      _id: entry._id,
+      status: "offered",
+      "offer.reservationId": offer.reservationId,
+    },
+    {
+      $set: { status: "waiting", updatedAt: new Date() },
+      $unset: { offer: "" },
+      $push: {
+        passedSlots: slotKey({
+          doctorId: offer.doctorId,
+          date: offer.date,
+          time: offer.time,
+        }),
+        offerHistory: { ...offer, outcome, at: new Date() },
+      },
+    },
+  );
+  if (!released.modifiedCount) return false;
+
+  await SlotReservations.deleteOne({
+    _id: offer.reservationId,
+    waitlistId: entry._id,
+  });
+  await enqueueJob("waitlist-offer", {
+    doctorId: offer.doctorId.toString(),
+    date: offer.date,
+    time: offer.time,
+    serviceId: entry.serviceId ? entry.serviceId.toString() : null,
+    branchId: offer.branchId ? offer.branchId.toString() : null,
+  });
+
+  return true;
+};
+
+const expireWaitlistOffers = async () => {
+  const now = new Date();
+
+  const lapsed = await Waitlist.find({
+    status: "offered",
+    "offer.expiresAt": { $lte: now },
+  }).toArray();
+
+  let expiredOffers = 0;
+  for (const entry of lapsed) {
+    if (await releaseOffer(entry, "expired")) expiredOffers++;
+  }
+
+  // Nothing can be offered once the range is over
+  const closed = await Waitlist.updateMany(
+    { status: "waiting", toDate: { $lt: clinicToday() } },
+    { $set: { status: "expired", updatedAt: now } },
+  );
+
+  return { expiredOffers, expiredEntries: closed.modifiedCount };
+};
+
+app.post(
+  "/waitlist",
+  verifyJWT,
+  validateBody(schemas.waitlistEntry),
+  authorize("waitlist:join", fromBody),
+  async (req, res) => {
+    try {
+      const { email, doctorId, serviceId, branchId, fromDate, toDate } =
+        req.body;
+
+      if (!doctorId && !serviceId) {
+        return res
+          .status(400)
+          .json({ message: "A doctor or a service is required" });
+      }
+
+      if (!isValidDate(fromDate) || !isValidDate(toDate)) {
+        return res.status(400).json({ message: "Invalid date" });
+      }
+
+      if (fromDate > toDate || toDate < clinicToday()) {
+        return res.status(400).json({ message: "Invalid date range" });
+      }
+
+      if (toDate > addDays(fromDate, WAITLIST_MAX_DAYS)) {
+        return res.status(400).json({
+          message: `The range can be at most ${WAITLIST_MAX_DAYS} days`,
+        });
+      }
+
+      const doctor = doctorId
+        ? await Doctors.findOne({ _id: new ObjectId(doctorId) })
+        : null;
+      if (doctorId && doctor?.permission !== "approved") {
+        return res.status(404).json({ message: "Doctor not found" });
+      }
+
+      const service = serviceId
+        ? await Services.findOne({ _id: new ObjectId(serviceId) })
+        : null;
+      if (serviceId && !service) {
+        return res.status(404).json({ message: "Service not found" });
+      }
+
+      const branch = branchId
+        ? await Branches.findOne({ _id: new ObjectId(branchId), active: true })
+        : null;
+      if (branchId && !branch) {
+        return res.status(404).json({ message: "Branch not found" });
+      }
+
+      const duplicate = await Waitlist.findOne({
+        email,
+        doctorId: doctor?._id || null,
+        serviceId: service?._id || null,
+        status: { $in: ["waiting", "offered"] },
+      });
+      if (duplicate) {
+        return res
+          .status(409)
+          .json({ message: "You are already on this waitlist" });
+      }
+
+      const entry = {
+        ...req.body,
+        doctorId: doctor?._id || null,
+        doctorName: doctor?.name || null,
+        serviceId: service?._id || null,
+        serviceTitle: service?.title || null,
+        branchId: branch?._id || null,
+        branchName: branch?.name || null,
+        status: "waiting",
+        passedSlots: [],
+        createdAt: new Date(),
+      };
+
+      const result = await Waitlist.insertOne(entry);
+
+      res
+        .status(201)
+        .send({ success: true, data: { ...entry, _id: result.insertedId } });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+// ?email= (required unless the caller is an admin); ?status=&doctorId=
+app.get(
+  "/waitlist",
+  verifyJWT,
+  authorize("waitlist:list", fromQuery),
+  async (req, res) => {
+    try {
+      const { email, status, doctorId } = req.query;
+      const doctor = queryValue(doctorId);
+
+      const filter = compactFilter({
+        email: queryValue(email),
+        status: queryValue(status),
+        doctorId: ObjectId.isValid(doctor) ? new ObjectId(doctor) : undefined,
+      });
+
+      const result = await findPage(
+        Waitlist,
+        filter,
+        req.query,
+        ["createdAt", "fromDate"],
+        { createdAt: 1 },
+        { passedSlots: 0 },
+      );
+      res.send(result);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+// Leaving the waitlist gives up any slot being held
+app.delete(
+  "/waitlist/:id",
+  verifyJWT,
+  authorize("waitlist:manage", loadWaitlistEntry),
+  async (req, res) => {
+    try {
+      const entry = req.resource;
+
+      if (entry.status === "offered") {
+        await releaseOffer(entry, "declined");
+      }
+
+      const result = await Waitlist.updateOne(
+        { _id: entry._id, status: { $in: ["waiting", "offered"] } },
+        { $set: { status: "cancelled", updatedAt: new Date() } },
+      );
+
+      if (!result.modifiedCount) {
+        return res
+          .status(400)
+          .json({ message: `The waitlist entry is ${entry.status}` });
+      }
+
+      res.send({ success: true, message: "Removed from the waitlist" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+app.post(
+  "/waitlist/:id/accept",
+  verifyJWT,
+  authorize("waitlist:manage", loadWaitlistEntry),
+  async (req, res) => {
+    try {
+      const entry = req.resource;
+      const { offer } = entry;
+
+      if (entry.status !== "offered" || offer.expiresAt <= new Date()) {
+        return res.status(410).json({ message: "The offer is no longer open" });
+      }
+
+      const doctor = await Doctors.findOne({ _id: offer.doctorId });
+
+      if (!doctor) {
+        return res.status(404).json({ message: "Doctor not found" });
+      }
+
+      const booked = await bookAppointment(
+        {
+          email: entry.email,
+          name: entry.name,
+          phone: entry.phone,
+          serviceId: entry.serviceId?.toString(),
+          serviceTitle: entry.serviceTitle,
+          branchId: offer.branchId?.toString(),
+          date: offer.date,
+          time: offer.time,
+          notes: entry.notes,
+          waitlistId: entry._id,
+        },
+        doctor,
+        req.decoded.email,
+        { holdId: offer.reservationId },
+      );
+
+      if (booked.error) {
+        return res.status(booked.code).json({ message: booked.error });
+      }
+
+      await Waitlist.updateOne(
+        { _id: entry._id },
+        {
+          $set: {
+            status: "booked",
+            appointmentId: booked.result.insertedId,
+            updatedAt: new Date(),
+          },
+          $push: {
+            offerHistory: { ...offer, outcome: "accepted", at: new Date() },
+          },
+          $unset: { offer: "" },
+        },
+      );
+
+      res.status(201).send({
+        success: true,
+        appointmentId: booked.result.insertedId,
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+// The patient stays on the waitlist for other slots
+app.post(
+  "/waitlist/:id/decline",
+  verifyJWT,
+  authorize("waitlist:manage", loadWaitlistEntry),
+  async (req, res) => {
+    try {
+      const entry = req.resource;
+
+      if (
+        entry.status !== "offered" ||
+        !(await releaseOffer(entry, "declined"))
+      ) {
+        return res.status(400).json({ message: "There is no open offer" });
+      }
+
+      res.send({ success: true, message: "Offer declined" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+/* ========================
+   Clinic Closures & Leave
+======================== */
+
+// A closure takes whole days: the clinic's (a public holiday), one
+// branch's, or one doctor's when they are on leave. Slots on those days
+// are not offered or booked (see findClosure). Appointments already
+// booked on them are reported as conflicts for an admin to move or cancel.
+
+const CLOSURE_MAX_DAYS = 366;
+const RESCHEDULE_SEARCH_DAYS = 30;
+
+const CONFLICT_FIELDS = {
+  email: 1,
+  name: 1,
+  phone: 1,
+  doctorId: 1,
+  doctorName: 1,
+  branchName: 1,
+  serviceTitle: 1,
+  date: 1,
+  time: 1,
+  status: 1,
+  paymentStatus: 1,
+};
+
+const loadClosure = (req) =>
+  Closures.findOne({ _id: new ObjectId(req.params.id) });
+
+// Open appointments on the days the closure takes, optionally only some
+const findConflicts = (closure, { appointmentIds, projection } = {}) =>
+  Appointments.find(
+    compactFilter({
+      _id: appointmentIds
+        ? { $in: appointmentIds.map((id) => new ObjectId(id)) }
+        : undefined,
+      date: { $gte: closure.fromDate, $lte: closure.toDate },
+      doctorId: closure.doctorId || undefined,
+      branchId: closure.branchId || undefined,
+      status: { $in: [null, "requested", "confirmed"] },
+      deletedAt: null,
+    }),
+    { projection },
+  )
+    .sort({ startsAt: 1 })
+    .limit(500)
+    .toArray();
+
+// The first free slot with the same doctor and branch from `fromDate`,
+// at the appointment's time of day when it is free
+const findRescheduleSlot = async (appointment, doctor, fromDate) => {
+  const branch = appointment.branchId
+    ? await Branches.findOne({ _id: appointment.branchId })
+    : null;
+  const start = fromDate > clinicToday() ? fromDate : clinicToday();
+
+  for (let i = 0; i < RESCHEDULE_SEARCH_DAYS; i++) {
+    const date = addDays(start, i);
+    const slots = await getOpenSlots(doctor, date, branch);
+    const slot =
+      slots.find((open) => open.start === appointment.time) || slots[0];
+
+    if (slot) return { date, time: slot.start };
+  }
+
+  return null;
+};
+
+// ?from=&to= (dates the closures overlap); ?doctorId=&branchId=
+app.get("/closures", verifyJWT, verifyAdmin, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const doctorId = queryValue(req.query.doctorId);
+    const branchId = queryValue(req.query.branchId);
+
+    const filter = compactFilter({
+      toDate: isValidDate(from) ? { $gte: from } : undefined,
+      fromDate: isValidDate(to) ? { $lte: to } : undefined,
+      doctorId: ObjectId.isValid(doctorId) ? new ObjectId(doctorId) : undefined,
+      branchId: ObjectId.isValid(branchId) ? new ObjectId(branchId) : undefined,
+    });
+
+    const result = await findPage(
+      Closures,
+      filter,
+      req.query,
+      ["fromDate", "createdAt"],
+      { fromDate: 1 },
+    );
+    res.send(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Adding a closure reports the appointments it conflicts with
+app.post(
+  "/closures",
+  verifyJWT,
+  verifyAdmin,
+  validateBody(schemas.closure),
+  async (req, res) => {
+    try {
+      const { fromDate, toDate, doctorId, branchId } = req.body;
+
+      if (!isValidDate(fromDate) || !isValidDate(toDate)) {
+        return res.status(400).json({ message: "Invalid date" });
+      }
+
+      if (fromDate > toDate || toDate < clinicToday()) {
+        return res.status(400).json({ message: "Invalid date range" });
+      }
+
+      if (toDate > addDays(fromDate, CLOSURE_MAX_DAYS)) {
+        return res.status(400).json({
+          message: `A closure can be at most ${CLOSURE_MAX_DAYS} days`,
+        });
+      }
+
+      if (doctorId && branchId) {
+        return res.status(400).json({
+          message: "Leave applies to the doctor at every branch",
+        });
+      }
+
+      const doctor = doctorId
+        ? await Doctors.findOne({ _id: new ObjectId(doctorId) })
+        : null;
+      if (doctorId && !doctor) {
+        return res.status(404).json({ message: "Doctor not found" });
+      }
+
+      const branch = branchId
+        ? await Branches.findOne({ _id: new ObjectId(branchId) })
+        : null;
+      if (branchId && !branch) {
+        return res.status(404).json({ message: "Branch not found" });
+      }
+
+      const closure = {
+        kind: doctor ? "leave" : "closure",
+        fromDate,
+        toDate,
+        doctorId: doctor?._id || null,
+        doctorName: doctor?.name || null,
+        branchId: branch?._id || null,
+        branchName: branch?.name || null,
+        reason: req.body.reason || null,
+        createdBy: req.decoded.email,
+        createdAt: new Date(),
+      };
+
+      const result = await Closures.insertOne(closure);
+
+      await recordAudit(
+        requestContext(req),
+        "closure.create",
+        { type: "closure", id: result.insertedId },
+        { after: closure },
+      );
+
+      const conflicts = await findConflicts(closure, {
+        projection: CONFLICT_FIELDS,
+      });
+
+      res.status(201).send({ success: true, data: closure, conflicts });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+app.get("/closures/:id/conflicts", verifyJWT, verifyAdmin, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).send({ error: "Invalid ID" });
+    }
+
+    const closure = await loadClosure(req);
+
+    if (!closure) {
+      return res.status(404).json({ message: "Closure not found" });
+    }
+
+    const conflicts = await findConflicts(closure, {
+      projection: CONFLICT_FIELDS,
+    });
+
+    res.send({ success: true, closure, data: conflicts });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Moves each conflicting appointment to the first free slot after the
+// closure (or from `fromDate`) and tells the patient
+app.post(
+  "/closures/:id/reschedule-appointments",
+  verifyJWT,
+  verifyAdmin,
+  validateBody(schemas.closureAction),
+  async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).send({ error: "Invalid ID" });
+      }
+
+      const closure = await loadClosure(req);
+
+      if (!closure) {
+        return res.status(404).json({ message: "Closure not found" });
+      }
+
+      const { appointmentIds, reason } = req.body;
+      const fromDate = req.body.fromDate || addDays(closure.toDate, 1);
+
+      if (!isValidDate(fromDate)) {
+        return res.status(400).json({ message: "Invalid date" });
+      }
+
+      const conflicts = await findConflicts(closure, { appointmentIds });
+      const doctors = {};
+      const results = [];
+
+      // One at a time, so each move sees the slots taken by the last
+      for (const appointment of conflicts) {
+        const doctorKey = String(appointment.doctorId);
+        doctors[doctorKey] ||= await Doctors.findOne({
+          _id: appointment.doctorId,
+        });
+        const doctor = doctors[doctorKey];
+
+        const target =
+          doctor && (await findRescheduleSlot(appointment, doctor, fromDate));
+
+        if (!target) {
+          results.push({
+            appointmentId: appointment._id,
+            outcome: "failed",
+            error: `No free slot in the ${RESCHEDULE_SEARCH_DAYS} days from ${fromDate}`,
+          });
+          continue;
+        }
+
+        const moved = await moveAppointment(
+          appointment,
+          doctor,
+          target.date,
+          target.time,
+          {
+            by: req.decoded.email,
+            status: getAppointmentStatus(appointment),
+          },
+        );
+
+        if (moved.error) {
+          results.push({
+            appointmentId: appointment._id,
+            outcome: "failed",
+            error: moved.error,
+          });
+          continue;
+        }
+
+        await notify("appointment.rescheduled", appointment.email, {
+          ...appointmentNotificationData({
+            ...appointment,
+            date: target.date,
+            time: moved.slot.start,
+          }),
+          previousDate: appointment.date,
+          previousTime: appointment.time,
+          reason: reason || closure.reason,
+        });
+
+        results.push({
+          appointmentId: appointment._id,
+          outcome: "rescheduled",
+          date: target.date,
+          time: moved.slot.start,
+        });
+      }
+
+      const rescheduled = results.filter((r) => r.outcome === "rescheduled");
+
+      await recordAudit(
+        requestContext(req),
+        "closure.reschedule-appointments",
+        { type: "closure", id: closure._id },
+        {
+          after: {
+            rescheduled: rescheduled.map((r) => ({
+              appointmentId: r.appointmentId,
+              date: r.date,
+              time: r.time,
+            })),
+          },
+        },
+      );
+
+      res.send({
+        success: true,
+        rescheduled: rescheduled.length,
+        failed: results.length - rescheduled.length,
+        results,
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+// Cancels each conflicting appointment; paid ones are refunded in full and
+// the patient and doctor are told why
+app.post(
+  "/closures/:id/cancel-appointments",
+  verifyJWT,
+  verifyAdmin,
+  validateBody(schemas.closureAction),
+  async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).send({ error: "Invalid ID" });
+      }
+
+      const closure = await loadClosure(req);
+
+      if (!closure) {
+        return res.status(404).json({ message: "Closure not found" });
+      }
+
+      const { appointmentIds, reason } = req.body;
+      const conflicts = await findConflicts(closure, { appointmentIds });
+      const results = [];
+
+      for (const appointment of conflicts) {
+        const cancelled = await transitionAppointment(
+          appointment,
+          "cancelled",
+          req.decoded.email,
+          {
+            cancelledBy: "admin",
+            cancellationReason:
+              reason ||
+              closure.reason ||
+              (closure.doctorId
+                ? "The doctor is on leave"
+                : "The clinic is closed"),
+            cancelledWithinPolicy: true,
+          },
+        );
+
+        results.push({
+          appointmentId: appointment._id,
+          outcome: cancelled ? "cancelled" : "failed",
+          ...(!cancelled && {
+            error: "Appointment was changed by someone else",
+          }),
+        });
+      }
+
+      const cancelled = results.filter((r) => r.outcome === "cancelled");
+
+      await recordAudit(
+        requestContext(req),
+        "closure.cancel-appointments",
+        { type: "closure", id: closure._id },
+        { after: { cancelled: cancelled.map((r) => r.appointmentId) } },
+      );
+
+      res.send({
+        success: true,
+        cancelled: cancelled.length,
+        failed: results.length - cancelled.length,
+        results,
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+// Lifting a closure opens its days for booking again
+app.delete("/closures/:id", verifyJWT, verifyAdmin, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).send({ error: "Invalid ID" });
+    }
+
+    const { value: closure } = await Closures.findOneAndDelete({
+      _id: new ObjectId(req.params.id),
+    });
+
+    if (!closure) {
+      return res.status(404).json({ message: "Closure not found" });
+    }
+
+    await recordAudit(
+      requestContext(req),
+      "closure.delete",
+      { type: "closure", id: closure._id },
+      { before: closure },
+    );
+
+    res.send({ success: true, message: "Closure lifted" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/* ========================
+   Pay to stripe
+======================== */
+
+app.post(
+  "/create-payment-intent",
+  verifyJWT,
+  validateBody(schemas.paymentIntent),
+  async (req, res) => {
+    try {
+      const { serviceId, appointmentId, customerName, customerEmail } =
+        req.body;
+      let currency = req.body.currency || DEFAULT_CURRENCY;
+
+      // 🔐 Always calculate price from DB (Never trust frontend)
+      const service = await Services.findOne({
+        _id: new ObjectId(serviceId),
+      });
+
+      if (!service) {
+        return res.status(404).json({ message: "Service not found" });
+      }
+
+      // 🔗 Every intent pays for one appointment
+      const appointment = await Appointments.findOne({
+        _id: new ObjectId(appointmentId),
+        deletedAt: null,
+      });
+
+      if (!appointment) {
+        return res.status(404).json({ message: "Appointment not found" });
+      }
+
+      const email = req.decoded.email;
+      const user = (await Users.findOne({ email })) || { email, role: "user" };
+
+      if (!can(user, "appointment:pay", appointment)) {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+
+      if (appointment.status === "cancelled") {
+        return res.status(400).json({ message: "Appointment is cancelled" });
+      }
+
+      if (appointment.serviceId && appointment.serviceId !== serviceId) {
+        return res
+          .status(400)
+          .json({ message: "Service does not match the appointment" });
+      }
+
+      if (appointment.paymentStatus === "paid") {
+        return res.status(400).json({ message: "Appointment already paid" });
+      }
+
+      // The webhook reconciles the intent through appointmentId
+      const metadata = {
+        appointmentId,
+        serviceId: service._id.toString(),
+        serviceTitle: service.title,
+        customerName,
+        customerEmail,
+      };
+
+      let amount, quote, stage, reservation;
+
+      if (appointment.billing?.paid > 0) {
+        // 💵 Balance: whatever is still owed, in the currency already used
+        if (req.body.promoCode) {
+          return res.status(400).json({
+            message: "Promo codes only apply to the first payment",
+          });
+        }
+
+        ({ currency } = appointment.billing);
+        amount = appointment.billing.due;
+        stage = "balance";
+
+        if (amount < CURRENCIES[currency].minimumCharge) {
+          return res.status(400).json({
+            message: "The balance is too small to pay by card",
+          });
+        }
+      } else {
+        if (priceOf(service, currency) === undefined) {
+          return res.status(400).json({
+            message: `This service has no ${currency.toUpperCase()} price`,
+          });
+        }
+
+        // A new checkout replaces any earlier one for this appointment
+        await releasePromoReservations({
+          appointmentId: appointment._id,
+          email: req.decoded.email,
+        });
+
+        // 🏷️ Promo codes are re-checked here, whatever the client was quoted
+        let promo = null;
+        if (req.body.promoCode) {
+          const found = await findApplicablePromo(req.body.promoCode, {
+            service,
+            currency,
+            email: req.decoded.email,
+          });
+
+          if (found.error) {
+            return res.status(found.code).json({ message: found.error });
+          }
+          promo = found.promo;
+        }
+
+        quote = await quoteService(service, currency, promo);
+
+        if (quote.total < CURRENCIES[currency].minimumCharge) {
+          return res.status(400).json({
+            message: "The discounted total is below the minimum card payment",
+          });
+        }
+
+        const billing = buildBilling(service, quote);
+        const deposit = billing.mode === "deposit" && !req.body.payInFull;
+
+        amount = deposit ? billing.deposit : quote.total;
+        stage = deposit ? "deposit" : "full";
+
+        // The bill is fixed by the first payment, so until then it follows
+        // the latest quote (another currency, a promo code)
+        await Appointments.updateOne(
+          {
+            _id: appointment._id,
+            $or: [{ billing: null }, { "billing.paid": 0 }],
+          },
+          { $set: { billing } },
+        );
+
+        // Deposits carry no breakdown: the receipt shows what was paid
+        if (stage === "full") {
+          Object.assign(metadata, {
+            subtotal: String(quote.subtotal),
+            tax: String(quote.tax),
+            taxLines: JSON.stringify(quote.lines),
+          });
+        }
+
+        if (promo) {
+          const reserved = await reservePromo(promo, {
+            email: req.decoded.email,
+            appointmentId: appointment._id,
+          });
+
+          if (reserved.error) {
+            return res.status(400).json({ message: reserved.error });
+          }
+          reservation = reserved.reservation;
+
+          metadata.promoId = promo._id.toString();
+          metadata.promoRedemptionId = reservation._id.toString();
+          metadata.promoCode = promo.code;
+          metadata.discount = String(quote.discount);
+        }
+      }
+
+      metadata.stage = stage;
+
+      let paymentIntent;
+      try {
+        paymentIntent = await stripe.paymentIntents.create({
+          amount, // already in minor units
+          currency,
+          automatic_payment_methods: {
+            enabled: true,
+          },
+          metadata,
+        });
+      } catch (error) {
+        if (reservation) {
+          await releasePromoReservations({ _id: reservation._id });
+        }
+        throw error;
+      }
+
+      if (reservation) {
+        await PromoRedemptions.updateOne(
+          { _id: reservation._id },
+          { $set: { paymentIntentId: paymentIntent.id } },
+        );
+      }
+
+      res.send({
+        clientSecret: paymentIntent.client_secret,
+        stage,
+        amount,
+        currency,
+        quote,
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+/* ========================
+   Payment Reconciliation
+======================== */
+
+// Stripe is the source of truth: an appointment only becomes "paid" from a
+// PaymentIntent that Stripe itself reports as succeeded. Every helper here
+// is safe to run more than once for the same intent.
+
+const findAppointmentForIntent = async (paymentIntentId, metadata = {}) => {
+  if (ObjectId.isValid(metadata.appointmentId)) {
+    return Appointments.findOne({ _id: new ObjectId(metadata.appointmentId) });
+  }
+
+  // Intents created before appointmentId was sent in metadata
+  const payment = await Payments.findOne({ paymentIntentId });
+  if (!payment) return null;
+
+  return Appointments.findOne({ _id: payment.appointmentId });
+};
+
+// `context` says who recorded it, for the audit log
+const recordSucceededPayment = async (
+  paymentIntent,
+  appointment,
+  context = { actor: "system" },
+) => {
+  const now = new Date();
+  const metadata = paymentIntent.metadata || {};
+
+  const service = ObjectId.isValid(appointment.serviceId)
+    ? await Services.findOne({ _id: new ObjectId(appointment.serviceId) })
+    : null;
+
+  // 1️⃣ Save payment history (inserted once per intent)
+  const inserted = await Payments.updateOne(
+    { paymentIntentId: paymentIntent.id },
+    {
+      $setOnInsert: {
+        appointmentId: appointment._id,
+        serviceId: service?._id || null,
+        serviceTitle: service?.title || metadata.serviceTitle,
+        amount: fromMinor(
+          paymentIntent.amount_received,
+          paymentIntent.currency,
+        ),
+        amountMinor: paymentIntent.amount_received,
+        currency: paymentIntent.currency,
+        breakdown: breakdownFromMetadata(
+          metadata,
+          paymentIntent.amount_received,
+        ),
+        method: "card",
+        stage: metadata.stage || "full",
+        paymentIntentId: paymentIntent.id,
+        transactionId: paymentIntent.id,
+        customerName: metadata.customerName,
+        customerEmail: metadata.customerEmail,
+        payerEmail: appointment.email,
+        status: "succeeded",
+        createdAt: now,
+      },
+    },
+    { upsert: true },
+  );
+
+  // A retried intent can succeed after an earlier failed attempt
+  const retried = await Payments.updateOne(
+    { paymentIntentId: paymentIntent.id, status: "failed" },
+    {
+      $set: {
+        status: "succeeded",
+        amount: fromMinor(
+          paymentIntent.amount_received,
+          paymentIntent.currency,
+        ),
+        updatedAt: now,
+      },
+    },
+  );
+
+  let payment = await Payments.findOne({ paymentIntentId: paymentIntent.id });
+
+  // Safe to repeat: counted once per intent
+  await redeemPromo(paymentIntent, appointment.email);
+
+  // The webhook and POST /payments both land here; only the first one to
+  // record the payment updates the appointment and tells the patient
+  if (!inserted.upsertedCount && !retried.modifiedCount) return;
+
+  payment = await assignInvoiceNumber(payment);
+
+  await recordAudit(
+    context,
+    "payment.recorded",
+    { type: "payment", id: payment._id },
+    {
+      after: {
+        appointmentId: appointment._id,
+        paymentIntentId: paymentIntent.id,
+        amount: fromMinor(
+          paymentIntent.amount_received,
+          paymentIntent.currency,
+        ),
+        currency: paymentIntent.currency,
+        stage: payment.stage,
+        status: "succeeded",
+        invoiceNumber: payment.invoiceNumber,
+      },
+    },
+  );
+
+  // 2️⃣ Add it to the appointment's totals. Stripe has already taken the
+  // money, so a payment that no longer fits (cash landed first) is kept
+  // and flagged for a refund instead.
+  const paymentStatus = await applyPayment(
+    appointment,
+    paymentIntent.amount_received,
+    paymentIntent.id,
+  );
+
+  if (!paymentStatus) {
+    await recordAudit(
+      context,
+      "payment.overpaid",
+      { type: "appointment", id: appointment._id },
+      {
+        after: {
+          paymentIntentId: paymentIntent.id,
+          amount: fromMinor(
+            paymentIntent.amount_received,
+            paymentIntent.currency,
+          ),
+          currency: paymentIntent.currency,
+        },
+      },
+    );
+  }
+
+  await notifyPaymentReceived(appointment, payment);
+};
+
+// Receipt attached; deposits also say what is left to pay
+const notifyPaymentReceived = async (appointment, payment) => {
+  const updated = await Appointments.findOne({ _id: appointment._id });
+  const due = updated?.billing?.due || 0;
+
+  await notify(
+    "payment.received",
+    appointment.email,
+    {
+      ...appointmentNotificationData(appointment),
+      amount: payment.amount,
+      currency: payment.currency,
+      transactionId: payment.transactionId || payment.invoiceNumber,
+      balanceDue: due > 0 ? fromMinor(due, payment.currency) : null,
+    },
+    { attachments: [{ type: "receipt", paymentId: payment._id }] },
+  );
+};
+
+const recordFailedPayment = async (
+  paymentIntent,
+  appointment,
+  context = { actor: "system" },
+) => {
+  const now = new Date();
+  const metadata = paymentIntent.metadata || {};
+
+  // A failed attempt gives the code back; if the patient pays after all,
+  // redeemPromo counts the use again
+  await releasePromoReservations({ paymentIntentId: paymentIntent.id });
+
+  const result = await Payments.updateOne(
+    { paymentIntentId: paymentIntent.id },
+    {
+      $setOnInsert: {
+        appointmentId: appointment._id,
+        serviceTitle: metadata.serviceTitle,
+        amount: fromMinor(paymentIntent.amount, paymentIntent.currency),
+        amountMinor: paymentIntent.amount,
+        currency: paymentIntent.currency,
+        method: "card",
+        stage: metadata.stage || "full",
+        paymentIntentId: paymentIntent.id,
+        transactionId: paymentIntent.id,
+        customerName: metadata.customerName,
+        customerEmail: metadata.customerEmail,
+        payerEmail: appointment.email,
+        status: "failed",
+        createdAt: now,
+      },
+      $set: {
+        failureMessage: paymentIntent.last_payment_error?.message || null,
+      },
+    },
+    { upsert: true },
+  );
+
+  if (result.upsertedCount) {
+    await recordAudit(
+      context,
+      "payment.failed",
+      { type: "payment", id: result.upsertedId },
+      {
+        after: {
+          appointmentId: appointment._id,
+          paymentIntentId: paymentIntent.id,
+          status: "failed",
+        },
+      },
+    );
+  }
+
+  await Appointments.updateOne(
+    { _id: appointment._id, paymentStatus: "unpaid" },
+    { $set: { paymentStatus: "failed" } },
+  );
+};
+
+// A handler returns false when the event's appointment can't be found yet
+const stripeEventHandlers = {
+  "payment_intent.succeeded": async (paymentIntent, context) => {
+    const appointment = await findAppointmentForIntent(
+      paymentIntent.id,
+      paymentIntent.metadata,
+    );
+    if (!appointment) return false;
+
+    await recordSucceededPayment(paymentIntent, appointment, context);
+  },
+
+  "payment_intent.payment_failed": async (paymentIntent, context) => {
+    const appointment = await findAppointmentForIntent(
+      paymentIntent.id,
+      paymentIntent.metadata,
+    );
+    if (!appointment) return false;
+
+    await recordFailedPayment(paymentIntent, appointment, context);
+  },
+
+  // Refunds issued from the Stripe dashboard only reach us this way. Each
+  // Stripe refund is recorded once, by its id, so our own refunds and
+  // redelivered events add nothing. Charges don't carry the intent's
+  // metadata, so the payment is found by its intent alone.
+  "charge.refunded": async (charge, context) => {
+    const payment = await Payments.findOne({
+      paymentIntentId: charge.payment_intent,
+    });
+    if (!payment) return false;
+
+    const { data: refunds } = await stripe.refunds.list({
+      payment_intent: charge.payment_intent,
+      limit: 100,
+    });
+
+    for (const refund of refunds) {
+      await Payments.updateOne(
+        { _id: payment._id, "refunds.refundId": { $ne: refund.id } },
+        {
+          $push: {
+            refunds: {
+              refundId: refund.id,
+              amount: fromMinor(refund.amount, charge.currency),
+              reason: refund.metadata?.reason || refund.reason || null,
+              status: refund.status,
+              by: "stripe",
+              createdAt: refund.created
+                ? new Date(refund.created * 1000)
+                : new Date(),
+            },
+          },
+        },
+      );
+    }
+
+    const status =
+      charge.amount_refunded >= charge.amount
+        ? "refunded"
+        : "partially_refunded";
+    const amountRefunded = fromMinor(charge.amount_refunded, charge.currency);
+
+    const { value: before } = await Payments.findOneAndUpdate(
+      { _id: payment._id, amountRefunded: { $ne: amountRefunded } },
+      { $set: { status, amountRefunded, updatedAt: new Date() } },
+    );
+
+    if (before) {
+      await recordAudit(
+        context,
+        "payment.refunded",
+        { type: "payment", id: payment._id },
+        {
+          before: {
+            status: before.status,
+            amountRefunded: before.amountRefunded || 0,
+          },
+          after: { status, amountRefunded },
+        },
+      );
+    }
+
+    await syncRefundStatus(payment.appointmentId);
+  },
+
+  "charge.dispute.created": async (dispute, context) => {
+    const appointment = await findAppointmentForIntent(
+      dispute.payment_intent,
+      dispute.metadata,
+    );
+    if (!appointment) return false;
+
+    const { value: payment } = await Payments.findOneAndUpdate(
+      { paymentIntentId: dispute.payment_intent },
+      {
+        $set: {
+          status: "disputed",
+          dispute: {
+            id: dispute.id,
+            amount: fromMinor(dispute.amount, dispute.currency),
+            reason: dispute.reason,
+            status: dispute.status,
+            createdAt: new Date(dispute.created * 1000),
+          },
+          updatedAt: new Date(),
+        },
+      },
+    );
+
+    await Appointments.updateOne(
+      { _id: appointment._id },
+      { $set: { paymentStatus: "disputed" } },
+    );
+
+    if (payment) {
+      await recordAudit(
+        context,
+        "payment.disputed",
+        { type: "payment", id: payment._id },
+        {
+          before: { status: payment.status },
+          after: {
+            status: "disputed",
+            disputeId: dispute.id,
+            amount: fromMinor(dispute.amount, dispute.currency),
+            reason: dispute.reason,
+          },
+        },
+      );
+    }
+  },
+};
+
+/* ========================
+   Stripe Webhook
+======================== */
+
+app.post("/stripe/webhook", async (req, res) => {
+  let event;
+
+  try {
+    event = stripe.webhooks.constructEvent(
+      req.rawBody,
+      req.headers["stripe-signature"],
+      process.env.STRIPE_WEBHOOK_SECRET,
+    );
+  } catch (error) {
+    return res.status(400).json({ message: `Webhook error: ${error.message}` });
+  }
+
+  const handler = stripeEventHandlers[event.type];
+
+  if (!handler) {
+    return res.json({ received: true, ignored: true });
+  }
+
+  try {
+    // 🔁 Stripe retries deliveries, so each event is processed only once
+    await StripeEvents.insertOne({
+      eventId: event.id,
+      type: event.type,
+      receivedAt: new Date(),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.json({ received: true, duplicate: true });
+    }
+    return res.status(500).json({ message: error.message });
+  }
+
+  try {
+    const handled = await handler(event.data.object, {
+      ...requestContext(req),
+      actor: "stripe",
+    });
+
+    // Not processed: leave it unmarked so Stripe delivers it again
+    if (handled === false) {
+      await StripeEvents.deleteOne({ eventId: event.id });
+      return res
+        .status(404)
+        .json({ message: "No appointment for this payment intent" });
+    }
+
+    res.json({ received: true });
+  } catch (error) {
+    // Let Stripe retry the delivery
+    await StripeEvents.deleteOne({ eventId: event.id });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/* ====================================
+   Save Payment & Update Appointment
+==================================== */
+
+app.post(
+  "/payments",
+  verifyJWT,
+  validateBody(schemas.payment),
+  async (req, res) => {
+    try {
+      const { appointmentId, paymentIntentId } = req.body;
+
+      // 🔍 Find appointment
+      const appointment = await Appointments.findOne({
+        _id: new ObjectId(appointmentId),
+      });
+
+      if (!appointment) {
+        return res.status(404).json({ message: "Appointment not found" });
+      }
+
+      const email = req.decoded.email;
+      const user = (await Users.findOne({ email })) || { email, role: "user" };
+
+      if (!can(user, "appointment:pay", appointment)) {
+        return res.status(403).json({ message: "Forbidden" });
+      }
+
+      if (appointment.deletedAt || appointment.status === "cancelled") {
+        return res.status(400).json({ message: "Appointment is cancelled" });
+      }
+
+      // ❌ Prevent duplicate payment
+      if (appointment.paymentStatus === "paid") {
+        return res.status(400).json({ message: "Appointment already paid" });
+      }
+
+      // 🔐 Ask Stripe whether the payment really happened (never trust frontend)
+      const paymentIntent =
+        await stripe.paymentIntents.retrieve(paymentIntentId);
+
+      if (paymentIntent.status !== "succeeded") {
+        return res.status(400).json({ message: "Payment has not succeeded" });
+      }
+
+      // Only an intent created for this very appointment can pay for it
+      if (paymentIntent.metadata?.appointmentId !== appointmentId) {
+        return res
+          .status(400)
+          .json({ message: "Payment does not belong to this appointment" });
+      }
+
+      // ❌ One intent can only ever pay for one appointment
+      const existingPayment = await Payments.findOne({ paymentIntentId });
+      if (
+        existingPayment &&
+        !existingPayment.appointmentId.equals(appointment._id)
+      ) {
+        return res
+          .status(400)
+          .json({ message: "Payment already used for another appointment" });
+      }
+
+      await recordSucceededPayment(
+        paymentIntent,
+        appointment,
+        requestContext(req),
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Payment stored successfully",
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+// Front-desk cash, recorded by an admin (or the branch's admin) against
+// what the appointment owes
+app.post(
+  "/appointment/:id/cash-payment",
+  verifyJWT,
+  validateBody(schemas.cashPayment),
+  authorize("appointment:front-desk", loadAppointment),
+  async (req, res) => {
+    try {
+      const { amount, note } = req.body;
+      const appointment = req.resource;
+
+      if (appointment.status === "cancelled") {
+        return res.status(400).json({ message: "Appointment is cancelled" });
+      }
+
+      const { billing } = appointment;
+      const currency =
+        billing?.currency || req.body.currency || DEFAULT_CURRENCY;
+
+      if (billing ? billing.due <= 0 : appointment.paymentStatus === "paid") {
+        return res.status(400).json({ message: "Appointment already paid" });
+      }
+
+      // Appointments booked before deposits have no total to default to
+      if (!billing && amount === undefined) {
+        return res.status(400).json({ message: "amount is required" });
+      }
+
+      const amountMinor =
+        amount === undefined ? billing.due : toMinor(amount, currency);
+
+      if (billing && amountMinor > billing.due) {
+        return res.status(400).json({
+          message: `Amount must be at most ${fromMinor(billing.due, currency)}`,
+        });
+      }
+
+      // 1️⃣ Take the amount off what is due, unless someone else got there first
+      const paymentStatus = await applyPayment(appointment, amountMinor, null);
+
+      if (!paymentStatus) {
+        return res.status(409).json({
+          message: "Appointment was paid in the meantime",
+        });
+      }
+
+      // 2️⃣ Store the payment
+      const paidBefore = billing?.paid || 0;
+      const payment = {
+        appointmentId: appointment._id,
+        serviceId: ObjectId.isValid(appointment.serviceId)
+          ? new ObjectId(appointment.serviceId)
+          : null,
+        serviceTitle: appointment.serviceTitle,
+        amount: fromMinor(amountMinor, currency),
+        amountMinor,
+        currency,
+        breakdown: null,
+        method: "cash",
+        stage: paidBefore
+          ? "balance"
+          : billing && amountMinor < billing.due
+            ? "deposit"
+            : "full",
+        transactionId: null,
+        customerName: appointment.name,
+        payerEmail: appointment.email,
+        note: note || null,
+        recordedBy: req.decoded.email,
+        status: "succeeded",
+        createdAt: new Date(),
+      };
+
+      let result;
+      try {
+        result = await Payments.insertOne(payment);
+      } catch (error) {
+        await revertPayment(appointment, amountMinor);
+        throw error;
+      }
+
+      const numbered = await assignInvoiceNumber({
+        ...payment,
+        _id: result.insertedId,
+      });
+
+      await recordAudit(
+        requestContext(req),
+        "payment.cash",
+        { type: "payment", id: result.insertedId },
+        {
+          after: {
+            appointmentId: appointment._id,
+            amount: numbered.amount,
+            currency,
+            stage: numbered.stage,
+            invoiceNumber: numbered.invoiceNumber,
+          },
+        },
+      );
+
+      await notifyPaymentReceived(appointment, numbered);
+
+      res.status(201).json({
+        success: true,
+        message: "Cash payment recorded",
+        paymentId: result.insertedId,
+        invoiceNumber: numbered.invoiceNumber,
+        paymentStatus,
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+/* ========================
+   Invoices & Receipts
+======================== */
+
+// Invoice numbers run per year without reuse: INV-2026-000001, ...
+// A number is taken when a payment is first recorded (or, for payments
+// recorded before invoicing existed, when its receipt is first asked for).
+
+const nextInvoiceNumber = async () => {
+  const year = clinicToday().slice(0, 4);
+
+  const { value } = await Counters.findOneAndUpdate(
+    { _id: `invoice-${year}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: "after" },
+  );
+
+  return `INV-${year}-${String(value.seq).padStart(6, "0")}`;
+};
+
+// Returns the payment with its invoice number, assigning one if needed
+const assignInvoiceNumber = async (payment) => {
+  if (payment.invoiceNumber) return payment;
+
+  const invoiceNumber = await nextInvoiceNumber();
+  const { value } = await Payments.findOneAndUpdate(
+    { _id: payment._id, invoiceNumber: { $exists: false } },
+    { $set: { invoiceNumber, invoicedAt: new Date() } },
+    { returnDocument: "after" },
+  );
+
+  // Someone else numbered it first; theirs stands
+  return value || Payments.findOne({ _id: payment._id });
+};
+
+const renderReceipt = async (payment) => {
+  const numbered = await assignInvoiceNumber(payment);
+  const appointment = await Appointments.findOne({
+    _id: numbered.appointmentId,
+  });
+
+  const { breakdown, currency } = numbered;
+  const pdf = await renderReceiptPdf({
+    number: numbered.invoiceNumber,
+    issuedAt: numbered.createdAt,
+    status: numbered.status,
+    payer: {
+      name: numbered.customerName || appointment?.name,
+      email: numbered.payerEmail || appointment?.email,
+    },
+    appointment: {
+      serviceTitle: numbered.serviceTitle || appointment?.serviceTitle,
+      doctorName: appointment?.doctorName,
+      date: appointment?.date,
+      time: appointment?.time,
+    },
+    subtotal: breakdown && fromMinor(breakdown.subtotal, currency),
+    discount: breakdown?.discount && fromMinor(breakdown.discount, currency),
+    promoCode: breakdown?.promoCode,
+    taxLines: (breakdown?.lines || []).map((line) => ({
+      ...line,
+      amount: fromMinor(line.amount, currency),
+    })),
+    amount: numbered.amount,
+    currency,
+    stage: numbered.stage,
+    method: numbered.method,
+    transactionId: numbered.transactionId,
+    refunds: numbered.refunds,
+    amountRefunded: numbered.amountRefunded,
+  });
+
+  return { pdf, payment: numbered, filename: `${numbered.invoiceNumber}.pdf` };
+};
+
+// Notification attachments are stored as references and built when the
+// message is sent, so the outbox never holds file contents
+const NOTIFICATION_ATTACHMENTS = {
+  receipt: async ({ paymentId }) => {
+    const payment = await Payments.findOne({ _id: paymentId });
+    if (!payment) throw new Error(`Payment ${paymentId} not found`);
+
+    const { pdf, filename } = await renderReceipt(payment);
+    return { filename, content: pdf, contentType: "application/pdf" };
+  },
+};
+
+const buildAttachments = (references = []) =>
+  Promise.all(
+    references.map((reference) =>
+      NOTIFICATION_ATTACHMENTS[reference.type](reference),
+    ),
+  );
+
+/* ========================
+   Refunds
+======================== */
+
+// The appointment's payment status once money has gone back: "refunded"
+// when every payment is refunded in full, "partially_refunded" while any
+// of it still stands. A deposit refund leaves a paid balance counted.
+// Disputes are left for Stripe to settle.
+const syncRefundStatus = async (appointmentId) => {
+  const payments = await Payments.find({
+    appointmentId,
+    status: { $in: ["succeeded", "partially_refunded", "refunded"] },
+  }).toArray();
+
+  if (payments.every((payment) => payment.status === "succeeded")) return null;
+
+  const status = payments.every((payment) => payment.status === "refunded")
+    ? "refunded"
+    : "partially_refunded";
+
+  await Appointments.updateOne(
+    { _id: appointmentId, paymentStatus: { $ne: "disputed" } },
+    { $set: { paymentStatus: status } },
+  );
+
+  return status;
+};
+
+// Issues a Stripe refund against a payment and records it.
+// `amount` is in major units of the payment's currency (dollars, taka);
+// leave it out to refund everything still refundable.
+// Resolves to { code, error } when the refund is not possible.
+const refundPayment = async (
+  payment,
+  { amount, reason, by, context = { actor: by } },
+) => {
+  if (!["succeeded", "partially_refunded"].includes(payment.status)) {
+    return {
+      code: 400,
+      error: `A ${payment.status} payment cannot be refunded`,
+    };
+  }
+
+  if (payment.method === "cash") {
+    return { code: 400, error: "Cash payments are refunded at the front desk" };
+  }
+
+  const { currency } = payment;
+  const paidMinor = payment.amountMinor ?? toMinor(payment.amount, currency);
+  const refundedMinor = toMinor(payment.amountRefunded || 0, currency);
+  const refundableMinor = paidMinor - refundedMinor;
+  const refundMinor =
+    amount === undefined ? refundableMinor : toMinor(Number(amount), currency);
+
+  if (!(refundMinor > 0) || refundMinor > refundableMinor) {
+    return {
+      code: 400,
+      error: `Refund amount must be between ${fromMinor(
+        1,
+        currency,
+      )} and ${fromMinor(refundableMinor, currency)}`,
+    };
+  }
+
+  // Same payment, same running total, same amount → same Stripe refund,
+  // so a double-submitted request can't refund twice
+  const refund = await stripe.refunds.create(
+    {
+      payment_intent: payment.paymentIntentId,
+      amount: refundMinor,
+      reason: "requested_by_customer",
+      metadata: {
+        paymentId: payment._id.toString(),
+        reason: reason || "",
+      },
+    },
+    {
+      idempotencyKey: `refund-${payment._id}-${refundedMinor}-${refundMinor}`,
+    },
+  );
+
+  const totalRefundedMinor = refundedMinor + refundMinor;
+  const status =
+    totalRefundedMinor >= paidMinor ? "refunded" : "partially_refunded";
+
+  const totals = {
+    status,
+    amountRefunded: fromMinor(totalRefundedMinor, currency),
+    updatedAt: new Date(),
+  };
+
+  const recorded = await Payments.updateOne(
+    { _id: payment._id, "refunds.refundId": { $ne: refund.id } },
+    {
+      $set: totals,
+      $push: {
+        refunds: {
+          refundId: refund.id,
+          amount: fromMinor(refundMinor, currency),
+          reason: reason || null,
+          status: refund.status,
+          by,
+          createdAt: new Date(),
+        },
+      },
+    },
+  );
+
+  // The charge.refunded webhook got there first: keep its entry and add
+  // who asked for the refund and why
+  if (!recorded.modifiedCount) {
+    await Payments.updateOne(
+      { _id: payment._id, "refunds.refundId": refund.id },
+      {
+        $set: {
+          ...totals,
+          "refunds.$.reason": reason || null,
+          "refunds.$.by": by,
+        },
+      },
+    );
+  }
+
+  await recordAudit(
+    context,
+    "payment.refund",
+    { type: "payment", id: payment._id },
+    {
+      before: {
+        status: payment.status,
+        amountRefunded: payment.amountRefunded || 0,
+      },
+      after: {
+        status,
+        amountRefunded: fromMinor(totalRefundedMinor, currency),
+        refundId: refund.id,
+        amount: fromMinor(refundMinor, currency),
+        reason: reason || null,
+      },
+    },
+  );
+
+  await syncRefundStatus(payment.appointmentId);
+  const appointment = await Appointments.findOne({
+    _id: payment.appointmentId,
+  });
+
+  if (appointment) {
+    await notify("payment.refunded", appointment.email, {
+      ...appointmentNotificationData(appointment),
+      serviceTitle: payment.serviceTitle,
+      amount: fromMinor(refundMinor, currency),
+      currency: payment.currency,
+    });
+  }
+
+  return {
+    refund,
+    status,
+    amountRefunded: fromMinor(totalRefundedMinor, currency),
+  };
+};
+
+// Cancelling in good time, or being cancelled on by the clinic, gets the
+// patient their money back automatically
+const refundCancelledAppointment = async (appointment) => {
+  const eligible =
+    appointment.cancelledBy !== "patient" || appointment.cancelledWithinPolicy;
+
+  if (
+    !eligible ||
+    !["paid", "partially_paid"].includes(appointment.paymentStatus)
+  ) {
+    return;
+  }
+
+  // A deposit and its balance are refunded separately; cash is handed
+  // back at the front desk
+  const payments = await Payments.find({
+    appointmentId: appointment._id,
+    status: "succeeded",
+    method: { $ne: "cash" },
+  }).toArray();
+
+  try {
+    for (const payment of payments) {
+      await refundPayment(payment, {
+        reason: "Appointment cancelled",
+        by: "system",
+      });
+    }
+  } catch (error) {
+    // The cancellation stands; an admin can retry the refund by hand
+    console.error("Automatic refund failed:", error);
+    await Appointments.updateOne(
+      { _id: appointment._id },
+      { $set: { refundError: error.message } },
+    );
+  }
+};
+
+app.post(
+  "/payments/:id/refund",
+  verifyJWT,
+  verifyAdmin,
+  validateBody(schemas.refund),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { amount, reason } = req.body;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({ error: "Invalid ID" });
+      }
+
+      const payment = await Payments.findOne({ _id: new ObjectId(id) });
+
+      if (!payment) {
+        return res.status(404).json({ message: "Payment not found" });
+      }
+
+      const result = await refundPayment(payment, {
+        amount,
+        reason,
+        by: req.decoded.email,
+        context: requestContext(req),
+      });
+
+      if (result.error) {
+        return res.status(result.code).json({ message: result.error });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Refund issued successfully",
+        refundId: result.refund.id,
+        status: result.status,
+        amountRefunded: result.amountRefunded,
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+// ?email= lists one payer's payments (required unless the caller is an
+// admin); ?status=
+app.get(
+  "/payments",
+  verifyJWT,
+  authorize("payment:list", fromQuery),
+  async (req, res) => {
+    try {
+      const { email, status } = req.query;
+
+      const filter = compactFilter({
+        payerEmail: queryValue(email),
+        status: queryValue(status),
+      });
+
+      const result = await findPage(
+        Payments,
+        filter,
+        req.query,
+        ["createdAt", "amount", "invoiceNumber"],
+        { createdAt: -1 },
+      );
+      res.send(result);
+    } catch (error) {
+      res.status(500).send({ message: error.message });
+    }
+  },
+);
+
+// The PDF receipt; ?download=1 saves it instead of opening it
+app.get(
+  "/payments/:id/receipt",
+  verifyJWT,
+  authorize("payment:read", loadPayment),
+  async (req, res) => {
+    try {
+      const payment = req.resource;
+
+      if (payment.status === "failed") {
+        return res
+          .status(400)
+          .json({ message: "A failed payment has no receipt" });
+      }
+
+      const { pdf, filename } = await renderReceipt(payment);
+      const disposition = req.query.download ? "attachment" : "inline";
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `${disposition}; filename="${filename}"`,
+      );
+      res.setHeader("Cache-Control", "private, no-store");
+      res.send(pdf);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+// Emails the receipt to the payer's own address
+app.post(
+  "/payments/:id/receipt/email",
+  verifyJWT,
+  authorize("payment:read", loadPayment),
+  async (req, res) => {
+    try {
+      const payment = await assignInvoiceNumber(req.resource);
+
+      if (payment.status === "failed") {
+        return res
+          .status(400)
+          .json({ message: "A failed payment has no receipt" });
+      }
+
+      const appointment = await Appointments.findOne({
+        _id: payment.appointmentId,
+      });
+
+      await notify(
+        "payment.receipt",
+        req.resource.payerEmail,
+        {
+          name: payment.customerName || appointment?.name,
+          serviceTitle: payment.serviceTitle,
+          invoiceNumber: payment.invoiceNumber,
+        },
+        { attachments: [{ type: "receipt", paymentId: payment._id }] },
+      );
+
+      res.json({
+        success: true,
+        message: `Receipt sent to ${req.resource.payerEmail}`,
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+/* ========================
+   Users
+======================== */
+
+app.post("/users", validateBody(schemas.user), async (req, res) => {
+  try {
+    const { name, email, photoURL } = req.body;
+
+    const existingUser = await Users.findOne({ email });
+
+    if (!existingUser) {
+      // 🆕 New user (REGISTER)
+      const newUser = {
+        name,
+        email,
+        photoURL,
+        role: "user",
+        createdAt: new Date(),
+        lastLoginAt: new Date(),
+      };
+
+      await Users.insertOne(newUser);
+
+      return res.json({
+        success: true,
+        message: "User created",
+        type: "register",
+      });
+    } else {
+      // 🔁 Existing user (LOGIN)
+      await Users.updateOne(
+        { email },
+        {
+          $set: {
+            lastLoginAt: new Date(),
+          },
+        },
+      );
+
+      return res.json({
+        success: true,
+        message: "Login time updated",
+        type: "login",
+      });
+    }
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+app.get(
+  "/users/:email",
+  verifyJWT,
+  authorize("user:read", fromParams),
+  async (req, res) => {
+    try {
+      const { email } = req.params;
+
+      const user = await Users.findOne({ email });
+
+      res.json({
+        success: true,
+        data: user,
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+// ?q= matches name or email; ?role=
+app.get("/users", verifyJWT, verifyAdmin, async (req, res) => {
+  try {
+    const { q, role } = req.query;
+    const search = queryValue(q)
+      ? new RegExp(escapeRegex(queryValue(q)), "i")
+      : null;
+
+    const filter = compactFilter({
+      role: queryValue(role),
+      $or: search ? [{ name: search }, { email: search }] : undefined,
+    });
+
+    const result = await findPage(
+      Users,
+      filter,
+      req.query,
+      ["name", "email", "createdAt", "lastLoginAt"],
+      { createdAt: -1 },
+    );
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+app.get(
+  "/users/:email/notification-preferences",
+  verifyJWT,
+  authorize("user:read", fromParams),
+  async (req, res) => {
+    try {
+      const user = await Users.findOne({ email: req.params.email });
+
+      res.json({
+        success: true,
+        data: {
+          ...DEFAULT_NOTIFICATION_PREFERENCES,
+          ...user?.notificationPreferences,
+          phone: user?.phone || null,
+        },
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+app.put(
+  "/users/:email/notification-preferences",
+  verifyJWT,
+  validateBody(schemas.notificationPreferences),
+  authorize("profile:update", fromParams),
+  async (req, res) => {
+    try {
+      const { phone, ...preferences } = req.body;
+
+      const $set = {
+        notificationPreferences: {
+          ...DEFAULT_NOTIFICATION_PREFERENCES,
+          ...preferences,
+        },
+      };
+      if (phone) $set.phone = phone;
+
+      const result = await Users.updateOne(
+        { email: req.params.email },
+        { $set },
+      );
+
+      if (!result.matchedCount) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      res.json({ success: true, message: "Notification preferences updated" });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  },
+);
+
+app.get("/users/check/:email", async (req, res) => {
+  try {
+    const email = req.params.email;
+
+    const existingUser = await Users.findOne({ email });
+
+    if (existingUser) {
+      return res.status(409).json({
+        message: "Email already registered. Please login.",
+      });
+    }
+
+    res.status(200).json({ message: "Email available" });
+  } catch (error) {
+    res.status(500).json({
+      message: "Server error",
+      error: error.message,
+    });
+  }
+});
+
+app.patch(
+  "/user/:id",
+  verifyJWT,
+  verifyAdmin,
+  verifySuperAdmin,
+  validateBody(schemas.roleChange),
+  async (req, res) => {
+    try {
+      const id = req.params.id;
+      const { role } = req.body;
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({ error: "Invalid ID" });
+      }
+      const user = await Users.findOne({ _id: new ObjectId(id) });
+      if (!user) {
+        return res.status(404).send({ error: "User not found" });
+      }
+      // Branch admins manage the branches they are given, and only those
+      const { branchIds = [] } = toBranchIds(req.body);
+      if (role === "branch-admin") {
+        const branches = await Branches.countDocuments({
+          _id: { $in: branchIds },
+        });
+        if (!branchIds.length || branches !== branchIds.length) {
+          return res.status(400).send({
+            error: "A branch admin needs one or more existing branches",
+          });
+        }
+      }
+      if (user.role === "admin" && role !== "admin") {
+        const adminCount = await Users.countDocuments({
+          role: "admin",
+        });
+        if (adminCount <= 1) {
+          return res.status(400).send({
+            error: "At least one admin must remain in the system",
+          });
+        }
+      }
+      const userUpdate = await Users.updateOne(
+        { _id: new ObjectId(id) },
+        role === "branch-admin"
+          ? { $set: { role, branchIds, roleUpdateAt: new Date() } }
+          : {
+              $set: { role, roleUpdateAt: new Date() },
+              $unset: { branchIds: "" },
+            },
+      );
+      await revokeRefreshTokens(user.email, "role-changed");
+      await recordAudit(
+        requestContext(req),
+        "user.role-change",
+        { type: "user", id },
+        {
+          before: { role: user.role || null, branchIds: user.branchIds },
+          after: {
+            role,
+            branchIds: role === "branch-admin" ? branchIds : null,
+          },
+        },
+      );
+      res.send({
+        modifiedCount: userUpdate.modifiedCount,
+        message: "Role updated successfully",
+      });
+    } catch (error) {
+      console.error("Update Error:", error);
+      res.status(500).send({ error: "Server Error" });
+    }
+  },
+);
+
+app.delete(
+  "/user/:id",
+  verifyJWT,
+  verifyAdmin,
+  verifySuperAdmin,
+  async (req, res) => {
+    const id = req.params.id;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).send({ error: "Invalid ID" });
+    }
+
+    const user = await Users.findOne({ _id: new ObjectId(id) });
+
+    const result = await Users.deleteOne({
+      _id: new ObjectId(id),
+    });
+
+    if (user) {
+      await revokeRefreshTokens(user.email, "user-deleted");
+      await recordAudit(
+        requestContext(req),
+        "user.delete",
+        { type: "user", id },
+        { before: user },
+      );
+    }
+
+    res.send(result);
+  },
+);
+
+/* ========================
+   Doctor Onboarding
+======================== */
+
+// Applicants fill in a draft over several steps and submit it; admins
+// approve, reject or ask for more information (after which the applicant
+// edits and resubmits), and can later suspend and reinstate a doctor.
+// Every move is appended to the doctor's `reviewHistory`.
+const DOCTOR_TRANSITIONS = {
+  draft: ["pending"],
+  pending: ["approved", "rejected", "info-requested"],
+  "info-requested": ["pending"],
+  rejected: ["pending"],
+  approved: ["suspended"],
+  suspended: ["approved"],
+};
+
+// The applicant may only edit their application while it is not under review
+const EDITABLE_APPLICATION = ["draft", "info-requested", "rejected"];
+
+// Admin decisions the applicant has to be told the reason for
+const REASON_REQUIRED = ["rejected", "info-requested", "suspended"];
+
+// Credentials are only changed through the application so they get reviewed
+const CREDENTIAL_FIELDS = ["education", "registrationNumber", "certificates"];
+
+const SUBMISSION_REQUIRED = [
+  "name",
+  "specialty",
+  "education",
+  "registrationNumber",
+];
+
+// Documents created before onboarding had no draft step
+const getDoctorStatus = (doctor) => doctor.permission || "pending";
+
+// Returns the list of problems that keep an application from being submitted
+const checkApplicationComplete = (doctor) => {
+  const errors = SUBMISSION_REQUIRED.filter((field) => !doctor[field]).map(
+    (field) => ({ field, message: `${field} is required to submit` }),
+  );
+
+  if (!doctor.certificates?.length) {
+    errors.push({
+      field: "certificates",
+      message: "at least one certificate is required to submit",
+    });
+  }
+
+  return errors;
+};
+
+// Certificate uploads must be credential uploads made by the applicant (or
+// the admin filling in for them). Returns { certificates, errors } with the
+// upload ids converted for storage.
+const prepareCertificates = async (certificates, ownerEmails) => {
+  const errors = [];
+
+  certificates.forEach((certificate, i) => {
+    if (!certificate.url && !certificate.uploadId) {
+      errors.push({
+        field: `certificates[${i}]`,
+        message: "a certificate needs a url or an uploadId",
+      });
+    }
+  });
+
+  const uploadIds = certificates
+    .filter((certificate) => certificate.uploadId)
+    .map((certificate) => new ObjectId(certificate.uploadId));
+
+  if (uploadIds.length) {
+    const found = await Uploads.countDocuments({
+      _id: { $in: uploadIds },
+      purpose: "credential",
+      ownerEmail: { $in: ownerEmails },
+    });
+
+    if (found !== new Set(uploadIds.map(String)).size) {
+      errors.push({
+        field: "certificates",
+        message: "uploadId must be one of your credential uploads",
+      });
+    }
+  }
+
+  return {
+    errors,
+    certificates: certificates.map((certificate) =>
+      certificate.uploadId
+        ? { ...certificate, uploadId: new ObjectId(certificate.uploadId) }
+        : certificate,
+    ),
+  };
+};
+
+// Moves the doctor to `status`, records it and keeps the user's role in step.
+// Returns { code, error } when the move is not allowed.
+const transitionDoctor = async (doctor, status, by, { reason, comment }) => {
+  const from = getDoctorStatus(doctor);
+
+  if (!DOCTOR_TRANSITIONS[from]?.includes(status)) {
+    return { code: 409, error: `Cannot move a ${from} doctor to ${status}` };
+  }
+
+  const now = new Date();
+  const entry = {
+    from,
+    to: status,
+    by,
+    reason: reason || null,
+    comment: comment || null,
+    at: now,
+  };
+
+  // Matching on the old status keeps two reviewers from deciding at once
+  const result = await Doctors.updateOne(
+    { _id: doctor._id, permission: doctor.permission },
+    {
+      $set: { permission: status, permissionUpdatedAt: now },
+      $push: { reviewHistory: entry },
+    },
+  );
+
+  if (result.matchedCount === 0) {
+    return { code: 409, error: "The application was changed, please reload" };
+  }
+
+  // Only doctors gain or lose the doctor role; admins keep theirs
+  const user = await Users.findOne({ email: doctor.email });
+  let role = user?.role;
+
+  if (status === "approved" && role === "user") role = "doctor";
+  if (status === "suspended" && role === "doctor") role = "user";
+
+  if (user && role !== user.role) {
+    await Users.updateOne(
+      { _id: user._id },
+      { $set: { role, roleUpdateAt: now } },
+    );
+    await revokeRefreshTokens(doctor.email, "role-changed");
+  }
+
+  const event = from === "suspended" ? "doctor.reinstated" : `doctor.${status}`;
+
+  if (status !== "pending") {
+    await notify(event, doctor.email, { name: doctor.name, reason });
+  }
+
+  return { entry, role: role || null };
+};
+
+// Review history and reviewer comments are for the applicant and admins only
+const PRIVATE_DOCTOR_FIELDS = {
+  certificates: 0,
+  reviewHistory: 0,
+  reviewComments: 0,
+};
+
+// Where the application stands is for the applicant and admins only as well;
+// everyone else only ever sees approved doctors
+const PUBLIC_DOCTOR_FIELDS = {
+  ...PRIVATE_DOCTOR_FIELDS,
+  permission: 0,
+  permissionUpdatedAt: 0,
+  rejectionReason: 0,
+  registrationNumber: 0,
+};
+
+const findCaller = (req) =>
+  req.decoded ? Users.findOne({ email: req.decoded.email }) : null;
+
+/* ========================
+   Doctors (doctors-all)
+======================== */
+
+// ?q= searches names and specialties; ?specialty=&permission=
+app.get("/doctors-all", optionalJWT, async (req, res) => {
+  try {
+    const { q, specialty } = req.query;
+    const branchId = queryValue(req.query.branchId);
+
+    if (branchId && !ObjectId.isValid(branchId)) {
+      return res.status(400).send({ message: "Invalid branchId" });
+    }
+
+    const admin = isAdmin(await findCaller(req));
+    let permission = queryValue(req.query.permission);
+
+    // Asking for applicants that aren't approved finds nothing unless admin
+    if (!admin) {
+      permission =
+        !permission || permission === "approved" ? "approved" : { $in: [] };
+    }
+
+    const filter = compactFilter({
+      specialty: queryValue(specialty),
+      permission,
+      branchIds: branchId ? new ObjectId(branchId) : undefined,
+      $text: queryValue(q) ? { $search: queryValue(q) } : undefined,
+    });
+
+    const result = await findPage(
+      Doctors,
+      filter,
+      req.query,
+      ["name", "specialty", "fee", "rating", "reviewCount", "createdAt"],
+      { name: 1 },
+      admin ? PRIVATE_DOCTOR_FIELDS : PUBLIC_DOCTOR_FIELDS,
+    );
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+});
+
+app.get("/doctor-by-email/:email", optionalJWT, async (req, res) => {
+  const email = req.params.email;
+
+  try {
+    const caller = await findCaller(req);
+    const privileged = isAdmin(caller) || caller?.email === email;
+
+    const doctor = await Doctors.findOne(
+      privileged ? { email } : { email, permission: "approved" },
+      {
+        projection: privileged ? PRIVATE_DOCTOR_FIELDS : PUBLIC_DOCTOR_FIELDS,
+      },
+    );
+
+    if (!doctor) {
+      return res.status(404).json({ error: "Doctor not found" });
+    }
+
+    res.json(doctor);
+  } catch (err) {
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Starts an application as a draft; the applicant submits it when complete
+app.post(
+  "/doctors-all",
+  verifyJWT,
+  validateBody(schemas.doctorApplication),
+  authorize("doctor:apply", fromBody),
+  async (req, res) => {
+    try {
+      const existing = await Doctors.findOne({ email: req.body.email });
+
+      if (existing) {
+        return res.status(409).send({
+          error: "An application already exists for this email",
+          doctorId: existing._id,
+        });
+      }
+
+      const { certificates, errors } = await prepareCertificates(
+        req.body.certificates || [],
+        [req.body.email, req.decoded.email],
+      );
+
+      if (errors.length) {
+        return res.status(400).json({ message: "Validation failed", errors });
+      }
+
+      const doctor = {
+        ...req.body,
+        certificates,
+        permission: "draft",
+        reviewHistory: [],
+        reviewComments: [],
+        createdAt: new Date(),
+      };
+
+      const result = await Doctors.insertOne(doctor);
+      res.send(result);
+    } catch (error) {
+      res.status(500).send({ error: "Server Error" });
+    }
+  },
+);
+
+// The full application, with its review history and reviewer comments
+app.get(
+  "/doctors-all/:id/application",
+  verifyJWT,
+  authorize("doctor:manage", loadDoctor),
+  async (req, res) => {
+    try {
+      const doctor = req.resource;
+      const uploadIds = (doctor.certificates || [])
+        .map((certificate) => certificate.uploadId)
+        .filter(Boolean);
+      const uploads = await Uploads.find({ _id: { $in: uploadIds } }).toArray();
+      const signed = {};
+
+      for (const record of uploads) {
+        signed[record._id] = await signUpload(record);
+      }
+
+      // Private certificates get a short-lived link to the document
+      const certificates = (doctor.certificates || []).map((certificate) =>
+        certificate.uploadId
+          ? { ...certificate, signedUrl: signed[certificate.uploadId] || null }
+          : certificate,
+      );
+
+      res.send({ ...doctor, certificates });
+    } catch (error) {
+      res.status(500).send({ error: "Server Error" });
+    }
+  },
+);
+
+// Fills in or corrects the application between review rounds
+app.patch(
+  "/doctors-all/:id/application",
+  verifyJWT,
+  validateBody(schemas.doctorApplication, { partial: true }),
+  authorize("doctor:manage", loadDoctor),
+  async (req, res) => {
+    try {
+      const doctor = req.resource;
+      const status = getDoctorStatus(doctor);
+
+      if (!EDITABLE_APPLICATION.includes(status)) {
+        return res
+          .status(409)
+          .send({ error: `A ${status} application cannot be edited` });
+      }
+
+      const { email, ...changes } = req.body;
+
+      if (changes.certificates) {
+        const { certificates, errors } = await prepareCertificates(
+          changes.certificates,
+          [doctor.email, req.decoded.email],
+        );
+
+        if (errors.length) {
+          return res.status(400).json({ message: "Validation failed", errors });
+        }
+        changes.certificates = certificates;
+      }
+
+      const result = await Doctors.updateOne(
+        { _id: doctor._id, permission: doctor.permission },
+        { $set: { ...changes, applicationUpdatedAt: new Date() } },
+      );
+
+      if (result.matchedCount === 0) {
+        return res
+          .status(409)
+          .send({ error: "The application was changed, please reload" });
+      }
+
+      res.send(result);
+    } catch (error) {
+      res.status(500).send({ error: "Server Error" });
+    }
+  },
+);
+
+// Sends a draft (or an answered info request) to the admins for review
+app.post(
+  "/doctors-all/:id/submit",
+  verifyJWT,
+  authorize("doctor:manage", loadDoctor),
+  async (req, res) => {
+    try {
+      const doctor = req.resource;
+      const errors = checkApplicationComplete(doctor);
+
+      if (errors.length) {
+        return res
+          .status(400)
+          .json({ message: "Application incomplete", errors });
+      }
+
+      const comment =
+        typeof req.body?.comment === "string"
+          ? req.body.comment.trim().slice(0, 2000)
+          : null;
+
+      const by = req.decoded.email;
+      const result = await transitionDoctor(doctor, "pending", by, { comment });
+
+      if (result.error) {
+        return res.status(result.code).send({ error: result.error });
+      }
+
+      res.send({ success: true, permission: "pending", entry: result.entry });
+    } catch (error) {
+      res.status(500).send({ error: "Server Error" });
+    }
+  },
+);
+
+// Admin decisions: approve, reject, request info, suspend or reinstate
+app.patch(
+  "/doctors-all/:id",
+  verifyJWT,
+  verifyAdmin,
+  validateBody(schemas.doctorPermission),
+  async (req, res) => {
+    try {
+      const id = req.params.id;
+      const { permission, reason } = req.body;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({ error: "Invalid ID" });
+      }
+
+      if (REASON_REQUIRED.includes(permission) && !reason) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: [
+            { field: "reason", message: `reason is required to ${permission}` },
+          ],
+        });
+      }
+
+      // 1️⃣ Find doctor first
+      const doctor = await Doctors.findOne({
+        _id: new ObjectId(id),
+      });
+
+      if (!doctor) {
+        return res.status(404).send({ error: "Doctor not found" });
+      }
+
+      // 2️⃣ Move the application and keep the user's role in step
+      const by = req.decoded.email;
+      const result = await transitionDoctor(doctor, permission, by, {
+        reason,
+      });
+
+      if (result.error) {
+        return res.status(result.code).send({ error: result.error });
+      }
+
+      await recordAudit(
+        requestContext(req),
+        "doctor.permission-change",
+        { type: "doctor", id },
+        {
+          before: { permission: result.entry.from },
+          after: { permission, reason: reason || null, role: result.role },
+        },
+      );
+
+      res.send({
+        success: true,
+        permission,
+        role: result.role,
+        entry: result.entry,
+        message: "Permission updated successfully",
+      });
+    } catch (error) {
+      console.error("Update Error:", error);
+      res.status(500).send({ error: "Server Error" });
+    }
+  },
+);
+
+// Reviewer notes on an application, visible to the applicant
+app.post(
+  "/doctors-all/:id/comments",
+  verifyJWT,
+  verifyAdmin,
+  validateBody(schemas.doctorComment),
+  async (req, res) => {
+    try {
+      const id = req.params.id;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({ error: "Invalid ID" });
+      }
+
+      const comment = {
+        _id: new ObjectId(),
+        text: req.body.text,
+        by: req.decoded.email,
+        at: new Date(),
+      };
+
+      const result = await Doctors.updateOne(
+        { _id: new ObjectId(id) },
+        { $push: { reviewComments: comment } },
+      );
+
+      if (result.matchedCount === 0) {
+        return res.status(404).send({ error: "Doctor not found" });
+      }
+
+      await recordAudit(
+        requestContext(req),
+        "doctor.comment",
+        { type: "doctor", id },
+        { after: { text: comment.text } },
+      );
+
+      res.send({ success: true, comment });
+    } catch (error) {
+      res.status(500).send({ error: "Server Error" });
+    }
+  },
+);
+
+app.put(
+  "/doctors-all/:id",
+  verifyJWT,
+  validateBody(schemas.doctor, { partial: true }),
+  authorize("doctor:manage", loadDoctor),
+  async (req, res) => {
+    try {
+      const id = req.params.id;
+      const admin = isAdmin(req.user);
+
+      // Until they are approved, doctors change their details through the
+      // application, and a suspended doctor can't edit their profile
+      if (!admin && getDoctorStatus(req.resource) !== "approved") {
+        return res
+          .status(403)
+          .send({ error: "Only approved doctors can edit their profile" });
+      }
+
+      // The email links the doctor to their user account and stays fixed
+      const { email, ...changes } = req.body;
+
+      if (!admin) {
+        CREDENTIAL_FIELDS.forEach((field) => delete changes[field]);
+      }
+
+      const updatedDoctor = { $set: changes };
+
+      // A doctor suspended since the check above no longer matches
+      const result = await Doctors.updateOne(
+        { _id: new ObjectId(id), ...(!admin && { permission: "approved" }) },
+        updatedDoctor,
+      );
+
+      if (result.matchedCount === 0) {
+        return res.status(404).send({ error: "Doctor not found" });
+      }
+
+      // Doctors editing their own profile are not audited, admins are
+      if (admin) {
+        await recordAudit(
+          requestContext(req),
+          "doctor.update",
+          { type: "doctor", id },
+          diffFields(req.resource, changes),
+        );
+      }
+
+      res.send(result);
+    } catch (error) {
+      res.status(500).send({ error: "Server Error" });
+    }
+  },
+);
+
+// Removes a doctor who has no upcoming appointments, along with the files
+// only their profile used
+app.delete("/doctors-all/:id", verifyJWT, verifyAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).send({ error: "Invalid ID" });
+    }
+
+    const doctor = await Doctors.findOne({ _id: new ObjectId(id) });
+
+    if (!doctor) {
+      return res.status(404).send({ error: "Doctor not found" });
+    }
+
+    const upcoming = await Appointments.countDocuments({
+      doctorId: doctor._id,
+      status: { $in: ["requested", "confirmed"] },
+      startsAt: { $gte: new Date() },
+      deletedAt: null,
+    });
+
+    if (upcoming > 0) {
+      return res.status(409).send({
+        error: "Cancel or reassign the doctor's upcoming appointments first",
+        upcoming,
+      });
+    }
+
+    const result = await Doctors.deleteOne({ _id: doctor._id });
+    await recordAudit(
+      requestContext(req),
+      "doctor.delete",
+      { type: "doctor", id },
+      { before: doctor },
+    );
+
+    const user = await Users.findOne({ email: doctor.email });
+    if (user?.role === "doctor") {
+      await Users.updateOne(
+        { _id: user._id },
+        { $set: { role: "user", roleUpdateAt: new Date() } },
+      );
+      await revokeRefreshTokens(doctor.email, "role-changed");
+    }
+
+    await releaseUploads({
+      urls: [doctor.doctorImage],
+      uploadIds: (doctor.certificates || []).map((c) => c.uploadId),
+    });
+
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ error: "Server Error" });
+  }
+});
+
+// Assigns the branches a doctor works at; schedules for branches they
+// leave are dropped
+app.put(
+  "/doctors-all/:id/branches",
+  verifyJWT,
+  verifyAdmin,
+  validateBody(schemas.doctorBranches),
+  async (req, res) => {
+    try {
+      if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).send({ error: "Invalid ID" });
+      }
+
+      const doctor = await loadDoctor(req);
+
+      if (!doctor) {
+        return res.status(404).json({ message: "Doctor not found" });
+      }
+
+      const { branchIds } = toBranchIds(req.body);
+      const branches = await Branches.find({
+        _id: { $in: branchIds },
+        active: true,
+      }).toArray();
+
+      if (branches.length !== new Set(branchIds.map(String)).size) {
+        return res.status(400).json({ message: "Unknown or closed branch" });
+      }
+
+      const kept = branches.map((branch) => String(branch._id));
+      const branchSchedules = Object.fromEntries(
+        Object.entries(doctor.branchSchedules || {}).filter(([id]) =>
+          kept.includes(id),
+        ),
+      );
+
+      const result = await Doctors.updateOne(
+        { _id: doctor._id },
+        {
+          $set: {
+            branchIds: branches.map((branch) => branch._id),
+            branchSchedules,
+            updatedAt: new Date(),
+          },
+        },
+      );
+
+      await recordAudit(
+        requestContext(req),
+        "doctor.branches",
+        { type: "doctor", id: doctor._id },
+        {
+          before: { branchIds: doctor.branchIds || [] },
+          after: { branchIds: kept },
+        },
+      );
+
+      res.send(result);
+    } catch (error) {
+      res.status(500).send({ error: "Server Error" });
+    }
+  },
+);
+
+// Working hours that fall outside the branch's opening hours
+const outsideOpeningHours = (schedule, branch) => {
+  const openingHours = branch.openingHours || {};
+  if (!Object.keys(openingHours).length) return [];
+
+  return Object.entries(schedule.weeklyHours)
+    .filter(([day, ranges]) =>
+      ranges.some(
+        (range) =>
+          !(openingHours[day] || []).some(
+            (open) =>
+              toMinutes(open.start) <= toMinutes(range.start) &&
+              toMinutes(open.end) >= toMinutes(range.end),
+          ),
+      ),
+    )
+    .map(
+      ([day]) => `Hours on ${day} are outside ${branch.name}'s opening hours`,
+    );
+};
+
+// Doctors manage their own schedule, admins can manage anyone's.
+// ?branchId= sets the doctor's schedule at one of their branches.
+app.put(
+  "/doctors-all/:id/schedule",
+  verifyJWT,
+  authorize("doctor:manage", loadDoctor),
+  async (req, res) => {
+    try {
+      const doctor = req.resource;
+      const { slotMinutes, weeklyHours, breaks, daysOff } = req.body;
+      const branchId = queryValue(req.query.branchId);
+      const schedule = {
+        slotMinutes,
+        weeklyHours: weeklyHours || {},
+        breaks: breaks || [],
+        daysOff: daysOff || [],
+      };
+
+      let branch = null;
+      if (branchId) {
+        const located = await resolveBranch(doctor, branchId);
+        if (located.error) {
+          return res.status(located.code).json({ message: located.error });
+        }
+        branch = located.branch;
+      }
+
+      const errors = validateSchedule(schedule);
+      if (!errors.length && branch) {
+        errors.push(...outsideOpeningHours(schedule, branch));
+      }
+
+      if (errors.length) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: errors.map((message) => ({ field: "schedule", message })),
+        });
+      }
+
+      const result = await Doctors.updateOne(
+        { _id: doctor._id },
+        {
+          $set: {
+            [branch ? `branchSchedules.${branch._id}` : "schedule"]: schedule,
+            scheduleUpdatedAt: new Date(),
+          },
+        },
+      );
+
+      res.send(result);
+    } catch (error) {
+      res.status(500).send({ error: "Server Error" });
+    }
+  },
+);
+
+app.get("/doctors-all/:id/slots", async (req, res) => {
+  try {
+    const id = req.params.id;
+    const { date } = req.query;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).send({ error: "Invalid ID" });
+    }
+
+    if (!isValidDate(date)) {
+      return res.status(400).send({ error: "date must be YYYY-MM-DD" });
+    }
+
+    const doctor = await Doctors.findOne({ _id: new ObjectId(id) });
+
+    if (!doctor) {
+      return res.status(404).send({ error: "Doctor not found" });
+    }
+
+    // ?branchId= is needed for doctors at more than one branch
+    const located = await resolveBranch(doctor, queryValue(req.query.branchId));
+
+    if (located.error) {
+      return res.status(located.code).send({ error: located.error });
+    }
+
+    const { branch } = located;
+    const slots =
+      doctor.permission === "approved"
+        ? await getOpenSlots(doctor, date, branch)
+        : [];
+
+    res.send({
+      doctorId: doctor._id,
+      branchId: branch?._id || null,
+      date,
+      slotMinutes: scheduleFor(doctor, branch)?.slotMinutes || null,
+      slots,
+    });
+  } catch (error) {
+    res.status(500).send({ error: "Server Error" });
+  }
+});
+
+app.put(
+  "/update-profile",
+  verifyJWT,
+  validateBody(schemas.profile),
+  authorize("profile:update", fromBody),
+  async (req, res) => {
+    const { email, name, photoURL } = req.body;
+
+    const filter = { email };
+
+    const updateDoctor = {
+      $set: {
+        name,
+        doctorImage: photoURL,
+      },
+    };
+    const updateReview = {
+      $set: {
+        name,
+        image: photoURL,
+      },
+    };
+    const updateUser = {
+      $set: {
+        name,
+        photoURL,
+      },
+    };
+
+    try {
+      await Users.updateOne(filter, updateUser);
+      await Doctors.updateOne(filter, updateDoctor);
+      await Reviews.updateMany(filter, updateReview);
+
+      res.send({
+        success: true,
+        message: "Profile updated everywhere",
+      });
+    } catch (err) {
+      res.status(500).send({ error: "Update failed" });
+    }
+  },
+);
+
+/* ========================
+   Reviews
+======================== */
+
+// Reviews start "pending" and only "approved" ones are public. Reviews
+// written before moderation existed carry no status and stay visible.
+const PUBLIC_REVIEW = { status: { $nin: ["pending", "hidden"] } };
+
+/* ========================
+   Rating Aggregates
+======================== */
+
+// Ratings shown on services and doctors are computed from public reviews
+// and stored on the service/doctor as `rating`, `reviewCount` and
+// `ratingSummary` ({ average, count, distribution }) so lists can sort on them.
+
+const isIdString = (id) =>
+  typeof id === "string" && id.length === 24 && ObjectId.isValid(id);
+
+const summarizeRatings = async (match) => {
+  const groups = await Reviews.aggregate([
+    { $match: { ...match, ...PUBLIC_REVIEW } },
+    {
+      // Older reviews stored the rating as a string
+      $project: {
+        rating: {
+          $convert: {
+            input: "$rating",
+            to: "double",
+            onError: null,
+            onNull: null,
+          },
+        },
+      },
+    },
+    { $match: { rating: { $gte: 1, $lte: 5 } } },
+    {
+      $group: {
+        _id: { $round: ["$rating", 0] },
+        count: { $sum: 1 },
+        total: { $sum: "$rating" },
+      },
+    },
+  ]).toArray();
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let total = 0;
+
+  groups.forEach((group) => {
+    distribution[group._id] += group.count;
+    count += group.count;
+    total += group.total;
+  });
+
+  return {
+    average: count ? Math.round((total / count) * 10) / 10 : 0,
+    count,
+    distribution,
+    updatedAt: new Date(),
+  };
+};
+
+const ratingFields = (summary) => ({
+  rating: summary.average,
+  reviewCount: summary.count,
+  ratingSummary: summary,
+});
+
+const refreshServiceRating = async (serviceId) => {
+  const summary = await summarizeRatings({
+    $or: [{ serviceId }, { service: serviceId }],
+  });
+
+  await Services.updateOne(
+    { _id: new ObjectId(serviceId) },
+    { $set: ratingFields(summary) },
+  );
+};
+
+const refreshDoctorRating = async (doctorId) => {
+  const summary = await summarizeRatings({ doctorId });
+
+  await Doctors.updateOne({ _id: doctorId }, { $set: ratingFields(summary) });
+};
+
+// Recomputes the aggregates a review contributes to
+const refreshRatings = async (review) => {
+  const serviceId = [review.serviceId, review.service].find(isIdString);
+
+  if (serviceId) await refreshServiceRating(serviceId);
+  if (review.doctorId) await refreshDoctorRating(review.doctorId);
+};
+
+// Rebuilds every service and doctor rating, e.g. after importing reviews
+app.post("/ratings/recompute", verifyJWT, verifyAdmin, async (req, res) => {
+  try {
+    const services = await Services.find(
+      {},
+      { projection: { _id: 1 } },
+    ).toArray();
+    const doctors = await Doctors.find(
+      {},
+      { projection: { _id: 1 } },
+    ).toArray();
+
+    for (const service of services) {
+      await refreshServiceRating(service._id.toString());
     }
+    for (const doctor of doctors) {
+      await refreshDoctorRating(doctor._id);
+    }
+
+    res.send({
+      success: true,
+      services: services.length,
+      doctors: doctors.length,
+    });
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+});
+
+app.get("/reviews", verifyJWT, async (req, res) => {
+  const decoded = req.decoded;
+
+  if (decoded.email !== req.query.email) {
+    return res.status(403).send({ message: "Unauthorized access" });
+  }
+
+  const query = req.query.email ? { email: req.query.email } : {};
+
+  const reviews = await Reviews.find(query).toArray();
+  res.send(reviews);
+});
+
+// Moderation queue: ?status=pending, ?reported=true
+app.get("/reviews-all", verifyJWT, verifyAdmin, async (req, res) => {
+  try {
+    const { service, minRating, status, reported } = req.query;
+
+    const filter = compactFilter({
+      service: queryValue(service),
+      status: queryValue(status),
+      rating: rangeFilter(minRating, undefined),
+      reportCount: reported === "true" ? { $gt: 0 } : undefined,
+    });
+
+    const result = await findPage(
+      Reviews,
+      filter,
+      req.query,
+      ["rating", "reportCount", "createdAt", "_id"],
+      { _id: -1 },
+    );
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+});
+
+app.get("/review", verifyJWT, async (req, res) => {
+  const query = req.query.service
+    ? { service: queryValue(req.query.service) }
+    : {};
+
+  const reviews = await Reviews.find({ ...query, ...PUBLIC_REVIEW }).toArray();
+  res.send(reviews);
+});
 
-    // 🔍 Find appointment
-    const appointment = await Appointments.findOne({
-      _id: new ObjectId(appointmentId),
-    });
+app.get(
+  "/reviews/:id",
+  verifyJWT,
+  authorize("review:read", loadReview),
+  (req, res) => {
+    res.send(req.resource);
+  },
+);
 
-    if (!appointment) {
-      return res.status(404).json({ message: "Appointment not found" });
-    }
+// Only the patient of a completed, paid appointment can review it, once
+app.post(
+  "/reviews",
+  verifyJWT,
+  validateBody(schemas.review),
+  authorize("review:create", fromBody),
+  async (req, res) => {
+    try {
+      const { appointmentId, ...review } = req.body;
 
-    // ❌ Prevent duplicate payment
-    if (appointment.paymentStatus === "paid") {
-      return res.status(400).json({ message: "Appointment already paid" });
-    }
+      const appointment = await Appointments.findOne({
+        _id: new ObjectId(appointmentId),
+        deletedAt: null,
+      });
 
-    // 🔐 Always get price from DB (never trust frontend)
-    const service = await Services.findOne({
-      _id: new ObjectId(appointment.serviceId),
-    });
+      if (!appointment || appointment.email !== req.decoded.email) {
+        return res.status(404).send({ message: "Appointment not found" });
+      }
 
-    if (!service) {
-      return res.status(404).json({ message: "Service not found" });
-    }
+      const paid = ["paid", "partially_refunded"].includes(
+        appointment.paymentStatus,
+      );
 
-    const amount = service.price;
-
-    // 1️⃣ Save payment history
-    const paymentDoc = {
-      appointmentId: new ObjectId(appointmentId),
-      serviceId: service._id,
-      serviceTitle: service.title,
-      amount,
-      currency: "usd",
-      paymentIntentId,
-      transactionId: paymentIntentId,
-      customerName,
-      customerEmail,
-      status: "succeeded",
-      createdAt: new Date(),
-    };
+      if (getAppointmentStatus(appointment) !== "completed" || !paid) {
+        return res.status(400).send({
+          message: "Only completed, paid appointments can be reviewed",
+        });
+      }
 
-    await Payments.insertOne(paymentDoc);
+      const result = await Reviews.insertOne({
+        ...review,
+        service: review.service || appointment.serviceId,
+        appointmentId: appointment._id,
+        serviceId: appointment.serviceId,
+        doctorId: appointment.doctorId,
+        doctorEmail: appointment.doctorEmail,
+        status: "pending",
+        reports: [],
+        reportCount: 0,
+        createdAt: new Date(),
+      });
 
-    // 2️⃣ Update appointment status
-    await Appointments.updateOne(
-      { _id: new ObjectId(appointmentId) },
-      {
+      await refreshRatings({
+        serviceId: appointment.serviceId,
+        doctorId: appointment.doctorId,
+      });
+
+      res.send(result);
+    } catch (error) {
+      if (error.code === 11000) {
+        return res
+          .status(409)
+          .send({ message: "This appointment has already been reviewed" });
+      }
+      res.status(500).send({ message: error.message });
+    }
+  },
+);
+
+// Edited reviews go back through moderation
+app.put(
+  "/reviews/:id",
+  verifyJWT,
+  validateBody(schemas.reviewUpdate),
+  authorize("review:manage", loadReview),
+  async (req, res) => {
+    try {
+      const id = req.params.id;
+
+      const updatedDoc = {
         $set: {
-          paymentStatus: "paid",
-          transactionId: paymentIntentId,
-          paidAt: new Date(),
+          rating: req.body.ratingSub,
+          text: req.body.textSub,
+          status: "pending",
+          editedAt: new Date(),
         },
-      },
-    );
-
-    res.status(201).json({
-      success: true,
-      message: "Payment stored successfully",
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
-});
+      };
 
-/* ========================
-   Users
-======================== */
+      const result = await Reviews.updateOne(
+        { _id: new ObjectId(id) },
+        updatedDoc,
+      );
 
-app.post("/users", async (req, res) => {
-  try {
-    const { name, email, photoURL } = req.body;
+      // The edited review is pending again, so it drops out of the
+      // ratings until a moderator re-approves it
+      await refreshRatings({ ...req.resource, ...updatedDoc.$set });
 
-    if (!email) {
-      return res.status(400).json({ message: "Email is required" });
+      res.send(result);
+    } catch (error) {
+      res.status(500).send({ message: error.message });
     }
+  },
+);
 
-    const existingUser = await Users.findOne({ email });
+app.patch(
+  "/reviews/:id/moderation",
+  verifyJWT,
+  verifyAdmin,
+  validateBody(schemas.reviewModeration),
+  async (req, res) => {
+    try {
+      const id = req.params.id;
+      const { status, reason } = req.body;
 
-    if (!existingUser) {
-      // 🆕 New user (REGISTER)
-      const newUser = {
-        name,
-        email,
-        photoURL,
-        role: "user",
-        createdAt: new Date(),
-        lastLoginAt: new Date(),
-      };
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).send({ error: "Invalid ID" });
+      }
 
-      await Users.insertOne(newUser);
+      if (status === "hidden" && !reason) {
+        return res
+          .status(400)
+          .send({ message: "A reason is required to hide a review" });
+      }
 
-      return res.json({
-        success: true,
-        message: "User created",
-        type: "register",
-      });
-    } else {
-      // 🔁 Existing user (LOGIN)
-      await Users.updateOne(
-        { email },
+      const now = new Date();
+      const result = await Reviews.findOneAndUpdate(
+        { _id: new ObjectId(id) },
         {
           $set: {
-            lastLoginAt: new Date(),
+            status,
+            moderation: {
+              by: req.decoded.email,
+              reason: reason || null,
+              at: now,
+            },
+          },
+          $push: {
+            moderationHistory: {
+              status,
+              reason: reason || null,
+              by: req.decoded.email,
+              at: now,
+            },
           },
         },
       );
 
-      return res.json({
-        success: true,
-        message: "Login time updated",
-        type: "login",
-      });
+      if (!result.value) {
+        return res.status(404).send({ message: "Review not found" });
+      }
+
+      await refreshRatings(result.value);
+      await recordAudit(
+        requestContext(req),
+        "review.moderate",
+        { type: "review", id },
+        {
+          before: { status: result.value.status || null },
+          after: { status, reason: reason || null },
+        },
+      );
+
+      res.send({ success: true, message: `Review ${status}` });
+    } catch (error) {
+      res.status(500).send({ message: error.message });
     }
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
-});
+  },
+);
 
-app.get("/users/:email", verifyJWT, async (req, res) => {
-  try {
-    const { email } = req.params;
+// Anyone but the author can report a review, once
+app.post(
+  "/reviews/:id/report",
+  verifyJWT,
+  validateBody(schemas.reviewReport),
+  authorize("review:report", loadReview),
+  async (req, res) => {
+    try {
+      const email = req.decoded.email;
 
-    const user = await Users.findOne({ email });
+      const result = await Reviews.updateOne(
+        { _id: req.resource._id, "reports.by": { $ne: email } },
+        {
+          $push: {
+            reports: { by: email, reason: req.body.reason, at: new Date() },
+          },
+          $inc: { reportCount: 1 },
+        },
+      );
 
-    res.json({
-      success: true,
-      data: user,
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
-});
+      if (!result.modifiedCount) {
+        return res
+          .status(409)
+          .send({ message: "You have already reported this review" });
+      }
 
-app.get("/users", verifyJWT, verifyAdmin, async (req, res) => {
-  try {
-    const users = await Users.find({}).toArray();
+      res.send({ success: true, message: "Review reported" });
+    } catch (error) {
+      res.status(500).send({ message: error.message });
+    }
+  },
+);
+
+app.delete(
+  "/reviews/:id",
+  verifyJWT,
+  authorize("review:manage", loadReview),
+  async (req, res) => {
+    try {
+      const id = req.params.id;
+
+      const result = await Reviews.deleteOne({
+        _id: new ObjectId(id),
+      });
 
-    if (!users) {
-      return res.status(404).json({ message: "There have no users" });
+      await refreshRatings(req.resource);
+
+      // Authors deleting their own review are not audited
+      if (req.resource.email !== req.decoded.email) {
+        await recordAudit(
+          requestContext(req),
+          "review.delete",
+          { type: "review", id },
+          { before: req.resource },
+        );
+      }
+
+      res.send(result);
+    } catch (error) {
+      res.status(500).send({ message: error.message });
     }
+  },
+);
 
-    res.json({
-      success: true,
-      data: users,
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
-});
+/* ========================
+   Uploads
+======================== */
 
-app.get("/users/check/:email", async (req, res) => {
+const loadUpload = (req) =>
+  Uploads.findOne({ _id: new ObjectId(req.params.id) });
+
+// multipart/form-data with a single `file` field; ?purpose= picks the rules
+app.post("/uploads", verifyJWT, receiveFile, async (req, res) => {
   try {
-    const email = req.params.email;
+    const { purpose } = req.query;
+    const rules = UPLOAD_PURPOSES[purpose];
+
+    if (!rules) {
+      return res.status(400).json({
+        message: `purpose must be one of: ${Object.keys(UPLOAD_PURPOSES).join(
+          ", ",
+        )}`,
+      });
+    }
 
-    const existingUser = await Users.findOne({ email });
+    if (!req.file) {
+      return res.status(400).json({ message: "file is required" });
+    }
 
-    if (existingUser) {
-      return res.status(409).json({
-        message: "Email already registered. Please login.",
+    const user = await Users.findOne({ email: req.decoded.email });
+
+    if (rules.adminOnly && !isAdmin(user)) {
+      return res.status(403).send({ message: "Forbidden" });
+    }
+
+    if (req.file.size > rules.maxBytes) {
+      return res.status(413).json({
+        message: `File is larger than ${rules.maxBytes / 1024 / 1024} MB`,
       });
     }
 
-    res.status(200).json({ message: "Email available" });
-  } catch (error) {
-    res.status(500).json({
-      message: "Server error",
-      error: error.message,
+    const contentType = detectFileType(req.file.buffer);
+
+    if (!rules.types.includes(contentType)) {
+      return res.status(415).json({
+        message: `File must be one of: ${rules.types.join(", ")}`,
+      });
+    }
+
+    const record = await storeUpload(
+      req.file,
+      purpose,
+      contentType,
+      req.decoded.email,
+    );
+
+    res.status(201).send({
+      success: true,
+      upload: {
+        _id: record._id,
+        purpose,
+        visibility: record.visibility,
+        contentType: record.contentType,
+        size: record.size,
+        url: record.url || null,
+        thumbnailUrl: record.thumbnailUrl || null,
+      },
     });
+  } catch (error) {
+    // sharp rejects files that only look like images
+    if (/unsupported image format|Input buffer/i.test(error.message)) {
+      return res.status(415).json({ message: "File is not a valid image" });
+    }
+    res.status(500).json({ message: error.message });
   }
 });
 
-app.patch(
-  "/user/:id",
+// A link to the file: permanent for public uploads, signed for private ones
+app.get(
+  "/uploads/:id/url",
   verifyJWT,
-  verifyAdmin,
-  verifySuperAdmin,
+  authorize("upload:manage", loadUpload),
   async (req, res) => {
     try {
-      const id = req.params.id;
-      const { role } = req.body;
-      if (!ObjectId.isValid(id)) {
-        return res.status(400).send({ error: "Invalid ID" });
-      }
-      const user = await Users.findOne({ _id: new ObjectId(id) });
-      if (user.role === "admin" && role !== "admin") {
-        const adminCount = await Users.countDocuments({
-          role: "admin",
-        });
-        if (adminCount <= 1) {
-          return res.status(400).send({
-            error: "At least one admin must remain in the system",
-          });
-        }
+      const record = req.resource;
+
+      if (record.visibility === "public") {
+        return res.send({ url: record.url, expiresAt: null });
       }
-      const userUpdate = await Users.updateOne(
-        { _id: new ObjectId(id) },
-        {
-          $set: { role },
-        },
-      );
+
       res.send({
-        modifiedCount: userUpdate.modifiedCount,
-        message: "Role updated successfully",
+        url: await signUpload(record),
+        expiresAt: new Date(Date.now() + SIGNED_URL_SECONDS * 1000),
       });
     } catch (error) {
-      console.error("Update Error:", error);
       res.status(500).send({ error: "Server Error" });
     }
   },
 );
 
 app.delete(
-  "/user/:id",
+  "/uploads/:id",
   verifyJWT,
-  verifyAdmin,
-  verifySuperAdmin,
+  authorize("upload:manage", loadUpload),
   async (req, res) => {
-    const id = req.params.id;
+    try {
+      const record = req.resource;
 
-    if (!ObjectId.isValid(id)) {
-      return res.status(400).send({ error: "Invalid ID" });
+      if (await isUploadReferenced(record)) {
+        return res
+          .status(409)
+          .send({ error: "The file is still in use and cannot be deleted" });
+      }
+
+      await removeUpload(record);
+      res.send({ success: true });
+    } catch (error) {
+      res.status(500).send({ error: "Server Error" });
     }
+  },
+);
 
-    const result = await Users.deleteOne({
-      _id: new ObjectId(id),
+// Serves files from the local disk adapter; S3 serves its own
+app.get(/^\/files\/(.+)$/, async (req, res) => {
+  const key = req.params[0];
+
+  if (storage.name !== "local" || !KEY_PATTERN.test(key)) {
+    return res.status(404).send({ error: "File not found" });
+  }
+
+  if (
+    isPrivateKey(key) &&
+    !storage.verify(key, req.query.expires, req.query.signature)
+  ) {
+    return res.status(403).send({ message: "Link is invalid or has expired" });
+  }
+
+  try {
+    const body = await storage.get(key);
+
+    res.set(
+      "Cache-Control",
+      isPrivateKey(key)
+        ? "private, no-store"
+        : "public, max-age=31536000, immutable",
+    );
+    res.type(path.extname(key)).send(body);
+  } catch (error) {
+    res.status(404).send({ error: "File not found" });
+  }
+});
+
+/* ========================
+   Notifications
+======================== */
+
+// Delivery status of the outbox: ?status=&channel=&email=
+app.get("/notifications", verifyJWT, verifyAdmin, async (req, res) => {
+  try {
+    const { status, channel, email } = req.query;
+
+    const filter = compactFilter({
+      status: queryValue(status),
+      channel: queryValue(channel),
+      userEmail: queryValue(email),
     });
 
+    const result = await findPage(
+      Notifications,
+      filter,
+      req.query,
+      ["createdAt", "sentAt", "attempts"],
+      { createdAt: -1 },
+    );
     res.send(result);
-  },
-);
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+});
+
+// Sends whatever is due for a retry
+app.post("/notifications/process", verifyJWT, verifyAdmin, async (req, res) => {
+  try {
+    const processed = await processOutbox();
+    res.send({ success: true, processed });
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
+});
 
 /* ========================
-   Doctors (doctors-all)
+   Jobs
 ======================== */
 
-app.get("/doctors-all", async (req, res) => {
-  const doctors = await Doctors.find({}).toArray();
-  res.send(doctors);
-});
+// Called by Vercel Cron, which sends "Authorization: Bearer $CRON_SECRET"
+app.get("/jobs/run", async (req, res) => {
+  const secret = process.env.CRON_SECRET;
 
-app.get("/doctor-by-email/:email", async (req, res) => {
-  const email = req.params.email;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).send({ message: "unauthorized access" });
+  }
 
   try {
-    const doctor = await Doctors.findOne({ email });
-
-    if (!doctor) {
-      return res.status(404).json({ error: "Doctor not found" });
-    }
-
-    res.json(doctor);
-  } catch (err) {
-    res.status(500).json({ error: "Server error" });
+    const ran = await runDueJobs();
+    res.send({ success: true, ran });
+  } catch (error) {
+    res.status(500).send({ message: error.message });
   }
 });
 
-app.post("/doctors-all", verifyJWT, async (req, res) => {
-  const doctor = {
-    ...req.body,
-    permission: "pending",
-    createdAt: new Date(),
-  };
+app.get("/jobs", verifyJWT, verifyAdmin, async (req, res) => {
+  try {
+    const { status, name } = req.query;
+
+    const filter = compactFilter({
+      status: queryValue(status),
+      name: queryValue(name),
+    });
 
-  const result = await Doctors.insertOne(doctor);
-  res.send(result);
+    const result = await findPage(
+      Jobs,
+      filter,
+      req.query,
+      ["runAt", "createdAt", "attempts"],
+      { runAt: -1 },
+    );
+    res.send(result);
+  } catch (error) {
+    res.status(500).send({ message: error.message });
+  }
 });
 
-app.patch("/doctors-all/:id", verifyJWT, verifyAdmin, async (req, res) => {
-  try {
-    const id = req.params.id;
-    const { permission } = req.body;
+/* ========================
+   Analytics
+======================== */
 
-    if (!ObjectId.isValid(id)) {
-      return res.status(400).send({ error: "Invalid ID" });
-    }
+// Admin dashboard numbers, all computed by aggregation pipelines.
+// Every endpoint takes ?from=&to= (YYYY-MM-DD, clinic time, defaulting to
+// the last 30 days); the time series also take ?interval=day|week|month.
 
-    if (!["approved", "rejected"].includes(permission)) {
-      return res.status(400).send({ error: "Invalid permission value" });
-    }
+const ANALYTICS_INTERVALS = ["day", "week", "month"];
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_DAYS = 366;
 
-    // 1️⃣ Find doctor first
-    const doctor = await Doctors.findOne({
-      _id: new ObjectId(id),
-    });
+// Disputed money is on hold, so it is left out of revenue
+const REVENUE_STATUSES = ["succeeded", "partially_refunded", "refunded"];
 
-    if (!doctor) {
-      return res.status(404).send({ error: "Doctor not found" });
-    }
+// Resolves the shared query parameters, or { error } for a bad request
+const parseAnalyticsQuery = (query) => {
+  const to = queryValue(query.to) || clinicToday();
+  const from =
+    queryValue(query.from) || addDays(to, 1 - ANALYTICS_DEFAULT_DAYS);
+  const interval = queryValue(query.interval) || "day";
 
-    // 2️⃣ Update doctor permission
-    const doctorUpdate = await Doctors.updateOne(
-      { _id: new ObjectId(id) },
-      { $set: { permission } },
-    );
+  if (!isValidDate(from) || !isValidDate(to)) {
+    return { error: "from and to must be YYYY-MM-DD" };
+  }
 
-    // 3️⃣ Update user role based on permission
-    const newRole = permission === "approved" ? "doctor" : "user";
+  const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
 
-    const userUpdate = await Users.updateOne(
-      { email: doctor.email },
-      { $set: { role: newRole, roleUpdateAt: new Date() } },
-    );
+  if (days < 1 || days > ANALYTICS_MAX_DAYS) {
+    return {
+      error: `The range must cover 1 to ${ANALYTICS_MAX_DAYS} days`,
+    };
+  }
 
-    res.send({
-      doctorUpdate,
-      userUpdate,
-      message: "Permission & role updated successfully",
-    });
-  } catch (error) {
-    console.error("Update Error:", error);
-    res.status(500).send({ error: "Server Error" });
+  if (!ANALYTICS_INTERVALS.includes(interval)) {
+    return {
+      error: `interval must be one of: ${ANALYTICS_INTERVALS.join(", ")}`,
+    };
   }
-});
 
-app.put("/doctors-all/:id", async (req, res) => {
-  const id = req.params.id;
+  return {
+    from,
+    to,
+    interval,
+    start: toClinicDate(from, "00:00"),
+    end: new Date(toClinicDate(addDays(to, 1), "00:00") - 1),
+  };
+};
 
-  if (!ObjectId.isValid(id)) {
-    return res.status(400).send({ error: "Invalid ID" });
-  }
-  const updatedDoctor = {
-    $set: {
-      doctorImage: req.body.doctorImage,
-      name: req.body.name,
-      education: req.body.education,
-      registrationNumber: req.body.registrationNumber,
-      specialty: req.body.specialty,
-      workingAt: req.body.workingAt,
-      experience: req.body.experience,
-      fee: req.body.fee,
-      availability: req.body.availability,
+// The first day (clinic time) of the period `dateExpression` falls in
+const periodOf = (dateExpression, interval) => ({
+  $dateToString: {
+    format: "%Y-%m-%d",
+    timezone: CLINIC_UTC_OFFSET,
+    date: {
+      $dateTrunc: {
+        date: dateExpression,
+        unit: interval,
+        timezone: CLINIC_UTC_OFFSET,
+        startOfWeek: "sunday",
+      },
     },
-  };
+  },
+});
 
-  const result = await Doctors.updateOne(
-    { _id: new ObjectId(id) },
-    updatedDoctor,
-  );
+// Appointments store their day as a "YYYY-MM-DD" string
+const appointmentDay = {
+  $dateFromString: {
+    dateString: "$date",
+    timezone: CLINIC_UTC_OFFSET,
+    onError: null,
+    onNull: null,
+  },
+};
 
-  res.send(result);
-});
+const ratio = (part, whole) =>
+  whole ? Math.round((part / whole) * 10000) / 10000 : null;
 
-app.put("/update-profile", async (req, res) => {
-  const { email, name, photoURL } = req.body;
+// ?branchId= narrows a report to one branch; branch admins must send it
+const analyticsRoute = (handler) => async (req, res) => {
+  const range = parseAnalyticsQuery(req.query);
+  const branchId = queryValue(req.query.branchId);
 
-  const filter = { email };
+  if (range.error) {
+    return res.status(400).send({ message: range.error });
+  }
 
-  const updateDoctor = {
-    $set: {
-      name,
-      doctorImage: photoURL,
-    },
-  };
-  const updateReview = {
-    $set: {
-      name,
-      image: photoURL,
-    },
-  };
-  const updateUser = {
-    $set: {
-      name,
-      photoURL,
-    },
-  };
+  if (branchId && !ObjectId.isValid(branchId)) {
+    return res.status(400).send({ message: "Invalid branchId" });
+  }
 
   try {
-    await Users.updateOne(filter, updateUser);
-    await Doctors.updateOne(filter, updateDoctor);
-    await Reviews.updateMany(filter, updateReview);
+    const branch = branchId ? new ObjectId(branchId) : null;
 
     res.send({
       success: true,
-      message: "Profile updated everywhere",
+      range,
+      branchId: branch,
+      ...(await handler(range, req.query, branch)),
     });
-  } catch (err) {
-    res.status(500).send({ error: "Update failed" });
+  } catch (error) {
+    res.status(500).send({ message: error.message });
   }
-});
-
-/* ========================
-   Reviews
-======================== */
+};
 
-app.get("/reviews", verifyJWT, async (req, res) => {
-  const decoded = req.decoded;
+// Net revenue (paid minus refunded) per period and currency;
+// ?groupBy=service|doctor splits each period further
+app.get(
+  "/analytics/revenue",
+  verifyJWT,
+  authorize("report:read", fromQuery),
+  analyticsRoute(async ({ start, end, interval }, query, branchId) => {
+    const groupBy = queryValue(query.groupBy);
+    const groups = {
+      service: { key: "$serviceId", label: "$serviceTitle" },
+      doctor: { key: "$doctorId", label: "$doctorName" },
+    };
+    const group = groups[groupBy] || { key: null, label: null };
+
+    // Payments only know their appointment, which knows the doctor and
+    // the branch
+    const appointmentStages =
+      groupBy === "doctor" || branchId
+        ? [
+            {
+              $lookup: {
+                from: "appointments",
+                localField: "appointmentId",
+                foreignField: "_id",
+                as: "appointment",
+              },
+            },
+            {
+              $set: {
+                doctorId: { $first: "$appointment.doctorId" },
+                doctorName: { $first: "$appointment.doctorName" },
+                branchId: { $first: "$appointment.branchId" },
+              },
+            },
+            ...(branchId ? [{ $match: { branchId } }] : []),
+          ]
+        : [];
+
+    const rows = await Payments.aggregate([
+      {
+        $match: {
+          status: { $in: REVENUE_STATUSES },
+          createdAt: { $gte: start, $lte: end },
+        },
+      },
+      ...appointmentStages,
+      {
+        $group: {
+          _id: {
+            period: periodOf("$createdAt", interval),
+            currency: { $toLower: "$currency" },
+            key: group.key,
+          },
+          label: { $first: group.label },
+          payments: { $sum: 1 },
+          gross: { $sum: "$amount" },
+          refunded: { $sum: { $ifNull: ["$amountRefunded", 0] } },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          period: "$_id.period",
+          currency: "$_id.currency",
+          key: "$_id.key",
+          label: 1,
+          payments: 1,
+          gross: { $round: ["$gross", 2] },
+          refunded: { $round: ["$refunded", 2] },
+          net: { $round: [{ $subtract: ["$gross", "$refunded"] }, 2] },
+        },
+      },
+      { $sort: { period: 1, currency: 1, net: -1 } },
+    ]).toArray();
+
+    const totals = {};
+    rows.forEach((row) => {
+      const total = (totals[row.currency] ||= {
+        payments: 0,
+        gross: 0,
+        refunded: 0,
+        net: 0,
+      });
+      total.payments += row.payments;
+      total.gross = Math.round((total.gross + row.gross) * 100) / 100;
+      total.refunded = Math.round((total.refunded + row.refunded) * 100) / 100;
+      total.net = Math.round((total.net + row.net) * 100) / 100;
+    });
 
-  if (decoded.email !== req.query.email) {
-    return res.status(403).send({ message: "Unauthorized access" });
-  }
+    return { groupBy: groups[groupBy] ? groupBy : null, data: rows, totals };
+  }),
+);
 
-  const query = req.query.email ? { email: req.query.email } : {};
+// Bookings per period by status, with no-show and cancellation rates
+app.get(
+  "/analytics/appointments",
+  verifyJWT,
+  authorize("report:read", fromQuery),
+  analyticsRoute(async ({ from, to, interval }, query, branchId) => {
+    const rows = await Appointments.aggregate([
+      {
+        $match: {
+          date: { $gte: from, $lte: to },
+          deletedAt: { $exists: false },
+          ...(branchId && { branchId }),
+        },
+      },
+      {
+        $group: {
+          _id: {
+            period: periodOf(appointmentDay, interval),
+            status: { $ifNull: ["$status", "requested"] },
+          },
+          count: { $sum: 1 },
+        },
+      },
+      {
+        $group: {
+          _id: "$_id.period",
+          total: { $sum: "$count" },
+          statuses: { $push: { k: "$_id.status", v: "$count" } },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          period: "$_id",
+          total: 1,
+          byStatus: { $arrayToObject: "$statuses" },
+        },
+      },
+      { $sort: { period: 1 } },
+    ]).toArray();
+
+    // No-shows are measured against visits that were due to happen
+    const withRates = (counts, total) => {
+      const noShows = counts["no-show"] || 0;
+      return {
+        noShowRate: ratio(noShows, noShows + (counts.completed || 0)),
+        cancellationRate: ratio(counts.cancelled || 0, total),
+      };
+    };
 
-  const reviews = await Reviews.find(query).toArray();
-  res.send(reviews);
-});
+    const overall = { total: 0, byStatus: {} };
+    rows.forEach((row) => {
+      overall.total += row.total;
+      Object.entries(row.byStatus).forEach(([status, count]) => {
+        overall.byStatus[status] = (overall.byStatus[status] || 0) + count;
+      });
+    });
 
-app.get("/reviews-all", verifyJWT, verifyAdmin, async (req, res) => {
-  const decoded = req.decoded;
+    return {
+      data: rows.map((row) => ({
+        ...row,
+        ...withRates(row.byStatus, row.total),
+      })),
+      totals: {
+        ...overall,
+        ...withRates(overall.byStatus, overall.total),
+      },
+    };
+  }),
+);
 
-  const user = await Users.findOne({ email: decoded.email });
+// New accounts per period, split by current role. For a branch, only the
+// accounts that have booked there are counted.
+app.get(
+  "/analytics/signups",
+  verifyJWT,
+  authorize("report:read", fromQuery),
+  analyticsRoute(async ({ start, end, interval }, query, branchId) => {
+    const branchStages = branchId
+      ? [
+          {
+            $lookup: {
+              from: "appointments",
+              localField: "email",
+              foreignField: "email",
+              as: "appointments",
+            },
+          },
+          { $match: { "appointments.branchId": branchId } },
+        ]
+      : [];
 
-  if (user.role !== "admin") {
-    return res.status(403).send({ message: "Admins only" });
-  }
+    const rows = await Users.aggregate([
+      { $match: { createdAt: { $gte: start, $lte: end } } },
+      ...branchStages,
+      {
+        $group: {
+          _id: {
+            period: periodOf("$createdAt", interval),
+            role: { $ifNull: ["$role", "user"] },
+          },
+          count: { $sum: 1 },
+        },
+      },
+      {
+        $group: {
+          _id: "$_id.period",
+          total: { $sum: "$count" },
+          roles: { $push: { k: "$_id.role", v: "$count" } },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          period: "$_id",
+          total: 1,
+          byRole: { $arrayToObject: "$roles" },
+        },
+      },
+      { $sort: { period: 1 } },
+    ]).toArray();
 
-  const reviews = await Reviews.find().toArray();
-  res.send(reviews);
-});
+    return {
+      data: rows,
+      totals: { total: rows.reduce((sum, row) => sum + row.total, 0) },
+    };
+  }),
+);
 
-app.get("/review", verifyJWT, async (req, res) => {
-  const query = req.query.service ? { service: req.query.service } : {};
+// Booked slots against the slots each doctor's weekly schedule offers.
+// The current schedule is used for the whole range. Doctors at several
+// branches are counted at each of them, or at the one asked for.
+app.get(
+  "/analytics/doctor-utilization",
+  verifyJWT,
+  authorize("report:read", fromQuery),
+  analyticsRoute(async ({ from, to }, query, branchId) => {
+    const doctors = await Doctors.find(
+      { permission: "approved", ...(branchId && { branchIds: branchId }) },
+      {
+        projection: {
+          name: 1,
+          email: 1,
+          specialty: 1,
+          schedule: 1,
+          branchIds: 1,
+          branchSchedules: 1,
+        },
+      },
+    ).toArray();
+
+    const branches = await Branches.find(
+      branchId ? { _id: branchId } : {},
+    ).toArray();
+    const branchesOf = (doctor) =>
+      branchId
+        ? branches
+        : branches.filter((branch) =>
+            (doctor.branchIds || []).some((id) => id.equals(branch._id)),
+          );
+
+    const booked = await Appointments.aggregate([
+      {
+        $match: {
+          date: { $gte: from, $lte: to },
+          doctorId: { $in: doctors.map((doctor) => doctor._id) },
+          status: { $ne: "cancelled" },
+          ...(branchId && { branchId }),
+        },
+      },
+      {
+        $group: {
+          _id: "$doctorId",
+          booked: { $sum: 1 },
+          completed: {
+            $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] },
+          },
+          noShows: {
+            $sum: { $cond: [{ $eq: ["$status", "no-show"] }, 1, 0] },
+          },
+        },
+      },
+    ]).toArray();
 
-  const reviews = await Reviews.find(query).toArray();
-  res.send(reviews);
-});
+    const bookedByDoctor = Object.fromEntries(
+      booked.map((row) => [String(row._id), row]),
+    );
 
-app.get("/reviews/:id", verifyJWT, async (req, res) => {
-  const id = req.params.id;
+    const data = doctors.map((doctor) => {
+      // Branches without their own schedule share the general one, which
+      // is counted once
+      const worksAt = branchesOf(doctor);
+      const own = worksAt.filter((b) => doctor.branchSchedules?.[b._id]);
+      const shared = worksAt.find((b) => !doctor.branchSchedules?.[b._id]);
+      const schedules = own.map((branch) => scheduleFor(doctor, branch));
+      if (shared || !worksAt.length) {
+        schedules.push(scheduleFor(doctor, shared || null));
+      }
 
-  if (!ObjectId.isValid(id)) {
-    return res.status(400).send({ error: "Invalid ID" });
-  }
+      let available = 0;
+      for (let date = from; date <= to; date = addDays(date, 1)) {
+        schedules.forEach((schedule) => {
+          available += buildDaySlots(schedule, date).length;
+        });
+      }
 
-  const review = await Reviews.findOne({ _id: new ObjectId(id) });
-  res.send(review);
-});
+      const counts = bookedByDoctor[String(doctor._id)] || {};
+
+      return {
+        doctorId: doctor._id,
+        name: doctor.name,
+        specialty: doctor.specialty || null,
+        available,
+        booked: counts.booked || 0,
+        completed: counts.completed || 0,
+        noShows: counts.noShows || 0,
+        utilization: ratio(counts.booked || 0, available),
+      };
+    });
 
-app.post("/reviews", verifyJWT, async (req, res) => {
-  const result = await Reviews.insertOne(req.body);
-  res.send(result);
-});
+    data.sort((a, b) => (b.utilization ?? -1) - (a.utilization ?? -1));
 
-app.put("/reviews/:id", verifyJWT, async (req, res) => {
-  const id = req.params.id;
+    return { data };
+  }),
+);
 
-  if (!ObjectId.isValid(id)) {
-    return res.status(400).send({ error: "Invalid ID" });
-  }
+// Best-rated services from the public reviews written in the range;
+// ?minReviews= (default 3) keeps one lucky 5-star review off the top.
+// For a branch, only reviews of visits made there are counted.
+app.get(
+  "/analytics/top-services",
+  verifyJWT,
+  authorize("report:read", fromQuery),
+  analyticsRoute(async ({ start, end }, query, branchId) => {
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 10, 1), 50);
+    const minReviews = Math.max(parseInt(query.minReviews, 10) || 3, 1);
+
+    // Reviews only know their appointment, which knows the branch
+    const branchStages = branchId
+      ? [
+          {
+            $lookup: {
+              from: "appointments",
+              localField: "appointmentId",
+              foreignField: "_id",
+              as: "appointment",
+            },
+          },
+          { $match: { "appointment.branchId": branchId } },
+        ]
+      : [];
 
-  const updatedDoc = {
-    $set: {
-      rating: req.body.ratingSub,
-      text: req.body.textSub,
-    },
-  };
+    const data = await Reviews.aggregate([
+      { $match: { ...PUBLIC_REVIEW, createdAt: { $gte: start, $lte: end } } },
+      ...branchStages,
+      {
+        $project: {
+          serviceId: {
+            $convert: {
+              input: { $ifNull: ["$serviceId", "$service"] },
+              to: "objectId",
+              onError: null,
+              onNull: null,
+            },
+          },
+          rating: {
+            $convert: {
+              input: "$rating",
+              to: "double",
+              onError: null,
+              onNull: null,
+            },
+          },
+        },
+      },
+      { $match: { serviceId: { $ne: null }, rating: { $gte: 1, $lte: 5 } } },
+      {
+        $group: {
+          _id: "$serviceId",
+          average: { $avg: "$rating" },
+          reviews: { $sum: 1 },
+        },
+      },
+      { $match: { reviews: { $gte: minReviews } } },
+      { $sort: { average: -1, reviews: -1 } },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: "services",
+          localField: "_id",
+          foreignField: "_id",
+          as: "service",
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          serviceId: "$_id",
+          title: { $first: "$service.title" },
+          price: { $first: "$service.price" },
+          average: { $round: ["$average", 2] },
+          reviews: 1,
+        },
+      },
+    ]).toArray();
 
-  const result = await Reviews.updateOne({ _id: new ObjectId(id) }, updatedDoc);
+    return { minReviews, data };
+  }),
+);
 
-  res.send(result);
-});
+/* ========================
+   Audit Log
+======================== */
 
-app.delete("/reviews/:id", verifyJWT, async (req, res) => {
-  const id = req.params.id;
+const AUDIT_EXPORT_LIMIT = 50000;
 
-  if (!ObjectId.isValid(id)) {
-    return res.status(400).send({ error: "Invalid ID" });
-  }
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? NaN : date;
+};
 
-  const result = await Reviews.deleteOne({
-    _id: new ObjectId(id),
+// ?actor=&action=&targetType=&targetId=&from=&to=
+const auditFilter = (query) => {
+  const { actor, action, targetType, targetId, from, to } = query;
+
+  // Bare dates cover whole days in clinic time; full timestamps are exact
+  const since = isValidDate(from)
+    ? `${from}T00:00:00${CLINIC_UTC_OFFSET}`
+    : from;
+  const until = isValidDate(to) ? `${to}T23:59:59.999${CLINIC_UTC_OFFSET}` : to;
+
+  return compactFilter({
+    actor: queryValue(actor),
+    action: queryValue(action),
+    "target.type": queryValue(targetType),
+    "target.id": queryValue(targetId),
+    at: rangeFilter(since, until, parseDate),
   });
+};
 
-  res.send(result);
-});
+// Quotes a CSV cell, and defuses cells a spreadsheet would run as formulas
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const AUDIT_COLUMNS = [
+  ["at", (entry) => entry.at.toISOString()],
+  ["actor", (entry) => entry.actor],
+  ["action", (entry) => entry.action],
+  ["targetType", (entry) => entry.target?.type],
+  ["targetId", (entry) => entry.target?.id],
+  ["ip", (entry) => entry.ip],
+  ["userAgent", (entry) => entry.userAgent],
+  ["before", (entry) => entry.before],
+  ["after", (entry) => entry.after],
+];
+
+app.get(
+  "/audit-log",
+  verifyJWT,
+  verifyAdmin,
+  verifySuperAdmin,
+  async (req, res) => {
+    try {
+      const result = await findPage(
+        AuditLog,
+        auditFilter(req.query),
+        req.query,
+        ["at", "actor", "action"],
+        { at: -1 },
+      );
+      res.send(result);
+    } catch (error) {
+      res.status(500).send({ message: error.message });
+    }
+  },
+);
+
+// Same filters as GET /audit-log, newest first, as a CSV download
+app.get(
+  "/audit-log/export",
+  verifyJWT,
+  verifyAdmin,
+  verifySuperAdmin,
+  async (req, res) => {
+    const cursor = AuditLog.find(auditFilter(req.query))
+      .sort({ at: -1 })
+      .limit(AUDIT_EXPORT_LIMIT);
+
+    try {
+      const day = new Date().toISOString().slice(0, 10);
+
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="audit-log-${day}.csv"`,
+      );
+      res.write(`${AUDIT_COLUMNS.map(([name]) => name).join(",")}\r\n`);
+
+      for await (const entry of cursor) {
+        const row = AUDIT_COLUMNS.map(([, read]) => csvCell(read(entry)));
+        res.write(`${row.join(",")}\r\n`);
+      }
+
+      res.end();
+    } catch (error) {
+      if (!res.headersSent) {
+        return res.status(500).send({ message: error.message });
+      }
+      // Too late for an error status; a cut-off file is the signal
+      res.destroy(error);
+    } finally {
+      await cursor.close();
+    }
+  },
+);
 
 /* ========================
    Graceful Shutdown
@@ -889,9 +8691,30 @@ app.use((err, req, res, next) => {
 // }
 
 // startServer();
+
+/* ========================
+   App Factory
+======================== */
+
+// Wires the app to its Stripe client and, when given one, a database that
+// is already connected (tests pass an in-memory one). Without a database
+// the app connects to MONGODB_URI on its first request.
+function createApp({ stripeClient, database } = {}) {
+  stripe = stripeClient || new Stripe(process.env.STRIPE_SECRET_KEY);
+  if (database) useDatabase(database);
+  return app;
+}
+
 module.exports = async (req, res) => {
+  if (!stripe) createApp();
   if (!client.topology?.isConnected()) {
     await connectDatabase();
   }
   return app(req, res);
 };
+
+module.exports.createApp = createApp;
+
+// Used by worker.js to drive background jobs outside of a request
+module.exports.connectDatabase = connectDatabase;
+module.exports.runDueJobs = runDueJobs;
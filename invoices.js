@@ -0,0 +1,215 @@
+/**
+ * =========================================================
+ * Invoice & Receipt PDFs
+ * =========================================================
+ * Renders the receipt for one payment as a PDF. Everything
+ * it prints is passed in, so the layout can be checked
+ * without a database. Invoice numbering, access control and
+ * emailing live in index.js.
+ * =========================================================
+ */
+
+const PDFDocument = require("pdfkit");
+const { CLINIC_NAME } = require("./notifications");
+const { exponentOf } = require("./money");
+
+const clinicDetails = (env = process.env) => ({
+  name: CLINIC_NAME,
+  address: env.CLINIC_ADDRESS || "Dhaka, Bangladesh",
+  phone: env.CLINIC_PHONE || null,
+  email: env.CLINIC_EMAIL || "billing@saad-dentistry.app",
+  taxId: env.CLINIC_TAX_ID || null,
+});
+
+// Currency codes rather than symbols: the built-in PDF fonts have no ৳
+const formatMoney = (amount, currency) => {
+  const digits = exponentOf(currency);
+
+  return `${String(currency || "").toUpperCase()} ${Number(
+    amount || 0,
+  ).toLocaleString("en-US", {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  })}`;
+};
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString("en-GB", {
+        day: "numeric",
+        month: "long",
+        year: "numeric",
+      })
+    : "—";
+
+const AMOUNT_LABELS = {
+  deposit: "Deposit paid",
+  balance: "Balance paid",
+};
+
+const STATUS_LABELS = {
+  succeeded: "PAID",
+  partially_refunded: "PARTIALLY REFUNDED",
+  refunded: "REFUNDED",
+  disputed: "DISPUTED",
+};
+
+/* ========================
+   Layout
+======================== */
+
+const row = (doc, label, value, options = {}) => {
+  const y = doc.y;
+  doc.font("Helvetica").fillColor("#555").text(label, 50, y, { width: 180 });
+  doc
+    .font(options.bold ? "Helvetica-Bold" : "Helvetica")
+    .fillColor("#000")
+    .text(value ?? "—", 230, y, { width: 315, align: options.align });
+  doc.moveDown(0.4);
+};
+
+const divider = (doc) => {
+  doc.moveDown(0.5);
+  doc.strokeColor("#ddd").moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+  doc.moveDown(0.8);
+};
+
+// invoice: { number, issuedAt, status, payer: { name, email },
+//   appointment: { serviceTitle, doctorName, date, time },
+//   subtotal, discount, promoCode, taxLines: [{ name, rateBps, amount }],
+//   amount, currency, stage: "full" | "deposit" | "balance",
+//   method: "card" | "cash",
+//   transactionId, refunds: [{ amount, createdAt, reason }], amountRefunded }
+// Amounts are in major units (dollars, taka).
+const renderReceiptPdf = (invoice, clinic = clinicDetails()) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      info: {
+        Title: `Receipt ${invoice.number}`,
+        Author: clinic.name,
+      },
+    });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    // 🏥 Clinic
+    doc.font("Helvetica-Bold").fontSize(20).text(clinic.name);
+    doc.font("Helvetica").fontSize(10).fillColor("#555");
+    [
+      clinic.address,
+      clinic.phone,
+      clinic.email,
+      clinic.taxId && `Tax ID: ${clinic.taxId}`,
+    ]
+      .filter(Boolean)
+      .forEach((line) => doc.text(line));
+
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(16)
+      .fillColor("#000")
+      .text("RECEIPT", 50, 50, { align: "right" });
+    doc
+      .font("Helvetica")
+      .fontSize(10)
+      .text(invoice.number, { align: "right" })
+      .text(formatDate(invoice.issuedAt), { align: "right" })
+      .font("Helvetica-Bold")
+      .text(STATUS_LABELS[invoice.status] || invoice.status, {
+        align: "right",
+      });
+
+    doc.y = 140;
+    divider(doc);
+
+    // 👤 Payer & visit
+    doc.fontSize(11);
+    row(doc, "Billed to", invoice.payer.name || invoice.payer.email);
+    if (invoice.payer.name) row(doc, "Email", invoice.payer.email);
+    row(doc, "Service", invoice.appointment.serviceTitle);
+    row(doc, "Doctor", invoice.appointment.doctorName);
+    row(
+      doc,
+      "Appointment",
+      invoice.appointment.date
+        ? `${invoice.appointment.date} at ${invoice.appointment.time}`
+        : null,
+    );
+
+    divider(doc);
+
+    // 💳 Amounts
+    if (invoice.taxLines?.length || invoice.discount) {
+      row(doc, "Subtotal", formatMoney(invoice.subtotal, invoice.currency));
+    }
+    if (invoice.discount) {
+      row(
+        doc,
+        invoice.promoCode ? `Discount (${invoice.promoCode})` : "Discount",
+        `- ${formatMoney(invoice.discount, invoice.currency)}`,
+      );
+    }
+    if (invoice.taxLines?.length) {
+      invoice.taxLines.forEach((line) => {
+        row(
+          doc,
+          `${line.name} (${line.rateBps / 100}%)`,
+          formatMoney(line.amount, invoice.currency),
+        );
+      });
+    }
+    row(
+      doc,
+      AMOUNT_LABELS[invoice.stage] || "Amount paid",
+      formatMoney(invoice.amount, invoice.currency),
+      { bold: true },
+    );
+    row(
+      doc,
+      "Transaction",
+      invoice.method === "cash"
+        ? "Cash at the front desk"
+        : invoice.transactionId,
+    );
+
+    (invoice.refunds || []).forEach((refund) => {
+      row(
+        doc,
+        `Refund, ${formatDate(refund.createdAt)}`,
+        `- ${formatMoney(refund.amount, invoice.currency)}${
+          refund.reason ? ` (${refund.reason})` : ""
+        }`,
+      );
+    });
+
+    if (invoice.amountRefunded) {
+      row(
+        doc,
+        "Net paid",
+        formatMoney(invoice.amount - invoice.amountRefunded, invoice.currency),
+        { bold: true },
+      );
+    }
+
+    divider(doc);
+
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .fillColor("#777")
+      .text(
+        `Thank you for choosing ${clinic.name}. This receipt was generated electronically and is valid without a signature.`,
+        50,
+        doc.y,
+        { width: 495 },
+      );
+
+    doc.end();
+  });
+
+module.exports = { renderReceiptPdf, formatMoney, clinicDetails };
@@ -0,0 +1,95 @@
+/**
+ * =========================================================
+ * Currencies, Minor Units & Tax
+ * =========================================================
+ * Prices are stored and calculated as integers in the
+ * currency's minor unit (cents, poisha) so no amount ever
+ * goes through floating-point arithmetic. Stripe uses the
+ * same minor units, so a stored price can be sent as is.
+ * =========================================================
+ */
+
+// Currencies the clinic bills in: decimals, and the smallest amount Stripe
+// will charge a card (about USD 0.50), in minor units
+const CURRENCIES = {
+  usd: { exponent: 2, minimumCharge: 50, label: "US Dollar" },
+  bdt: { exponent: 2, minimumCharge: 6000, label: "Bangladeshi Taka" },
+};
+
+// Currencies Stripe treats as having no minor unit, so amounts that come
+// back from Stripe in any of them are converted correctly too
+const ZERO_DECIMAL = [
+  "bif",
+  "clp",
+  "djf",
+  "gnf",
+  "jpy",
+  "kmf",
+  "krw",
+  "mga",
+  "pyg",
+  "rwf",
+  "ugx",
+  "vnd",
+  "vuv",
+  "xaf",
+  "xof",
+  "xpf",
+];
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+const DEFAULT_CURRENCY = SUPPORTED_CURRENCIES.includes(
+  String(process.env.DEFAULT_CURRENCY).toLowerCase(),
+)
+  ? String(process.env.DEFAULT_CURRENCY).toLowerCase()
+  : "usd";
+
+const exponentOf = (currency) => {
+  const code = String(currency || "").toLowerCase();
+  if (CURRENCIES[code]) return CURRENCIES[code].exponent;
+  return ZERO_DECIMAL.includes(code) ? 0 : 2;
+};
+
+// 12.5 USD → 1250; rounds half away from zero at the minor unit
+const toMinor = (amount, currency) => {
+  const factor = 10 ** exponentOf(currency);
+  return Math.sign(amount) * Math.round(Math.abs(Number(amount)) * factor);
+};
+
+// 1250 USD → 12.5
+const fromMinor = (minor, currency) =>
+  Number(minor) / 10 ** exponentOf(currency);
+
+/* ========================
+   Tax
+======================== */
+
+// rates: [{ name, rateBps, currencies? }], rateBps in basis points
+// (1500 = 15%). A rate without `currencies` applies to every currency.
+// Each line is rounded on its own, so the lines always add up to the total.
+const calculateTax = (subtotal, currency, rates = []) => {
+  const lines = rates
+    .filter(
+      (rate) => !rate.currencies?.length || rate.currencies.includes(currency),
+    )
+    .map((rate) => ({
+      name: rate.name,
+      rateBps: rate.rateBps,
+      amount: Math.round((subtotal * rate.rateBps) / 10000),
+    }));
+
+  const tax = lines.reduce((sum, line) => sum + line.amount, 0);
+
+  return { currency, subtotal, lines, tax, total: subtotal + tax };
+};
+
+module.exports = {
+  CURRENCIES,
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  exponentOf,
+  toMinor,
+  fromMinor,
+  calculateTax,
+};
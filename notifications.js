@@ -0,0 +1,327 @@
+/**
+ * =========================================================
+ * Notification Templates & Transports
+ * =========================================================
+ * Templates turn an event and its data into an email and an
+ * SMS. Transports deliver them: SMTP for email, an HTTP SMS
+ * gateway for text messages, and a file transport that just
+ * writes each message to disk for development and tests.
+ * Queueing, retries and preferences live in index.js.
+ * =========================================================
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+
+const CLINIC_NAME = "SaaD Dentistry";
+
+/* ========================
+   Templates
+======================== */
+
+const when = (d) => `${d.date} at ${d.time}`;
+
+// "(Dhanmondi)" for appointments booked at a branch
+const where = (d) => (d.branchName ? ` (${d.branchName})` : "");
+
+const templates = {
+  "appointment.booked": {
+    subject: () => "Appointment request received",
+    text: (d) =>
+      `Hi ${d.name || "there"}, your appointment with ${d.doctorName} on ${when(
+        d,
+      )}${where(d)} has been requested. We will let you know once it is confirmed.`,
+    sms: (d) =>
+      `${CLINIC_NAME}: appointment with ${d.doctorName} on ${when(d)} requested.`,
+  },
+  "appointment.new-booking": {
+    subject: () => "New appointment request",
+    text: (d) =>
+      `Hi ${d.doctorName}, ${d.name || d.email} has requested an appointment on ${when(
+        d,
+      )}. Please confirm it from your dashboard.`,
+    sms: (d) => `${CLINIC_NAME}: new appointment request on ${when(d)}.`,
+  },
+  "appointment.confirmed": {
+    subject: () => "Appointment confirmed",
+    text: (d) =>
+      `Hi ${d.name || "there"}, your appointment with ${d.doctorName} on ${when(
+        d,
+      )}${where(d)} is confirmed.`,
+    sms: (d) =>
+      `${CLINIC_NAME}: appointment with ${d.doctorName} on ${when(d)} confirmed.`,
+  },
+  "appointment.reminder": {
+    subject: (d) =>
+      d.hoursBefore >= 24
+        ? "Reminder: appointment tomorrow"
+        : "Reminder: appointment soon",
+    text: (d) =>
+      `Hi ${d.name || "there"}, this is a reminder of your appointment with ${
+        d.doctorName
+      } on ${when(d)}${where(d)}.`,
+    sms: (d) =>
+      `${CLINIC_NAME}: reminder, appointment with ${d.doctorName} on ${when(d)}.`,
+  },
+  "appointment.rescheduled": {
+    subject: () => "Your appointment has been moved",
+    text: (d) =>
+      `Hi ${d.name || "there"}, your appointment with ${d.doctorName} on ${
+        d.previousDate
+      } at ${d.previousTime} has been moved to ${when(d)}${where(d)}.${
+        d.reason ? ` Reason: ${d.reason}.` : ""
+      } If the new time doesn't suit you, reschedule or cancel it from your dashboard.`,
+    sms: (d) =>
+      `${CLINIC_NAME}: your appointment with ${d.doctorName} has moved to ${when(d)}.`,
+  },
+  "appointment.cancelled": {
+    subject: () => "Appointment cancelled",
+    text: (d) =>
+      `The appointment with ${d.doctorName} on ${when(d)} has been cancelled.${
+        d.reason ? ` Reason: ${d.reason}` : ""
+      }`,
+    sms: (d) =>
+      `${CLINIC_NAME}: appointment on ${when(d)} with ${d.doctorName} cancelled.`,
+  },
+  "payment.received": {
+    subject: () => "Payment received",
+    text: (d) =>
+      `We received your payment of ${d.amount} ${String(
+        d.currency,
+      ).toUpperCase()} for ${d.serviceTitle || "your appointment"} on ${when(
+        d,
+      )}. Transaction: ${d.transactionId}.${
+        d.balanceDue
+          ? ` A balance of ${d.balanceDue} ${String(
+              d.currency,
+            ).toUpperCase()} is still due.`
+          : ""
+      } Your receipt is attached.`,
+    sms: (d) =>
+      `${CLINIC_NAME}: payment of ${d.amount} ${String(
+        d.currency,
+      ).toUpperCase()} received. Thank you!`,
+  },
+  "payment.refunded": {
+    subject: () => "Refund issued",
+    text: (d) =>
+      `A refund of ${d.amount} ${String(
+        d.currency,
+      ).toUpperCase()} has been issued for ${d.serviceTitle || "your appointment"}. It may take a few days to appear on your statement.`,
+    sms: (d) =>
+      `${CLINIC_NAME}: refund of ${d.amount} ${String(
+        d.currency,
+      ).toUpperCase()} issued.`,
+  },
+  "payment.receipt": {
+    subject: (d) => `Your receipt ${d.invoiceNumber}`,
+    text: (d) =>
+      `Hi ${d.name || "there"}, your receipt ${d.invoiceNumber} for ${
+        d.serviceTitle || "your appointment"
+      } is attached as a PDF.`,
+    sms: (d) =>
+      `${CLINIC_NAME}: receipt ${d.invoiceNumber} has been sent to your email.`,
+  },
+  // Clinical details stay in the app; the message only says there is one
+  "treatment.follow-up": {
+    subject: () => "Follow-up visit recommended",
+    text: (d) =>
+      `Hi ${d.name || "there"}, after your visit on ${d.date} ${
+        d.doctorName
+      } has recommended a follow-up${
+        d.inWeeks ? ` within ${d.inWeeks} weeks` : ""
+      }. Sign in to see the details and book your next appointment.`,
+    sms: (d) =>
+      `${CLINIC_NAME}: ${d.doctorName} recommends a follow-up visit${
+        d.inWeeks ? ` within ${d.inWeeks} weeks` : ""
+      }.`,
+  },
+  "waitlist.offer": {
+    subject: () => "A slot has opened up for you",
+    text: (d) =>
+      `Hi ${d.name || "there"}, a slot with ${d.doctorName} on ${when(
+        d,
+      )} has opened up. We are holding it for you until ${
+        d.expiresAt
+      }; accept or decline it from your dashboard.`,
+    sms: (d) =>
+      `${CLINIC_NAME}: slot with ${d.doctorName} on ${when(d)} held for you until ${d.expiresAt}. Accept it in the app.`,
+  },
+  "treatment-plan.created": {
+    subject: () => "Your treatment plan is ready",
+    text: (d) =>
+      `Hi ${d.name || "there"}, ${d.doctorName} has prepared a treatment plan for you: "${
+        d.title
+      }", over ${d.steps} ${
+        d.steps === 1 ? "visit" : "visits"
+      }. Sign in to see the details and book the first visit.`,
+    sms: (d) =>
+      `${CLINIC_NAME}: ${d.doctorName} has prepared your treatment plan. Sign in to book.`,
+  },
+  "doctor.approved": {
+    subject: () => "Your doctor profile is approved",
+    text: (d) =>
+      `Hi ${d.name}, your application to join ${CLINIC_NAME} has been approved. Patients can now book appointments with you.`,
+    sms: () => `${CLINIC_NAME}: your doctor profile has been approved.`,
+  },
+  "doctor.rejected": {
+    subject: () => "Update on your doctor application",
+    text: (d) =>
+      `Hi ${d.name}, unfortunately your application to join ${CLINIC_NAME} was not approved.${
+        d.reason ? ` Reason: ${d.reason}` : ""
+      }`,
+    sms: () => `${CLINIC_NAME}: your doctor application was not approved.`,
+  },
+  "doctor.info-requested": {
+    subject: () => "More information needed for your application",
+    text: (d) =>
+      `Hi ${d.name}, we need a little more information before we can review your application to join ${CLINIC_NAME}: ${d.reason} Please update your application and submit it again.`,
+    sms: () =>
+      `${CLINIC_NAME}: more information is needed for your doctor application.`,
+  },
+  "doctor.suspended": {
+    subject: () => "Your doctor profile has been suspended",
+    text: (d) =>
+      `Hi ${d.name}, your doctor profile at ${CLINIC_NAME} has been suspended and patients can no longer book with you.${
+        d.reason ? ` Reason: ${d.reason}` : ""
+      }`,
+    sms: () => `${CLINIC_NAME}: your doctor profile has been suspended.`,
+  },
+  "doctor.reinstated": {
+    subject: () => "Your doctor profile is active again",
+    text: (d) =>
+      `Hi ${d.name}, your doctor profile at ${CLINIC_NAME} has been reinstated. Patients can book appointments with you again.`,
+    sms: () => `${CLINIC_NAME}: your doctor profile has been reinstated.`,
+  },
+};
+
+// Returns { subject, text } for email or { text } for sms
+const render = (event, channel, data) => {
+  const template = templates[event];
+
+  if (!template) {
+    throw new Error(`Unknown notification event "${event}"`);
+  }
+
+  if (channel === "sms") {
+    return { text: template.sms(data) };
+  }
+
+  return {
+    subject: `${template.subject(data)} | ${CLINIC_NAME}`,
+    text: template.text(data),
+  };
+};
+
+/* ========================
+   Transports
+======================== */
+
+// Every transport exposes send({ to, subject, text, attachments }) → { id }.
+// attachments: [{ filename, content: Buffer, contentType }], email only.
+
+const createFileTransport = (channel, directory) => ({
+  name: "file",
+  send: async (message) => {
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const id = `${Date.now()}-${channel}-${crypto
+      .randomBytes(4)
+      .toString("hex")}`;
+
+    // Attachments are written next to the message instead of inline
+    const attachments = [];
+    for (const attachment of message.attachments || []) {
+      const file = `${id}-${attachment.filename}`;
+      await fs.promises.writeFile(
+        path.join(directory, file),
+        attachment.content,
+      );
+      attachments.push({ filename: attachment.filename, file });
+    }
+
+    await fs.promises.writeFile(
+      path.join(directory, `${id}.json`),
+      JSON.stringify({ channel, ...message, attachments }, null, 2),
+    );
+
+    return { id };
+  },
+});
+
+const createSmtpTransport = (env) => {
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: Number(env.SMTP_PORT || 587),
+    secure: env.SMTP_SECURE === "true",
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : null,
+  });
+
+  return {
+    name: "smtp",
+    send: async ({ to, subject, text, attachments }) => {
+      const info = await transporter.sendMail({
+        from: env.MAIL_FROM || `${CLINIC_NAME} <no-reply@saad-dentistry.app>`,
+        to,
+        subject,
+        text,
+        attachments,
+      });
+
+      return { id: info.messageId };
+    },
+  };
+};
+
+// A generic JSON gateway: POST { to, message } with a bearer API key
+const createSmsGatewayTransport = (env) => ({
+  name: "sms-gateway",
+  send: async ({ to, text }) => {
+    const response = await fetch(env.SMS_GATEWAY_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${env.SMS_API_KEY}`,
+      },
+      body: JSON.stringify({ to, message: text, sender: env.SMS_SENDER_ID }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded ${response.status}`);
+    }
+
+    const result = await response.json().catch(() => ({}));
+    return { id: result.id || result.messageId || null };
+  },
+});
+
+// NOTIFICATION_TRANSPORT=file sends everything to disk; otherwise SMTP and
+// the SMS gateway are used when configured, falling back to files
+const createTransports = (env = process.env) => {
+  const directory =
+    env.NOTIFICATIONS_OUTBOX_DIR ||
+    path.join(os.tmpdir(), "saad-dentistry-outbox");
+  const fileOnly = env.NOTIFICATION_TRANSPORT === "file";
+
+  return {
+    email:
+      !fileOnly && env.SMTP_HOST
+        ? createSmtpTransport(env)
+        : createFileTransport("email", directory),
+    sms:
+      !fileOnly && env.SMS_GATEWAY_URL
+        ? createSmsGatewayTransport(env)
+        : createFileTransport("sms", directory),
+  };
+};
+
+module.exports = {
+  CLINIC_NAME,
+  templates,
+  render,
+  createTransports,
+  createFileTransport,
+};
@@ -0,0 +1,193 @@
+/**
+ * =========================================================
+ * Authorization Policies
+ * =========================================================
+ * Who may do what to which resource. Every rule is a plain
+ * function of the caller (a `users` document) and the
+ * resource it acts on, so the table can be tested without
+ * a database or an HTTP request.
+ * =========================================================
+ */
+
+const isAdmin = (user) => ["admin", "super-admin"].includes(user?.role);
+
+const isSelf = (user, email) => Boolean(email) && user?.email === email;
+
+// Branch admins act as admins, but only for the branches they manage
+const isBranchAdmin = (user, branchId) =>
+  user?.role === "branch-admin" &&
+  Boolean(branchId) &&
+  (user.branchIds || []).some((id) => String(id) === String(branchId));
+
+// Which side of an appointment the caller is on
+const getAppointmentActor = (user, appointment) => {
+  if (isAdmin(user)) return "admin";
+  if (isBranchAdmin(user, appointment?.branchId)) return "admin";
+  if (isSelf(user, appointment?.doctorEmail)) return "doctor";
+  if (isSelf(user, appointment?.email)) return "patient";
+  return null;
+};
+
+// resource: { email, treatingDoctors } for a patient, where treatingDoctors
+// are the emails of doctors the patient has booked
+const isTreatingDoctor = (user, patient) =>
+  user?.role === "doctor" &&
+  (patient?.treatingDoctors || []).includes(user.email);
+
+// Stricter than isTreatingDoctor: a booking request alone isn't enough,
+// confirmedDoctors only lists doctors with a confirmed or completed visit
+const isConfirmedDoctor = (user, patient) =>
+  user?.role === "doctor" &&
+  (patient?.confirmedDoctors || []).includes(user.email);
+
+const policies = {
+  /* ---------- Appointments ---------- */
+
+  // resource: the booking request body
+  "appointment:create": (user, booking) =>
+    isAdmin(user) || isSelf(user, booking.email),
+
+  // resource: the list query ({ role, email, branchId })
+  "appointment:list": (user, query) => {
+    if (isAdmin(user) || isBranchAdmin(user, query.branchId)) return true;
+    return ["user", "doctor"].includes(query.role) && isSelf(user, query.email);
+  },
+
+  "appointment:read": (user, appointment) =>
+    getAppointmentActor(user, appointment) !== null,
+
+  "appointment:manage": (user, appointment) =>
+    getAppointmentActor(user, appointment) !== null,
+
+  "appointment:pay": (user, appointment) =>
+    isAdmin(user) || isSelf(user, appointment.email),
+
+  // Recording cash at the branch's front desk
+  "appointment:front-desk": (user, appointment) =>
+    isAdmin(user) || isBranchAdmin(user, appointment.branchId),
+
+  // resource: the list query ({ email })
+  "payment:list": (user, query) => isAdmin(user) || isSelf(user, query.email),
+
+  // resource: a payment; payerEmail is the patient whose appointment it paid
+  "payment:read": (user, payment) =>
+    isAdmin(user) || isSelf(user, payment.payerEmail),
+
+  /* ---------- Branches & reports ---------- */
+
+  "branch:manage": (user, branch) =>
+    isAdmin(user) || isBranchAdmin(user, branch._id),
+
+  // resource: the report query ({ branchId })
+  "report:read": (user, query) =>
+    isAdmin(user) || isBranchAdmin(user, query.branchId),
+
+  /* ---------- Dental records ---------- */
+
+  // resource: the patient ({ email, treatingDoctors, confirmedDoctors })
+  "record:read": (user, patient) =>
+    isAdmin(user) ||
+    isSelf(user, patient.email) ||
+    isTreatingDoctor(user, patient),
+
+  // Patients keep their own medical history up to date
+  "record:history": (user, patient) =>
+    isAdmin(user) ||
+    isSelf(user, patient.email) ||
+    isConfirmedDoctor(user, patient),
+
+  "record:chart": (user, patient) =>
+    isAdmin(user) || isTreatingDoctor(user, patient),
+
+  // resource: an appointment; only the doctor who saw the patient writes
+  // its treatment note
+  "treatment:write": (user, appointment) =>
+    user?.role === "doctor" && isSelf(user, appointment.doctorEmail),
+
+  /* ---------- Treatment plans ---------- */
+
+  // resource: the patient the plan is for
+  "plan:create": (user, patient) =>
+    isAdmin(user) || isTreatingDoctor(user, patient),
+
+  // resource: the list query ({ email, doctorEmail })
+  "plan:list": (user, query) =>
+    isAdmin(user) ||
+    isSelf(user, query.email) ||
+    (user?.role === "doctor" && isSelf(user, query.doctorEmail)),
+
+  // Patients can also book the steps of their own plan
+  "plan:read": (user, plan) =>
+    isAdmin(user) ||
+    isSelf(user, plan.patientEmail) ||
+    isSelf(user, plan.doctorEmail),
+
+  "plan:manage": (user, plan) =>
+    isAdmin(user) || isSelf(user, plan.doctorEmail),
+
+  /* ---------- Waitlist ---------- */
+
+  // resource: the waitlist request body
+  "waitlist:join": (user, entry) => isAdmin(user) || isSelf(user, entry.email),
+
+  // resource: the list query ({ email })
+  "waitlist:list": (user, query) => isAdmin(user) || isSelf(user, query.email),
+
+  "waitlist:manage": (user, entry) =>
+    isAdmin(user) || isSelf(user, entry.email),
+
+  /* ---------- Reviews ---------- */
+
+  // resource: the review body
+  "review:create": (user, review) => isSelf(user, review.email),
+
+  "review:manage": (user, review) =>
+    isAdmin(user) || isSelf(user, review.email),
+
+  // Hidden and pending reviews are only visible to their author and admins
+  "review:read": (user, review) =>
+    !["pending", "hidden"].includes(review.status) ||
+    isAdmin(user) ||
+    isSelf(user, review.email),
+
+  "review:report": (user, review) => !isSelf(user, review.email),
+
+  /* ---------- Doctors ---------- */
+
+  // resource: the application body
+  "doctor:apply": (user, doctor) => isAdmin(user) || isSelf(user, doctor.email),
+
+  "doctor:manage": (user, doctor) =>
+    isAdmin(user) || isSelf(user, doctor.email),
+
+  /* ---------- Uploads ---------- */
+
+  "upload:manage": (user, upload) =>
+    isAdmin(user) || isSelf(user, upload.ownerEmail),
+
+  /* ---------- Users & profiles ---------- */
+
+  // resource: { email } of the profile being read or changed
+  "user:read": (user, profile) => isAdmin(user) || isSelf(user, profile.email),
+
+  "profile:update": (user, profile) =>
+    isAdmin(user) || isSelf(user, profile.email),
+};
+
+const can = (user, action, resource) => {
+  const rule = policies[action];
+
+  if (!rule) {
+    throw new Error(`Unknown policy action "${action}"`);
+  }
+
+  return Boolean(rule(user, resource || {}));
+};
+
+module.exports = {
+  policies,
+  can,
+  isAdmin,
+  isBranchAdmin,
+  getAppointmentActor,
+};
@@ -0,0 +1,705 @@
+/**
+ * =========================================================
+ * Request & Document Schemas
+ * =========================================================
+ * One declaration per resource, used twice: `validate`
+ * checks request bodies in the validateBody middleware, and
+ * `toJsonSchema` turns the same rules into the MongoDB
+ * $jsonSchema validators installed on the collections.
+ *
+ * Field rules: type (or a list of types), required, enum,
+ * format, minLength/maxLength, min/max, maxItems, items, and
+ * `fields` for objects whose own fields are declared too.
+ * `bsonType` overrides the stored type when a route converts
+ * the value before saving (e.g. an id string → ObjectId).
+ * =========================================================
+ */
+
+const { SUPPORTED_CURRENCIES } = require("./money");
+const { TOOTH_NUMBERS, TOOTH_CONDITIONS, TOOTH_SURFACES } = require("./dental");
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  url: /^https?:\/\/\S+$/i,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  time: /^([01]\d|2[0-3]):[0-5]\d$/,
+  code: /^[A-Za-z0-9_-]+$/,
+};
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+
+const BSON_TYPES = {
+  string: ["string"],
+  objectId: ["string"],
+  number: ["double", "int", "long", "decimal"],
+  integer: ["int", "long"],
+  boolean: ["bool"],
+  array: ["array"],
+  object: ["object"],
+};
+
+/* ========================
+   Schemas
+======================== */
+
+const ROLES = ["user", "doctor", "branch-admin", "admin", "super-admin"];
+
+// Prices per currency in minor units: { usd: 5000, bdt: 550000 }
+const prices = Object.fromEntries(
+  SUPPORTED_CURRENCIES.map((currency) => [
+    currency,
+    { type: "integer", min: 0 },
+  ]),
+);
+
+// `price` is the USD price in dollars that older clients send and show;
+// `prices` is authoritative and the two are kept in step by the routes
+const service = {
+  title: { type: "string", required: true, minLength: 2, maxLength: 120 },
+  img: { type: "string", format: "url" },
+  price: { type: "number", min: 0 },
+  prices: { type: "object", fields: prices },
+  taxExempt: { type: "boolean" },
+  // How it is paid; a deposit is depositPercent of the total, or
+  // depositAmounts[currency] in minor units
+  paymentMode: { type: "string", enum: ["full", "deposit", "at-clinic"] },
+  depositPercent: { type: "integer", min: 1, max: 99 },
+  depositAmounts: { type: "object", fields: prices },
+  description: { type: "string", maxLength: 5000 },
+  // Branches that offer it; none means every branch
+  branchIds: { type: "array", maxItems: 50, items: { type: "objectId" } },
+};
+
+const doctor = {
+  email: { type: "string", format: "email", required: true },
+  name: { type: "string", required: true, minLength: 2, maxLength: 100 },
+  doctorImage: { type: "string", format: "url" },
+  education: { type: "string", maxLength: 500 },
+  registrationNumber: { type: "string", maxLength: 50 },
+  specialty: { type: "string", maxLength: 100 },
+  workingAt: { type: "string", maxLength: 200 },
+  experience: { type: ["string", "number"] },
+  fee: { type: "number", min: 0 },
+  availability: { type: "string", maxLength: 500 },
+};
+
+// A certificate is either a link or a private upload (see POST /uploads)
+const certificate = {
+  name: { type: "string", required: true, maxLength: 200 },
+  url: { type: "string", format: "url" },
+  uploadId: { type: "objectId" },
+  issuedBy: { type: "string", maxLength: 200 },
+  year: { type: "integer", min: 1950, max: 2100 },
+};
+
+// Everything an applicant fills in across the application steps
+const doctorApplication = {
+  ...doctor,
+  certificates: {
+    type: "array",
+    maxItems: 10,
+    items: { type: "object", fields: certificate },
+  },
+};
+
+const doctorPermission = {
+  permission: {
+    type: "string",
+    required: true,
+    enum: ["approved", "rejected", "info-requested", "suspended"],
+  },
+  reason: { type: "string", maxLength: 1000 },
+};
+
+const doctorBranches = {
+  branchIds: {
+    type: "array",
+    required: true,
+    maxItems: 20,
+    items: { type: "objectId" },
+  },
+};
+
+const doctorComment = {
+  text: { type: "string", required: true, minLength: 1, maxLength: 2000 },
+};
+
+const appointment = {
+  email: { type: "string", format: "email", required: true },
+  name: { type: "string", maxLength: 100 },
+  phone: { type: "string", maxLength: 30 },
+  serviceId: { type: "objectId" },
+  serviceTitle: { type: "string", maxLength: 120 },
+  doctorId: { type: "objectId", bsonType: "objectId" },
+  doctorEmail: { type: "string", format: "email" },
+  // Needed when the doctor works at more than one branch
+  branchId: { type: "objectId", bsonType: "objectId" },
+  date: { type: "string", format: "date", required: true },
+  time: { type: "string", format: "time", required: true },
+  notes: { type: "string", maxLength: 1000 },
+};
+
+/* ---------- Branches ---------- */
+
+const address = {
+  line1: { type: "string", required: true, maxLength: 200 },
+  line2: { type: "string", maxLength: 200 },
+  city: { type: "string", required: true, maxLength: 100 },
+  postalCode: { type: "string", maxLength: 20 },
+};
+
+// openingHours is keyed by weekday like a doctor's weeklyHours
+// ({ mon: [{ start: "09:00", end: "17:00" }] }) and checked by the route;
+// holidays are YYYY-MM-DD dates the branch is closed
+const branch = {
+  name: { type: "string", required: true, minLength: 2, maxLength: 100 },
+  address: { type: "object", required: true, fields: address },
+  phone: { type: "string", maxLength: 30 },
+  email: { type: "string", format: "email" },
+  openingHours: { type: "object" },
+  holidays: {
+    type: "array",
+    maxItems: 100,
+    items: { type: "string", format: "date" },
+  },
+  active: { type: "boolean" },
+};
+
+/* ---------- Dental records ---------- */
+
+const textList = (maxItems) => ({
+  type: "array",
+  maxItems,
+  items: { type: "string", maxLength: 200 },
+});
+
+const medicalHistory = {
+  allergies: textList(50),
+  conditions: textList(50),
+  medications: textList(50),
+  pregnant: { type: "boolean" },
+  smoker: { type: "boolean" },
+  notes: { type: "string", maxLength: 2000 },
+};
+
+// A first booking can carry the patient's medical history; it is moved
+// to their dental record and never stored on the appointment
+const booking = {
+  ...appointment,
+  medicalHistory: { type: "object", fields: medicalHistory },
+};
+
+const surfaces = {
+  type: "array",
+  maxItems: TOOTH_SURFACES.length,
+  items: { type: "string", enum: TOOTH_SURFACES },
+};
+
+const toothEntry = {
+  condition: { type: "string", required: true, enum: TOOTH_CONDITIONS },
+  surfaces,
+  notes: { type: "string", maxLength: 500 },
+};
+
+// { teeth: { "36": { condition: "filled", surfaces: ["O"] } } }, keyed by
+// FDI tooth number; teeth that aren't sent keep their entry
+const toothChart = {
+  teeth: {
+    type: "object",
+    required: true,
+    fields: Object.fromEntries(
+      TOOTH_NUMBERS.map((number) => [
+        number,
+        { type: "object", fields: toothEntry },
+      ]),
+    ),
+  },
+};
+
+// `code` is the clinic's procedure code (CDT or local)
+const procedure = {
+  name: { type: "string", required: true, maxLength: 200 },
+  code: { type: "string", maxLength: 20 },
+  teeth: {
+    type: "array",
+    maxItems: TOOTH_NUMBERS.length,
+    items: { type: "string", enum: TOOTH_NUMBERS },
+  },
+  surfaces,
+  notes: { type: "string", maxLength: 1000 },
+};
+
+const followUp = {
+  recommendation: { type: "string", required: true, maxLength: 1000 },
+  inWeeks: { type: "integer", min: 1, max: 104 },
+  serviceId: { type: "objectId" },
+};
+
+const treatmentNote = {
+  diagnosis: { type: "string", maxLength: 2000 },
+  notes: { type: "string", required: true, maxLength: 10000 },
+  procedures: {
+    type: "array",
+    maxItems: 50,
+    items: { type: "object", fields: procedure },
+  },
+  followUp: { type: "object", fields: followUp },
+};
+
+/* ---------- Treatment plans ---------- */
+
+// `estimatedCost` is in minor units of the plan's currency and defaults to
+// the service's price; `intervalWeeks` is the wait after the step before
+const planStep = {
+  title: { type: "string", required: true, maxLength: 200 },
+  serviceId: { type: "objectId" },
+  teeth: {
+    type: "array",
+    maxItems: TOOTH_NUMBERS.length,
+    items: { type: "string", enum: TOOTH_NUMBERS },
+  },
+  estimatedCost: { type: "integer", min: 0 },
+  intervalWeeks: { type: "integer", min: 0, max: 104 },
+  notes: { type: "string", maxLength: 1000 },
+};
+
+const planStepUpdate = {
+  ...planStep,
+  status: { type: "string", enum: ["pending", "skipped"] },
+};
+
+// `doctorId` is for admins; doctors always plan their own treatment
+const treatmentPlan = {
+  email: { type: "string", format: "email", required: true },
+  doctorId: { type: "objectId" },
+  title: { type: "string", required: true, maxLength: 200 },
+  notes: { type: "string", maxLength: 5000 },
+  currency: { type: "string", enum: SUPPORTED_CURRENCIES },
+  steps: {
+    type: "array",
+    required: true,
+    maxItems: 30,
+    items: { type: "object", fields: planStep },
+  },
+};
+
+const treatmentPlanUpdate = {
+  title: { type: "string", maxLength: 200 },
+  notes: { type: "string", maxLength: 5000 },
+  status: { type: "string", enum: ["active", "cancelled"] },
+};
+
+const planBooking = {
+  branchId: { type: "objectId" },
+  date: { type: "string", format: "date", required: true },
+  time: { type: "string", format: "time", required: true },
+  notes: { type: "string", maxLength: 1000 },
+};
+
+// A doctor, a service, or both; dates are inclusive
+const waitlistEntry = {
+  email: { type: "string", format: "email", required: true },
+  name: { type: "string", maxLength: 100 },
+  phone: { type: "string", maxLength: 30 },
+  doctorId: { type: "objectId" },
+  serviceId: { type: "objectId" },
+  branchId: { type: "objectId" },
+  fromDate: { type: "string", format: "date", required: true },
+  toDate: { type: "string", format: "date", required: true },
+  notes: { type: "string", maxLength: 1000 },
+};
+
+/* ---------- Closures & leave ---------- */
+
+// Whole days, inclusive. With a doctorId it is that doctor's leave;
+// otherwise the clinic is closed, or only one branch with a branchId.
+const closure = {
+  fromDate: { type: "string", format: "date", required: true },
+  toDate: { type: "string", format: "date", required: true },
+  doctorId: { type: "objectId" },
+  branchId: { type: "objectId" },
+  reason: { type: "string", maxLength: 500 },
+};
+
+// Without appointmentIds every conflicting appointment is acted on;
+// rescheduling looks for free slots from `fromDate`
+const closureAction = {
+  appointmentIds: {
+    type: "array",
+    maxItems: 500,
+    items: { type: "objectId" },
+  },
+  fromDate: { type: "string", format: "date" },
+  reason: { type: "string", maxLength: 500 },
+};
+
+const appointmentStatus = {
+  status: {
+    type: "string",
+    required: true,
+    enum: ["confirmed", "checked-in", "completed", "no-show", "cancelled"],
+  },
+  reason: { type: "string", maxLength: 500 },
+};
+
+const reschedule = {
+  date: { type: "string", format: "date", required: true },
+  time: { type: "string", format: "time", required: true },
+};
+
+const review = {
+  appointmentId: { type: "objectId", required: true, bsonType: "objectId" },
+  email: { type: "string", format: "email", required: true },
+  name: { type: "string", maxLength: 100 },
+  image: { type: "string", format: "url" },
+  service: { type: "string", maxLength: 120 },
+  serviceTitle: { type: "string", maxLength: 120 },
+  rating: { type: "number", required: true, min: 1, max: 5 },
+  text: { type: "string", required: true, minLength: 1, maxLength: 2000 },
+};
+
+// PUT /reviews/:id keeps the field names the review form submits
+const reviewUpdate = {
+  ratingSub: { type: "number", required: true, min: 1, max: 5 },
+  textSub: { type: "string", required: true, minLength: 1, maxLength: 2000 },
+};
+
+const reviewModeration = {
+  status: {
+    type: "string",
+    required: true,
+    enum: ["pending", "approved", "hidden"],
+  },
+  reason: { type: "string", maxLength: 500 },
+};
+
+const reviewReport = {
+  reason: { type: "string", required: true, minLength: 3, maxLength: 500 },
+};
+
+const user = {
+  name: { type: "string", maxLength: 100 },
+  email: { type: "string", format: "email", required: true },
+  photoURL: { type: "string", format: "url" },
+};
+
+const profile = {
+  email: { type: "string", format: "email", required: true },
+  name: { type: "string", required: true, maxLength: 100 },
+  photoURL: { type: "string", format: "url" },
+};
+
+const notificationPreferences = {
+  email: { type: "boolean" },
+  sms: { type: "boolean" },
+  phone: { type: "string", minLength: 6, maxLength: 20 },
+  mutedEvents: {
+    type: "array",
+    maxItems: 20,
+    items: { type: "string", maxLength: 50 },
+  },
+};
+
+// branchIds are the branches a branch-admin manages
+const roleChange = {
+  role: { type: "string", required: true, enum: ROLES },
+  branchIds: { type: "array", maxItems: 20, items: { type: "objectId" } },
+};
+
+const paymentIntent = {
+  serviceId: { type: "objectId", required: true },
+  currency: { type: "string", enum: SUPPORTED_CURRENCIES },
+  promoCode: { type: "string", maxLength: 30 },
+  appointmentId: { type: "objectId", required: true },
+  payInFull: { type: "boolean" },
+  customerName: { type: "string", maxLength: 100 },
+  customerEmail: { type: "string", format: "email" },
+};
+
+const payment = {
+  appointmentId: { type: "objectId", required: true },
+  paymentIntentId: { type: "string", required: true, maxLength: 255 },
+};
+
+// percentOff for "percentage" codes, amountOff (minor units per currency)
+// for "fixed" ones; no serviceIds means every service
+const promoCode = {
+  code: {
+    type: "string",
+    required: true,
+    format: "code",
+    minLength: 3,
+    maxLength: 30,
+  },
+  description: { type: "string", maxLength: 200 },
+  type: { type: "string", required: true, enum: ["percentage", "fixed"] },
+  percentOff: { type: "number", min: 1, max: 100 },
+  amountOff: { type: "object", fields: prices },
+  serviceIds: { type: "array", maxItems: 50, items: { type: "objectId" } },
+  startsOn: { type: "string", format: "date" },
+  endsOn: { type: "string", format: "date" },
+  maxRedemptions: { type: "integer", min: 1 },
+  maxPerUser: { type: "integer", min: 1 },
+  active: { type: "boolean" },
+};
+
+const promoCodeCheck = {
+  code: { type: "string", required: true, maxLength: 30 },
+  serviceId: { type: "objectId", required: true },
+  currency: { type: "string", enum: SUPPORTED_CURRENCIES },
+};
+
+const taxSettings = {
+  rates: {
+    type: "array",
+    required: true,
+    maxItems: 10,
+    items: {
+      type: "object",
+      fields: {
+        name: { type: "string", required: true, minLength: 1, maxLength: 50 },
+        rateBps: { type: "integer", required: true, min: 0, max: 10000 },
+        currencies: {
+          type: "array",
+          maxItems: SUPPORTED_CURRENCIES.length,
+          items: { type: "string", enum: SUPPORTED_CURRENCIES },
+        },
+      },
+    },
+  },
+};
+
+const refund = {
+  amount: { type: "number", min: 0.01 },
+  reason: { type: "string", maxLength: 500 },
+};
+
+// `amount` in major units; it defaults to everything still due.
+// `currency` is only needed for appointments booked before deposits.
+const cashPayment = {
+  amount: { type: "number", min: 0.01 },
+  currency: { type: "string", enum: SUPPORTED_CURRENCIES },
+  note: { type: "string", maxLength: 500 },
+};
+
+const schemas = {
+  service,
+  doctor,
+  doctorApplication,
+  doctorPermission,
+  doctorBranches,
+  doctorComment,
+  appointment,
+  branch,
+  booking,
+  medicalHistory,
+  toothChart,
+  treatmentNote,
+  treatmentPlan,
+  treatmentPlanUpdate,
+  planStep,
+  planStepUpdate,
+  planBooking,
+  waitlistEntry,
+  closure,
+  closureAction,
+  appointmentStatus,
+  reschedule,
+  review,
+  reviewUpdate,
+  reviewModeration,
+  reviewReport,
+  user,
+  profile,
+  notificationPreferences,
+  roleChange,
+  paymentIntent,
+  payment,
+  promoCode,
+  promoCodeCheck,
+  taxSettings,
+  refund,
+  cashPayment,
+};
+
+// Stored document shapes, keyed by collection name
+const collectionSchemas = {
+  services: service,
+  "doctors-all": doctorApplication,
+  appointments: appointment,
+  reviews: review,
+  users: { ...user, role: { type: "string", enum: ROLES } },
+};
+
+/* ========================
+   Validation
+======================== */
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "number";
+  }
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+
+  if (type === "number") return actual === "number" || actual === "integer";
+  if (type === "objectId") return actual === "string" && OBJECT_ID.test(value);
+  return actual === type;
+};
+
+// Form fields arrive as strings: "50" is accepted where a number is expected
+const coerce = (types, value) => {
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    const numeric = types.includes("number") || types.includes("integer");
+
+    if (numeric && !types.includes("string") && trimmed !== "") {
+      const number = Number(trimmed);
+      return Number.isNaN(number) ? value : number;
+    }
+    return trimmed;
+  }
+  return value;
+};
+
+// Returns an error message for a single value, or null when it is valid
+const checkField = (field, rule, value) => {
+  const types = [].concat(rule.type);
+
+  if (!types.some((type) => matchesType(type, value))) {
+    return `${field} must be ${types.join(" or ")}`;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${field} must be one of: ${rule.enum.join(", ")}`;
+  }
+
+  if (rule.format && !FORMATS[rule.format].test(value)) {
+    return `${field} must be a valid ${rule.format}`;
+  }
+
+  if (typeof value === "string") {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return `${field} must be at least ${rule.minLength} characters`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return `${field} must be at most ${rule.maxLength} characters`;
+    }
+  }
+
+  if (typeof value === "number") {
+    if (rule.min !== undefined && value < rule.min) {
+      return `${field} must be at least ${rule.min}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return `${field} must be at most ${rule.max}`;
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return `${field} must have at most ${rule.maxItems} items`;
+    }
+    if (rule.items) {
+      for (let i = 0; i < value.length; i++) {
+        const message = checkField(`${field}[${i}]`, rule.items, value[i]);
+        if (message) return message;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Objects (and arrays of objects) that declare `fields` are validated
+// recursively; nested errors are reported with their path
+const validateNested = (field, rule, value, errors) => {
+  if (rule.fields && typeOf(value) === "object") {
+    const nested = validate(rule.fields, value);
+    nested.errors.forEach((error) =>
+      errors.push({ field: `${field}.${error.field}`, message: error.message }),
+    );
+    return nested.value;
+  }
+
+  if (rule.items?.fields && Array.isArray(value)) {
+    return value.map((item, i) =>
+      validateNested(`${field}[${i}]`, rule.items, item, errors),
+    );
+  }
+
+  return value;
+};
+
+// Checks `data` against `schema` and returns { value, errors }.
+// `value` holds only the declared fields, so anything else the client sent
+// (a `permission` or `paymentStatus`, say) never reaches the database.
+// With `partial`, required fields may be left out (for updates).
+const validate = (schema, data, { partial = false } = {}) => {
+  const input = data && typeof data === "object" ? data : {};
+  const value = {};
+  const errors = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const raw = input[field];
+
+    if (raw === undefined || raw === null || raw === "") {
+      if (rule.required && !partial) {
+        errors.push({ field, message: `${field} is required` });
+      }
+      return;
+    }
+
+    const coerced = coerce([].concat(rule.type), raw);
+    const message = checkField(field, rule, coerced);
+
+    if (message) {
+      errors.push({ field, message });
+    } else {
+      value[field] = validateNested(field, rule, coerced, errors);
+    }
+  });
+
+  return { value, errors };
+};
+
+/* ========================
+   MongoDB $jsonSchema
+======================== */
+
+// Optional fields also accept null so older documents and unset values pass
+const toJsonSchema = (schema) => {
+  const properties = {};
+  const required = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const bsonType = rule.bsonType
+      ? [].concat(rule.bsonType)
+      : [].concat(rule.type).flatMap((type) => BSON_TYPES[type]);
+    const property = {
+      bsonType: rule.required ? bsonType : [...bsonType, "null"],
+    };
+
+    if (rule.enum) {
+      property.enum = rule.required ? rule.enum : [...rule.enum, null];
+    }
+    if (rule.minLength !== undefined) property.minLength = rule.minLength;
+    if (rule.maxLength !== undefined) property.maxLength = rule.maxLength;
+    if (rule.min !== undefined) property.minimum = rule.min;
+    if (rule.max !== undefined) property.maximum = rule.max;
+    if (rule.required) required.push(field);
+
+    properties[field] = property;
+  });
+
+  const jsonSchema = { bsonType: "object", properties };
+  if (required.length) jsonSchema.required = required;
+
+  return { $jsonSchema: jsonSchema };
+};
+
+module.exports = { schemas, collectionSchemas, validate, toJsonSchema };
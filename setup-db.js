@@ -0,0 +1,172 @@
+/**
+ * =========================================================
+ * Database Setup
+ * =========================================================
+ * Creates the indexes and installs the collection validators
+ * the API relies on. Both are idempotent, but they are too
+ * slow for a serverless cold start, so they run here: once
+ * per deploy, and again whenever either of them changes.
+ * Usage: npm run setup-db
+ * =========================================================
+ */
+
+const { MongoClient, ServerApiVersion } = require("mongodb");
+const { collectionSchemas, toJsonSchema } = require("./schemas");
+require("dotenv").config();
+
+/* ========================
+   Indexes
+======================== */
+
+// Reservations are made before their payment intent exists, so the index
+// skips records without one. Databases set up before reservations have it
+// without `sparse`, which Mongo refuses to change in place.
+async function createPromoIntentIndex(PromoRedemptions) {
+  const create = () =>
+    PromoRedemptions.createIndex(
+      { paymentIntentId: 1 },
+      { unique: true, sparse: true },
+    );
+
+  try {
+    await create();
+  } catch (error) {
+    if (error.codeName !== "IndexOptionsConflict") throw error;
+
+    await PromoRedemptions.dropIndex("paymentIntentId_1");
+    await create();
+  }
+}
+
+async function createIndexes(db) {
+  const Doctors = db.collection("doctors-all");
+  const Services = db.collection("services");
+  const Reviews = db.collection("reviews");
+  const Appointments = db.collection("appointments");
+  const Payments = db.collection("payments");
+  const StripeEvents = db.collection("stripe-events");
+  const SlotReservations = db.collection("slot-reservations");
+  const RefreshTokens = db.collection("refresh-tokens");
+  const Notifications = db.collection("notifications");
+  const Jobs = db.collection("jobs");
+  const Uploads = db.collection("uploads");
+  const AuditLog = db.collection("audit-log");
+  const PromoCodes = db.collection("promo-codes");
+  const PromoRedemptions = db.collection("promo-redemptions");
+  const PatientRecords = db.collection("patient-records");
+  const TreatmentNotes = db.collection("treatment-notes");
+  const TreatmentPlans = db.collection("treatment-plans");
+  const Waitlist = db.collection("waitlist");
+  const Branches = db.collection("branches");
+  const Closures = db.collection("closures");
+
+  await Payments.createIndex(
+    { paymentIntentId: 1 },
+    { unique: true, sparse: true },
+  );
+  await Payments.createIndex(
+    { invoiceNumber: 1 },
+    { unique: true, sparse: true },
+  );
+  await Payments.createIndex({ payerEmail: 1, createdAt: -1 });
+  await StripeEvents.createIndex({ eventId: 1 }, { unique: true });
+  await Services.createIndex({ title: "text", description: "text" });
+  await Doctors.createIndex({ name: "text", specialty: "text" });
+  await Reviews.createIndex(
+    { appointmentId: 1 },
+    { unique: true, sparse: true },
+  );
+  await Notifications.createIndex({ status: 1, nextAttemptAt: 1 });
+  await Jobs.createIndex({ status: 1, runAt: 1 });
+  await Jobs.createIndex({ uniqueKey: 1 }, { unique: true, sparse: true });
+  await PromoCodes.createIndex({ code: 1 }, { unique: true });
+  await createPromoIntentIndex(PromoRedemptions);
+  await PromoRedemptions.createIndex({ promoId: 1, email: 1 });
+  // One reservation per use a patient is allowed (see reservePromo)
+  await PromoRedemptions.createIndex(
+    { promoId: 1, email: 1, userSlot: 1 },
+    { unique: true, partialFilterExpression: { userSlot: { $exists: true } } },
+  );
+  await PromoRedemptions.createIndex({ status: 1, reservedAt: 1 });
+  await PatientRecords.createIndex({ email: 1 }, { unique: true });
+  await TreatmentNotes.createIndex({ appointmentId: 1 }, { unique: true });
+  await TreatmentNotes.createIndex({ patientEmail: 1, visitDate: -1 });
+  await TreatmentPlans.createIndex({ patientEmail: 1, createdAt: -1 });
+  await TreatmentPlans.createIndex({ doctorEmail: 1, createdAt: -1 });
+  await Appointments.createIndex({ planId: 1 }, { sparse: true });
+  await Waitlist.createIndex({ status: 1, createdAt: 1 });
+  await Waitlist.createIndex({ email: 1, createdAt: -1 });
+  await Waitlist.createIndex({ "offer.expiresAt": 1 }, { sparse: true });
+  await Branches.createIndex({ active: 1, name: 1 });
+  await Closures.createIndex({ toDate: 1, fromDate: 1 });
+  await Doctors.createIndex({ branchIds: 1 });
+  await Appointments.createIndex({ branchId: 1, date: 1 }, { sparse: true });
+  await AuditLog.createIndex({ at: -1 });
+  await AuditLog.createIndex({ actor: 1, at: -1 });
+  await AuditLog.createIndex({ "target.type": 1, "target.id": 1, at: -1 });
+  await Uploads.createIndex({ createdAt: 1 });
+  await Uploads.createIndex({ url: 1 }, { sparse: true });
+  await RefreshTokens.createIndex({ tokenHash: 1 }, { unique: true });
+  await RefreshTokens.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await SlotReservations.createIndex(
+    { doctorId: 1, date: 1, startTime: 1 },
+    { unique: true },
+  );
+}
+
+/* ========================
+   Collection Validators
+======================== */
+
+// Mirrors schemas.js onto the collections. "moderate" leaves existing
+// documents that predate a rule editable; every new write is checked.
+async function applyCollectionValidators(db) {
+  for (const [name, schema] of Object.entries(collectionSchemas)) {
+    const options = {
+      validator: toJsonSchema(schema),
+      validationLevel: "moderate",
+    };
+
+    try {
+      await db.command({ collMod: name, ...options });
+    } catch (error) {
+      if (error.codeName === "NamespaceNotFound") {
+        await db.createCollection(name, options);
+      } else {
+        // Database users without dbAdmin rights still get request validation
+        console.warn(`⚠️ Could not apply validator to ${name}:`, error.message);
+      }
+    }
+  }
+}
+
+/* ========================
+   Run
+======================== */
+
+async function setupDatabase() {
+  const client = new MongoClient(process.env.MONGODB_URI, {
+    serverApi: ServerApiVersion.v1,
+  });
+
+  try {
+    await client.connect();
+    const db = client.db("dentistryDB");
+
+    await createIndexes(db);
+    await applyCollectionValidators(db);
+
+    console.log("✅ Indexes and validators are in place");
+  } catch (error) {
+    console.error("❌ Database setup failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+  }
+}
+
+if (require.main === module) {
+  setupDatabase();
+}
+
+module.exports = { createIndexes, applyCollectionValidators };
@@ -0,0 +1,150 @@
+/**
+ * =========================================================
+ * File Storage
+ * =========================================================
+ * Uploaded files are written through a storage adapter:
+ * local disk for development and tests, or any S3-compatible
+ * bucket in production. Keys starting with `public/` get a
+ * permanent URL; `private/` keys (doctor credentials) are
+ * only reachable through short-lived signed URLs. Upload
+ * records, limits and cleanup live in index.js.
+ * =========================================================
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+
+// Every key the app generates looks like this, so it is also what the local
+// file route accepts: no "..", no absolute paths
+const KEY_PATTERN =
+  /^(public|private)\/[a-z-]+\/[a-f\d]{32}(-thumb)?\.(webp|jpg|png|pdf)$/;
+
+const isPrivateKey = (key) => key.startsWith("private/");
+
+/* ========================
+   Local Disk
+======================== */
+
+// Every adapter exposes put(key, body, contentType), remove(key),
+// publicUrl(key) and signedUrl(key, expiresInSeconds)
+
+const createLocalStorage = (env) => {
+  const directory =
+    env.UPLOADS_DIR || path.join(os.tmpdir(), "saad-dentistry-uploads");
+  const baseUrl = (
+    env.PUBLIC_BASE_URL || `http://localhost:${env.PORT || 5000}`
+  ).replace(/\/$/, "");
+  const secret = env.UPLOAD_SIGNING_SECRET || env.ACCESS_TOKEN_SECRET;
+
+  const sign = (key, expires) =>
+    crypto
+      .createHmac("sha256", secret)
+      .update(`${key}:${expires}`)
+      .digest("hex");
+
+  const fileFor = (key) => path.join(directory, ...key.split("/"));
+
+  return {
+    name: "local",
+    put: async (key, body) => {
+      await fs.promises.mkdir(path.dirname(fileFor(key)), { recursive: true });
+      await fs.promises.writeFile(fileFor(key), body);
+    },
+    get: (key) => fs.promises.readFile(fileFor(key)),
+    remove: (key) => fs.promises.rm(fileFor(key), { force: true }),
+    publicUrl: (key) => `${baseUrl}/files/${key}`,
+    signedUrl: async (key, expiresIn) => {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${baseUrl}/files/${key}?expires=${expires}&signature=${sign(
+        key,
+        expires,
+      )}`;
+    },
+    // Checks a signature produced by signedUrl
+    verify: (key, expires, signature) => {
+      if (!/^\d+$/.test(String(expires)) || typeof signature !== "string") {
+        return false;
+      }
+      if (Number(expires) < Date.now() / 1000) return false;
+
+      const expected = Buffer.from(sign(key, expires));
+      const given = Buffer.from(signature);
+      return (
+        expected.length === given.length &&
+        crypto.timingSafeEqual(expected, given)
+      );
+    },
+  };
+};
+
+/* ========================
+   S3-compatible Bucket
+======================== */
+
+// The bucket should allow public reads under `public/` only (a bucket
+// policy, since R2 and some other providers ignore object ACLs)
+const createS3Storage = (env) => {
+  const bucket = env.S3_BUCKET;
+  const region = env.S3_REGION || "auto";
+  const s3 = new S3Client({
+    region,
+    endpoint: env.S3_ENDPOINT || undefined,
+    forcePathStyle: env.S3_FORCE_PATH_STYLE === "true",
+    credentials: env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: env.S3_ACCESS_KEY_ID,
+          secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+  });
+  const publicBase = (
+    env.S3_PUBLIC_URL || `https://${bucket}.s3.${region}.amazonaws.com`
+  ).replace(/\/$/, "");
+
+  return {
+    name: "s3",
+    put: (key, body, contentType) =>
+      s3.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+          CacheControl: isPrivateKey(key)
+            ? "private, no-store"
+            : "public, max-age=31536000, immutable",
+        }),
+      ),
+    remove: (key) =>
+      s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key })),
+    publicUrl: (key) => `${publicBase}/${key}`,
+    signedUrl: (key, expiresIn) =>
+      getSignedUrl(s3, new GetObjectCommand({ Bucket: bucket, Key: key }), {
+        expiresIn,
+      }),
+  };
+};
+
+// STORAGE_DRIVER=s3 (or just setting S3_BUCKET) uses the bucket; anything
+// else keeps files on local disk
+const createStorage = (env = process.env) => {
+  const driver = env.STORAGE_DRIVER || (env.S3_BUCKET ? "s3" : "local");
+
+  return driver === "s3" ? createS3Storage(env) : createLocalStorage(env);
+};
+
+module.exports = {
+  KEY_PATTERN,
+  isPrivateKey,
+  createStorage,
+  createLocalStorage,
+};
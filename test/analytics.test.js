@@ -0,0 +1,289 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  startApp,
+  seedUser,
+  seedDoctor,
+  seedService,
+  seedAppointment,
+} = require("./support/app");
+
+let ctx;
+let doctor;
+let service;
+
+const ADMIN = "admin@test.dev";
+const MANAGER = "manager@test.dev";
+const HERE = new ObjectId();
+const ELSEWHERE = new ObjectId();
+const RANGE = "from=2030-01-01&to=2030-01-31";
+
+// Clinic time is UTC+6
+const at = (day, time = "10:00") => new Date(`${day}T${time}:00+06:00`);
+
+beforeEach(async () => {
+  ctx = await startApp();
+  await seedUser(ctx.db, ADMIN, "admin");
+  await seedUser(ctx.db, MANAGER, "branch-admin", { branchIds: [HERE] });
+  await ctx.db.collection("branches").insertMany([
+    { _id: HERE, name: "Dhanmondi" },
+    { _id: ELSEWHERE, name: "Gulshan" },
+  ]);
+  doctor = await seedDoctor(ctx.db, { branchIds: [HERE] });
+  service = await seedService(ctx.db);
+});
+
+afterEach(() => ctx.close());
+
+const report = (name, query = "", as = ADMIN) =>
+  ctx.request("GET", `/analytics/${name}?${RANGE}${query}`, { as });
+
+const visit = (branchId, extra = {}) =>
+  seedAppointment(ctx.db, {
+    doctor,
+    service,
+    branchId,
+    date: "2030-01-10",
+    startsAt: at("2030-01-10"),
+    ...extra,
+  });
+
+const REPORTS = [
+  "revenue",
+  "appointments",
+  "signups",
+  "doctor-utilization",
+  "top-services",
+];
+
+test("branch admins read every report for their own branch only", async () => {
+  for (const name of REPORTS) {
+    const own = await report(name, `&branchId=${HERE}`, MANAGER);
+    const other = await report(name, `&branchId=${ELSEWHERE}`, MANAGER);
+    const all = await report(name, "", MANAGER);
+    const patient = await report(name, "", "patient@test.dev");
+
+    assert.equal(own.status, 200, name);
+    assert.equal(other.status, 403, name);
+    assert.equal(all.status, 403, name);
+    assert.equal(patient.status, 403, name);
+  }
+});
+
+test("a bad range or branch is a bad request", async () => {
+  const backwards = await ctx.request(
+    "GET",
+    "/analytics/signups?from=2030-02-01&to=2030-01-01",
+    { as: ADMIN },
+  );
+  const tooLong = await ctx.request(
+    "GET",
+    "/analytics/signups?from=2028-01-01&to=2030-01-01",
+    { as: ADMIN },
+  );
+  const interval = await report("appointments", "&interval=hour");
+  const branch = await report("revenue", "&branchId=nope");
+
+  assert.equal(backwards.status, 400);
+  assert.equal(tooLong.status, 400);
+  assert.equal(interval.status, 400);
+  assert.equal(branch.status, 400);
+});
+
+test("revenue is net of refunds, per currency, and narrows to a branch", async () => {
+  const here = await visit(HERE);
+  const elsewhere = await visit(ELSEWHERE);
+  await ctx.db.collection("payments").insertMany([
+    {
+      appointmentId: here._id,
+      status: "succeeded",
+      amount: 50,
+      currency: "usd",
+      createdAt: at("2030-01-10"),
+    },
+    {
+      appointmentId: here._id,
+      status: "partially_refunded",
+      amount: 30,
+      amountRefunded: 10,
+      currency: "USD",
+      createdAt: at("2030-01-11"),
+    },
+    {
+      appointmentId: elsewhere._id,
+      status: "succeeded",
+      amount: 5000,
+      currency: "bdt",
+      createdAt: at("2030-01-11"),
+    },
+    {
+      appointmentId: here._id,
+      status: "disputed",
+      amount: 99,
+      currency: "usd",
+      createdAt: at("2030-01-11"),
+    },
+  ]);
+
+  const all = await report("revenue");
+  const branch = await report("revenue", `&branchId=${HERE}`);
+
+  assert.deepEqual(all.body.totals.usd, {
+    payments: 2,
+    gross: 80,
+    refunded: 10,
+    net: 70,
+  });
+  assert.equal(all.body.totals.bdt.net, 5000);
+  assert.deepEqual(Object.keys(branch.body.totals), ["usd"]);
+});
+
+test("revenue groups by clinic-time period", async () => {
+  const here = await visit(HERE);
+  await ctx.db.collection("payments").insertMany([
+    // 23:30 UTC on the 9th is already the 10th in clinic time
+    {
+      appointmentId: here._id,
+      status: "succeeded",
+      amount: 10,
+      currency: "usd",
+      createdAt: new Date("2030-01-09T23:30:00Z"),
+    },
+    {
+      appointmentId: here._id,
+      status: "succeeded",
+      amount: 20,
+      currency: "usd",
+      createdAt: at("2030-01-20"),
+    },
+  ]);
+
+  const daily = await report("revenue");
+  const monthly = await report("revenue", "&interval=month");
+
+  assert.deepEqual(
+    daily.body.data.map((row) => row.period),
+    ["2030-01-10", "2030-01-20"],
+  );
+  assert.deepEqual(
+    monthly.body.data.map((row) => [row.period, row.net]),
+    [["2030-01-01", 30]],
+  );
+});
+
+test("appointments are counted by status with no-show and cancellation rates", async () => {
+  await visit(HERE, { status: "completed" });
+  await visit(HERE, { status: "completed" });
+  await visit(HERE, { status: "no-show" });
+  await visit(HERE, { status: "cancelled" });
+  await visit(ELSEWHERE, { status: "cancelled" });
+
+  const branch = await report("appointments", `&branchId=${HERE}`);
+
+  assert.equal(branch.body.totals.total, 4);
+  assert.deepEqual(branch.body.totals.byStatus, {
+    completed: 2,
+    "no-show": 1,
+    cancelled: 1,
+  });
+  assert.equal(branch.body.totals.noShowRate, 0.3333);
+  assert.equal(branch.body.totals.cancellationRate, 0.25);
+});
+
+test("deleted appointments are left out of the counts", async () => {
+  await visit(HERE, { status: "completed" });
+  await visit(HERE, { status: "cancelled", deletedAt: new Date() });
+
+  const response = await report("appointments");
+
+  assert.equal(response.body.totals.total, 1);
+  assert.deepEqual(response.body.totals.byStatus, { completed: 1 });
+});
+
+test("signups are split by role and, for a branch, limited to its patients", async () => {
+  await seedUser(ctx.db, "a@test.dev", "user", {
+    createdAt: at("2030-01-05"),
+  });
+  await seedUser(ctx.db, "b@test.dev", "user", {
+    createdAt: at("2030-01-06"),
+  });
+  await seedUser(ctx.db, "c@test.dev", "doctor", {
+    createdAt: at("2030-01-06"),
+  });
+  await seedUser(ctx.db, "old@test.dev", "user", {
+    createdAt: at("2029-12-01"),
+  });
+  await visit(HERE, { email: "a@test.dev" });
+  await visit(ELSEWHERE, { email: "b@test.dev" });
+
+  const all = await report("signups", "&interval=month");
+  const branch = await report("signups", `&branchId=${HERE}`, MANAGER);
+
+  assert.equal(all.body.totals.total, 3);
+  assert.deepEqual(all.body.data[0].byRole, { user: 2, doctor: 1 });
+  assert.equal(branch.body.totals.total, 1);
+  assert.deepEqual(branch.body.data, [
+    { period: "2030-01-05", total: 1, byRole: { user: 1 } },
+  ]);
+});
+
+test("top services need enough public reviews and narrow to a branch", async () => {
+  const whitening = await seedService(ctx.db, { title: "Whitening" });
+  const review = async (target, rating, branchId, extra = {}) => {
+    const appointment = await visit(branchId);
+    await ctx.db.collection("reviews").insertOne({
+      appointmentId: appointment._id,
+      serviceId: target._id.toString(),
+      rating,
+      status: "approved",
+      createdAt: at("2030-01-15"),
+      ...extra,
+    });
+  };
+  await review(service, 4, HERE);
+  await review(service, 5, HERE);
+  await review(service, 3, ELSEWHERE);
+  await review(whitening, 5, ELSEWHERE);
+  await review(whitening, 5, ELSEWHERE);
+  await review(whitening, 1, HERE, { status: "hidden" });
+
+  const all = await report("top-services", "&minReviews=2");
+  const branch = await report(
+    "top-services",
+    `&minReviews=2&branchId=${HERE}`,
+    MANAGER,
+  );
+
+  assert.deepEqual(
+    all.body.data.map((row) => [row.title, row.average, row.reviews]),
+    [
+      ["Whitening", 5, 2],
+      ["Cleaning", 4, 3],
+    ],
+  );
+  assert.deepEqual(
+    branch.body.data.map((row) => [row.title, row.average, row.reviews]),
+    [["Cleaning", 4.5, 2]],
+  );
+});
+
+test("doctor utilization compares booked slots with the schedule", async () => {
+  await visit(HERE, { status: "completed" });
+  await visit(HERE, { status: "no-show" });
+  await visit(HERE, { status: "cancelled" });
+
+  const response = await ctx.request(
+    "GET",
+    `/analytics/doctor-utilization?from=2030-01-10&to=2030-01-10&branchId=${HERE}`,
+    { as: MANAGER },
+  );
+
+  const [row] = response.body.data;
+  // 09:00–17:00 in 30-minute slots
+  assert.equal(row.available, 16);
+  assert.equal(row.booked, 2);
+  assert.equal(row.completed, 1);
+  assert.equal(row.noShows, 1);
+  assert.equal(row.utilization, 0.125);
+});
@@ -0,0 +1,153 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { startApp, seedUser, seedService } = require("./support/app");
+
+let ctx;
+
+const SUPER = "owner@test.dev";
+const ADMIN = "admin@test.dev";
+
+beforeEach(async () => {
+  ctx = await startApp();
+  await seedUser(ctx.db, SUPER, "super-admin");
+  await seedUser(ctx.db, ADMIN, "admin");
+});
+
+afterEach(() => ctx.close());
+
+const auditLog = () => ctx.db.collection("audit-log");
+
+const entry = (extra = {}) => ({
+  action: "service.update",
+  actor: ADMIN,
+  ip: null,
+  userAgent: null,
+  target: { type: "service", id: "s1" },
+  before: null,
+  after: null,
+  at: new Date(),
+  ...extra,
+});
+
+test("admin changes are recorded with who, where and what changed", async () => {
+  const service = await seedService(ctx.db);
+
+  await ctx.request("PUT", `/services/${service._id}`, {
+    as: ADMIN,
+    body: { price: 80 },
+    headers: { "user-agent": "audit-test" },
+  });
+
+  const recorded = await auditLog().findOne({ action: "service.update" });
+  assert.equal(recorded.actor, ADMIN);
+  assert.equal(recorded.userAgent, "audit-test");
+  assert.ok(recorded.ip);
+  assert.deepEqual(recorded.target, {
+    type: "service",
+    id: service._id.toString(),
+  });
+  assert.deepEqual(recorded.before, { price: 50, prices: { usd: 5000 } });
+  assert.deepEqual(recorded.after, { price: 80, prices: { usd: 8000 } });
+});
+
+test("role changes are audited", async () => {
+  const user = await seedUser(ctx.db, "staff@test.dev");
+
+  const response = await ctx.request("PATCH", `/user/${user._id}`, {
+    as: SUPER,
+    body: { role: "admin" },
+  });
+
+  assert.equal(response.status, 200);
+  const recorded = await auditLog().findOne({ action: "user.role-change" });
+  assert.equal(recorded.actor, SUPER);
+  assert.equal(recorded.before.role, "user");
+  assert.equal(recorded.after.role, "admin");
+});
+
+test("only super admins read the log", async () => {
+  const asAdmin = await ctx.request("GET", "/audit-log", { as: ADMIN });
+  const asPatient = await ctx.request("GET", "/audit-log", {
+    as: "patient@test.dev",
+  });
+  const exportAsAdmin = await ctx.request("GET", "/audit-log/export", {
+    as: ADMIN,
+  });
+
+  assert.equal(asAdmin.status, 403);
+  assert.equal(asPatient.status, 403);
+  assert.equal(exportAsAdmin.status, 403);
+});
+
+test("the log filters by actor, action, target and date", async () => {
+  await auditLog().insertMany([
+    entry({ at: new Date("2030-01-01T10:00:00+06:00") }),
+    entry({ actor: SUPER, at: new Date("2030-01-02T10:00:00+06:00") }),
+    entry({
+      action: "payment.refund",
+      target: { type: "payment", id: "p1" },
+      at: new Date("2030-01-03T00:30:00+06:00"),
+    }),
+  ]);
+
+  const list = (query) =>
+    ctx.request("GET", `/audit-log?${query}`, { as: SUPER });
+
+  assert.equal((await list(`actor=${SUPER}`)).body.pagination.total, 1);
+  assert.equal((await list("action=payment.refund")).body.pagination.total, 1);
+  assert.equal(
+    (await list("targetType=service&targetId=s1")).body.pagination.total,
+    2,
+  );
+  // Bare dates are whole days in clinic time
+  const day = await list("from=2030-01-03&to=2030-01-03");
+  assert.deepEqual(
+    day.body.data.map((item) => item.action),
+    ["payment.refund"],
+  );
+  const newestFirst = await list("");
+  assert.equal(newestFirst.body.data[0].action, "payment.refund");
+});
+
+test("the export is a CSV with formula cells defused", async () => {
+  await auditLog().insertMany([
+    entry({ actor: '=HYPERLINK("http://evil")', at: new Date(1000) }),
+    entry({ after: { note: 'a, "quoted" value' }, at: new Date(2000) }),
+  ]);
+
+  const response = await ctx.request("GET", "/audit-log/export", { as: SUPER });
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /text\/csv/);
+  assert.match(
+    response.headers.get("content-disposition"),
+    /attachment; filename="audit-log-\d{4}-\d{2}-\d{2}\.csv"/,
+  );
+  const [header, newest, oldest] = response.text.trim().split("\r\n");
+  assert.equal(
+    header,
+    "at,actor,action,targetType,targetId,ip,userAgent,before,after",
+  );
+  assert.match(newest, /"\{""note"":""a, \\""quoted\\"" value""\}"$/);
+  assert.match(oldest, /^[^,]+,"'=HYPERLINK\(""http:\/\/evil""\)",/);
+});
+
+test("the log can't be changed through the API", async () => {
+  const { insertedId } = await auditLog().insertOne(entry());
+
+  const put = await ctx.request("PUT", `/audit-log/${insertedId}`, {
+    as: SUPER,
+    body: { actor: "nobody" },
+  });
+  const remove = await ctx.request("DELETE", `/audit-log/${insertedId}`, {
+    as: SUPER,
+  });
+
+  assert.equal(put.status, 404);
+  assert.equal(remove.status, 404);
+  assert.equal(
+    (await auditLog().findOne({ _id: new ObjectId(insertedId) })).actor,
+    ADMIN,
+  );
+});
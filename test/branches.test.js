@@ -0,0 +1,312 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  startApp,
+  seedDoctor,
+  seedService,
+  seedUser,
+  book,
+  daysFromNow,
+} = require("./support/app");
+
+let ctx;
+let north;
+let south;
+
+const ADMIN = "admin@test.dev";
+const PATIENT = "patient@test.dev";
+const WEEK = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DATE = daysFromNow(3);
+
+const everyDay = (start, end) =>
+  Object.fromEntries(WEEK.map((day) => [day, [{ start, end }]]));
+
+const seedBranch = async (name, extra = {}) => {
+  const branch = {
+    name,
+    address: { line1: "1 Main Road", city: "Dhaka" },
+    openingHours: everyDay("08:00", "18:00"),
+    holidays: [],
+    active: true,
+    ...extra,
+  };
+  await ctx.db.collection("branches").insertOne(branch);
+  return branch;
+};
+
+beforeEach(async () => {
+  ctx = await startApp();
+  await seedUser(ctx.db, ADMIN, "super-admin");
+  north = await seedBranch("North");
+  south = await seedBranch("South");
+});
+
+afterEach(() => ctx.close());
+
+const slotsAt = async (doctor, branch) => {
+  const query = branch ? `&branchId=${branch._id}` : "";
+  const response = await ctx.request(
+    "GET",
+    `/doctors-all/${doctor._id}/slots?date=${DATE}${query}`,
+  );
+  return response;
+};
+
+test("admins open branches with valid hours", async () => {
+  const created = await ctx.request("POST", "/branches", {
+    as: ADMIN,
+    body: {
+      name: "East",
+      address: { line1: "2 Lake Road", city: "Chittagong" },
+      openingHours: { mon: [{ start: "09:00", end: "17:00" }] },
+    },
+  });
+  const badHours = await ctx.request("POST", "/branches", {
+    as: ADMIN,
+    body: {
+      name: "West",
+      address: { line1: "3 Hill Road", city: "Dhaka" },
+      openingHours: { someday: [{ start: "09:00", end: "17:00" }] },
+    },
+  });
+  const byPatient = await ctx.request("POST", "/branches", {
+    as: PATIENT,
+    body: { name: "Mine", address: { line1: "4 Road", city: "Dhaka" } },
+  });
+
+  assert.equal(created.status, 201);
+  assert.equal(created.body.data.active, true);
+  assert.equal(badHours.status, 400);
+  assert.equal(byPatient.status, 403);
+
+  const inChittagong = await ctx.request("GET", "/branches?city=Chittagong");
+  assert.deepEqual(
+    inChittagong.body.data.map((branch) => branch.name),
+    ["East"],
+  );
+});
+
+test("closed branches drop out of the listing but stay on record", async () => {
+  const closed = await ctx.request("DELETE", `/branches/${south._id}`, {
+    as: ADMIN,
+  });
+
+  const open = await ctx.request("GET", "/branches");
+  const all = await ctx.request("GET", "/branches?includeInactive=true");
+
+  assert.equal(closed.status, 200);
+  assert.deepEqual(
+    open.body.data.map((branch) => branch.name),
+    ["North"],
+  );
+  assert.equal(all.body.data.length, 2);
+});
+
+test("a branch lists its doctors and the services it offers", async () => {
+  await seedDoctor(ctx.db, { branchIds: [north._id] });
+  await seedDoctor(ctx.db, {
+    email: "south@test.dev",
+    name: "Dr. South",
+    branchIds: [south._id],
+  });
+  await seedService(ctx.db, { title: "Everywhere" });
+  await seedService(ctx.db, { title: "North only", branchIds: [north._id] });
+  await seedService(ctx.db, { title: "South only", branchIds: [south._id] });
+
+  const response = await ctx.request("GET", `/branches/${north._id}`);
+
+  assert.deepEqual(
+    response.body.doctors.map((doctor) => doctor.name),
+    ["Dr. Test"],
+  );
+  assert.deepEqual(
+    response.body.services.map((service) => service.title).sort(),
+    ["Everywhere", "North only"],
+  );
+});
+
+test("doctors are assigned to existing, open branches", async () => {
+  const doctor = await seedDoctor(ctx.db);
+  await ctx.db
+    .collection("branches")
+    .updateOne({ _id: south._id }, { $set: { active: false } });
+
+  const toClosed = await ctx.request(
+    "PUT",
+    `/doctors-all/${doctor._id}/branches`,
+    { as: ADMIN, body: { branchIds: [north._id, south._id].map(String) } },
+  );
+  const toOpen = await ctx.request(
+    "PUT",
+    `/doctors-all/${doctor._id}/branches`,
+    { as: ADMIN, body: { branchIds: [String(north._id)] } },
+  );
+
+  assert.equal(toClosed.status, 400);
+  assert.equal(toOpen.status, 200);
+  const stored = await ctx.db
+    .collection("doctors-all")
+    .findOne({ _id: doctor._id });
+  assert.deepEqual(stored.branchIds.map(String), [String(north._id)]);
+});
+
+test("a doctor at several branches is booked at the one chosen", async () => {
+  const doctor = await seedDoctor(ctx.db, {
+    branchIds: [north._id, south._id],
+  });
+
+  const unchosen = await book(ctx.request, { doctor, email: PATIENT });
+  const elsewhere = await book(ctx.request, {
+    doctor,
+    email: PATIENT,
+    branchId: String(new ObjectId()),
+  });
+  const atSouth = await book(ctx.request, {
+    doctor,
+    email: PATIENT,
+    branchId: String(south._id),
+  });
+
+  assert.equal(unchosen.status, 400);
+  assert.equal(elsewhere.status, 400);
+  assert.equal(atSouth.status, 200);
+  const appointment = await ctx.db
+    .collection("appointments")
+    .findOne({ _id: new ObjectId(atSouth.body.insertedId) });
+  assert.ok(appointment.branchId.equals(south._id));
+  assert.equal(appointment.branchName, "South");
+});
+
+test("each branch can have its own schedule within its opening hours", async () => {
+  const doctor = await seedDoctor(ctx.db, {
+    branchIds: [north._id, south._id],
+  });
+  const schedule = (start, end) => ({
+    slotMinutes: 60,
+    weeklyHours: everyDay(start, end),
+  });
+
+  const tooLate = await ctx.request(
+    "PUT",
+    `/doctors-all/${doctor._id}/schedule?branchId=${south._id}`,
+    { as: doctor.email, body: schedule("14:00", "20:00") },
+  );
+  const afternoons = await ctx.request(
+    "PUT",
+    `/doctors-all/${doctor._id}/schedule?branchId=${south._id}`,
+    { as: doctor.email, body: schedule("14:00", "16:00") },
+  );
+
+  assert.equal(tooLate.status, 400);
+  assert.equal(afternoons.status, 200);
+
+  const atSouth = await slotsAt(doctor, south);
+  const atNorth = await slotsAt(doctor, north);
+  assert.deepEqual(
+    atSouth.body.slots.map((slot) => slot.start),
+    ["14:00", "15:00"],
+  );
+  assert.equal(atNorth.body.slotMinutes, 30);
+  assert.equal(atNorth.body.slots.length, 16);
+});
+
+test("nothing is booked at a branch on its holidays", async () => {
+  const doctor = await seedDoctor(ctx.db, { branchIds: [north._id] });
+  await ctx.db
+    .collection("branches")
+    .updateOne({ _id: north._id }, { $set: { holidays: [DATE] } });
+
+  const slots = await slotsAt(doctor);
+  const booking = await book(ctx.request, { doctor, email: PATIENT });
+
+  assert.deepEqual(slots.body.slots, []);
+  assert.equal(booking.status, 400);
+});
+
+test("a service is only booked where it is offered", async () => {
+  const doctor = await seedDoctor(ctx.db, { branchIds: [north._id] });
+  const service = await seedService(ctx.db, { branchIds: [south._id] });
+
+  const response = await book(ctx.request, {
+    doctor,
+    service,
+    email: PATIENT,
+  });
+
+  assert.equal(response.status, 400);
+  assert.match(response.body.message, /not offered at this branch/);
+});
+
+test("branch admins manage their own branch only", async () => {
+  const doctor = await seedDoctor(ctx.db, {
+    branchIds: [north._id, south._id],
+  });
+  const manager = await seedUser(ctx.db, "manager@test.dev");
+
+  const noBranch = await ctx.request("PATCH", `/user/${manager._id}`, {
+    as: ADMIN,
+    body: { role: "branch-admin" },
+  });
+  const promoted = await ctx.request("PATCH", `/user/${manager._id}`, {
+    as: ADMIN,
+    body: { role: "branch-admin", branchIds: [String(north._id)] },
+  });
+  assert.equal(noBranch.status, 400);
+  assert.equal(promoted.status, 200);
+
+  const atNorth = await book(ctx.request, {
+    doctor,
+    email: PATIENT,
+    branchId: String(north._id),
+  });
+  const atSouth = await book(ctx.request, {
+    doctor,
+    email: PATIENT,
+    branchId: String(south._id),
+    time: "11:00",
+  });
+  const as = manager.email;
+
+  const ownList = await ctx.request(
+    "GET",
+    `/appointments?branchId=${north._id}`,
+    { as },
+  );
+  const otherList = await ctx.request(
+    "GET",
+    `/appointments?branchId=${south._id}`,
+    { as },
+  );
+  const confirmOwn = await ctx.request(
+    "PATCH",
+    `/appointment/${atNorth.body.insertedId}/status`,
+    { as, body: { status: "confirmed" } },
+  );
+  const confirmOther = await ctx.request(
+    "PATCH",
+    `/appointment/${atSouth.body.insertedId}/status`,
+    { as, body: { status: "confirmed" } },
+  );
+  const hours = await ctx.request("PATCH", `/branches/${north._id}`, {
+    as,
+    body: { phone: "+8801700000000" },
+  });
+  const close = await ctx.request("PATCH", `/branches/${north._id}`, {
+    as,
+    body: { active: false },
+  });
+  const otherBranch = await ctx.request("PATCH", `/branches/${south._id}`, {
+    as,
+    body: { phone: "+8801700000000" },
+  });
+
+  assert.equal(ownList.status, 200);
+  assert.equal(ownList.body.data.length, 1);
+  assert.equal(otherList.status, 403);
+  assert.equal(confirmOwn.status, 200);
+  assert.equal(confirmOther.status, 403);
+  assert.equal(hours.status, 200);
+  assert.equal(close.status, 403);
+  assert.equal(otherBranch.status, 403);
+});
@@ -0,0 +1,227 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  startApp,
+  seedDoctor,
+  seedService,
+  seedUser,
+  book,
+  payFor,
+  daysFromNow,
+} = require("./support/app");
+
+let ctx;
+let doctor;
+let colleague;
+
+const ADMIN = "admin@test.dev";
+const PATIENT = "patient@test.dev";
+const DATE = daysFromNow(3);
+
+beforeEach(async () => {
+  ctx = await startApp();
+  doctor = await seedDoctor(ctx.db);
+  colleague = await seedDoctor(ctx.db, {
+    email: "colleague@test.dev",
+    name: "Dr. Colleague",
+  });
+  await seedUser(ctx.db, ADMIN, "admin");
+});
+
+afterEach(() => ctx.close());
+
+const close = (body) =>
+  ctx.request("POST", "/closures", {
+    as: ADMIN,
+    body: { fromDate: DATE, toDate: DATE, ...body },
+  });
+
+const leaveFor = (someone, body = {}) =>
+  close({ doctorId: someone._id.toString(), reason: "Conference", ...body });
+
+const bookAt = (someone, time = "10:00", email = PATIENT) =>
+  book(ctx.request, { doctor: someone, email, date: DATE, time });
+
+const load = (id) =>
+  ctx.db.collection("appointments").findOne({ _id: new ObjectId(id) });
+
+test("only admins add closures, over a sensible range", async () => {
+  const byPatient = await ctx.request("POST", "/closures", {
+    as: PATIENT,
+    body: { fromDate: DATE, toDate: DATE },
+  });
+  const backwards = await close({ toDate: daysFromNow(1) });
+  const past = await close({
+    fromDate: daysFromNow(-5),
+    toDate: daysFromNow(-2),
+  });
+  const leaveAtBranch = await leaveFor(doctor, {
+    branchId: new ObjectId().toString(),
+  });
+
+  assert.equal(byPatient.status, 403);
+  assert.equal(backwards.status, 400);
+  assert.equal(past.status, 400);
+  assert.equal(leaveAtBranch.status, 400);
+});
+
+test("a doctor's leave blocks their days and nobody else's", async () => {
+  const leave = await leaveFor(doctor);
+
+  const slots = await ctx.request(
+    "GET",
+    `/doctors-all/${doctor._id}/slots?date=${DATE}`,
+  );
+  const blocked = await bookAt(doctor);
+  const otherDoctor = await bookAt(colleague);
+
+  assert.equal(leave.status, 201);
+  assert.equal(leave.body.data.kind, "leave");
+  assert.deepEqual(slots.body.slots, []);
+  assert.equal(blocked.status, 400);
+  assert.match(blocked.body.message, /on leave/);
+  assert.equal(otherDoctor.status, 200);
+});
+
+test("a clinic closure blocks every doctor until it is lifted", async () => {
+  const closure = await close({ reason: "Eid" });
+
+  const blocked = await bookAt(colleague);
+  const lifted = await ctx.request(
+    "DELETE",
+    `/closures/${closure.body.data._id}`,
+    { as: ADMIN },
+  );
+  const reopened = await bookAt(colleague);
+
+  assert.equal(blocked.status, 400);
+  assert.match(blocked.body.message, /clinic is closed/);
+  assert.equal(lifted.status, 200);
+  assert.equal(reopened.status, 200);
+});
+
+test("a branch closure only blocks that branch", async () => {
+  const branches = ctx.db.collection("branches");
+  const north = { name: "North", active: true, holidays: [] };
+  const south = { name: "South", active: true, holidays: [] };
+  await branches.insertMany([north, south]);
+  await ctx.db
+    .collection("doctors-all")
+    .updateOne(
+      { _id: doctor._id },
+      { $set: { branchIds: [north._id, south._id] } },
+    );
+
+  await close({ branchId: north._id.toString() });
+
+  const atNorth = await book(ctx.request, {
+    doctor,
+    email: PATIENT,
+    date: DATE,
+    branchId: north._id.toString(),
+  });
+  const atSouth = await book(ctx.request, {
+    doctor,
+    email: PATIENT,
+    date: DATE,
+    branchId: south._id.toString(),
+  });
+
+  assert.equal(atNorth.status, 400);
+  assert.equal(atSouth.status, 200);
+});
+
+test("adding a closure reports the open appointments it clashes with", async () => {
+  const kept = await bookAt(doctor, "10:00");
+  const cancelled = await bookAt(doctor, "11:00", "other@test.dev");
+  await bookAt(colleague, "10:00", "colleague-patient@test.dev");
+  await ctx.request("DELETE", `/appointment/${cancelled.body.insertedId}`, {
+    as: "other@test.dev",
+  });
+
+  const leave = await leaveFor(doctor);
+  const report = await ctx.request(
+    "GET",
+    `/closures/${leave.body.data._id}/conflicts`,
+    { as: ADMIN },
+  );
+
+  assert.deepEqual(
+    leave.body.conflicts.map((appointment) => String(appointment._id)),
+    [kept.body.insertedId],
+  );
+  assert.equal(leave.body.conflicts[0].email, PATIENT);
+  assert.equal(report.body.data.length, 1);
+});
+
+test("conflicts are moved to the first free slot after the closure", async () => {
+  const first = await bookAt(doctor, "10:00");
+  const second = await bookAt(doctor, "11:00", "other@test.dev");
+  // Already taken on the day after, so that one moves to the next slot
+  await book(ctx.request, {
+    doctor,
+    email: "busy@test.dev",
+    date: daysFromNow(4),
+    time: "11:00",
+  });
+  const leave = await leaveFor(doctor);
+
+  const response = await ctx.request(
+    "POST",
+    `/closures/${leave.body.data._id}/reschedule-appointments`,
+    { as: ADMIN, body: {} },
+  );
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.rescheduled, 2);
+  const moved = await load(first.body.insertedId);
+  const movedAgain = await load(second.body.insertedId);
+  assert.deepEqual([moved.date, moved.time], [daysFromNow(4), "10:00"]);
+  assert.equal(movedAgain.date, daysFromNow(4));
+  assert.notEqual(movedAgain.time, "11:00");
+
+  const notified = await ctx.db
+    .collection("notifications")
+    .find({ event: "appointment.rescheduled" })
+    .toArray();
+  assert.deepEqual(notified.map((n) => n.to).sort(), [
+    "other@test.dev",
+    PATIENT,
+  ]);
+});
+
+test("chosen conflicts are cancelled, refunded and the patients told", async () => {
+  const service = await seedService(ctx.db);
+  const paid = await book(ctx.request, {
+    doctor,
+    service,
+    email: PATIENT,
+    date: DATE,
+  });
+  await payFor(ctx, {
+    appointmentId: paid.body.insertedId,
+    service,
+    email: PATIENT,
+  });
+  const untouched = await bookAt(doctor, "11:00", "other@test.dev");
+  const leave = await leaveFor(doctor);
+
+  const response = await ctx.request(
+    "POST",
+    `/closures/${leave.body.data._id}/cancel-appointments`,
+    { as: ADMIN, body: { appointmentIds: [paid.body.insertedId] } },
+  );
+
+  assert.equal(response.body.cancelled, 1);
+  const cancelled = await load(paid.body.insertedId);
+  assert.equal(cancelled.status, "cancelled");
+  assert.equal(cancelled.cancellationReason, "Conference");
+  assert.ok(ctx.stripe.calls.some((call) => call.method === "refunds.create"));
+  assert.ok(
+    await ctx.db
+      .collection("notifications")
+      .findOne({ event: "appointment.cancelled", to: PATIENT }),
+  );
+  assert.equal((await load(untouched.body.insertedId)).status, "requested");
+});
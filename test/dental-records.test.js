@@ -0,0 +1,285 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { describeTooth, TOOTH_NUMBERS } = require("../dental");
+const {
+  startApp,
+  seedDoctor,
+  seedUser,
+  seedAppointment,
+  book,
+} = require("./support/app");
+
+const PATIENT = "patient@test.dev";
+const ADMIN = "admin@test.dev";
+
+describe("describeTooth", () => {
+  test("names permanent and primary teeth by FDI number", () => {
+    assert.equal(describeTooth("36"), "lower left first molar");
+    assert.equal(describeTooth("11"), "upper right central incisor");
+    assert.equal(describeTooth("54"), "upper right first molar (primary)");
+  });
+
+  test("knows 32 permanent and 20 primary teeth, nothing else", () => {
+    assert.equal(TOOTH_NUMBERS.length, 52);
+    assert.equal(describeTooth("19"), null);
+    assert.equal(describeTooth("56"), null);
+  });
+});
+
+describe("records", () => {
+  let ctx;
+  let doctor;
+  let visit;
+
+  beforeEach(async () => {
+    ctx = await startApp();
+    doctor = await seedDoctor(ctx.db);
+    await seedDoctor(ctx.db, { email: "other-doctor@test.dev" });
+    await seedUser(ctx.db, ADMIN, "admin");
+    visit = await seedAppointment(ctx.db, { doctor });
+  });
+
+  afterEach(() => ctx.close());
+
+  const readRecord = (as, email = PATIENT) =>
+    ctx.request("GET", `/users/${email}/dental-record`, { as });
+
+  const writeNote = (as, body, appointment = visit) =>
+    ctx.request("POST", `/appointment/${appointment._id}/treatment-note`, {
+      as,
+      body,
+    });
+
+  const audit = (action) =>
+    ctx.db.collection("audit-log").find({ action }).toArray();
+
+  test("the first booking's medical history is kept, later ones aren't", async () => {
+    const first = await book(ctx.request, {
+      doctor,
+      email: "new@test.dev",
+      medicalHistory: { allergies: ["Penicillin"], smoker: false },
+    });
+    await book(ctx.request, {
+      doctor,
+      email: "new@test.dev",
+      time: "11:00",
+      medicalHistory: { allergies: [] },
+    });
+
+    assert.equal(first.status, 200);
+    const record = await ctx.db
+      .collection("patient-records")
+      .findOne({ email: "new@test.dev" });
+    assert.deepEqual(record.medicalHistory.allergies, ["Penicillin"]);
+    const appointment = await ctx.db
+      .collection("appointments")
+      .findOne({ email: "new@test.dev" });
+    assert.equal(appointment.medicalHistory, undefined);
+  });
+
+  test("the patient, their doctors and admins read the record", async () => {
+    const asPatient = await readRecord(PATIENT);
+    const asDoctor = await readRecord(doctor.email);
+    const asAdmin = await readRecord(ADMIN);
+    const asOtherDoctor = await readRecord("other-doctor@test.dev");
+    const asStranger = await readRecord("stranger@test.dev");
+
+    assert.deepEqual(
+      [asPatient, asDoctor, asAdmin].map((response) => response.status),
+      [200, 200, 200],
+    );
+    assert.equal(asOtherDoctor.status, 403);
+    assert.equal(asStranger.status, 403);
+  });
+
+  test("a cancelled booking doesn't make a doctor a treating doctor", async () => {
+    await ctx.db
+      .collection("appointments")
+      .updateOne({ _id: visit._id }, { $set: { status: "cancelled" } });
+
+    const response = await readRecord(doctor.email);
+
+    assert.equal(response.status, 403);
+  });
+
+  test("only doctors with a confirmed visit update the medical history", async () => {
+    const updateHistory = (as) =>
+      ctx.request("PUT", `/users/${PATIENT}/medical-history`, {
+        as,
+        body: { allergies: ["Latex"] },
+      });
+    const booking = await book(ctx.request, {
+      doctor: await ctx.db
+        .collection("doctors-all")
+        .findOne({ email: "other-doctor@test.dev" }),
+      email: PATIENT,
+    });
+
+    assert.equal(booking.status, 200);
+    const requested = await updateHistory("other-doctor@test.dev");
+    const completed = await updateHistory(doctor.email);
+
+    assert.equal(requested.status, 403);
+    assert.equal(completed.status, 200);
+  });
+
+  test("a history update keeps the fields it didn't send and what it replaced", async () => {
+    await ctx.request("PUT", `/users/${PATIENT}/medical-history`, {
+      as: PATIENT,
+      body: { allergies: ["Penicillin"], smoker: false },
+    });
+
+    const response = await ctx.request(
+      "PUT",
+      `/users/${PATIENT}/medical-history`,
+      { as: doctor.email, body: { allergies: ["Penicillin", "Latex"] } },
+    );
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.medicalHistory.allergies, [
+      "Penicillin",
+      "Latex",
+    ]);
+    assert.equal(response.body.medicalHistory.smoker, false);
+    const record = await ctx.db
+      .collection("patient-records")
+      .findOne({ email: PATIENT });
+    assert.deepEqual(
+      record.historyRevisions.map((revision) => revision.before),
+      [{ allergies: null, smoker: null }, { allergies: ["Penicillin"] }],
+    );
+    assert.equal(record.historyRevisions[1].by, doctor.email);
+  });
+
+  test("every read is logged without clinical details", async () => {
+    await ctx.request("PUT", `/users/${PATIENT}/medical-history`, {
+      as: PATIENT,
+      body: { allergies: ["Latex"], notes: "Asthma" },
+    });
+
+    await readRecord(doctor.email);
+    await readRecord(ADMIN);
+
+    const views = await audit("record.view");
+    assert.deepEqual(views.map((entry) => entry.actor).sort(), [
+      ADMIN,
+      doctor.email,
+    ]);
+    const [update] = await audit("record.history-update");
+    assert.deepEqual(update.after, { fields: ["allergies", "notes"] });
+    assert.doesNotMatch(JSON.stringify(update), /Latex|Asthma/);
+  });
+
+  test("treating doctors chart teeth by FDI number", async () => {
+    const charted = await ctx.request(
+      "PATCH",
+      `/users/${PATIENT}/tooth-chart`,
+      {
+        as: doctor.email,
+        body: { teeth: { 36: { condition: "filled", surfaces: ["O"] } } },
+      },
+    );
+    await ctx.request("PATCH", `/users/${PATIENT}/tooth-chart`, {
+      as: doctor.email,
+      body: { teeth: { 11: { condition: "crown" } } },
+    });
+    const unknown = await ctx.request(
+      "PATCH",
+      `/users/${PATIENT}/tooth-chart`,
+      {
+        as: doctor.email,
+        body: { teeth: { 19: { condition: "filled" } } },
+      },
+    );
+    const byPatient = await ctx.request(
+      "PATCH",
+      `/users/${PATIENT}/tooth-chart`,
+      { as: PATIENT, body: { teeth: { 11: { condition: "healthy" } } } },
+    );
+
+    assert.equal(charted.status, 200);
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.errors[0].field, "teeth.19");
+    assert.equal(byPatient.status, 403);
+
+    const { body } = await readRecord(PATIENT);
+    assert.deepEqual(Object.keys(body.toothChart).sort(), ["11", "36"]);
+    assert.equal(body.toothChart["36"].tooth, "lower left first molar");
+    assert.deepEqual(body.toothChart["36"].surfaces, ["O"]);
+  });
+
+  test("only the doctor who saw the patient writes the note, once, after the visit", async () => {
+    const upcoming = await seedAppointment(ctx.db, {
+      doctor,
+      status: "confirmed",
+      date: "2099-01-01",
+    });
+    const note = { notes: "Filled 36", procedures: [{ name: "Filling" }] };
+
+    const byOther = await writeNote("other-doctor@test.dev", note);
+    const tooEarly = await writeNote(doctor.email, note, upcoming);
+    const written = await writeNote(doctor.email, note);
+    const twice = await writeNote(doctor.email, note);
+
+    assert.equal(byOther.status, 403);
+    assert.equal(tooEarly.status, 400);
+    assert.equal(written.status, 201);
+    assert.equal(twice.status, 409);
+    assert.equal(written.body.data.patientEmail, PATIENT);
+  });
+
+  test("amending a note keeps the earlier wording", async () => {
+    await writeNote(doctor.email, { notes: "First draft" });
+
+    const amended = await ctx.request(
+      "PATCH",
+      `/appointment/${visit._id}/treatment-note`,
+      { as: doctor.email, body: { notes: "Corrected" } },
+    );
+
+    assert.equal(amended.status, 200);
+    assert.equal(amended.body.data.notes, "Corrected");
+    assert.deepEqual(amended.body.data.revisions[0].before, {
+      notes: "First draft",
+    });
+
+    const { body } = await readRecord(PATIENT);
+    assert.equal(body.treatmentNotes[0].revisions, undefined);
+  });
+
+  test("a follow-up shows on the record and tells the patient", async () => {
+    await writeNote(doctor.email, {
+      notes: "Deep caries on 46",
+      followUp: { recommendation: "Root canal on 46", inWeeks: 2 },
+    });
+
+    const { body } = await readRecord(PATIENT);
+    const [sent] = await ctx.db
+      .collection("notifications")
+      .find({ event: "treatment.follow-up" })
+      .toArray();
+
+    assert.equal(body.followUps[0].recommendation, "Root canal on 46");
+    assert.equal(sent.to, PATIENT);
+    assert.doesNotMatch(sent.text, /46/);
+  });
+
+  test("a single note is readable by its patient and logged", async () => {
+    await writeNote(doctor.email, { notes: "All good" });
+
+    const asPatient = await ctx.request(
+      "GET",
+      `/appointment/${visit._id}/treatment-note`,
+      { as: PATIENT },
+    );
+    const asStranger = await ctx.request(
+      "GET",
+      `/appointment/${visit._id}/treatment-note`,
+      { as: "stranger@test.dev" },
+    );
+
+    assert.equal(asPatient.body.notes, "All good");
+    assert.equal(asStranger.status, 403);
+    assert.equal((await audit("record.view")).length, 1);
+  });
+});
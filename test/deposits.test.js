@@ -0,0 +1,223 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  startApp,
+  seedDoctor,
+  seedService,
+  seedUser,
+  book,
+  payFor,
+  deliverWebhook,
+  stripeEvent,
+} = require("./support/app");
+
+let ctx;
+let doctor;
+
+const PATIENT = "patient@test.dev";
+const ADMIN = "admin@test.dev";
+
+beforeEach(async () => {
+  ctx = await startApp();
+  doctor = await seedDoctor(ctx.db);
+  await seedUser(ctx.db, ADMIN, "admin");
+});
+
+afterEach(() => ctx.close());
+
+const bookWith = async (extra) => {
+  const service = await seedService(ctx.db, extra);
+  const booked = await book(ctx.request, { doctor, service, email: PATIENT });
+  return { service, appointmentId: booked.body.insertedId };
+};
+
+const load = (appointmentId) =>
+  ctx.db
+    .collection("appointments")
+    .findOne({ _id: new ObjectId(appointmentId) });
+
+const payCash = (appointmentId, body = {}, as = ADMIN) =>
+  ctx.request("POST", `/appointment/${appointmentId}/cash-payment`, {
+    as,
+    body,
+  });
+
+test("a booking keeps what the visit costs and what is still due", async () => {
+  const { appointmentId } = await bookWith({
+    paymentMode: "deposit",
+    depositPercent: 20,
+  });
+
+  const { billing } = await load(appointmentId);
+
+  assert.deepEqual(billing, {
+    mode: "deposit",
+    currency: "usd",
+    total: 5000,
+    deposit: 1000,
+    paid: 0,
+    due: 5000,
+  });
+});
+
+test("deposit services need a deposit", async () => {
+  const response = await ctx.request("POST", "/services", {
+    as: ADMIN,
+    body: { title: "Implant", price: 900, paymentMode: "deposit" },
+  });
+
+  assert.equal(response.status, 400);
+});
+
+test("a deposit first, then the balance by card", async () => {
+  const { service, appointmentId } = await bookWith({
+    paymentMode: "deposit",
+    depositPercent: 20,
+  });
+
+  const deposit = await payFor(ctx, { appointmentId, service, email: PATIENT });
+  const afterDeposit = await load(appointmentId);
+  const balance = await payFor(ctx, { appointmentId, service, email: PATIENT });
+
+  assert.equal(deposit.intent.amount, 1000);
+  assert.equal(deposit.intent.metadata.stage, "deposit");
+  assert.equal(afterDeposit.paymentStatus, "partially_paid");
+  assert.equal(afterDeposit.billing.due, 4000);
+  assert.equal(balance.intent.amount, 4000);
+  assert.equal(balance.intent.metadata.stage, "balance");
+  const paid = await load(appointmentId);
+  assert.equal(paid.paymentStatus, "paid");
+  assert.deepEqual([paid.billing.paid, paid.billing.due], [5000, 0]);
+});
+
+test("a deposit can be skipped by paying in full", async () => {
+  const { service, appointmentId } = await bookWith({
+    paymentMode: "deposit",
+    depositPercent: 20,
+  });
+
+  const paid = await payFor(ctx, {
+    appointmentId,
+    service,
+    email: PATIENT,
+    payInFull: true,
+  });
+
+  assert.equal(paid.intent.amount, 5000);
+  assert.equal((await load(appointmentId)).paymentStatus, "paid");
+});
+
+test("the front desk records cash against what is due", async () => {
+  const { appointmentId } = await bookWith({ paymentMode: "at-clinic" });
+
+  const tooMuch = await payCash(appointmentId, { amount: 60 });
+  const part = await payCash(appointmentId, { amount: 20, note: "At desk" });
+  const rest = await payCash(appointmentId);
+  const again = await payCash(appointmentId);
+
+  assert.equal(tooMuch.status, 400);
+  assert.equal(part.status, 201);
+  assert.equal(part.body.paymentStatus, "partially_paid");
+  assert.equal(rest.body.paymentStatus, "paid");
+  assert.equal(again.status, 400);
+
+  const payments = await ctx.db.collection("payments").find({}).toArray();
+  assert.deepEqual(
+    payments.map((payment) => [payment.method, payment.amountMinor]),
+    [
+      ["cash", 2000],
+      ["cash", 3000],
+    ],
+  );
+  assert.deepEqual(
+    payments.map((payment) => payment.stage),
+    ["deposit", "balance"],
+  );
+});
+
+test("only admins record cash", async () => {
+  const { appointmentId } = await bookWith({ paymentMode: "at-clinic" });
+
+  const response = await payCash(appointmentId, {}, PATIENT);
+
+  assert.equal(response.status, 403);
+  assert.equal((await load(appointmentId)).billing.paid, 0);
+});
+
+test("cash that no longer fits the balance is refused with a conflict", async () => {
+  const { appointmentId } = await bookWith({ paymentMode: "at-clinic" });
+
+  // The route loads the appointment, then a card payment lands before
+  // the cash is counted
+  const appointments = ctx.db.collection("appointments");
+  const findOne = appointments.findOne.bind(appointments);
+  appointments.findOne = async (...args) => {
+    const stale = await findOne(...args);
+    appointments.findOne = findOne;
+    await appointments.updateOne(
+      { _id: stale._id },
+      {
+        $set: {
+          "billing.paid": 5000,
+          "billing.due": 0,
+          paymentStatus: "paid",
+        },
+      },
+    );
+    return stale;
+  };
+
+  const response = await payCash(appointmentId);
+
+  assert.equal(response.status, 409);
+  const { billing } = await load(appointmentId);
+  assert.deepEqual([billing.paid, billing.due], [5000, 0]);
+  assert.equal(await ctx.db.collection("payments").countDocuments({}), 0);
+});
+
+test("a card payment that lands after cash is kept and flagged", async () => {
+  const { service, appointmentId } = await bookWith({
+    paymentMode: "at-clinic",
+  });
+  await ctx.request("POST", "/create-payment-intent", {
+    as: PATIENT,
+    body: { serviceId: service._id.toString(), appointmentId },
+  });
+  const intent = ctx.stripe.succeed(ctx.stripe.lastIntent().id);
+  await payCash(appointmentId);
+
+  const delivered = await deliverWebhook(
+    ctx,
+    stripeEvent("payment_intent.succeeded", intent),
+  );
+
+  assert.equal(delivered.status, 200);
+  const { billing } = await load(appointmentId);
+  assert.deepEqual([billing.paid, billing.due], [5000, 0]);
+  assert.equal(await ctx.db.collection("payments").countDocuments({}), 2);
+  assert.ok(
+    await ctx.db
+      .collection("audit-log")
+      .findOne({ action: "payment.overpaid" }),
+  );
+});
+
+test("older appointments without totals are paid once", async () => {
+  const { appointmentId } = await bookWith({});
+  await ctx.db
+    .collection("appointments")
+    .updateOne(
+      { _id: new ObjectId(appointmentId) },
+      { $unset: { billing: "" } },
+    );
+
+  const noAmount = await payCash(appointmentId);
+  const paid = await payCash(appointmentId, { amount: 50 });
+  const again = await payCash(appointmentId, { amount: 50 });
+
+  assert.equal(noAmount.status, 400);
+  assert.equal(paid.status, 201);
+  assert.equal(again.status, 400);
+  assert.equal((await load(appointmentId)).paymentStatus, "paid");
+});
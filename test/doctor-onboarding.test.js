@@ -0,0 +1,293 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { startApp, seedDoctor, seedUser } = require("./support/app");
+
+let ctx;
+
+const APPLICANT = "applicant@test.dev";
+const ADMIN = "admin@test.dev";
+
+beforeEach(async () => {
+  ctx = await startApp();
+  await seedUser(ctx.db, APPLICANT);
+  await seedUser(ctx.db, ADMIN, "admin");
+});
+
+afterEach(() => ctx.close());
+
+const application = (extra = {}) => ({
+  email: APPLICANT,
+  name: "Dr. Applicant",
+  specialty: "Orthodontics",
+  education: "BDS, Dhaka Dental College",
+  registrationNumber: "BMDC-1234",
+  certificates: [{ name: "BDS", url: "https://example.com/bds.pdf" }],
+  ...extra,
+});
+
+const apply = async (body = application()) => {
+  const response = await ctx.request("POST", "/doctors-all", {
+    as: APPLICANT,
+    body,
+  });
+  return response.body.insertedId;
+};
+
+const submit = (id) =>
+  ctx.request("POST", `/doctors-all/${id}/submit`, { as: APPLICANT });
+
+const decide = (id, permission, reason) =>
+  ctx.request("PATCH", `/doctors-all/${id}`, {
+    as: ADMIN,
+    body: { permission, ...(reason && { reason }) },
+  });
+
+const load = (id) =>
+  ctx.db.collection("doctors-all").findOne({ _id: new ObjectId(id) });
+
+const role = async (email) =>
+  (await ctx.db.collection("users").findOne({ email })).role;
+
+test("an application starts as a draft and is submitted for review", async () => {
+  const id = await apply();
+
+  assert.equal((await load(id)).permission, "draft");
+
+  const response = await submit(id);
+
+  assert.equal(response.status, 200);
+  const doctor = await load(id);
+  assert.equal(doctor.permission, "pending");
+  assert.equal(doctor.reviewHistory[0].from, "draft");
+});
+
+test("an incomplete application can't be submitted", async () => {
+  const id = await apply(application({ certificates: [], education: "" }));
+
+  const response = await submit(id);
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.errors.map((error) => error.field).sort(), [
+    "certificates",
+    "education",
+  ]);
+});
+
+test("one application per email, and only for yourself", async () => {
+  await apply();
+
+  const again = await ctx.request("POST", "/doctors-all", {
+    as: APPLICANT,
+    body: application(),
+  });
+  const forSomeoneElse = await ctx.request("POST", "/doctors-all", {
+    as: "other@test.dev",
+    body: application({ email: "victim@test.dev" }),
+  });
+
+  assert.equal(again.status, 409);
+  assert.equal(forSomeoneElse.status, 403);
+});
+
+test("approval grants the doctor role and suspension takes it away", async () => {
+  const id = await apply();
+  await submit(id);
+
+  const approved = await decide(id, "approved");
+  assert.equal(approved.status, 200);
+  assert.equal(await role(APPLICANT), "doctor");
+
+  const suspended = await decide(id, "suspended", "Licence expired");
+  assert.equal(suspended.status, 200);
+  assert.equal(await role(APPLICANT), "user");
+
+  const audit = await ctx.db
+    .collection("audit-log")
+    .find({ action: "doctor.permission-change" })
+    .toArray();
+  assert.equal(audit.length, 2);
+});
+
+test("rejections and info requests need a reason and go back to the applicant", async () => {
+  const id = await apply();
+  await submit(id);
+
+  const noReason = await decide(id, "info-requested");
+  const asked = await decide(id, "info-requested", "Upload your licence");
+
+  assert.equal(noReason.status, 400);
+  assert.equal(asked.status, 200);
+
+  const edit = await ctx.request("PATCH", `/doctors-all/${id}/application`, {
+    as: APPLICANT,
+    body: { registrationNumber: "BMDC-5678" },
+  });
+  assert.equal(edit.status, 200);
+  assert.equal((await submit(id)).status, 200);
+
+  const notified = await ctx.db
+    .collection("notifications")
+    .findOne({ event: "doctor.info-requested" });
+  assert.equal(notified.to, APPLICANT);
+});
+
+test("an application under review can't be edited or decided twice", async () => {
+  const id = await apply();
+  await submit(id);
+
+  const edit = await ctx.request("PATCH", `/doctors-all/${id}/application`, {
+    as: APPLICANT,
+    body: { specialty: "Surgery" },
+  });
+  await decide(id, "approved");
+  const again = await decide(id, "rejected", "Changed my mind");
+
+  assert.equal(edit.status, 409);
+  assert.equal(again.status, 409);
+});
+
+test("certificates must be the applicant's own credential uploads", async () => {
+  const upload = await ctx.db.collection("uploads").insertOne({
+    purpose: "credential",
+    ownerEmail: "other@test.dev",
+  });
+
+  const response = await ctx.request("POST", "/doctors-all", {
+    as: APPLICANT,
+    body: application({
+      certificates: [{ name: "BDS", uploadId: upload.insertedId.toString() }],
+    }),
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(await ctx.db.collection("doctors-all").countDocuments({}), 0);
+});
+
+test("review history and certificates stay out of the public listing", async () => {
+  const id = await apply();
+  await submit(id);
+  await decide(id, "approved");
+
+  const response = await ctx.request("GET", "/doctors-all");
+
+  assert.equal(response.body.data.length, 1);
+  assert.equal(response.body.data[0].certificates, undefined);
+  assert.equal(response.body.data[0].reviewHistory, undefined);
+});
+
+test("the public only sees approved doctors, without their application", async () => {
+  await seedDoctor(ctx.db, { registrationNumber: "BMDC-1" });
+  const id = await apply();
+  await submit(id);
+  await decide(id, "rejected", "Registration could not be verified");
+
+  const listed = await ctx.request("GET", "/doctors-all");
+  const rejected = await ctx.request("GET", "/doctors-all?permission=rejected");
+
+  assert.equal(listed.body.data.length, 1);
+  assert.equal(listed.body.data[0].permission, undefined);
+  assert.equal(listed.body.data[0].registrationNumber, undefined);
+  assert.equal(rejected.body.data.length, 0);
+
+  const admin = await ctx.request("GET", "/doctors-all?permission=rejected", {
+    as: ADMIN,
+  });
+  assert.equal(admin.body.data.length, 1);
+  assert.equal(admin.body.data[0].registrationNumber, "BMDC-1234");
+});
+
+test("a doctor's application is looked up by email only by them and admins", async () => {
+  const id = await apply();
+  await submit(id);
+  await decide(id, "rejected", "Registration could not be verified");
+  await ctx.db
+    .collection("doctors-all")
+    .updateOne(
+      { _id: new ObjectId(id) },
+      { $set: { rejectionReason: "Registration could not be verified" } },
+    );
+  const url = `/doctor-by-email/${APPLICANT}`;
+
+  const anonymous = await ctx.request("GET", url);
+  const stranger = await ctx.request("GET", url, { as: "other@test.dev" });
+  const own = await ctx.request("GET", url, { as: APPLICANT });
+  const admin = await ctx.request("GET", url, { as: ADMIN });
+
+  assert.equal(anonymous.status, 404);
+  assert.equal(stranger.status, 404);
+  assert.equal(own.body.permission, "rejected");
+  assert.equal(own.body.rejectionReason, "Registration could not be verified");
+  assert.equal(admin.body.registrationNumber, "BMDC-1234");
+});
+
+test("approved doctors are looked up by email without their application", async () => {
+  const doctor = await seedDoctor(ctx.db, { registrationNumber: "BMDC-1" });
+
+  const response = await ctx.request("GET", `/doctor-by-email/${doctor.email}`);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.name, doctor.name);
+  assert.equal(response.body.permission, undefined);
+  assert.equal(response.body.registrationNumber, undefined);
+});
+
+test("approved doctors edit their profile but not their credentials", async () => {
+  const doctor = await seedDoctor(ctx.db, { registrationNumber: "BMDC-1" });
+
+  const response = await ctx.request("PUT", `/doctors-all/${doctor._id}`, {
+    as: doctor.email,
+    body: { fee: 40, registrationNumber: "BMDC-2" },
+  });
+
+  assert.equal(response.status, 200);
+  const stored = await load(doctor._id);
+  assert.equal(stored.fee, 40);
+  assert.equal(stored.registrationNumber, "BMDC-1");
+  assert.equal(await ctx.db.collection("audit-log").countDocuments({}), 0);
+});
+
+test("doctors who aren't approved can't edit their profile", async () => {
+  const suspended = await seedDoctor(ctx.db, { permission: "suspended" });
+  const id = await apply();
+
+  const asSuspended = await ctx.request(
+    "PUT",
+    `/doctors-all/${suspended._id}`,
+    { as: suspended.email, body: { fee: 40 } },
+  );
+  const asApplicant = await ctx.request("PUT", `/doctors-all/${id}`, {
+    as: APPLICANT,
+    body: { name: "Dr. Bypass", specialty: "Surgery" },
+  });
+
+  assert.equal(asSuspended.status, 403);
+  assert.equal(asApplicant.status, 403);
+  assert.equal((await load(suspended._id)).fee, undefined);
+  assert.equal((await load(id)).name, "Dr. Applicant");
+});
+
+test("admins edit any doctor and are audited", async () => {
+  const doctor = await seedDoctor(ctx.db, { permission: "suspended" });
+
+  const response = await ctx.request("PUT", `/doctors-all/${doctor._id}`, {
+    as: ADMIN,
+    body: { registrationNumber: "BMDC-9" },
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal((await load(doctor._id)).registrationNumber, "BMDC-9");
+  const audit = await ctx.db
+    .collection("audit-log")
+    .findOne({ action: "doctor.update" });
+  assert.deepEqual(audit.after, { registrationNumber: "BMDC-9" });
+});
+
+test("editing a doctor that doesn't exist is a 404", async () => {
+  const response = await ctx.request("PUT", `/doctors-all/${new ObjectId()}`, {
+    as: ADMIN,
+    body: { fee: 40 },
+  });
+
+  assert.equal(response.status, 404);
+});
@@ -0,0 +1,171 @@
+const { test, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { startApp, seedUser } = require("./support/app");
+
+const PROJECT_ID = process.env.FIREBASE_PROJECT_ID;
+const CERTS_URL =
+  "https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com";
+
+// The fixture key pair Google would hold; its public half is served as
+// the key set under KEY_ID
+const KEY_ID = "fixture-key";
+const fixtureKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const strangerKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+const pem = (key) => key.export({ type: "spki", format: "pem" });
+
+let ctx;
+let certFetches = 0;
+const realFetch = globalThis.fetch;
+
+before(() => {
+  globalThis.fetch = async (url, options) => {
+    if (String(url) !== CERTS_URL) return realFetch(url, options);
+
+    certFetches++;
+    return new Response(
+      JSON.stringify({ [KEY_ID]: pem(fixtureKey.publicKey) }),
+      {
+        headers: {
+          "content-type": "application/json",
+          "cache-control": "public, max-age=3600",
+        },
+      },
+    );
+  };
+});
+
+after(() => {
+  globalThis.fetch = realFetch;
+});
+
+beforeEach(async () => {
+  ctx = await startApp();
+});
+
+afterEach(() => ctx.close());
+
+const now = () => Math.floor(Date.now() / 1000);
+
+// A Firebase ID token; `claims` and `options` override the valid defaults
+const idToken = (claims = {}, options = {}) =>
+  jwt.sign(
+    {
+      iss: `https://securetoken.google.com/${PROJECT_ID}`,
+      aud: PROJECT_ID,
+      sub: "firebase-uid-1",
+      email: "patient@test.dev",
+      auth_time: now() - 60,
+      iat: now() - 60,
+      exp: now() + 3600,
+      ...claims,
+    },
+    options.key || fixtureKey.privateKey,
+    {
+      algorithm: options.algorithm || "RS256",
+      ...(options.keyid !== null && { keyid: options.keyid || KEY_ID }),
+    },
+  );
+
+const exchange = (token) =>
+  ctx.request("POST", "/jwt", { body: { idToken: token } });
+
+test("a valid ID token for a registered user gets our tokens", async () => {
+  await seedUser(ctx.db, "patient@test.dev", "doctor");
+
+  const response = await exchange(idToken());
+
+  assert.equal(response.status, 200);
+  const claims = jwt.verify(
+    response.body.token,
+    process.env.ACCESS_TOKEN_SECRET,
+  );
+  assert.equal(claims.email, "patient@test.dev");
+  assert.equal(claims.role, "doctor");
+  assert.ok(response.body.refreshToken);
+});
+
+test("an email with no account is refused and nothing is created", async () => {
+  const response = await exchange(idToken({ email: "nobody@test.dev" }));
+
+  assert.equal(response.status, 403);
+  assert.equal(await ctx.db.collection("users").countDocuments({}), 0);
+  assert.equal(await ctx.db.collection("refresh-tokens").countDocuments({}), 0);
+});
+
+test("an expired token is refused", async () => {
+  await seedUser(ctx.db, "patient@test.dev");
+
+  const response = await exchange(
+    idToken({ iat: now() - 7200, auth_time: now() - 7200, exp: now() - 3600 }),
+  );
+
+  assert.equal(response.status, 401);
+});
+
+test("a token for another Firebase project is refused", async () => {
+  await seedUser(ctx.db, "patient@test.dev");
+
+  const response = await exchange(idToken({ aud: "someone-elses-project" }));
+
+  assert.equal(response.status, 401);
+});
+
+test("a token from another issuer is refused", async () => {
+  await seedUser(ctx.db, "patient@test.dev");
+
+  const response = await exchange(
+    idToken({ iss: "https://accounts.example.com" }),
+  );
+
+  assert.equal(response.status, 401);
+});
+
+test("a token signed with a key Google doesn't hold is refused", async () => {
+  await seedUser(ctx.db, "patient@test.dev");
+
+  const forged = await exchange(idToken({}, { key: strangerKey.privateKey }));
+  const unknownKid = await exchange(idToken({}, { keyid: "rotated-away" }));
+  const noKid = await exchange(idToken({}, { keyid: null }));
+
+  assert.equal(forged.status, 401);
+  assert.equal(unknownKid.status, 401);
+  assert.equal(noKid.status, 401);
+});
+
+test("a token signed with a shared secret instead of RS256 is refused", async () => {
+  await seedUser(ctx.db, "patient@test.dev");
+
+  const response = await exchange(
+    idToken({}, { key: pem(fixtureKey.publicKey), algorithm: "HS256" }),
+  );
+
+  assert.equal(response.status, 401);
+});
+
+test("tokens without an email or authenticated in the future are refused", async () => {
+  await seedUser(ctx.db, "patient@test.dev");
+
+  const noEmail = await exchange(idToken({ email: undefined }));
+  const future = await exchange(idToken({ auth_time: now() + 600 }));
+
+  assert.equal(noEmail.status, 401);
+  assert.equal(future.status, 401);
+});
+
+test("a missing ID token is a bad request", async () => {
+  const response = await ctx.request("POST", "/jwt", { body: {} });
+
+  assert.equal(response.status, 400);
+});
+
+test("Google's keys are fetched once and cached", async () => {
+  await seedUser(ctx.db, "patient@test.dev");
+
+  await exchange(idToken());
+  await exchange(idToken());
+
+  assert.equal(certFetches, 1);
+});
@@ -0,0 +1,197 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startApp,
+  seedDoctor,
+  seedUser,
+  seedAppointment,
+} = require("./support/app");
+
+let ctx;
+let doctor;
+
+const ADMIN = "admin@test.dev";
+const HOUR = 3600000;
+
+beforeEach(async () => {
+  ctx = await startApp();
+  doctor = await seedDoctor(ctx.db);
+  await seedUser(ctx.db, ADMIN, "admin");
+});
+
+afterEach(() => ctx.close());
+
+const runJobs = (secret = process.env.CRON_SECRET) =>
+  ctx.request("GET", "/jobs/run", {
+    headers: { authorization: `Bearer ${secret}` },
+  });
+
+const jobs = () => ctx.db.collection("jobs");
+
+const upcoming = (hoursAway, extra = {}) =>
+  seedAppointment(ctx.db, {
+    doctor,
+    status: "confirmed",
+    paymentStatus: "paid",
+    startsAt: new Date(Date.now() + hoursAway * HOUR),
+    ...extra,
+  });
+
+const reminders = () =>
+  ctx.db
+    .collection("notifications")
+    .find({ event: "appointment.reminder" })
+    .toArray();
+
+test("the cron endpoint needs the cron secret", async () => {
+  const missing = await ctx.request("GET", "/jobs/run");
+  const wrong = await runJobs("guess");
+
+  assert.equal(missing.status, 401);
+  assert.equal(wrong.status, 401);
+  assert.equal(await jobs().countDocuments({}), 0);
+});
+
+test("a run schedules every recurring job once and re-queues it", async () => {
+  const first = await runJobs();
+  await runJobs();
+
+  assert.equal(first.status, 200);
+  assert.ok(first.body.ran >= 1);
+  const recurring = await jobs().find({ recurring: true }).toArray();
+  assert.ok(recurring.length >= 5);
+  assert.equal(
+    new Set(recurring.map((job) => job.uniqueKey)).size,
+    recurring.length,
+  );
+  for (const job of recurring) {
+    assert.equal(job.status, "queued", job.name);
+    assert.ok(job.runAt > new Date(), job.name);
+    assert.equal(job.lockedBy, undefined);
+  }
+});
+
+test("reminders go out 24 and 2 hours before, once each", async () => {
+  const tomorrow = await upcoming(20);
+  const soon = await upcoming(1, { email: "soon@test.dev" });
+  await upcoming(48, { email: "later@test.dev" });
+  await upcoming(20, { email: "cancelled@test.dev", status: "cancelled" });
+
+  await runJobs();
+  await jobs().updateMany({}, { $set: { runAt: new Date(0) } });
+  await runJobs();
+
+  const sent = await reminders();
+  assert.deepEqual(sent.map((n) => n.to).sort(), [
+    "patient@test.dev",
+    "soon@test.dev",
+  ]);
+
+  const appointments = ctx.db.collection("appointments");
+  const remindedTomorrow = await appointments.findOne({ _id: tomorrow._id });
+  const remindedSoon = await appointments.findOne({ _id: soon._id });
+  assert.ok(remindedTomorrow.reminder24hSentAt);
+  assert.equal(remindedTomorrow.reminder2hSentAt, undefined);
+  // Booked at short notice: only the later reminder
+  assert.equal(remindedSoon.reminder24hSentAt, undefined);
+  assert.ok(remindedSoon.reminder2hSentAt);
+});
+
+test("unpaid bookings are released after the hold, except pay-at-clinic", async () => {
+  const stale = await upcoming(72, {
+    status: "requested",
+    paymentStatus: "unpaid",
+    createdAt: new Date(Date.now() - 3 * HOUR),
+  });
+  const atClinic = await upcoming(72, {
+    status: "requested",
+    paymentStatus: "unpaid",
+    billing: { mode: "at-clinic" },
+    createdAt: new Date(Date.now() - 3 * HOUR),
+  });
+  const fresh = await upcoming(72, {
+    status: "requested",
+    paymentStatus: "unpaid",
+  });
+
+  await runJobs();
+
+  const status = async ({ _id }) =>
+    (await ctx.db.collection("appointments").findOne({ _id })).status;
+  assert.equal(await status(stale), "cancelled");
+  assert.equal(await status(atClinic), "requested");
+  assert.equal(await status(fresh), "requested");
+});
+
+test("a failing job is retried with backoff and then marked failed", async () => {
+  await jobs().insertOne({
+    name: "no-such-job",
+    payload: {},
+    status: "queued",
+    runAt: new Date(0),
+    attempts: 0,
+    maxAttempts: 2,
+  });
+
+  await runJobs();
+  const retrying = await jobs().findOne({ name: "no-such-job" });
+  assert.equal(retrying.status, "queued");
+  assert.equal(retrying.attempts, 1);
+  assert.match(retrying.lastError, /No handler/);
+  assert.ok(retrying.runAt > new Date());
+
+  await jobs().updateOne(
+    { name: "no-such-job" },
+    { $set: { runAt: new Date(0) } },
+  );
+  await runJobs();
+
+  const failed = await jobs().findOne({ name: "no-such-job" });
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.attempts, 2);
+});
+
+test("a job locked by a crashed instance is picked up once its lock expires", async () => {
+  await jobs().insertMany([
+    {
+      name: "cleanup",
+      payload: {},
+      status: "running",
+      lockedBy: "crashed",
+      lockedUntil: new Date(Date.now() - 1000),
+      runAt: new Date(0),
+      attempts: 1,
+      maxAttempts: 5,
+    },
+    {
+      name: "cleanup",
+      payload: {},
+      status: "running",
+      lockedBy: "busy",
+      lockedUntil: new Date(Date.now() + 60000),
+      runAt: new Date(0),
+      attempts: 1,
+      maxAttempts: 5,
+    },
+  ]);
+
+  await runJobs();
+
+  const abandoned = await jobs().findOne({ lockedBy: { $ne: "busy" } });
+  const busy = await jobs().findOne({ lockedBy: "busy" });
+  assert.equal(abandoned.status, "done");
+  assert.equal(busy.status, "running");
+});
+
+test("admins list jobs by status", async () => {
+  await runJobs();
+
+  const list = await ctx.request("GET", "/jobs?status=queued", { as: ADMIN });
+  const denied = await ctx.request("GET", "/jobs", {
+    as: "patient@test.dev",
+  });
+
+  assert.equal(list.status, 200);
+  assert.ok(list.body.data.every((job) => job.status === "queued"));
+  assert.equal(denied.status, 403);
+});
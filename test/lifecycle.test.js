@@ -0,0 +1,251 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  startApp,
+  seedDoctor,
+  seedUser,
+  book,
+  daysFromNow,
+} = require("./support/app");
+
+let ctx;
+let doctor;
+
+const PATIENT = "patient@test.dev";
+const ADMIN = "admin@test.dev";
+
+beforeEach(async () => {
+  ctx = await startApp();
+  doctor = await seedDoctor(ctx.db);
+  await seedUser(ctx.db, ADMIN, "admin");
+});
+
+afterEach(() => ctx.close());
+
+const bookOne = async (options = {}) => {
+  const response = await book(ctx.request, {
+    doctor,
+    email: PATIENT,
+    ...options,
+  });
+  assert.equal(response.status, 200);
+  return response.body.insertedId;
+};
+
+const setStatus = (id, status, as, reason) =>
+  ctx.request("PATCH", `/appointment/${id}/status`, {
+    as,
+    body: { status, ...(reason && { reason }) },
+  });
+
+const load = (id) =>
+  ctx.db.collection("appointments").findOne({ _id: new ObjectId(id) });
+
+// Moves the visit to `hours` from now without touching its slot
+const startsIn = (id, hours) =>
+  ctx.db
+    .collection("appointments")
+    .updateOne(
+      { _id: new ObjectId(id) },
+      { $set: { startsAt: new Date(Date.now() + hours * 3600000) } },
+    );
+
+test("the doctor confirms, checks in and completes a visit", async () => {
+  const id = await bookOne();
+
+  assert.equal((await setStatus(id, "confirmed", doctor.email)).status, 200);
+  await startsIn(id, -0.5);
+  assert.equal((await setStatus(id, "checked-in", doctor.email)).status, 200);
+  assert.equal((await setStatus(id, "completed", doctor.email)).status, 200);
+
+  const appointment = await load(id);
+  assert.equal(appointment.status, "completed");
+  assert.ok(appointment.confirmedAt && appointment.completedAt);
+  assert.deepEqual(
+    appointment.statusHistory.map((entry) => entry.to),
+    ["requested", "confirmed", "checked-in", "completed"],
+  );
+});
+
+test("patients can't confirm their own appointment", async () => {
+  const id = await bookOne();
+
+  const response = await setStatus(id, "confirmed", PATIENT);
+
+  assert.equal(response.status, 403);
+  assert.equal((await load(id)).status, "requested");
+});
+
+test("transitions outside the state machine are refused", async () => {
+  const id = await bookOne();
+
+  const skipped = await setStatus(id, "completed", doctor.email);
+  assert.equal(skipped.status, 400);
+
+  await setStatus(id, "cancelled", PATIENT);
+  const revived = await setStatus(id, "confirmed", doctor.email);
+  assert.equal(revived.status, 400);
+});
+
+test("a no-show can't be recorded before the visit starts", async () => {
+  const id = await bookOne();
+  await setStatus(id, "confirmed", doctor.email);
+
+  const response = await setStatus(id, "no-show", doctor.email);
+
+  assert.equal(response.status, 400);
+});
+
+test("strangers can't touch an appointment", async () => {
+  const id = await bookOne();
+
+  const response = await setStatus(id, "cancelled", "stranger@test.dev");
+
+  assert.equal(response.status, 403);
+});
+
+test("cancelling early is within policy and frees the slot", async () => {
+  const id = await bookOne();
+
+  const response = await setStatus(id, "cancelled", PATIENT, "Feeling better");
+
+  assert.equal(response.status, 200);
+  const appointment = await load(id);
+  assert.equal(appointment.cancelledBy, "patient");
+  assert.equal(appointment.cancelledWithinPolicy, true);
+  assert.equal(appointment.cancellationReason, "Feeling better");
+  assert.equal(
+    await ctx.db.collection("slot-reservations").countDocuments({}),
+    0,
+  );
+});
+
+test("a patient cancelling inside the window is outside policy", async () => {
+  const id = await bookOne();
+  await startsIn(id, 2);
+
+  await setStatus(id, "cancelled", PATIENT);
+
+  const appointment = await load(id);
+  assert.equal(appointment.status, "cancelled");
+  assert.equal(appointment.cancelledWithinPolicy, false);
+});
+
+test("a patient's reschedule goes back to the doctor for confirmation", async () => {
+  const id = await bookOne();
+  await setStatus(id, "confirmed", doctor.email);
+  const date = daysFromNow(4);
+
+  const response = await ctx.request("PATCH", `/appointment/${id}/reschedule`, {
+    as: PATIENT,
+    body: { date, time: "14:00" },
+  });
+
+  assert.equal(response.status, 200);
+  const appointment = await load(id);
+  assert.equal(appointment.status, "requested");
+  assert.equal(appointment.date, date);
+  assert.equal(appointment.time, "14:00");
+  assert.equal(appointment.rescheduleHistory.length, 1);
+
+  // Only the new slot is held
+  const reservations = await ctx.db
+    .collection("slot-reservations")
+    .find({})
+    .toArray();
+  assert.deepEqual(
+    reservations.map((r) => [r.date, r.startTime]),
+    [[date, "14:00"]],
+  );
+});
+
+test("patients can't reschedule inside the cancellation window", async () => {
+  const id = await bookOne();
+  await startsIn(id, 2);
+
+  const response = await ctx.request("PATCH", `/appointment/${id}/reschedule`, {
+    as: PATIENT,
+    body: { date: daysFromNow(4), time: "14:00" },
+  });
+
+  assert.equal(response.status, 400);
+});
+
+test("an admin may reschedule late and the status is kept", async () => {
+  const id = await bookOne();
+  await setStatus(id, "confirmed", doctor.email);
+  await startsIn(id, 2);
+
+  const response = await ctx.request("PATCH", `/appointment/${id}/reschedule`, {
+    as: ADMIN,
+    body: { date: daysFromNow(4), time: "14:00" },
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal((await load(id)).status, "confirmed");
+});
+
+test("rescheduling onto a taken slot is a conflict", async () => {
+  const id = await bookOne();
+  await book(ctx.request, {
+    doctor,
+    email: "other@test.dev",
+    date: daysFromNow(4),
+    time: "14:00",
+  });
+
+  const response = await ctx.request("PATCH", `/appointment/${id}/reschedule`, {
+    as: PATIENT,
+    body: { date: daysFromNow(4), time: "14:00" },
+  });
+
+  assert.equal(response.status, 409);
+  assert.equal((await load(id)).time, "10:00");
+});
+
+test("deleting a booked appointment cancels it first", async () => {
+  const id = await bookOne();
+
+  const response = await ctx.request("DELETE", `/appointment/${id}`, {
+    as: PATIENT,
+  });
+
+  assert.equal(response.status, 200);
+  const appointment = await load(id);
+  assert.equal(appointment.status, "cancelled");
+  assert.ok(appointment.deletedAt);
+});
+
+test("a delete that loses a race to a status change hides nothing", async () => {
+  const id = await bookOne();
+
+  // The route loads the appointment, then the doctor confirms it before
+  // the cancellation lands
+  const appointments = ctx.db.collection("appointments");
+  const findOne = appointments.findOne.bind(appointments);
+  appointments.findOne = async (...args) => {
+    const stale = await findOne(...args);
+    appointments.findOne = findOne;
+    await appointments.updateOne(
+      { _id: stale._id },
+      { $set: { status: "confirmed" } },
+    );
+    return stale;
+  };
+
+  const response = await ctx.request("DELETE", `/appointment/${id}`, {
+    as: PATIENT,
+  });
+
+  assert.equal(response.status, 409);
+  const appointment = await load(id);
+  assert.equal(appointment.status, "confirmed");
+  assert.equal(appointment.deletedAt, undefined);
+  assert.equal(
+    await ctx.db
+      .collection("slot-reservations")
+      .countDocuments({ appointmentId: appointment._id }),
+    1,
+  );
+});
@@ -0,0 +1,223 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  startApp,
+  seedService,
+  seedDoctor,
+  seedUser,
+  book,
+  daysFromNow,
+} = require("./support/app");
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startApp();
+});
+
+afterEach(() => ctx.close());
+
+const titles = (response) =>
+  response.body.data.map((service) => service.title).sort();
+
+test("services are paginated", async () => {
+  for (let i = 1; i <= 5; i++) {
+    await seedService(ctx.db, { title: `Service ${i}` });
+  }
+
+  const response = await ctx.request("GET", "/services?page=2&limit=2");
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.length, 2);
+  assert.deepEqual(response.body.pagination, {
+    page: 2,
+    limit: 2,
+    total: 5,
+    totalPages: 3,
+  });
+});
+
+test("the page size is capped", async () => {
+  const response = await ctx.request("GET", "/services?limit=5000");
+
+  assert.equal(response.body.pagination.limit, 100);
+});
+
+test("services sort by allowed fields and ignore the rest", async () => {
+  await seedService(ctx.db, {
+    title: "Cheap",
+    price: 10,
+    prices: { usd: 1000 },
+  });
+  await seedService(ctx.db, {
+    title: "Dear",
+    price: 90,
+    prices: { usd: 9000 },
+  });
+
+  const sorted = await ctx.request("GET", "/services?sort=-price");
+  const ignored = await ctx.request("GET", "/services?sort=secret");
+
+  assert.deepEqual(
+    sorted.body.data.map((service) => service.title),
+    ["Dear", "Cheap"],
+  );
+  assert.equal(ignored.status, 200);
+});
+
+test("a price range applies to the price in the requested currency", async () => {
+  await seedService(ctx.db, {
+    title: "Cleaning",
+    price: 50,
+    prices: { usd: 5000, bdt: 550000 },
+  });
+  await seedService(ctx.db, {
+    title: "Crown",
+    price: 400,
+    prices: { usd: 40000, bdt: 4400000 },
+  });
+  await seedService(ctx.db, {
+    title: "Filling",
+    price: 80,
+    prices: { usd: 8000 },
+  });
+
+  const usd = await ctx.request("GET", "/services?minPrice=40&maxPrice=100");
+  const bdt = await ctx.request(
+    "GET",
+    "/services?currency=BDT&minPrice=1000&maxPrice=10000",
+  );
+
+  assert.deepEqual(titles(usd), ["Cleaning", "Filling"]);
+  assert.deepEqual(titles(bdt), ["Cleaning"]);
+});
+
+test("a USD range falls back to the old price field", async () => {
+  await ctx.db.collection("services").insertOne({ title: "Legacy", price: 60 });
+  await seedService(ctx.db, {
+    title: "Mismatched",
+    price: 60,
+    prices: { usd: 20000 },
+  });
+
+  const response = await ctx.request(
+    "GET",
+    "/services?minPrice=50&maxPrice=70",
+  );
+
+  assert.deepEqual(titles(response), ["Legacy"]);
+});
+
+test("an unknown currency is rejected", async () => {
+  const response = await ctx.request(
+    "GET",
+    "/services?currency=xyz&minPrice=1",
+  );
+
+  assert.equal(response.status, 400);
+});
+
+test("price and branch filters combine", async () => {
+  const branch = new ObjectId();
+  await seedService(ctx.db, { title: "Here", branchIds: [branch] });
+  await seedService(ctx.db, { title: "Everywhere" });
+  await seedService(ctx.db, {
+    title: "Elsewhere",
+    branchIds: [new ObjectId()],
+  });
+  await seedService(ctx.db, {
+    title: "Too dear",
+    price: 500,
+    prices: { usd: 50000 },
+  });
+
+  const response = await ctx.request(
+    "GET",
+    `/services?branchId=${branch}&maxPrice=100`,
+  );
+
+  assert.deepEqual(titles(response), ["Everywhere", "Here"]);
+});
+
+test("a malformed branch id is rejected, not ignored", async () => {
+  await seedService(ctx.db);
+  await seedDoctor(ctx.db);
+
+  const services = await ctx.request("GET", "/services?branchId=north");
+  const doctors = await ctx.request("GET", "/doctors-all?branchId=north");
+
+  assert.equal(services.status, 400);
+  assert.equal(doctors.status, 400);
+});
+
+test("a text search finds services by title", async () => {
+  await seedService(ctx.db, { title: "Teeth whitening" });
+  await seedService(ctx.db, { title: "Root canal" });
+
+  const response = await ctx.request("GET", "/services?q=whitening");
+
+  assert.deepEqual(titles(response), ["Teeth whitening"]);
+});
+
+test("filter values that are objects are not passed to the database", async () => {
+  await seedDoctor(ctx.db);
+
+  const response = await ctx.request(
+    "GET",
+    "/doctors-all?permission[$ne]=nothing",
+  );
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.data.length, 0);
+});
+
+test("doctors filter by specialty", async () => {
+  await seedDoctor(ctx.db, { specialty: "Orthodontics" });
+  await seedDoctor(ctx.db, { email: "other@test.dev", specialty: "Surgery" });
+
+  const response = await ctx.request("GET", "/doctors-all?specialty=Surgery");
+
+  assert.equal(response.body.data.length, 1);
+  assert.equal(response.body.data[0].specialty, "Surgery");
+});
+
+test("patients list their own appointments, filtered by status", async () => {
+  const doctor = await seedDoctor(ctx.db);
+  await seedUser(ctx.db, "patient@test.dev");
+  const first = await book(ctx.request, { doctor, email: "patient@test.dev" });
+  await book(ctx.request, {
+    doctor,
+    email: "patient@test.dev",
+    date: daysFromNow(4),
+  });
+  await book(ctx.request, {
+    doctor,
+    email: "other@test.dev",
+    time: "11:00",
+  });
+  await ctx.request("PATCH", `/appointment/${first.body.insertedId}/status`, {
+    as: doctor.email,
+    body: { status: "confirmed" },
+  });
+
+  const all = await ctx.request(
+    "GET",
+    "/appointments?role=user&email=patient@test.dev",
+    { as: "patient@test.dev" },
+  );
+  const confirmed = await ctx.request(
+    "GET",
+    "/appointments?role=user&email=patient@test.dev&status=confirmed",
+    { as: "patient@test.dev" },
+  );
+  const someoneElses = await ctx.request(
+    "GET",
+    "/appointments?role=user&email=other@test.dev",
+    { as: "patient@test.dev" },
+  );
+
+  assert.equal(all.body.pagination.total, 2);
+  assert.equal(confirmed.body.pagination.total, 1);
+  assert.equal(someoneElses.status, 403);
+});
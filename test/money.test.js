@@ -0,0 +1,157 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { toMinor, fromMinor, exponentOf, calculateTax } = require("../money");
+const {
+  startApp,
+  seedUser,
+  seedService,
+  seedDoctor,
+  book,
+} = require("./support/app");
+
+describe("minor units", () => {
+  test("amounts convert without floating-point drift", () => {
+    assert.equal(toMinor(12.5, "usd"), 1250);
+    assert.equal(toMinor(0.29, "usd"), 29);
+    assert.equal(toMinor(-2.5, "usd"), -250);
+    assert.equal(fromMinor(1250, "usd"), 12.5);
+  });
+
+  test("zero-decimal currencies have no minor unit", () => {
+    assert.equal(exponentOf("jpy"), 0);
+    assert.equal(toMinor(500, "jpy"), 500);
+    assert.equal(fromMinor(500, "JPY"), 500);
+    assert.equal(exponentOf("bdt"), 2);
+    assert.equal(toMinor(12.5, "BDT"), 1250);
+  });
+});
+
+describe("calculateTax", () => {
+  test("each line is rounded on its own and the lines add up", () => {
+    const quote = calculateTax(3333, "usd", [
+      { name: "VAT", rateBps: 1500 },
+      { name: "Service charge", rateBps: 250 },
+    ]);
+
+    assert.deepEqual(
+      quote.lines.map((line) => line.amount),
+      [500, 83],
+    );
+    assert.equal(quote.tax, 583);
+    assert.equal(quote.total, 3916);
+  });
+
+  test("rates limited to other currencies don't apply", () => {
+    const quote = calculateTax(10000, "usd", [
+      { name: "VAT", rateBps: 1500, currencies: ["bdt"] },
+    ]);
+
+    assert.deepEqual(quote.lines, []);
+    assert.equal(quote.total, 10000);
+  });
+});
+
+describe("quotes and checkout", () => {
+  const ADMIN = "admin@test.dev";
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await startApp();
+    await seedUser(ctx.db, ADMIN, "admin");
+  });
+
+  afterEach(() => ctx.close());
+
+  const setRates = (rates, as = ADMIN) =>
+    ctx.request("PUT", "/settings/tax", { as, body: { rates } });
+
+  test("a quote adds the clinic's tax in the chosen currency", async () => {
+    const service = await seedService(ctx.db, {
+      prices: { usd: 5000, bdt: 550000 },
+    });
+    await setRates([
+      { name: "VAT", rateBps: 1500 },
+      { name: "Tourist levy", rateBps: 500, currencies: ["usd"] },
+    ]);
+
+    const usd = await ctx.request("GET", `/services/${service._id}/quote`);
+    const bdt = await ctx.request(
+      "GET",
+      `/services/${service._id}/quote?currency=BDT`,
+    );
+
+    assert.equal(usd.body.total, 6000);
+    assert.deepEqual(usd.body.display, { subtotal: 50, tax: 10, total: 60 });
+    assert.equal(bdt.body.currency, "bdt");
+    assert.equal(bdt.body.tax, 82500);
+    assert.equal(bdt.body.lines.length, 1);
+  });
+
+  test("tax-exempt services are quoted without tax", async () => {
+    const service = await seedService(ctx.db, { taxExempt: true });
+    await setRates([{ name: "VAT", rateBps: 1500 }]);
+
+    const response = await ctx.request("GET", `/services/${service._id}/quote`);
+
+    assert.equal(response.body.total, 5000);
+    assert.deepEqual(response.body.lines, []);
+  });
+
+  test("a currency the service isn't priced in can't be quoted", async () => {
+    const service = await seedService(ctx.db);
+
+    const response = await ctx.request(
+      "GET",
+      `/services/${service._id}/quote?currency=bdt`,
+    );
+
+    assert.equal(response.status, 400);
+  });
+
+  test("only admins change tax rates, and every change is audited", async () => {
+    const denied = await setRates(
+      [{ name: "VAT", rateBps: 1500 }],
+      "patient@test.dev",
+    );
+    const invalid = await setRates([{ name: "VAT", rateBps: 15.5 }]);
+    const saved = await setRates([{ name: "VAT", rateBps: 1500 }]);
+
+    assert.equal(denied.status, 403);
+    assert.equal(invalid.status, 400);
+    assert.equal(saved.status, 200);
+    const published = await ctx.request("GET", "/settings/tax");
+    assert.deepEqual(published.body.rates, [{ name: "VAT", rateBps: 1500 }]);
+    const audit = await ctx.db
+      .collection("audit-log")
+      .findOne({ action: "settings.tax" });
+    assert.deepEqual(audit.before, { rates: [] });
+  });
+
+  test("the payment intent charges the taxed total and keeps the breakdown", async () => {
+    const doctor = await seedDoctor(ctx.db);
+    const service = await seedService(ctx.db);
+    await setRates([{ name: "VAT", rateBps: 1500 }]);
+    const booked = await book(ctx.request, {
+      doctor,
+      service,
+      email: "patient@test.dev",
+    });
+
+    const response = await ctx.request("POST", "/create-payment-intent", {
+      as: "patient@test.dev",
+      body: {
+        serviceId: service._id.toString(),
+        appointmentId: booked.body.insertedId,
+      },
+    });
+
+    assert.equal(response.status, 200);
+    const intent = ctx.stripe.lastIntent();
+    assert.equal(intent.amount, 5750);
+    assert.equal(intent.currency, "usd");
+    assert.equal(intent.metadata.subtotal, "5000");
+    assert.deepEqual(JSON.parse(intent.metadata.taxLines), [
+      { name: "VAT", rateBps: 1500, amount: 750 },
+    ]);
+  });
+});
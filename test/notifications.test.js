@@ -0,0 +1,260 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const {
+  CLINIC_NAME,
+  templates,
+  render,
+  createTransports,
+} = require("../notifications");
+const { startApp, seedDoctor, seedUser, book } = require("./support/app");
+
+const OUTBOX_DIR = process.env.NOTIFICATIONS_OUTBOX_DIR;
+const PATIENT = "patient@test.dev";
+const ADMIN = "admin@test.dev";
+
+describe("render", () => {
+  const data = {
+    name: "Rahim",
+    doctorName: "Dr. Karim",
+    date: "2030-01-02",
+    time: "10:00",
+    branchName: "Dhanmondi",
+  };
+
+  test("emails get the clinic name in the subject", () => {
+    const { subject, text } = render("appointment.confirmed", "email", data);
+
+    assert.equal(subject, `Appointment confirmed | ${CLINIC_NAME}`);
+    assert.match(text, /Dr\. Karim on 2030-01-02 at 10:00 \(Dhanmondi\)/);
+  });
+
+  test("text messages have no subject", () => {
+    const message = render("appointment.booked", "sms", data);
+
+    assert.deepEqual(Object.keys(message), ["text"]);
+    assert.ok(message.text.startsWith(CLINIC_NAME));
+  });
+
+  test("every template renders for both channels", () => {
+    for (const event of Object.keys(templates)) {
+      assert.ok(render(event, "email", data).subject, event);
+      assert.ok(render(event, "sms", data).text, event);
+    }
+  });
+
+  test("an unknown event throws", () => {
+    assert.throws(() => render("appointment.lost", "email", data), /Unknown/);
+  });
+});
+
+describe("createTransports", () => {
+  test("NOTIFICATION_TRANSPORT=file wins over configured providers", () => {
+    const transports = createTransports({
+      NOTIFICATION_TRANSPORT: "file",
+      SMTP_HOST: "smtp.example.com",
+      SMS_GATEWAY_URL: "https://sms.example.com",
+    });
+
+    assert.equal(transports.email.name, "file");
+    assert.equal(transports.sms.name, "file");
+  });
+
+  test("configured providers are used otherwise", () => {
+    const transports = createTransports({
+      SMTP_HOST: "smtp.example.com",
+      SMS_GATEWAY_URL: "https://sms.example.com",
+    });
+
+    assert.equal(transports.email.name, "smtp");
+    assert.equal(transports.sms.name, "sms-gateway");
+  });
+});
+
+describe("outbox", () => {
+  let ctx;
+  let doctor;
+
+  beforeEach(async () => {
+    fs.rmSync(OUTBOX_DIR, { recursive: true, force: true });
+    ctx = await startApp();
+    doctor = await seedDoctor(ctx.db);
+    await seedUser(ctx.db, ADMIN, "admin");
+  });
+
+  afterEach(() => {
+    fs.rmSync(OUTBOX_DIR, { recursive: true, force: true });
+    return ctx.close();
+  });
+
+  const sent = () =>
+    fs
+      .readdirSync(OUTBOX_DIR)
+      .filter((file) => file.endsWith(".json"))
+      .map((file) =>
+        JSON.parse(fs.readFileSync(`${OUTBOX_DIR}/${file}`, "utf8")),
+      );
+
+  const notifications = (filter = {}) =>
+    ctx.db.collection("notifications").find(filter).toArray();
+
+  // Makes the file transport fail by putting a file where its directory goes
+  const breakOutbox = () => {
+    fs.rmSync(OUTBOX_DIR, { recursive: true, force: true });
+    fs.writeFileSync(OUTBOX_DIR, "");
+  };
+
+  test("a booking emails the patient and the doctor", async () => {
+    await book(ctx.request, { doctor, email: PATIENT });
+
+    const stored = await notifications();
+    assert.deepEqual(stored.map((n) => n.event).sort(), [
+      "appointment.booked",
+      "appointment.new-booking",
+    ]);
+    assert.ok(stored.every((n) => n.status === "sent" && n.attempts === 1));
+    assert.deepEqual(
+      sent()
+        .map((message) => message.to)
+        .sort(),
+      [doctor.email, PATIENT],
+    );
+  });
+
+  test("preferences choose the channels and mute events", async () => {
+    await seedUser(ctx.db, PATIENT);
+    const update = await ctx.request(
+      "PUT",
+      `/users/${PATIENT}/notification-preferences`,
+      {
+        as: PATIENT,
+        body: {
+          email: false,
+          sms: true,
+          phone: "+8801700000000",
+          mutedEvents: ["appointment.new-booking"],
+        },
+      },
+    );
+    await ctx.db
+      .collection("users")
+      .updateOne(
+        { email: doctor.email },
+        {
+          $set: {
+            notificationPreferences: {
+              mutedEvents: ["appointment.new-booking"],
+            },
+          },
+        },
+      );
+
+    await book(ctx.request, { doctor, email: PATIENT });
+
+    assert.equal(update.status, 200);
+    const stored = await notifications();
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].channel, "sms");
+    assert.equal(stored[0].to, "+8801700000000");
+  });
+
+  test("users can't change someone else's preferences", async () => {
+    await seedUser(ctx.db, PATIENT);
+
+    const response = await ctx.request(
+      "PUT",
+      `/users/${PATIENT}/notification-preferences`,
+      { as: "other@test.dev", body: { email: false } },
+    );
+
+    assert.equal(response.status, 403);
+  });
+
+  test("a failed delivery doesn't fail the booking and is retried later", async () => {
+    breakOutbox();
+
+    const booking = await book(ctx.request, { doctor, email: PATIENT });
+
+    assert.equal(booking.status, 200);
+    const [pending] = await notifications({ event: "appointment.booked" });
+    assert.equal(pending.status, "pending");
+    assert.equal(pending.attempts, 1);
+    assert.ok(pending.lastError);
+    assert.ok(pending.nextAttemptAt > new Date());
+
+    // Not due yet
+    fs.rmSync(OUTBOX_DIR);
+    const early = await ctx.request("POST", "/notifications/process", {
+      as: ADMIN,
+    });
+    assert.equal(early.body.processed, 0);
+
+    await ctx.db
+      .collection("notifications")
+      .updateMany({}, { $set: { nextAttemptAt: new Date(0) } });
+    const due = await ctx.request("POST", "/notifications/process", {
+      as: ADMIN,
+    });
+
+    assert.equal(due.body.processed, 2);
+    const retried = await notifications();
+    assert.ok(retried.every((n) => n.status === "sent" && n.attempts === 2));
+    assert.equal(sent().length, 2);
+  });
+
+  test("delivery gives up after five attempts", async () => {
+    breakOutbox();
+    await book(ctx.request, { doctor, email: PATIENT });
+
+    for (let i = 0; i < 4; i++) {
+      await ctx.db
+        .collection("notifications")
+        .updateMany(
+          { status: "pending" },
+          { $set: { nextAttemptAt: new Date(0) } },
+        );
+      await ctx.request("POST", "/notifications/process", { as: ADMIN });
+    }
+
+    const stored = await notifications();
+    assert.ok(stored.every((n) => n.status === "failed" && n.attempts === 5));
+  });
+
+  test("messages left sending by a crashed run are picked up again", async () => {
+    await ctx.db.collection("notifications").insertOne({
+      event: "appointment.confirmed",
+      channel: "email",
+      to: PATIENT,
+      userEmail: PATIENT,
+      subject: "Appointment confirmed",
+      text: "Confirmed",
+      attachments: [],
+      status: "sending",
+      attempts: 0,
+      claimedAt: new Date(Date.now() - 60 * 60 * 1000),
+      nextAttemptAt: new Date(Date.now() - 60 * 60 * 1000),
+    });
+
+    const response = await ctx.request("POST", "/notifications/process", {
+      as: ADMIN,
+    });
+
+    assert.equal(response.body.processed, 1);
+    const [stored] = await notifications();
+    assert.equal(stored.status, "sent");
+  });
+
+  test("only admins see and process the outbox", async () => {
+    await book(ctx.request, { doctor, email: PATIENT });
+
+    const list = await ctx.request("GET", "/notifications?status=sent", {
+      as: ADMIN,
+    });
+    const denied = await ctx.request("POST", "/notifications/process", {
+      as: PATIENT,
+    });
+
+    assert.equal(list.body.pagination.total, 2);
+    assert.equal(denied.status, 403);
+  });
+});
@@ -0,0 +1,132 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { startApp, seedDoctor, seedService, book } = require("./support/app");
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startApp();
+});
+
+afterEach(() => ctx.close());
+
+const PATIENT = "patient@test.dev";
+
+const setup = async () => {
+  const doctor = await seedDoctor(ctx.db);
+  const service = await seedService(ctx.db);
+  const first = await book(ctx.request, { doctor, service, email: PATIENT });
+  const second = await book(ctx.request, {
+    doctor,
+    service,
+    email: PATIENT,
+    time: "11:00",
+  });
+
+  return {
+    service,
+    firstId: first.body.insertedId,
+    secondId: second.body.insertedId,
+  };
+};
+
+const startPayment = async (service, appointmentId) => {
+  const response = await ctx.request("POST", "/create-payment-intent", {
+    as: PATIENT,
+    body: { serviceId: service._id.toString(), appointmentId },
+  });
+  return { response, intent: ctx.stripe.lastIntent() };
+};
+
+test("create-payment-intent requires an appointment", async () => {
+  const { service } = await setup();
+
+  const response = await ctx.request("POST", "/create-payment-intent", {
+    as: PATIENT,
+    body: { serviceId: service._id.toString() },
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(ctx.stripe.calls.length, 0);
+});
+
+test("the intent carries the appointment it pays for", async () => {
+  const { service, firstId } = await setup();
+
+  const { response, intent } = await startPayment(service, firstId);
+
+  assert.equal(response.status, 200);
+  assert.equal(intent.metadata.appointmentId, firstId);
+  assert.equal(intent.amount, 5000);
+});
+
+test("a succeeded intent is recorded against its own appointment", async () => {
+  const { service, firstId } = await setup();
+  const { intent } = await startPayment(service, firstId);
+  ctx.stripe.succeed(intent.id);
+
+  const response = await ctx.request("POST", "/payments", {
+    as: PATIENT,
+    body: { appointmentId: firstId, paymentIntentId: intent.id },
+  });
+
+  assert.equal(response.status, 201);
+  const appointment = await ctx.db
+    .collection("appointments")
+    .findOne({ _id: new ObjectId(firstId) });
+  assert.equal(appointment.paymentStatus, "paid");
+});
+
+test("an intent for one appointment can't pay for another with the same service", async () => {
+  const { service, firstId, secondId } = await setup();
+  const { intent } = await startPayment(service, firstId);
+  ctx.stripe.succeed(intent.id);
+
+  const response = await ctx.request("POST", "/payments", {
+    as: PATIENT,
+    body: { appointmentId: secondId, paymentIntentId: intent.id },
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(await ctx.db.collection("payments").countDocuments({}), 0);
+});
+
+test("an intent without an appointment in its metadata is refused", async () => {
+  const { service, firstId } = await setup();
+  const { intent } = await startPayment(service, firstId);
+  ctx.stripe.succeed(intent.id, {
+    metadata: { serviceId: service._id.toString() },
+  });
+
+  const response = await ctx.request("POST", "/payments", {
+    as: PATIENT,
+    body: { appointmentId: firstId, paymentIntentId: intent.id },
+  });
+
+  assert.equal(response.status, 400);
+});
+
+test("an intent that has not succeeded is not recorded", async () => {
+  const { service, firstId } = await setup();
+  const { intent } = await startPayment(service, firstId);
+
+  const response = await ctx.request("POST", "/payments", {
+    as: PATIENT,
+    body: { appointmentId: firstId, paymentIntentId: intent.id },
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(await ctx.db.collection("payments").countDocuments({}), 0);
+});
+
+test("nobody else can pay for a patient's appointment", async () => {
+  const { service, firstId } = await setup();
+
+  const response = await ctx.request("POST", "/create-payment-intent", {
+    as: "stranger@test.dev",
+    body: { serviceId: service._id.toString(), appointmentId: firstId },
+  });
+
+  assert.equal(response.status, 403);
+});
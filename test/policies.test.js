@@ -0,0 +1,187 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { policies, can, getAppointmentActor } = require("../policies");
+
+const BRANCH = new ObjectId();
+const OTHER_BRANCH = new ObjectId();
+
+const users = {
+  patient: { email: "patient@test.dev", role: "user" },
+  doctor: { email: "doctor@test.dev", role: "doctor" },
+  branchAdmin: {
+    email: "front-desk@test.dev",
+    role: "branch-admin",
+    branchIds: [BRANCH],
+  },
+  stranger: { email: "stranger@test.dev", role: "user" },
+  admin: { email: "admin@test.dev", role: "admin" },
+};
+
+const appointment = {
+  email: users.patient.email,
+  doctorEmail: users.doctor.email,
+  branchId: BRANCH,
+};
+
+// The patient has seen the doctor before
+const patient = {
+  email: users.patient.email,
+  treatingDoctors: [users.doctor.email],
+  confirmedDoctors: [users.doctor.email],
+};
+
+// Every action with a resource, and who may perform it. The patient owns
+// the resource unless it is the doctor's own (doctor:*).
+const table = {
+  "appointment:create": [
+    { email: users.patient.email, branchId: BRANCH },
+    ["patient", "admin"],
+  ],
+  "appointment:list": [
+    { role: "user", email: users.patient.email, branchId: String(BRANCH) },
+    ["patient", "branchAdmin", "admin"],
+  ],
+  "appointment:read": [
+    appointment,
+    ["patient", "doctor", "branchAdmin", "admin"],
+  ],
+  "appointment:manage": [
+    appointment,
+    ["patient", "doctor", "branchAdmin", "admin"],
+  ],
+  "appointment:pay": [appointment, ["patient", "admin"]],
+  "appointment:front-desk": [appointment, ["branchAdmin", "admin"]],
+  "payment:list": [{ email: users.patient.email }, ["patient", "admin"]],
+  "payment:read": [{ payerEmail: users.patient.email }, ["patient", "admin"]],
+  "branch:manage": [{ _id: BRANCH }, ["branchAdmin", "admin"]],
+  "report:read": [{ branchId: String(BRANCH) }, ["branchAdmin", "admin"]],
+  "record:read": [patient, ["patient", "doctor", "admin"]],
+  "record:history": [patient, ["patient", "doctor", "admin"]],
+  "record:chart": [patient, ["doctor", "admin"]],
+  "treatment:write": [appointment, ["doctor"]],
+  "plan:create": [patient, ["doctor", "admin"]],
+  "plan:list": [
+    { email: users.patient.email, doctorEmail: users.doctor.email },
+    ["patient", "doctor", "admin"],
+  ],
+  "plan:read": [
+    { patientEmail: users.patient.email, doctorEmail: users.doctor.email },
+    ["patient", "doctor", "admin"],
+  ],
+  "plan:manage": [
+    { patientEmail: users.patient.email, doctorEmail: users.doctor.email },
+    ["doctor", "admin"],
+  ],
+  "waitlist:join": [{ email: users.patient.email }, ["patient", "admin"]],
+  "waitlist:list": [{ email: users.patient.email }, ["patient", "admin"]],
+  "waitlist:manage": [{ email: users.patient.email }, ["patient", "admin"]],
+  "review:create": [{ email: users.patient.email }, ["patient"]],
+  "review:manage": [{ email: users.patient.email }, ["patient", "admin"]],
+  "review:read": [
+    { email: users.patient.email, status: "hidden" },
+    ["patient", "admin"],
+  ],
+  "review:report": [
+    { email: users.patient.email },
+    ["doctor", "branchAdmin", "stranger", "admin"],
+  ],
+  "doctor:apply": [{ email: users.doctor.email }, ["doctor", "admin"]],
+  "doctor:manage": [{ email: users.doctor.email }, ["doctor", "admin"]],
+  "upload:manage": [{ ownerEmail: users.patient.email }, ["patient", "admin"]],
+  "user:read": [{ email: users.patient.email }, ["patient", "admin"]],
+  "profile:update": [{ email: users.patient.email }, ["patient", "admin"]],
+};
+
+test("every policy action is covered by the table", () => {
+  assert.deepEqual(Object.keys(table).sort(), Object.keys(policies).sort());
+});
+
+for (const [action, [resource, allowed]] of Object.entries(table)) {
+  describe(action, () => {
+    for (const [name, user] of Object.entries(users)) {
+      const expected = allowed.includes(name);
+
+      test(`${expected ? "allows" : "denies"} ${name}`, () => {
+        assert.equal(can(user, action, resource), expected);
+      });
+    }
+  });
+}
+
+describe("branch admins", () => {
+  const elsewhere = { ...users.branchAdmin, branchIds: [OTHER_BRANCH] };
+
+  test("have no say over other branches", () => {
+    assert.equal(can(elsewhere, "appointment:manage", appointment), false);
+    assert.equal(can(elsewhere, "appointment:front-desk", appointment), false);
+    assert.equal(can(elsewhere, "branch:manage", { _id: BRANCH }), false);
+    assert.equal(
+      can(elsewhere, "report:read", { branchId: String(BRANCH) }),
+      false,
+    );
+  });
+
+  test("need a branch to act on", () => {
+    assert.equal(can(users.branchAdmin, "report:read", {}), false);
+    assert.equal(
+      can(users.branchAdmin, "appointment:front-desk", {
+        ...appointment,
+        branchId: null,
+      }),
+      false,
+    );
+  });
+});
+
+describe("edge cases", () => {
+  test("published reviews are readable by anyone", () => {
+    const review = { email: users.patient.email, status: "published" };
+
+    Object.values(users).forEach((user) =>
+      assert.equal(can(user, "review:read", review), true),
+    );
+  });
+
+  test("a doctor who never saw the patient can't read their record", () => {
+    const other = { email: "other-doctor@test.dev", role: "doctor" };
+
+    assert.equal(can(other, "record:read", patient), false);
+    assert.equal(can(other, "plan:create", patient), false);
+  });
+
+  test("a booking request alone doesn't let a doctor change the history", () => {
+    const requested = { ...patient, confirmedDoctors: [] };
+
+    assert.equal(can(users.doctor, "record:read", requested), true);
+    assert.equal(can(users.doctor, "record:history", requested), false);
+  });
+
+  test("the treating doctor must still be signed in as a doctor", () => {
+    const demoted = { ...users.doctor, role: "user" };
+
+    assert.equal(can(demoted, "record:chart", patient), false);
+    assert.equal(can(demoted, "treatment:write", appointment), false);
+  });
+
+  test("a missing caller or resource is denied, not an error", () => {
+    assert.equal(can(null, "appointment:read", appointment), false);
+    assert.equal(can(users.patient, "appointment:read", null), false);
+  });
+
+  test("unknown actions throw", () => {
+    assert.throws(() => can(users.admin, "appointment:teleport", {}), {
+      message: /Unknown policy action/,
+    });
+  });
+});
+
+describe("getAppointmentActor", () => {
+  test("says which side of the appointment the caller is on", () => {
+    assert.equal(getAppointmentActor(users.patient, appointment), "patient");
+    assert.equal(getAppointmentActor(users.doctor, appointment), "doctor");
+    assert.equal(getAppointmentActor(users.branchAdmin, appointment), "admin");
+    assert.equal(getAppointmentActor(users.admin, appointment), "admin");
+    assert.equal(getAppointmentActor(users.stranger, appointment), null);
+  });
+});
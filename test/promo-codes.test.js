@@ -0,0 +1,244 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startApp,
+  seedDoctor,
+  seedService,
+  seedUser,
+  book,
+  daysFromNow,
+  deliverWebhook,
+  stripeEvent,
+} = require("./support/app");
+
+let ctx;
+let doctor;
+let service;
+
+const ADMIN = "admin@test.dev";
+const HOUR = 3600000;
+
+beforeEach(async () => {
+  ctx = await startApp();
+  doctor = await seedDoctor(ctx.db);
+  service = await seedService(ctx.db);
+  await seedUser(ctx.db, ADMIN, "admin");
+});
+
+afterEach(() => ctx.close());
+
+const createPromo = async (extra = {}) => {
+  const response = await ctx.request("POST", "/promo-codes", {
+    as: ADMIN,
+    body: { code: "smile10", type: "percentage", percentOff: 10, ...extra },
+  });
+  return response.body.data;
+};
+
+let slot = 0;
+
+// Books a new visit for `email` and starts paying for it with the code
+const checkout = async (email, body = {}) => {
+  const booked = await book(ctx.request, {
+    doctor,
+    service,
+    email,
+    date: daysFromNow(3 + (slot++ % 20)),
+  });
+  return checkoutFor(booked.body.insertedId, email, body);
+};
+
+const checkoutFor = (appointmentId, email, body = {}) =>
+  ctx.request("POST", "/create-payment-intent", {
+    as: email,
+    body: {
+      serviceId: service._id.toString(),
+      appointmentId,
+      promoCode: "SMILE10",
+      ...body,
+    },
+  });
+
+const promo = () => ctx.db.collection("promo-codes").findOne({});
+const redemptions = (filter = {}) =>
+  ctx.db.collection("promo-redemptions").find(filter).toArray();
+
+const deliver = (type, intent) =>
+  deliverWebhook(ctx, stripeEvent(type, intent));
+
+test("codes are stored uppercase, unique and audited", async () => {
+  const created = await createPromo();
+  const duplicate = await ctx.request("POST", "/promo-codes", {
+    as: ADMIN,
+    body: { code: "SMILE10", type: "percentage", percentOff: 5 },
+  });
+  const incomplete = await ctx.request("POST", "/promo-codes", {
+    as: ADMIN,
+    body: { code: "FLAT", type: "fixed" },
+  });
+
+  assert.equal(created.code, "SMILE10");
+  assert.equal(duplicate.status, 409);
+  assert.equal(incomplete.status, 400);
+  assert.ok(
+    await ctx.db.collection("audit-log").findOne({ action: "promo.create" }),
+  );
+});
+
+test("a code can be checked before paying without using it", async () => {
+  await createPromo();
+
+  const response = await ctx.request("POST", "/promo-codes/validate", {
+    as: "patient@test.dev",
+    body: { code: "smile10", serviceId: service._id.toString() },
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal((await promo()).redemptionCount, 0);
+});
+
+test("checkout takes the discount off before tax and reserves a use", async () => {
+  await createPromo();
+
+  const response = await checkout("patient@test.dev");
+
+  assert.equal(response.status, 200);
+  const intent = ctx.stripe.lastIntent();
+  assert.equal(intent.amount, 4500);
+  assert.equal(intent.metadata.discount, "500");
+  assert.equal((await promo()).redemptionCount, 1);
+  const [reservation] = await redemptions();
+  assert.equal(reservation.status, "reserved");
+  assert.equal(reservation.paymentIntentId, intent.id);
+  assert.equal(intent.metadata.promoRedemptionId, String(reservation._id));
+});
+
+test("the last use goes to one checkout only", async () => {
+  await createPromo({ maxRedemptions: 1 });
+
+  const [first, second] = await Promise.all([
+    checkout("a@test.dev"),
+    checkout("b@test.dev"),
+  ]);
+
+  assert.deepEqual([first.status, second.status].sort(), [200, 400]);
+  assert.equal((await promo()).redemptionCount, 1);
+  assert.equal((await redemptions()).length, 1);
+  assert.equal(
+    ctx.stripe.calls.filter((call) => call.method === "paymentIntents.create")
+      .length,
+    1,
+  );
+});
+
+test("a patient can't use a code more often than allowed, even at once", async () => {
+  await createPromo({ maxPerUser: 1 });
+
+  const [first, second] = await Promise.all([
+    checkout("patient@test.dev"),
+    checkout("patient@test.dev"),
+  ]);
+  const other = await checkout("other@test.dev");
+
+  assert.deepEqual([first.status, second.status].sort(), [200, 400]);
+  assert.equal(other.status, 200);
+  assert.equal((await promo()).redemptionCount, 2);
+});
+
+test("a successful payment turns the reservation into a redemption", async () => {
+  await createPromo({ maxPerUser: 1 });
+  await checkout("patient@test.dev");
+  const intent = ctx.stripe.succeed(ctx.stripe.lastIntent().id);
+
+  await deliver("payment_intent.succeeded", intent);
+  await deliver("payment_intent.succeeded", intent);
+
+  const [redemption] = await redemptions();
+  assert.equal(redemption.status, "redeemed");
+  assert.equal(redemption.discount, 500);
+  assert.equal((await promo()).redemptionCount, 1);
+  assert.equal((await checkout("patient@test.dev")).status, 400);
+});
+
+test("a failed payment gives the use back", async () => {
+  await createPromo({ maxRedemptions: 1, maxPerUser: 1 });
+  await checkout("patient@test.dev");
+  const intent = ctx.stripe.lastIntent();
+
+  await deliver("payment_intent.payment_failed", {
+    ...intent,
+    status: "requires_payment_method",
+    last_payment_error: { message: "Card declined" },
+  });
+
+  assert.equal((await promo()).redemptionCount, 0);
+  assert.equal((await redemptions())[0].status, "released");
+  assert.equal((await checkout("patient@test.dev")).status, 200);
+});
+
+test("a payment that succeeds after its reservation was released still counts", async () => {
+  await createPromo({ maxRedemptions: 1 });
+  await checkout("patient@test.dev");
+  const intent = ctx.stripe.lastIntent();
+  await deliver("payment_intent.payment_failed", intent);
+
+  await deliver("payment_intent.succeeded", ctx.stripe.succeed(intent.id));
+
+  assert.equal((await promo()).redemptionCount, 1);
+  assert.equal((await redemptions())[0].status, "redeemed");
+});
+
+test("a new checkout for the same visit replaces the earlier reservation", async () => {
+  await createPromo({ maxPerUser: 1 });
+  const booked = await book(ctx.request, {
+    doctor,
+    service,
+    email: "patient@test.dev",
+  });
+
+  await checkoutFor(booked.body.insertedId, "patient@test.dev");
+  const again = await checkoutFor(booked.body.insertedId, "patient@test.dev");
+  await checkoutFor(booked.body.insertedId, "patient@test.dev", {
+    promoCode: undefined,
+  });
+
+  assert.equal(again.status, 200);
+  assert.equal((await promo()).redemptionCount, 0);
+  assert.deepEqual(
+    (await redemptions()).map((record) => record.status),
+    ["released", "released"],
+  );
+});
+
+test("a reservation is released when Stripe can't create the intent", async () => {
+  await createPromo();
+  ctx.stripe.paymentIntents.create = async () => {
+    throw new Error("Stripe is down");
+  };
+
+  const response = await checkout("patient@test.dev");
+
+  assert.equal(response.status, 500);
+  assert.equal((await promo()).redemptionCount, 0);
+  assert.equal((await redemptions())[0].status, "released");
+});
+
+test("abandoned checkouts give their codes back", async () => {
+  await createPromo();
+  await checkout("stale@test.dev");
+  await checkout("fresh@test.dev");
+  await ctx.db
+    .collection("promo-redemptions")
+    .updateOne(
+      { email: "stale@test.dev" },
+      { $set: { reservedAt: new Date(Date.now() - 3 * HOUR) } },
+    );
+
+  await ctx.request("GET", "/jobs/run", {
+    headers: { authorization: `Bearer ${process.env.CRON_SECRET}` },
+  });
+
+  assert.equal((await promo()).redemptionCount, 1);
+  const stale = await redemptions({ email: "stale@test.dev" });
+  assert.equal(stale[0].status, "released");
+});
@@ -0,0 +1,177 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  startApp,
+  seedDoctor,
+  seedService,
+  seedUser,
+  seedAppointment,
+} = require("./support/app");
+
+let ctx;
+let doctor;
+let service;
+
+const ADMIN = "admin@test.dev";
+
+beforeEach(async () => {
+  ctx = await startApp();
+  doctor = await seedDoctor(ctx.db);
+  service = await seedService(ctx.db);
+  await seedUser(ctx.db, ADMIN, "admin");
+});
+
+afterEach(() => ctx.close());
+
+// Reviews the visit as a new patient and approves the review
+const approvedReview = async (rating) => {
+  const email = `patient-${Math.random().toString(36).slice(2)}@test.dev`;
+  const appointment = await seedAppointment(ctx.db, {
+    doctor,
+    service,
+    email,
+  });
+
+  const { body } = await ctx.request("POST", "/reviews", {
+    as: email,
+    body: {
+      appointmentId: appointment._id.toString(),
+      email,
+      rating,
+      text: "Review",
+    },
+  });
+
+  await ctx.request("PATCH", `/reviews/${body.insertedId}/moderation`, {
+    as: ADMIN,
+    body: { status: "approved" },
+  });
+
+  return body.insertedId;
+};
+
+const load = (collection, _id) =>
+  ctx.db.collection(collection).findOne({ _id });
+
+test("approved reviews roll up into service and doctor ratings", async () => {
+  await approvedReview(5);
+  await approvedReview(4);
+  await approvedReview(4);
+
+  const rated = await load("services", service._id);
+  assert.equal(rated.rating, 4.3);
+  assert.equal(rated.reviewCount, 3);
+  assert.deepEqual(rated.ratingSummary.distribution, {
+    1: 0,
+    2: 0,
+    3: 0,
+    4: 2,
+    5: 1,
+  });
+
+  const ratedDoctor = await load("doctors-all", doctor._id);
+  assert.equal(ratedDoctor.rating, 4.3);
+  assert.equal(ratedDoctor.reviewCount, 3);
+});
+
+test("pending and hidden reviews don't count", async () => {
+  await approvedReview(5);
+  const hidden = await approvedReview(1);
+  await ctx.request("PATCH", `/reviews/${hidden}/moderation`, {
+    as: ADMIN,
+    body: { status: "hidden", reason: "Spam" },
+  });
+
+  const appointment = await seedAppointment(ctx.db, { doctor, service });
+  await ctx.request("POST", "/reviews", {
+    as: appointment.email,
+    body: {
+      appointmentId: appointment._id.toString(),
+      email: appointment.email,
+      rating: 1,
+      text: "Still pending",
+    },
+  });
+
+  const rated = await load("services", service._id);
+  assert.equal(rated.rating, 5);
+  assert.equal(rated.reviewCount, 1);
+});
+
+test("deleting a review updates the ratings", async () => {
+  await approvedReview(5);
+  const id = await approvedReview(3);
+
+  await ctx.request("DELETE", `/reviews/${id}`, { as: ADMIN });
+
+  const rated = await load("services", service._id);
+  assert.equal(rated.rating, 5);
+  assert.equal(rated.reviewCount, 1);
+});
+
+test("an edited review drops out of the ratings until it is re-approved", async () => {
+  await approvedReview(5);
+  const id = await approvedReview(3);
+  const review = await load("reviews", new ObjectId(id));
+
+  const response = await ctx.request("PUT", `/reviews/${id}`, {
+    as: review.email,
+    body: { ratingSub: 1, textSub: "Changed my mind" },
+  });
+
+  assert.equal(response.status, 200);
+  let rated = await load("services", service._id);
+  assert.equal(rated.rating, 5);
+  assert.equal(rated.reviewCount, 1);
+  assert.equal((await load("doctors-all", doctor._id)).reviewCount, 1);
+
+  await ctx.request("PATCH", `/reviews/${id}/moderation`, {
+    as: ADMIN,
+    body: { status: "approved" },
+  });
+
+  rated = await load("services", service._id);
+  assert.equal(rated.rating, 3);
+  assert.equal(rated.reviewCount, 2);
+});
+
+test("recomputing counts older reviews, including string ratings", async () => {
+  await ctx.db.collection("reviews").insertMany([
+    { service: service._id.toString(), rating: "4", text: "Old" },
+    { service: service._id.toString(), rating: 2, text: "Old" },
+    { service: service._id.toString(), rating: "great", text: "Broken" },
+  ]);
+
+  const response = await ctx.request("POST", "/ratings/recompute", {
+    as: ADMIN,
+  });
+
+  assert.equal(response.status, 200);
+  const rated = await load("services", service._id);
+  assert.equal(rated.rating, 3);
+  assert.equal(rated.reviewCount, 2);
+});
+
+test("services with no reviews are rated zero", async () => {
+  await ctx.request("POST", "/ratings/recompute", { as: ADMIN });
+
+  const rated = await load("services", service._id);
+  assert.equal(rated.rating, 0);
+  assert.equal(rated.reviewCount, 0);
+});
+
+test("services sort by rating", async () => {
+  const other = await seedService(ctx.db, { title: "Whitening" });
+  await ctx.db
+    .collection("services")
+    .updateOne({ _id: other._id }, { $set: { rating: 4.9 } });
+  await approvedReview(3);
+
+  const response = await ctx.request("GET", "/services?sort=-rating");
+
+  assert.deepEqual(
+    response.body.data.map((item) => item.title),
+    ["Whitening", "Cleaning"],
+  );
+});
@@ -0,0 +1,183 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { formatMoney, renderReceiptPdf } = require("../invoices");
+const {
+  startApp,
+  seedDoctor,
+  seedService,
+  seedUser,
+  seedAppointment,
+  book,
+  payFor,
+} = require("./support/app");
+
+const PATIENT = "patient@test.dev";
+const ADMIN = "admin@test.dev";
+const OUTBOX_DIR = process.env.NOTIFICATIONS_OUTBOX_DIR;
+
+describe("receipt PDFs", () => {
+  test("amounts print with their currency code and minor digits", () => {
+    assert.equal(formatMoney(1234.5, "usd"), "USD 1,234.50");
+    assert.equal(formatMoney(0, "bdt"), "BDT 0.00");
+  });
+
+  test("a receipt renders as a PDF titled with its number", async () => {
+    const pdf = await renderReceiptPdf({
+      number: "INV-2030-000042",
+      issuedAt: new Date("2030-01-02"),
+      status: "partially_refunded",
+      payer: { name: "Patient", email: PATIENT },
+      appointment: { serviceTitle: "Cleaning", date: "2030-01-02" },
+      subtotal: 50,
+      discount: 5,
+      promoCode: "SAVE5",
+      taxLines: [{ name: "VAT", rateBps: 1500, amount: 6.75 }],
+      amount: 51.75,
+      currency: "usd",
+      refunds: [{ amount: 10, createdAt: new Date(), reason: "Goodwill" }],
+      amountRefunded: 10,
+    });
+
+    const text = pdf.toString("latin1");
+    assert.ok(text.startsWith("%PDF-"));
+    assert.match(text, /Receipt INV-2030-000042/);
+  });
+});
+
+describe("receipt routes", () => {
+  let ctx;
+  let doctor;
+  let service;
+
+  beforeEach(async () => {
+    ctx = await startApp();
+    doctor = await seedDoctor(ctx.db);
+    service = await seedService(ctx.db);
+    await seedUser(ctx.db, ADMIN, "admin");
+  });
+
+  afterEach(() => ctx.close());
+
+  const paidVisit = async (time = "10:00") => {
+    const booked = await book(ctx.request, {
+      doctor,
+      service,
+      email: PATIENT,
+      time,
+    });
+    await payFor(ctx, {
+      appointmentId: booked.body.insertedId,
+      service,
+      email: PATIENT,
+    });
+    return ctx.db.collection("payments").findOne({}, { sort: { _id: -1 } });
+  };
+
+  const year = () =>
+    new Date(Date.now() + 6 * 3600000).toISOString().slice(0, 4);
+
+  test("payments are numbered in sequence for the year", async () => {
+    const first = await paidVisit("10:00");
+    const second = await paidVisit("11:00");
+
+    assert.equal(first.invoiceNumber, `INV-${year()}-000001`);
+    assert.equal(second.invoiceNumber, `INV-${year()}-000002`);
+  });
+
+  test("the payer and admins get the PDF, nobody else", async () => {
+    const payment = await paidVisit();
+    const url = `/payments/${payment._id}/receipt`;
+
+    const payer = await ctx.request("GET", url, { as: PATIENT });
+    const download = await ctx.request("GET", `${url}?download=1`, {
+      as: ADMIN,
+    });
+    const stranger = await ctx.request("GET", url, {
+      as: "stranger@test.dev",
+    });
+
+    assert.equal(payer.status, 200);
+    assert.equal(payer.headers.get("content-type"), "application/pdf");
+    assert.equal(
+      payer.headers.get("content-disposition"),
+      `inline; filename="${payment.invoiceNumber}.pdf"`,
+    );
+    assert.equal(payer.headers.get("cache-control"), "private, no-store");
+    assert.match(download.headers.get("content-disposition"), /^attachment/);
+    assert.equal(stranger.status, 403);
+  });
+
+  test("older payments get their number when the receipt is first asked for", async () => {
+    const appointment = await seedAppointment(ctx.db, { doctor, service });
+    const { insertedId } = await ctx.db.collection("payments").insertOne({
+      appointmentId: appointment._id,
+      payerEmail: PATIENT,
+      amount: 50,
+      currency: "usd",
+      status: "succeeded",
+      createdAt: new Date(),
+    });
+    const url = `/payments/${insertedId}/receipt`;
+
+    const first = await ctx.request("GET", url, { as: PATIENT });
+    const again = await ctx.request("GET", url, { as: PATIENT });
+
+    const numbered = await ctx.db
+      .collection("payments")
+      .findOne({ _id: insertedId });
+    assert.equal(numbered.invoiceNumber, `INV-${year()}-000001`);
+    assert.equal(
+      first.headers.get("content-disposition"),
+      again.headers.get("content-disposition"),
+    );
+  });
+
+  test("a failed payment has no receipt", async () => {
+    const appointment = await seedAppointment(ctx.db, { doctor, service });
+    const { insertedId } = await ctx.db.collection("payments").insertOne({
+      appointmentId: appointment._id,
+      payerEmail: PATIENT,
+      amount: 50,
+      currency: "usd",
+      status: "failed",
+      createdAt: new Date(),
+    });
+
+    const response = await ctx.request(
+      "GET",
+      `/payments/${insertedId}/receipt`,
+      { as: PATIENT },
+    );
+
+    assert.equal(response.status, 400);
+  });
+
+  test("the receipt goes out with the payment confirmation and on request", async () => {
+    fs.rmSync(OUTBOX_DIR, { recursive: true, force: true });
+    const payment = await paidVisit();
+
+    const resent = await ctx.request(
+      "POST",
+      `/payments/${payment._id}/receipt/email`,
+      { as: PATIENT },
+    );
+
+    assert.equal(resent.status, 200);
+    const emails = await ctx.db
+      .collection("notifications")
+      .find({ event: { $in: ["payment.received", "payment.receipt"] } })
+      .toArray();
+    assert.equal(emails.length, 2);
+    for (const email of emails) {
+      assert.equal(email.status, "sent");
+      assert.deepEqual(email.attachments, [
+        { type: "receipt", paymentId: payment._id },
+      ]);
+    }
+    const pdfs = fs
+      .readdirSync(OUTBOX_DIR)
+      .filter((file) => file.endsWith(`${payment.invoiceNumber}.pdf`));
+    assert.equal(pdfs.length, 2);
+  });
+});
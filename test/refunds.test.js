@@ -0,0 +1,261 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  startApp,
+  seedDoctor,
+  seedService,
+  seedUser,
+  book,
+  payFor,
+  deliverWebhook,
+  stripeEvent,
+} = require("./support/app");
+
+let ctx;
+let doctor;
+let service;
+
+const PATIENT = "patient@test.dev";
+const ADMIN = "admin@test.dev";
+
+beforeEach(async () => {
+  ctx = await startApp();
+  doctor = await seedDoctor(ctx.db);
+  service = await seedService(ctx.db);
+  await seedUser(ctx.db, ADMIN, "admin");
+});
+
+afterEach(() => ctx.close());
+
+const bookAndPay = async () => {
+  const booked = await book(ctx.request, { doctor, service, email: PATIENT });
+  const appointmentId = booked.body.insertedId;
+  const paid = await payFor(ctx, { appointmentId, service, email: PATIENT });
+  assert.equal(paid.status, 201);
+
+  const payment = await ctx.db
+    .collection("payments")
+    .findOne({ paymentIntentId: paid.intent.id });
+  return { appointmentId, payment };
+};
+
+// A 20% deposit and then the balance, both by card
+const bookAndPayInParts = async () => {
+  const inParts = await seedService(ctx.db, {
+    title: "Implant",
+    paymentMode: "deposit",
+    depositPercent: 20,
+  });
+  const booked = await book(ctx.request, {
+    doctor,
+    service: inParts,
+    email: PATIENT,
+  });
+  const appointmentId = booked.body.insertedId;
+  await payFor(ctx, { appointmentId, service: inParts, email: PATIENT });
+  await payFor(ctx, { appointmentId, service: inParts, email: PATIENT });
+
+  const payments = ctx.db.collection("payments");
+  return {
+    appointmentId,
+    deposit: await payments.findOne({ stage: "deposit" }),
+    balance: await payments.findOne({ stage: "balance" }),
+  };
+};
+
+const refund = (payment, body = {}, as = ADMIN) =>
+  ctx.request("POST", `/payments/${payment._id}/refund`, { as, body });
+
+const refundCalls = () =>
+  ctx.stripe.calls.filter((call) => call.method === "refunds.create");
+
+const appointmentOf = (id) =>
+  ctx.db.collection("appointments").findOne({ _id: new ObjectId(id) });
+
+test("a partial refund and then the rest", async () => {
+  const { appointmentId, payment } = await bookAndPay();
+
+  const partial = await refund(payment, { amount: 20, reason: "Goodwill" });
+  assert.equal(partial.status, 201);
+  assert.equal(partial.body.status, "partially_refunded");
+  assert.equal(partial.body.amountRefunded, 20);
+  assert.equal(
+    (await appointmentOf(appointmentId)).paymentStatus,
+    "partially_refunded",
+  );
+
+  const rest = await refund(payment);
+  assert.equal(rest.status, 201);
+  assert.equal(rest.body.status, "refunded");
+  assert.equal(rest.body.amountRefunded, 50);
+
+  assert.deepEqual(
+    refundCalls().map((call) => call.params.amount),
+    [2000, 3000],
+  );
+  const stored = await ctx.db
+    .collection("payments")
+    .findOne({ _id: payment._id });
+  assert.equal(stored.refunds.length, 2);
+  assert.equal((await appointmentOf(appointmentId)).paymentStatus, "refunded");
+});
+
+test("a deposit and its balance count together for the appointment", async () => {
+  const { appointmentId, deposit, balance } = await bookAndPayInParts();
+  const status = async () => (await appointmentOf(appointmentId)).paymentStatus;
+
+  await refund(deposit);
+  assert.equal(await status(), "partially_refunded");
+
+  await refund(balance, { amount: 10 });
+  assert.equal(await status(), "partially_refunded");
+
+  await refund(balance);
+  assert.equal(await status(), "refunded");
+});
+
+test("a refund can't exceed what is left", async () => {
+  const { payment } = await bookAndPay();
+
+  const response = await refund(payment, { amount: 60 });
+
+  assert.equal(response.status, 400);
+  assert.equal(refundCalls().length, 0);
+});
+
+test("a repeated refund request reuses the Stripe idempotency key", async () => {
+  const { payment } = await bookAndPay();
+
+  await refund(payment, { amount: 10 });
+  const [{ options }] = refundCalls();
+
+  assert.equal(options.idempotencyKey, `refund-${payment._id}-0-1000`);
+});
+
+test("only admins issue refunds", async () => {
+  const { payment } = await bookAndPay();
+
+  const response = await refund(payment, {}, PATIENT);
+
+  assert.equal(response.status, 403);
+});
+
+test("cancelling in good time refunds the patient automatically", async () => {
+  const { appointmentId } = await bookAndPay();
+
+  await ctx.request("PATCH", `/appointment/${appointmentId}/status`, {
+    as: PATIENT,
+    body: { status: "cancelled" },
+  });
+
+  assert.equal(refundCalls().length, 1);
+  assert.equal(refundCalls()[0].params.amount, 5000);
+  assert.equal((await appointmentOf(appointmentId)).paymentStatus, "refunded");
+});
+
+test("a late cancellation by the patient is not refunded", async () => {
+  const { appointmentId } = await bookAndPay();
+  await ctx.db
+    .collection("appointments")
+    .updateOne(
+      { _id: new ObjectId(appointmentId) },
+      { $set: { startsAt: new Date(Date.now() + 3600000) } },
+    );
+
+  await ctx.request("PATCH", `/appointment/${appointmentId}/status`, {
+    as: PATIENT,
+    body: { status: "cancelled" },
+  });
+
+  assert.equal(refundCalls().length, 0);
+  assert.equal((await appointmentOf(appointmentId)).paymentStatus, "paid");
+});
+
+test("the clinic cancelling late still refunds the patient", async () => {
+  const { appointmentId } = await bookAndPay();
+  await ctx.db
+    .collection("appointments")
+    .updateOne(
+      { _id: new ObjectId(appointmentId) },
+      { $set: { startsAt: new Date(Date.now() + 3600000) } },
+    );
+
+  await ctx.request("PATCH", `/appointment/${appointmentId}/status`, {
+    as: doctor.email,
+    body: { status: "cancelled" },
+  });
+
+  assert.equal(refundCalls().length, 1);
+});
+
+// What Stripe sends once a charge has been (partly) refunded. Charges
+// don't carry the PaymentIntent's metadata.
+const chargeRefunded = (paymentIntentId, amount, amountRefunded) =>
+  stripeEvent("charge.refunded", {
+    id: `ch_${paymentIntentId}`,
+    object: "charge",
+    payment_intent: paymentIntentId,
+    amount,
+    amount_refunded: amountRefunded,
+    currency: "usd",
+  });
+
+test("a refund made in the Stripe dashboard arrives through the webhook", async () => {
+  const { appointmentId, payment } = await bookAndPay();
+  const made = ctx.stripe.dashboardRefund(payment.paymentIntentId, 1500);
+  const event = chargeRefunded(payment.paymentIntentId, 5000, 1500);
+
+  const response = await deliverWebhook(ctx, event);
+  await deliverWebhook(ctx, { ...event, id: "evt_resent" });
+
+  assert.equal(response.status, 200);
+  const stored = await ctx.db
+    .collection("payments")
+    .findOne({ _id: payment._id });
+  assert.equal(stored.status, "partially_refunded");
+  assert.equal(stored.amountRefunded, 15);
+  assert.deepEqual(
+    stored.refunds.map((entry) => [entry.refundId, entry.amount, entry.by]),
+    [[made.id, 15, "stripe"]],
+  );
+  assert.equal(
+    (await appointmentOf(appointmentId)).paymentStatus,
+    "partially_refunded",
+  );
+});
+
+test("our own refund isn't recorded twice when its webhook arrives", async () => {
+  const { payment } = await bookAndPay();
+  await refund(payment, { amount: 20, reason: "Goodwill" });
+
+  await deliverWebhook(
+    ctx,
+    chargeRefunded(payment.paymentIntentId, 5000, 2000),
+  );
+
+  const stored = await ctx.db
+    .collection("payments")
+    .findOne({ _id: payment._id });
+  assert.equal(stored.refunds.length, 1);
+  assert.equal(stored.refunds[0].reason, "Goodwill");
+});
+
+test("refunding the deposit in the dashboard leaves the paid balance standing", async () => {
+  const { appointmentId, deposit } = await bookAndPayInParts();
+  ctx.stripe.dashboardRefund(deposit.paymentIntentId, 1000);
+
+  await deliverWebhook(
+    ctx,
+    chargeRefunded(deposit.paymentIntentId, 1000, 1000),
+  );
+
+  const stored = await ctx.db
+    .collection("payments")
+    .findOne({ _id: deposit._id });
+  assert.equal(stored.status, "refunded");
+  assert.equal(
+    (await appointmentOf(appointmentId)).paymentStatus,
+    "partially_refunded",
+  );
+});
@@ -0,0 +1,184 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startApp,
+  seedDoctor,
+  seedService,
+  seedUser,
+  seedAppointment,
+} = require("./support/app");
+
+let ctx;
+let doctor;
+let service;
+
+const PATIENT = "patient@test.dev";
+const ADMIN = "admin@test.dev";
+
+beforeEach(async () => {
+  ctx = await startApp();
+  doctor = await seedDoctor(ctx.db);
+  service = await seedService(ctx.db);
+  await seedUser(ctx.db, ADMIN, "admin");
+});
+
+afterEach(() => ctx.close());
+
+const writeReview = (appointment, extra = {}, as = PATIENT) =>
+  ctx.request("POST", "/reviews", {
+    as,
+    body: {
+      appointmentId: appointment._id.toString(),
+      email: as,
+      rating: 5,
+      text: "Painless and quick",
+      ...extra,
+    },
+  });
+
+const moderate = (id, status, reason) =>
+  ctx.request("PATCH", `/reviews/${id}/moderation`, {
+    as: ADMIN,
+    body: { status, ...(reason && { reason }) },
+  });
+
+const publicReviews = async () =>
+  (await ctx.request("GET", "/review", { as: "anyone@test.dev" })).body;
+
+test("a completed, paid visit can be reviewed and waits for moderation", async () => {
+  const appointment = await seedAppointment(ctx.db, { doctor, service });
+
+  const response = await writeReview(appointment);
+
+  assert.equal(response.status, 200);
+  const review = await ctx.db.collection("reviews").findOne({});
+  assert.equal(review.status, "pending");
+  assert.ok(review.doctorId.equals(doctor._id));
+  assert.equal(review.serviceId, service._id.toString());
+  assert.deepEqual(await publicReviews(), []);
+});
+
+test("approved reviews are public", async () => {
+  const appointment = await seedAppointment(ctx.db, { doctor, service });
+  const { body } = await writeReview(appointment);
+
+  await moderate(body.insertedId, "approved");
+
+  const reviews = await publicReviews();
+  assert.equal(reviews.length, 1);
+  assert.equal(reviews[0].text, "Painless and quick");
+});
+
+test("visits that aren't completed and paid can't be reviewed", async () => {
+  const upcoming = await seedAppointment(ctx.db, {
+    doctor,
+    service,
+    status: "confirmed",
+  });
+  const unpaid = await seedAppointment(ctx.db, {
+    doctor,
+    service,
+    paymentStatus: "unpaid",
+  });
+
+  assert.equal((await writeReview(upcoming)).status, 400);
+  assert.equal((await writeReview(unpaid)).status, 400);
+});
+
+test("nobody reviews someone else's visit", async () => {
+  const appointment = await seedAppointment(ctx.db, { doctor, service });
+
+  const asThemselves = await writeReview(appointment, {}, "other@test.dev");
+  const asThePatient = await ctx.request("POST", "/reviews", {
+    as: "other@test.dev",
+    body: {
+      appointmentId: appointment._id.toString(),
+      email: PATIENT,
+      rating: 1,
+      text: "Fake",
+    },
+  });
+
+  assert.equal(asThemselves.status, 404);
+  assert.equal(asThePatient.status, 403);
+});
+
+test("a visit is reviewed only once", async () => {
+  const appointment = await seedAppointment(ctx.db, { doctor, service });
+
+  await writeReview(appointment);
+  const again = await writeReview(appointment);
+
+  assert.equal(again.status, 409);
+});
+
+test("hiding a review needs a reason and is audited", async () => {
+  const appointment = await seedAppointment(ctx.db, { doctor, service });
+  const { body } = await writeReview(appointment);
+
+  const noReason = await moderate(body.insertedId, "hidden");
+  const hidden = await moderate(body.insertedId, "hidden", "Personal data");
+
+  assert.equal(noReason.status, 400);
+  assert.equal(hidden.status, 200);
+  const review = await ctx.db.collection("reviews").findOne({});
+  assert.equal(review.moderation.reason, "Personal data");
+  assert.equal(review.moderationHistory.length, 1);
+  const audit = await ctx.db
+    .collection("audit-log")
+    .findOne({ action: "review.moderate" });
+  assert.equal(audit.actor, ADMIN);
+});
+
+test("hidden reviews are only visible to their author and admins", async () => {
+  const appointment = await seedAppointment(ctx.db, { doctor, service });
+  const { body } = await writeReview(appointment);
+  await moderate(body.insertedId, "hidden", "Off topic");
+
+  const author = await ctx.request("GET", `/reviews/${body.insertedId}`, {
+    as: PATIENT,
+  });
+  const stranger = await ctx.request("GET", `/reviews/${body.insertedId}`, {
+    as: "stranger@test.dev",
+  });
+
+  assert.equal(author.status, 200);
+  assert.equal(stranger.status, 403);
+});
+
+test("editing a review sends it back to moderation", async () => {
+  const appointment = await seedAppointment(ctx.db, { doctor, service });
+  const { body } = await writeReview(appointment);
+  await moderate(body.insertedId, "approved");
+
+  const response = await ctx.request("PUT", `/reviews/${body.insertedId}`, {
+    as: PATIENT,
+    body: { ratingSub: 3, textSub: "On second thought" },
+  });
+
+  assert.equal(response.status, 200);
+  const review = await ctx.db.collection("reviews").findOne({});
+  assert.equal(review.status, "pending");
+  assert.equal(review.rating, 3);
+  assert.deepEqual(await publicReviews(), []);
+});
+
+test("a review is reported once per user, never by its author", async () => {
+  const appointment = await seedAppointment(ctx.db, { doctor, service });
+  const { body } = await writeReview(appointment);
+  const report = (as) =>
+    ctx.request("POST", `/reviews/${body.insertedId}/report`, {
+      as,
+      body: { reason: "Looks fake" },
+    });
+
+  assert.equal((await report("reader@test.dev")).status, 200);
+  assert.equal((await report("reader@test.dev")).status, 409);
+  assert.equal((await report(PATIENT)).status, 403);
+
+  const queue = await ctx.request("GET", "/reviews-all?reported=true", {
+    as: ADMIN,
+  });
+  assert.equal(queue.body.data.length, 1);
+  assert.equal(queue.body.data[0].reportCount, 1);
+});
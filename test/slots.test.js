@@ -0,0 +1,177 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, seedDoctor, book, daysFromNow } = require("./support/app");
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startApp();
+});
+
+afterEach(() => ctx.close());
+
+const slotsOf = async (doctor, date) => {
+  const response = await ctx.request(
+    "GET",
+    `/doctors-all/${doctor._id}/slots?date=${date}`,
+  );
+  assert.equal(response.status, 200);
+  return response.body.slots.map((slot) => slot.start);
+};
+
+test("open slots follow the doctor's hours and skip breaks", async () => {
+  const doctor = await seedDoctor(ctx.db, {
+    schedule: {
+      slotMinutes: 60,
+      weeklyHours: Object.fromEntries(
+        ["sun", "mon", "tue", "wed", "thu", "fri", "sat"].map((day) => [
+          day,
+          [{ start: "09:00", end: "14:00" }],
+        ]),
+      ),
+      breaks: [{ start: "12:00", end: "13:00" }],
+      daysOff: [],
+    },
+  });
+
+  assert.deepEqual(await slotsOf(doctor, daysFromNow(3)), [
+    "09:00",
+    "10:00",
+    "11:00",
+    "13:00",
+  ]);
+});
+
+test("days off have no slots", async () => {
+  const date = daysFromNow(3);
+  const doctor = await seedDoctor(ctx.db);
+  await ctx.db
+    .collection("doctors-all")
+    .updateOne({ _id: doctor._id }, { $set: { "schedule.daysOff": [date] } });
+
+  assert.deepEqual(await slotsOf(doctor, date), []);
+});
+
+test("a booked slot disappears from the open slots", async () => {
+  const date = daysFromNow(3);
+  const doctor = await seedDoctor(ctx.db);
+
+  const booked = await book(ctx.request, {
+    doctor,
+    email: "patient@test.dev",
+    date,
+    time: "10:00",
+  });
+
+  assert.equal(booked.status, 200);
+  const slots = await slotsOf(doctor, date);
+  assert.ok(!slots.includes("10:00"));
+  assert.ok(slots.includes("10:30"));
+});
+
+test("the same slot can't be booked twice", async () => {
+  const doctor = await seedDoctor(ctx.db);
+
+  const first = await book(ctx.request, { doctor, email: "a@test.dev" });
+  const second = await book(ctx.request, { doctor, email: "b@test.dev" });
+
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 409);
+  assert.equal(await ctx.db.collection("appointments").countDocuments({}), 1);
+});
+
+test("simultaneous bookings of one slot yield exactly one appointment", async () => {
+  const doctor = await seedDoctor(ctx.db);
+
+  const results = await Promise.all(
+    ["a", "b", "c"].map((name) =>
+      book(ctx.request, { doctor, email: `${name}@test.dev` }),
+    ),
+  );
+
+  assert.deepEqual(results.map((r) => r.status).sort(), [200, 409, 409]);
+  assert.equal(await ctx.db.collection("appointments").countDocuments({}), 1);
+});
+
+test("a booking that overlaps a longer existing slot is refused", async () => {
+  const date = daysFromNow(3);
+  const doctor = await seedDoctor(ctx.db);
+
+  // Booked back when the doctor still worked in one-hour slots
+  await ctx.db.collection("slot-reservations").insertOne({
+    doctorId: doctor._id,
+    date,
+    startTime: "10:00",
+    endTime: "11:00",
+  });
+
+  const response = await book(ctx.request, {
+    doctor,
+    email: "patient@test.dev",
+    date,
+    time: "10:30",
+  });
+
+  assert.equal(response.status, 409);
+});
+
+test("times outside the doctor's hours are refused", async () => {
+  const doctor = await seedDoctor(ctx.db);
+
+  const early = await book(ctx.request, {
+    doctor,
+    email: "patient@test.dev",
+    time: "07:00",
+  });
+  const offGrid = await book(ctx.request, {
+    doctor,
+    email: "patient@test.dev",
+    time: "10:15",
+  });
+
+  assert.equal(early.status, 400);
+  assert.equal(offGrid.status, 400);
+});
+
+test("past dates can't be booked", async () => {
+  const doctor = await seedDoctor(ctx.db);
+
+  const response = await book(ctx.request, {
+    doctor,
+    email: "patient@test.dev",
+    date: daysFromNow(-2),
+  });
+
+  assert.equal(response.status, 400);
+});
+
+test("doctors who aren't approved take no bookings", async () => {
+  const doctor = await seedDoctor(ctx.db, { permission: "pending" });
+
+  const response = await book(ctx.request, {
+    doctor,
+    email: "patient@test.dev",
+  });
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(await slotsOf(doctor, daysFromNow(3)), []);
+});
+
+test("an invalid schedule is rejected with the reasons", async () => {
+  const doctor = await seedDoctor(ctx.db);
+
+  const response = await ctx.request(
+    "PUT",
+    `/doctors-all/${doctor._id}/schedule`,
+    {
+      as: doctor.email,
+      body: {
+        slotMinutes: 3,
+        weeklyHours: { mon: [{ start: "17:00", end: "09:00" }], funday: [] },
+      },
+    },
+  );
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.errors.length, 3);
+});
@@ -0,0 +1,143 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  startApp,
+  seedDoctor,
+  seedService,
+  book,
+  deliverWebhook,
+  stripeEvent,
+} = require("./support/app");
+
+let ctx;
+
+beforeEach(async () => {
+  ctx = await startApp();
+});
+
+afterEach(() => ctx.close());
+
+const deliver = (event, secret) => deliverWebhook(ctx, event, secret);
+
+// A booked appointment with a created (not yet paid) intent for it
+const bookAndStartPayment = async () => {
+  const doctor = await seedDoctor(ctx.db);
+  const service = await seedService(ctx.db);
+  const booked = await book(ctx.request, {
+    doctor,
+    service,
+    email: "patient@test.dev",
+  });
+  const appointmentId = booked.body.insertedId;
+
+  const created = await ctx.request("POST", "/create-payment-intent", {
+    as: "patient@test.dev",
+    body: { serviceId: service._id.toString(), appointmentId },
+  });
+  assert.equal(created.status, 200);
+
+  return { appointmentId, intent: ctx.stripe.lastIntent() };
+};
+
+test("a signed payment_intent.succeeded marks the appointment paid", async () => {
+  const { appointmentId, intent } = await bookAndStartPayment();
+
+  const response = await deliver(
+    stripeEvent("payment_intent.succeeded", ctx.stripe.succeed(intent.id)),
+  );
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body, { received: true });
+
+  const appointment = await ctx.db
+    .collection("appointments")
+    .findOne({ _id: new ObjectId(appointmentId) });
+  assert.equal(appointment.paymentStatus, "paid");
+
+  const payment = await ctx.db
+    .collection("payments")
+    .findOne({ paymentIntentId: intent.id });
+  assert.equal(payment.status, "succeeded");
+  assert.equal(payment.amountMinor, 5000);
+});
+
+test("a redelivered event is only processed once", async () => {
+  const { intent } = await bookAndStartPayment();
+  const event = stripeEvent(
+    "payment_intent.succeeded",
+    ctx.stripe.succeed(intent.id),
+  );
+
+  await deliver(event);
+  const again = await deliver(event);
+
+  assert.equal(again.status, 200);
+  assert.equal(again.body.duplicate, true);
+  assert.equal(await ctx.db.collection("payments").countDocuments({}), 1);
+});
+
+test("a payload signed with another secret is rejected", async () => {
+  const { intent } = await bookAndStartPayment();
+
+  const response = await deliver(
+    stripeEvent("payment_intent.succeeded", ctx.stripe.succeed(intent.id)),
+    "whsec_someone_else",
+  );
+
+  assert.equal(response.status, 400);
+  assert.equal(await ctx.db.collection("payments").countDocuments({}), 0);
+  assert.equal(await ctx.db.collection("stripe-events").countDocuments({}), 0);
+});
+
+test("a payload changed after signing is rejected", async () => {
+  const { intent } = await bookAndStartPayment();
+  const event = stripeEvent(
+    "payment_intent.succeeded",
+    ctx.stripe.succeed(intent.id),
+  );
+  const signature = ctx.stripe.webhooks.generateTestHeaderString({
+    payload: JSON.stringify(event),
+    secret: process.env.STRIPE_WEBHOOK_SECRET,
+  });
+
+  event.data.object.amount_received = 1;
+
+  const response = await ctx.request("POST", "/stripe/webhook", {
+    body: JSON.stringify(event),
+    headers: {
+      "content-type": "application/json",
+      "stripe-signature": signature,
+    },
+  });
+
+  assert.equal(response.status, 400);
+});
+
+test("an event whose appointment can't be found is left for Stripe to retry", async () => {
+  const { intent } = await bookAndStartPayment();
+  const orphan = {
+    ...ctx.stripe.succeed(intent.id),
+    metadata: { ...intent.metadata, appointmentId: String(new ObjectId()) },
+  };
+  const event = stripeEvent("payment_intent.succeeded", orphan);
+
+  const first = await deliver(event);
+  assert.equal(first.status, 404);
+  assert.equal(await ctx.db.collection("stripe-events").countDocuments({}), 0);
+  assert.equal(await ctx.db.collection("payments").countDocuments({}), 0);
+
+  // Still not marked as processed on the next attempt
+  const retried = await deliver(event);
+  assert.equal(retried.status, 404);
+  assert.notEqual(retried.body?.duplicate, true);
+});
+
+test("event types without a handler are acknowledged and ignored", async () => {
+  const response = await deliver(
+    stripeEvent("customer.created", { id: "cus_1" }),
+  );
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.ignored, true);
+});
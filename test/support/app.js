@@ -0,0 +1,346 @@
+/**
+ * =========================================================
+ * Test App
+ * =========================================================
+ * Starts the real Express app on a random port, backed by
+ * the in-memory database and a Stripe client whose API
+ * calls are recorded instead of sent. Webhook signing and
+ * verification still go through the real Stripe library.
+ * =========================================================
+ */
+
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const jwt = require("jsonwebtoken");
+const Stripe = require("stripe");
+const { ObjectId } = require("mongodb");
+const { createMemoryDb } = require("./memory-db");
+
+const TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "saad-dentistry-test-"));
+
+// Read once when index.js loads, so they are set before it is required
+Object.assign(process.env, {
+  ACCESS_TOKEN_SECRET: "test-access-secret",
+  STRIPE_SECRET_KEY: "sk_test_fake",
+  STRIPE_WEBHOOK_SECRET: "whsec_test_secret",
+  MONGODB_URI: "mongodb://127.0.0.1:1",
+  FIREBASE_PROJECT_ID: "saad-dentistry-test",
+  CLINIC_UTC_OFFSET: "+06:00",
+  CRON_SECRET: "test-cron-secret",
+  NOTIFICATION_TRANSPORT: "file",
+  NOTIFICATIONS_OUTBOX_DIR: path.join(TMP_DIR, "outbox"),
+  UPLOADS_DIR: path.join(TMP_DIR, "uploads"),
+});
+
+const { createApp } = require("../../index");
+const { createIndexes } = require("../../setup-db");
+
+/* ========================
+   Stripe
+======================== */
+
+// API calls are answered from memory; `stripe.calls` lists what was sent
+const createFakeStripe = () => {
+  const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+  const intents = new Map();
+  let sequence = 0;
+
+  stripe.calls = [];
+
+  stripe.paymentIntents = {
+    create: async (params) => {
+      stripe.calls.push({ method: "paymentIntents.create", params });
+      const id = `pi_test_${++sequence}`;
+      const intent = {
+        id,
+        object: "payment_intent",
+        client_secret: `${id}_secret`,
+        status: "requires_payment_method",
+        amount_received: 0,
+        metadata: {},
+        ...params,
+      };
+      intents.set(id, intent);
+      return intent;
+    },
+    retrieve: async (id) => {
+      if (!intents.has(id)) {
+        const error = new Error(`No such payment_intent: '${id}'`);
+        error.statusCode = 404;
+        throw error;
+      }
+      return intents.get(id);
+    },
+  };
+
+  const refunds = [];
+  const addRefund = (params) => {
+    const refund = {
+      id: `re_test_${++sequence}`,
+      object: "refund",
+      status: "succeeded",
+      currency: intents.get(params.payment_intent)?.currency || "usd",
+      created: Math.floor(Date.now() / 1000),
+      metadata: {},
+      ...params,
+    };
+    refunds.push(refund);
+    return refund;
+  };
+
+  stripe.refunds = {
+    create: async (params, options) => {
+      stripe.calls.push({ method: "refunds.create", params, options });
+      return addRefund(params);
+    },
+    list: async ({ payment_intent }) => ({
+      object: "list",
+      data: refunds.filter(
+        (refund) => refund.payment_intent === payment_intent,
+      ),
+      has_more: false,
+    }),
+  };
+
+  // A refund made in the Stripe dashboard: Stripe knows it, the app only
+  // hears of it through the charge.refunded webhook
+  stripe.dashboardRefund = (paymentIntentId, amount) =>
+    addRefund({ payment_intent: paymentIntentId, amount });
+
+  // Marks a created intent as paid, the way Stripe reports it afterwards
+  stripe.succeed = (id, changes = {}) => {
+    const intent = intents.get(id);
+    Object.assign(intent, {
+      status: "succeeded",
+      amount_received: intent.amount,
+      ...changes,
+    });
+    return intent;
+  };
+
+  stripe.intents = intents;
+  stripe.lastIntent = () => [...intents.values()].pop();
+
+  return stripe;
+};
+
+/* ========================
+   Requests
+======================== */
+
+const tokenFor = (email, role = "user") =>
+  jwt.sign({ email, role }, process.env.ACCESS_TOKEN_SECRET, {
+    expiresIn: "1h",
+  });
+
+// A fresh database and Stripe client for each call
+const startApp = async () => {
+  const db = createMemoryDb();
+  const stripe = createFakeStripe();
+  const app = createApp({ database: db, stripeClient: stripe });
+
+  await createIndexes(db);
+
+  const server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // `as` signs the request in as that email
+  const request = async (method, url, { body, as, headers = {} } = {}) => {
+    const response = await fetch(base + url, {
+      method,
+      headers: {
+        ...(body !== undefined && { "content-type": "application/json" }),
+        ...(as && { authorization: `Bearer ${tokenFor(as)}` }),
+        ...headers,
+      },
+      body:
+        body === undefined || typeof body === "string"
+          ? body
+          : JSON.stringify(body),
+    });
+
+    const text = await response.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch (error) {
+      json = null;
+    }
+
+    return {
+      status: response.status,
+      body: json,
+      text,
+      headers: response.headers,
+    };
+  };
+
+  const close = () =>
+    new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    });
+
+  return { db, stripe, request, close, base };
+};
+
+/* ========================
+   Fixtures
+======================== */
+
+// Dates are a few days out so every slot is still in the future
+const daysFromNow = (days) =>
+  new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+
+const WEEK = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const seedUser = async (db, email, role = "user", extra = {}) => {
+  const user = { email, name: email.split("@")[0], role, ...extra };
+  await db.collection("users").insertOne(user);
+  return user;
+};
+
+// Works 09:00–17:00 every day in 30-minute slots
+const seedDoctor = async (db, extra = {}) => {
+  const doctor = {
+    name: "Dr. Test",
+    email: "doctor@test.dev",
+    specialty: "General",
+    permission: "approved",
+    schedule: {
+      slotMinutes: 30,
+      weeklyHours: Object.fromEntries(
+        WEEK.map((day) => [day, [{ start: "09:00", end: "17:00" }]]),
+      ),
+      breaks: [],
+      daysOff: [],
+    },
+    ...extra,
+  };
+  await db.collection("doctors-all").insertOne(doctor);
+  await seedUser(db, doctor.email, "doctor");
+  return doctor;
+};
+
+const seedService = async (db, extra = {}) => {
+  const service = {
+    title: "Cleaning",
+    price: 50,
+    prices: { usd: 5000 },
+    ...extra,
+  };
+  await db.collection("services").insertOne(service);
+  return service;
+};
+
+// An appointment as it looks after the visit; `extra` overrides any field
+const seedAppointment = async (db, { doctor, service, ...extra }) => {
+  const appointment = {
+    email: "patient@test.dev",
+    name: "Patient",
+    doctorId: doctor._id,
+    doctorName: doctor.name,
+    doctorEmail: doctor.email,
+    ...(service && { serviceId: service._id.toString() }),
+    date: daysFromNow(-7),
+    time: "10:00",
+    startsAt: new Date(Date.now() - 7 * 86400000),
+    status: "completed",
+    paymentStatus: "paid",
+    createdAt: new Date(),
+    ...extra,
+  };
+  await db.collection("appointments").insertOne(appointment);
+  return appointment;
+};
+
+// Books through the API, the way a patient does
+const book = async (
+  request,
+  { doctor, service, email, date, time, ...rest },
+) => {
+  const response = await request("POST", "/appointment", {
+    as: email,
+    body: {
+      email,
+      name: "Patient",
+      doctorId: doctor._id.toString(),
+      ...(service && { serviceId: service._id.toString() }),
+      date: date || daysFromNow(3),
+      time: time || "10:00",
+      ...rest,
+    },
+  });
+  return response;
+};
+
+// Pays the appointment by card: creates the intent, has Stripe succeed it
+// and reports it back through POST /payments
+const payFor = async (
+  { request, stripe },
+  { appointmentId, service, email, ...body },
+) => {
+  const created = await request("POST", "/create-payment-intent", {
+    as: email,
+    body: { serviceId: service._id.toString(), appointmentId, ...body },
+  });
+  if (created.status !== 200) return created;
+
+  const intent = stripe.succeed(stripe.lastIntent().id);
+  const saved = await request("POST", "/payments", {
+    as: email,
+    body: { appointmentId, paymentIntentId: intent.id },
+  });
+
+  return { ...saved, intent, created: created.body };
+};
+
+// Signs the event the way Stripe does, with the test webhook secret
+const deliverWebhook = (
+  { request, stripe },
+  event,
+  secret = process.env.STRIPE_WEBHOOK_SECRET,
+) => {
+  const payload = JSON.stringify(event);
+  const signature = stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret,
+  });
+
+  return request("POST", "/stripe/webhook", {
+    body: payload,
+    headers: {
+      "content-type": "application/json",
+      "stripe-signature": signature,
+    },
+  });
+};
+
+const stripeEvent = (type, object, id = `evt_${new ObjectId()}`) => ({
+  id,
+  object: "event",
+  type,
+  data: { object },
+});
+
+const objectId = (id) => new ObjectId(id);
+
+module.exports = {
+  TMP_DIR,
+  startApp,
+  tokenFor,
+  createFakeStripe,
+  daysFromNow,
+  seedUser,
+  seedDoctor,
+  seedService,
+  seedAppointment,
+  book,
+  payFor,
+  deliverWebhook,
+  stripeEvent,
+  objectId,
+};
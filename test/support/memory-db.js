@@ -0,0 +1,978 @@
+/**
+ * =========================================================
+ * In-Memory Database
+ * =========================================================
+ * A stand-in for the parts of the MongoDB driver the app
+ * uses, so routes can be tested without a server: filters,
+ * update operators (including the positional `$`), unique
+ * indexes, upserts, cursors and the aggregation stages the
+ * rating and report pipelines are built from (date
+ * expressions take a fixed UTC offset as their timezone).
+ * Anything it does not know throws, rather than quietly
+ * matching.
+ * =========================================================
+ */
+
+const { ObjectId } = require("mongodb");
+
+/* ========================
+   Values
+======================== */
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof ObjectId) &&
+  !(value instanceof Date) &&
+  !(value instanceof RegExp) &&
+  !Buffer.isBuffer(value);
+
+const isOperatorObject = (value) =>
+  isPlainObject(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every((key) => key.startsWith("$"));
+
+// Stored documents never share objects with the caller. ObjectIds are
+// immutable and kept as they are; undefined is stored as null, as the
+// driver does.
+const clone = (value) => {
+  if (value === undefined) return null;
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, clone(item)]),
+    );
+  }
+  return value;
+};
+
+const isMissing = (value) => value === null || value === undefined;
+
+const equals = (a, b) => {
+  if (isMissing(a) || isMissing(b)) return isMissing(a) && isMissing(b);
+  if (a instanceof ObjectId || b instanceof ObjectId) {
+    return a instanceof ObjectId && b instanceof ObjectId && a.equals(b);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return (
+      a instanceof Date && b instanceof Date && a.getTime() === b.getTime()
+    );
+  }
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, i) => equals(item, b[i]))
+    );
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => equals(a[key], b[key]))
+    );
+  }
+  return a === b;
+};
+
+// BSON sort order between types, then the natural order within one
+const TYPE_ORDER = (value) => {
+  if (isMissing(value)) return 0;
+  if (typeof value === "number") return 1;
+  if (typeof value === "string") return 2;
+  if (isPlainObject(value)) return 3;
+  if (Array.isArray(value)) return 4;
+  if (value instanceof ObjectId) return 7;
+  if (typeof value === "boolean") return 8;
+  if (value instanceof Date) return 9;
+  return 10;
+};
+
+const compare = (a, b) => {
+  const order = TYPE_ORDER(a) - TYPE_ORDER(b);
+  if (order) return order;
+  if (isMissing(a)) return 0;
+
+  const left = a instanceof ObjectId ? a.toHexString() : a.valueOf();
+  const right = b instanceof ObjectId ? b.toHexString() : b.valueOf();
+
+  if (typeof left === "object") {
+    return JSON.stringify(left).localeCompare(JSON.stringify(right));
+  }
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+/* ========================
+   Paths
+======================== */
+
+// Every value a dotted path reaches, descending into arrays on the way
+const resolve = (value, parts) => {
+  if (!parts.length) return [value];
+
+  if (Array.isArray(value)) {
+    if (/^\d+$/.test(parts[0])) {
+      return resolve(value[Number(parts[0])], parts.slice(1));
+    }
+    return value.flatMap((item) =>
+      isPlainObject(item) ? resolve(item, parts) : [],
+    );
+  }
+
+  if (!isPlainObject(value)) return [undefined];
+  return resolve(value[parts[0]], parts.slice(1));
+};
+
+const getPath = (doc, path) => {
+  let value = doc;
+  for (const part of path.split(".")) {
+    if (value === null || typeof value !== "object") return undefined;
+    value = value[part];
+  }
+  return value;
+};
+
+const setPath = (doc, path, value) => {
+  const parts = path.split(".");
+  let target = doc;
+
+  parts.slice(0, -1).forEach((part, i) => {
+    if (target[part] === null || typeof target[part] !== "object") {
+      target[part] = /^\d+$/.test(parts[i + 1]) ? [] : {};
+    }
+    target = target[part];
+  });
+
+  target[parts[parts.length - 1]] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const parts = path.split(".");
+  const parent = getPath(doc, parts.slice(0, -1).join(".")) ?? doc;
+  const target = parts.length > 1 ? parent : doc;
+
+  if (target && typeof target === "object") {
+    delete target[parts[parts.length - 1]];
+  }
+};
+
+/* ========================
+   Queries
+======================== */
+
+// An equality condition matches the value, or any element of an array
+const matchesValue = (values, expected) => {
+  if (expected instanceof RegExp) {
+    return values.some((value) =>
+      [].concat(value).some((v) => typeof v === "string" && expected.test(v)),
+    );
+  }
+
+  if (isMissing(expected) && !values.length) return true;
+
+  return values.some(
+    (value) =>
+      equals(value, expected) ||
+      (Array.isArray(value) && value.some((item) => equals(item, expected))),
+  );
+};
+
+const comparable = (values, expected, test) =>
+  values.some((value) =>
+    [value, ...(Array.isArray(value) ? value : [])].some(
+      (item) =>
+        !isMissing(item) &&
+        TYPE_ORDER(item) === TYPE_ORDER(expected) &&
+        test(compare(item, expected)),
+    ),
+  );
+
+const OPERATORS = {
+  $eq: (values, expected) => matchesValue(values, expected),
+  $ne: (values, expected) => !matchesValue(values, expected),
+  $in: (values, list) => list.some((item) => matchesValue(values, item)),
+  $nin: (values, list) => !list.some((item) => matchesValue(values, item)),
+  $gt: (values, expected) => comparable(values, expected, (c) => c > 0),
+  $gte: (values, expected) => comparable(values, expected, (c) => c >= 0),
+  $lt: (values, expected) => comparable(values, expected, (c) => c < 0),
+  $lte: (values, expected) => comparable(values, expected, (c) => c <= 0),
+  $exists: (values, expected) =>
+    values.some((value) => value !== undefined) === Boolean(expected),
+  $size: (values, size) =>
+    values.some((value) => Array.isArray(value) && value.length === size),
+  $not: (values, condition) => !matchesCondition(values, condition),
+  $elemMatch: (values, condition) =>
+    values.some(
+      (value) =>
+        Array.isArray(value) &&
+        value.some((item) =>
+          isOperatorObject(condition)
+            ? matchesCondition([item], condition)
+            : isPlainObject(item) && matches(item, condition),
+        ),
+    ),
+};
+
+const matchesCondition = (values, condition) => {
+  if (!isOperatorObject(condition)) return matchesValue(values, condition);
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    if (operator === "$options") return true;
+
+    if (operator === "$regex") {
+      const pattern = new RegExp(expected, condition.$options || "");
+      return matchesValue(values, pattern);
+    }
+
+    const test = OPERATORS[operator];
+    if (!test) throw new Error(`memory-db: unsupported operator ${operator}`);
+    return test(values, expected);
+  });
+};
+
+// A text index stand-in: any search word in any top-level string field
+const matchesText = (doc, search) => {
+  const words = String(search).toLowerCase().split(/\s+/).filter(Boolean);
+  const text = Object.values(doc)
+    .filter((value) => typeof value === "string")
+    .join(" ")
+    .toLowerCase();
+
+  return words.some((word) => text.includes(word));
+};
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((sub) => matches(doc, sub));
+    if (key === "$and") return condition.every((sub) => matches(doc, sub));
+    if (key === "$nor") return !condition.some((sub) => matches(doc, sub));
+    if (key === "$text") return matchesText(doc, condition.$search);
+    if (key.startsWith("$")) {
+      throw new Error(`memory-db: unsupported query operator ${key}`);
+    }
+    return matchesCondition(resolve(doc, key.split(".")), condition);
+  });
+
+// The index of the array element a query matched, for "field.$" updates
+const positionalIndex = (doc, filter, field) => {
+  const array = getPath(doc, field);
+  if (!Array.isArray(array)) return -1;
+
+  const conditions = [];
+  const collect = (query) =>
+    Object.entries(query).forEach(([key, condition]) => {
+      if (key === "$and") condition.forEach(collect);
+      else if (key === field && condition?.$elemMatch) {
+        conditions.push((item) => matches(item, condition.$elemMatch));
+      } else if (key.startsWith(`${field}.`)) {
+        const rest = key.slice(field.length + 1);
+        conditions.push((item) => matches(item, { [rest]: condition }));
+      }
+    });
+  collect(filter);
+
+  return array.findIndex((item) => conditions.every((test) => test(item)));
+};
+
+/* ========================
+   Updates
+======================== */
+
+const applyUpdate = (doc, update, { filter, inserting }) => {
+  const keys = Object.keys(update);
+  if (!keys.length || !keys.every((key) => key.startsWith("$"))) {
+    throw new Error("memory-db: replacement updates are not supported");
+  }
+
+  // "steps.$.status" → "steps.2.status", matched once against the document
+  // as it was before the update, like MongoDB does
+  const positions = new Map();
+  const locate = (path) => {
+    const at = path.indexOf(".$");
+    if (at === -1) return path;
+
+    const field = path.slice(0, at);
+    if (!positions.has(field)) {
+      positions.set(field, positionalIndex(doc, filter, field));
+    }
+    const index = positions.get(field);
+    if (index === -1) {
+      throw new Error(`memory-db: no element of ${field} matched for $`);
+    }
+    return `${field}.${index}${path.slice(at + 2)}`;
+  };
+
+  Object.entries(update).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([rawPath, value]) => {
+      const path = locate(rawPath);
+      const current = getPath(doc, path);
+
+      switch (operator) {
+        case "$set":
+          setPath(doc, path, clone(value));
+          break;
+        case "$setOnInsert":
+          if (inserting) setPath(doc, path, clone(value));
+          break;
+        case "$unset":
+          unsetPath(doc, path);
+          break;
+        case "$inc":
+          setPath(doc, path, (current || 0) + value);
+          break;
+        case "$min":
+          if (isMissing(current) || compare(value, current) < 0) {
+            setPath(doc, path, clone(value));
+          }
+          break;
+        case "$max":
+          if (isMissing(current) || compare(value, current) > 0) {
+            setPath(doc, path, clone(value));
+          }
+          break;
+        case "$push":
+        case "$addToSet": {
+          const items =
+            isPlainObject(value) && value.$each ? value.$each : [value];
+          const array = Array.isArray(current) ? current : [];
+          items.forEach((item) => {
+            if (
+              operator === "$push" ||
+              !array.some((existing) => equals(existing, item))
+            ) {
+              array.push(clone(item));
+            }
+          });
+          setPath(doc, path, array);
+          break;
+        }
+        case "$pull":
+          if (Array.isArray(current)) {
+            setPath(
+              doc,
+              path,
+              current.filter((item) => !matchesCondition([item], value)),
+            );
+          }
+          break;
+        default:
+          throw new Error(`memory-db: unsupported update operator ${operator}`);
+      }
+    });
+  });
+
+  return doc;
+};
+
+// The document an upsert starts from: the filter's equality conditions
+const seedFromFilter = (filter) => {
+  const doc = {};
+  Object.entries(filter).forEach(([key, condition]) => {
+    if (key.startsWith("$") || isOperatorObject(condition)) return;
+    if (condition instanceof RegExp) return;
+    setPath(doc, key, clone(condition));
+  });
+  return doc;
+};
+
+/* ========================
+   Projection & Sorting
+======================== */
+
+const project = (doc, projection) => {
+  const fields = Object.entries(projection || {}).filter(
+    ([, rule]) => !isPlainObject(rule),
+  );
+  if (!fields.length) return doc;
+
+  const including = fields.some(([, rule]) => rule);
+
+  if (!including) {
+    const result = clone(doc);
+    fields.forEach(([key]) => unsetPath(result, key));
+    return result;
+  }
+
+  const result = {};
+  if (projection._id !== 0 && doc._id !== undefined) result._id = doc._id;
+  fields.forEach(([key, rule]) => {
+    const value = getPath(doc, key);
+    if (rule && value !== undefined) setPath(result, key, clone(value));
+  });
+  return result;
+};
+
+const sortDocs = (docs, sort) => {
+  const keys = Object.entries(sort || {}).filter(
+    ([, direction]) => typeof direction === "number",
+  );
+  if (!keys.length) return docs;
+
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const order = compare(getPath(a, key), getPath(b, key));
+      if (order) return order * direction;
+    }
+    return 0;
+  });
+};
+
+/* ========================
+   Aggregation
+======================== */
+
+const ACCUMULATORS = {
+  $sum: (values) =>
+    values.reduce(
+      (sum, value) => sum + (typeof value === "number" ? value : 0),
+      0,
+    ),
+  $avg: (values) => {
+    const numbers = values.filter((value) => typeof value === "number");
+    return numbers.length
+      ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length
+      : null;
+  },
+  $first: (values) => (values.length ? values[0] : null),
+  $max: (values) =>
+    values.reduce(
+      (max, v) => (max === null || compare(v, max) > 0 ? v : max),
+      null,
+    ),
+  $min: (values) =>
+    values.reduce(
+      (min, v) => (min === null || compare(v, min) < 0 ? v : min),
+      null,
+    ),
+  $push: (values) => values,
+};
+
+const round = (value, places = 0) => {
+  if (typeof value !== "number") return null;
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+// Date expressions take a fixed "+06:00"-style offset as their timezone
+const offsetMs = (timezone = "+00:00") => {
+  const [, sign, hours, minutes] = /^([+-])(\d{2}):?(\d{2})$/.exec(timezone);
+  return (sign === "-" ? -1 : 1) * (hours * 60 + Number(minutes)) * 60000;
+};
+
+// Runs `change` on the wall-clock time of `date` in `timezone`
+const inTimezone = (date, timezone, change) => {
+  const local = new Date(date.getTime() + offsetMs(timezone));
+  change(local);
+  return new Date(local.getTime() - offsetMs(timezone));
+};
+
+const DAY_NUMBERS = { sunday: 0, monday: 1, saturday: 6 };
+
+const EXPRESSIONS = {
+  $ifNull: ([value, fallback], doc) => {
+    const result = evaluate(value, doc);
+    return isMissing(result) ? evaluate(fallback, doc) : result;
+  },
+  $first: (value, doc) => {
+    const array = evaluate(value, doc);
+    return Array.isArray(array) && array.length ? array[0] : null;
+  },
+  $round: ([value, places], doc) => round(evaluate(value, doc), places),
+  $subtract: ([a, b], doc) => evaluate(a, doc) - evaluate(b, doc),
+  $add: (values, doc) => values.reduce((sum, v) => sum + evaluate(v, doc), 0),
+  $toLower: (value, doc) => String(evaluate(value, doc) ?? "").toLowerCase(),
+  $eq: ([a, b], doc) => equals(evaluate(a, doc), evaluate(b, doc)),
+  $ne: ([a, b], doc) => !equals(evaluate(a, doc), evaluate(b, doc)),
+  $cond: ([test, then, otherwise], doc) =>
+    evaluate(test, doc) ? evaluate(then, doc) : evaluate(otherwise, doc),
+  $in: ([value, list], doc) =>
+    (evaluate(list, doc) || []).some((item) =>
+      equals(item, evaluate(value, doc)),
+    ),
+  $arrayToObject: (value, doc) =>
+    Object.fromEntries(
+      (evaluate(value, doc) || []).map((pair) =>
+        Array.isArray(pair) ? pair : [pair.k, pair.v],
+      ),
+    ),
+  $convert: ({ input, to, onError = null, onNull = null }, doc) => {
+    const value = evaluate(input, doc);
+    if (isMissing(value)) return onNull;
+
+    if (to === "double") {
+      const number = Number(value);
+      return typeof value === "boolean" || Number.isNaN(number)
+        ? onError
+        : number;
+    }
+    if (to === "objectId") {
+      if (value instanceof ObjectId) return value;
+      return ObjectId.isValid(value) && String(value).length === 24
+        ? new ObjectId(value)
+        : onError;
+    }
+    throw new Error(`memory-db: unsupported $convert to ${to}`);
+  },
+  $dateTrunc: ({ date, unit, timezone, startOfWeek = "sunday" }, doc) => {
+    const value = evaluate(date, doc);
+    if (!(value instanceof Date)) return null;
+
+    return inTimezone(value, timezone, (local) => {
+      local.setUTCHours(0, 0, 0, 0);
+      if (unit === "week") {
+        const back = (local.getUTCDay() - DAY_NUMBERS[startOfWeek] + 7) % 7;
+        local.setUTCDate(local.getUTCDate() - back);
+      } else if (unit === "month") {
+        local.setUTCDate(1);
+      } else if (unit !== "day") {
+        throw new Error(`memory-db: unsupported $dateTrunc unit ${unit}`);
+      }
+    });
+  },
+  $dateToString: ({ format, date, timezone }, doc) => {
+    const value = evaluate(date, doc);
+    if (!(value instanceof Date)) return null;
+    if (format !== "%Y-%m-%d") {
+      throw new Error(`memory-db: unsupported $dateToString format ${format}`);
+    }
+
+    return new Date(value.getTime() + offsetMs(timezone))
+      .toISOString()
+      .slice(0, 10);
+  },
+  $dateFromString: ({ dateString, timezone, onError, onNull }, doc) => {
+    const value = evaluate(dateString, doc);
+    if (isMissing(value)) return onNull ?? null;
+
+    const parsed = new Date(`${value}T00:00:00${timezone || "Z"}`);
+    return Number.isNaN(parsed.getTime()) ? (onError ?? null) : parsed;
+  },
+};
+
+// "$a.b" in an expression: a path through an array gives an array
+const fieldValue = (value, parts) => {
+  if (!parts.length) return value;
+
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => fieldValue(item, parts))
+      .filter((item) => item !== undefined);
+  }
+
+  if (!isPlainObject(value)) return undefined;
+  return fieldValue(value[parts[0]], parts.slice(1));
+};
+
+const evaluate = (expression, doc) => {
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    return fieldValue(doc, expression.slice(1).split(".")) ?? null;
+  }
+
+  if (Array.isArray(expression)) {
+    return expression.map((item) => evaluate(item, doc));
+  }
+
+  if (isPlainObject(expression)) {
+    const [key] = Object.keys(expression);
+
+    if (key?.startsWith("$")) {
+      const operator = EXPRESSIONS[key];
+      if (!operator)
+        throw new Error(`memory-db: unsupported expression ${key}`);
+      return operator(expression[key], doc);
+    }
+
+    return Object.fromEntries(
+      Object.entries(expression).map(([field, value]) => [
+        field,
+        evaluate(value, doc),
+      ]),
+    );
+  }
+
+  return expression;
+};
+
+const groupKey = (value) =>
+  JSON.stringify(value, (key, item) =>
+    item instanceof ObjectId ? `oid:${item.toHexString()}` : item,
+  );
+
+const STAGES = {
+  $match: (docs, filter) => docs.filter((doc) => matches(doc, filter)),
+  $sort: (docs, sort) => sortDocs(docs, sort),
+  $limit: (docs, limit) => docs.slice(0, limit),
+  $skip: (docs, skip) => docs.slice(skip),
+  $count: (docs, field) => (docs.length ? [{ [field]: docs.length }] : []),
+  $set: (docs, fields) =>
+    docs.map((doc) => {
+      const result = clone(doc);
+      Object.entries(fields).forEach(([field, expression]) =>
+        setPath(result, field, evaluate(expression, doc)),
+      );
+      return result;
+    }),
+  $project: (docs, fields) =>
+    docs.map((doc) => {
+      const result = {};
+      if (fields._id !== 0 && fields._id === undefined) result._id = doc._id;
+
+      Object.entries(fields).forEach(([field, rule]) => {
+        if (rule === 0) return;
+        const value =
+          rule === 1 || rule === true
+            ? getPath(doc, field)
+            : evaluate(rule, doc);
+        if (value !== undefined) setPath(result, field, value);
+      });
+      return result;
+    }),
+  $group: (docs, { _id, ...accumulators }) => {
+    const groups = new Map();
+
+    docs.forEach((doc) => {
+      const id = evaluate(_id, doc);
+      const key = groupKey(id);
+      if (!groups.has(key)) groups.set(key, { _id: id, docs: [] });
+      groups.get(key).docs.push(doc);
+    });
+
+    return [...groups.values()].map((group) => {
+      const result = { _id: group._id };
+      Object.entries(accumulators).forEach(([field, accumulator]) => {
+        const [operator] = Object.keys(accumulator);
+        const reduce = ACCUMULATORS[operator];
+        if (!reduce) {
+          throw new Error(`memory-db: unsupported accumulator ${operator}`);
+        }
+        const values = group.docs.map((doc) =>
+          evaluate(accumulator[operator], doc),
+        );
+        result[field] = reduce(values);
+      });
+      return result;
+    });
+  },
+};
+
+/* ========================
+   Collections
+======================== */
+
+const duplicateKeyError = (name, index) => {
+  const error = new Error(
+    `E11000 duplicate key error collection: ${name} index: ${index.fields.join("_")}`,
+  );
+  error.code = 11000;
+  return error;
+};
+
+class Cursor {
+  constructor(load, options = {}) {
+    this.load = load;
+    this.options = { ...options };
+  }
+
+  project(projection) {
+    this.options.projection = projection;
+    return this;
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  skip(skip) {
+    this.options.skip = skip;
+    return this;
+  }
+
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+
+  async toArray() {
+    const { sort, skip = 0, limit = 0, projection } = this.options;
+    const docs = sortDocs(this.load(), sort).slice(skip);
+
+    return (limit ? docs.slice(0, limit) : docs).map((doc) =>
+      project(clone(doc), projection),
+    );
+  }
+
+  async *[Symbol.asyncIterator]() {
+    for (const doc of await this.toArray()) yield doc;
+  }
+
+  async close() {}
+}
+
+class MemoryCollection {
+  constructor(name, db) {
+    this.collectionName = name;
+    this.db = db;
+    this.docs = [];
+    this.indexes = [];
+  }
+
+  async createIndex(keys, options = {}) {
+    const fields = Object.keys(keys);
+
+    if (options.unique && !Object.values(keys).includes("text")) {
+      this.indexes.push({
+        fields,
+        sparse: Boolean(options.sparse),
+        partial: options.partialFilterExpression,
+      });
+    }
+    return fields.join("_");
+  }
+
+  checkUnique(doc) {
+    this.indexes.forEach((index) => {
+      if (
+        index.sparse &&
+        index.fields.every((f) => getPath(doc, f) === undefined)
+      ) {
+        return;
+      }
+      if (index.partial && !matches(doc, index.partial)) return;
+
+      const clash = this.docs.some(
+        (other) =>
+          !equals(other._id, doc._id) &&
+          (!index.partial || matches(other, index.partial)) &&
+          !(
+            index.sparse &&
+            index.fields.every((f) => getPath(other, f) === undefined)
+          ) &&
+          index.fields.every((f) => equals(getPath(other, f), getPath(doc, f))),
+      );
+
+      if (clash) throw duplicateKeyError(this.collectionName, index);
+    });
+  }
+
+  filtered(filter) {
+    return this.docs.filter((doc) => matches(doc, filter));
+  }
+
+  find(filter = {}, options = {}) {
+    return new Cursor(() => this.filtered(filter), options);
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [doc] = await this.find(filter, { ...options, limit: 1 }).toArray();
+    return doc || null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.filtered(filter).length;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = [];
+    this.filtered(filter).forEach((doc) =>
+      resolve(doc, field.split("."))
+        .flat()
+        .forEach((value) => {
+          if (value !== undefined && !values.some((v) => equals(v, value))) {
+            values.push(value);
+          }
+        }),
+    );
+    return values;
+  }
+
+  async insertOne(doc) {
+    // The driver adds the new _id to the caller's document too
+    if (doc._id === undefined) doc._id = new ObjectId();
+
+    const stored = clone(doc);
+    this.checkUnique(stored);
+    this.docs.push(stored);
+
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [i, doc] of docs.entries()) {
+      insertedIds[i] = (await this.insertOne(doc)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  // Applies `update` to one stored document; resolves to [before, after]
+  replaceWithUpdate(stored, filter, update) {
+    const before = clone(stored);
+    const after = applyUpdate(clone(stored), update, { filter });
+
+    this.checkUnique(after);
+    this.docs[this.docs.indexOf(stored)] = after;
+
+    return [before, after];
+  }
+
+  upsert(filter, update) {
+    const doc = applyUpdate(seedFromFilter(filter), update, {
+      filter,
+      inserting: true,
+    });
+    if (doc._id === undefined) doc._id = new ObjectId();
+
+    this.checkUnique(doc);
+    this.docs.push(doc);
+
+    return doc;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [stored] = sortDocs(this.filtered(filter), options.sort);
+
+    if (!stored) {
+      if (!options.upsert) {
+        return {
+          acknowledged: true,
+          matchedCount: 0,
+          modifiedCount: 0,
+          upsertedCount: 0,
+          upsertedId: null,
+        };
+      }
+      const doc = this.upsert(filter, update);
+      return {
+        acknowledged: true,
+        matchedCount: 0,
+        modifiedCount: 0,
+        upsertedCount: 1,
+        upsertedId: doc._id,
+      };
+    }
+
+    const [before, after] = this.replaceWithUpdate(stored, filter, update);
+    return {
+      acknowledged: true,
+      matchedCount: 1,
+      modifiedCount: equals(before, after) ? 0 : 1,
+      upsertedCount: 0,
+      upsertedId: null,
+    };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const targets = this.filtered(filter);
+
+    if (!targets.length && options.upsert) {
+      return this.updateOne(filter, update, options);
+    }
+
+    let modifiedCount = 0;
+    targets.forEach((stored) => {
+      const [before, after] = this.replaceWithUpdate(stored, filter, update);
+      if (!equals(before, after)) modifiedCount++;
+    });
+
+    return {
+      acknowledged: true,
+      matchedCount: targets.length,
+      modifiedCount,
+      upsertedCount: 0,
+      upsertedId: null,
+    };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [stored] = sortDocs(this.filtered(filter), options.sort);
+    const after = options.returnDocument === "after";
+
+    if (!stored) {
+      if (!options.upsert) return { ok: 1, value: null };
+      const doc = this.upsert(filter, update);
+      return {
+        ok: 1,
+        value: after ? project(clone(doc), options.projection) : null,
+      };
+    }
+
+    const [before, updated] = this.replaceWithUpdate(stored, filter, update);
+    return {
+      ok: 1,
+      value: project(clone(after ? updated : before), options.projection),
+    };
+  }
+
+  async deleteOne(filter = {}) {
+    const [stored] = this.filtered(filter);
+    if (!stored) return { acknowledged: true, deletedCount: 0 };
+
+    this.docs.splice(this.docs.indexOf(stored), 1);
+    return { acknowledged: true, deletedCount: 1 };
+  }
+
+  async deleteMany(filter = {}) {
+    const targets = this.filtered(filter);
+    this.docs = this.docs.filter((doc) => !targets.includes(doc));
+    return { acknowledged: true, deletedCount: targets.length };
+  }
+
+  async findOneAndDelete(filter = {}, options = {}) {
+    const [stored] = sortDocs(this.filtered(filter), options.sort);
+    if (!stored) return { ok: 1, value: null };
+
+    this.docs.splice(this.docs.indexOf(stored), 1);
+    return { ok: 1, value: project(clone(stored), options.projection) };
+  }
+
+  aggregate(pipeline) {
+    const run = () =>
+      pipeline.reduce((docs, stage) => {
+        const [name] = Object.keys(stage);
+
+        if (name === "$lookup") {
+          const { from, localField, foreignField, as } = stage.$lookup;
+          const other = this.db.collection(from);
+          return docs.map((doc) => ({
+            ...doc,
+            [as]: other.docs
+              .filter((candidate) =>
+                matchesValue(
+                  resolve(doc, localField.split(".")),
+                  getPath(candidate, foreignField),
+                ),
+              )
+              .map(clone),
+          }));
+        }
+
+        const apply = STAGES[name];
+        if (!apply) throw new Error(`memory-db: unsupported stage ${name}`);
+        return apply(docs, stage[name]);
+      }, this.docs.map(clone));
+
+    return { toArray: async () => run() };
+  }
+}
+
+const createMemoryDb = () => {
+  const collections = new Map();
+
+  const db = {
+    collection: (name) => {
+      if (!collections.has(name)) {
+        collections.set(name, new MemoryCollection(name, db));
+      }
+      return collections.get(name);
+    },
+  };
+
+  return db;
+};
+
+module.exports = { createMemoryDb, matches };
@@ -0,0 +1,241 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  startApp,
+  seedDoctor,
+  seedService,
+  seedUser,
+  seedAppointment,
+  payFor,
+  daysFromNow,
+} = require("./support/app");
+
+let ctx;
+let doctor;
+let service;
+
+const PATIENT = "patient@test.dev";
+const ADMIN = "admin@test.dev";
+const HOUR = 3600000;
+
+beforeEach(async () => {
+  ctx = await startApp();
+  doctor = await seedDoctor(ctx.db);
+  service = await seedService(ctx.db, { title: "Root Canal" });
+  await seedUser(ctx.db, PATIENT);
+  await seedUser(ctx.db, ADMIN, "admin");
+  // An earlier visit makes the doctor one of the patient's doctors
+  await seedAppointment(ctx.db, { doctor });
+});
+
+afterEach(() => ctx.close());
+
+const createPlan = async (as = doctor.email) => {
+  const response = await ctx.request("POST", "/treatment-plans", {
+    as,
+    body: {
+      email: PATIENT,
+      title: "Root canal on 36",
+      steps: [
+        { title: "Cleaning and shaping", serviceId: service._id.toString() },
+        { title: "Filling", estimatedCost: 3000, intervalWeeks: 1 },
+      ],
+    },
+  });
+  return response;
+};
+
+const bookStep = (plan, index, date, time = "10:00") =>
+  ctx.request(
+    "POST",
+    `/treatment-plans/${plan._id}/steps/${plan.steps[index]._id}/appointment`,
+    { as: PATIENT, body: { date, time } },
+  );
+
+const getPlan = (id, as = PATIENT) =>
+  ctx.request("GET", `/treatment-plans/${id}`, { as });
+
+const moveTo = (appointmentId, status) =>
+  ctx.request("PATCH", `/appointment/${appointmentId}/status`, {
+    as: doctor.email,
+    body: { status },
+  });
+
+const loadPlan = async () => {
+  const [plan] = await ctx.db.collection("treatment-plans").find({}).toArray();
+  return plan;
+};
+
+test("a doctor plans treatment for their own patient", async () => {
+  await seedDoctor(ctx.db, { email: "other@test.dev" });
+
+  const created = await createPlan();
+  const byOther = await createPlan("other@test.dev");
+
+  assert.equal(created.status, 201);
+  const { steps } = created.body.data;
+  assert.deepEqual(
+    steps.map((step) => [step.status, step.estimatedCost]),
+    [
+      ["pending", 5000],
+      ["pending", 3000],
+    ],
+  );
+  assert.equal(steps[0].serviceTitle, "Root Canal");
+  assert.equal(byOther.status, 403);
+  assert.ok(
+    await ctx.db
+      .collection("notifications")
+      .findOne({ event: "treatment-plan.created", to: PATIENT }),
+  );
+});
+
+test("steps are booked in order and after their interval", async () => {
+  await createPlan();
+  const plan = await loadPlan();
+
+  const outOfOrder = await bookStep(plan, 1, daysFromNow(10));
+  const first = await bookStep(plan, 0, daysFromNow(3));
+  const again = await bookStep(plan, 0, daysFromNow(4));
+  const tooSoon = await bookStep(await loadPlan(), 1, daysFromNow(5));
+  const second = await bookStep(await loadPlan(), 1, daysFromNow(10));
+
+  assert.equal(outOfOrder.status, 400);
+  assert.equal(first.status, 201);
+  assert.equal(again.status, 409);
+  assert.equal(tooSoon.status, 400);
+  assert.equal(second.status, 201);
+
+  const appointment = await ctx.db
+    .collection("appointments")
+    .findOne({ _id: new ObjectId(first.body.appointmentId) });
+  assert.ok(appointment.planId.equals(plan._id));
+  assert.deepEqual(
+    (await loadPlan()).steps.map((step) => step.status),
+    ["scheduled", "scheduled"],
+  );
+});
+
+test("visits move their steps along and finish the plan", async () => {
+  await createPlan();
+  const { _id, steps } = await loadPlan();
+  const { body } = await bookStep({ _id, steps }, 0, daysFromNow(3));
+  const skipped = await ctx.request(
+    "PATCH",
+    `/treatment-plans/${_id}/steps/${steps[1]._id}`,
+    { as: doctor.email, body: { status: "skipped" } },
+  );
+  assert.equal(skipped.status, 200);
+
+  for (const status of ["confirmed", "checked-in", "completed"]) {
+    await moveTo(body.appointmentId, status);
+  }
+
+  const plan = await loadPlan();
+  assert.equal(plan.steps[0].status, "completed");
+  assert.equal(plan.status, "completed");
+  const summary = await getPlan(plan._id);
+  assert.deepEqual(summary.body.progress, {
+    completed: 1,
+    total: 1,
+    percent: 100,
+  });
+});
+
+test("a cancelled visit frees its step to be booked again", async () => {
+  await createPlan();
+  const { body } = await bookStep(await loadPlan(), 0, daysFromNow(3));
+
+  await ctx.request("PATCH", `/appointment/${body.appointmentId}/status`, {
+    as: PATIENT,
+    body: { status: "cancelled" },
+  });
+
+  const [step] = (await loadPlan()).steps;
+  assert.equal(step.status, "pending");
+  assert.equal(step.appointmentId, null);
+  assert.equal(String(step.missedAppointmentIds[0]), body.appointmentId);
+  assert.equal(
+    (await bookStep(await loadPlan(), 0, daysFromNow(4))).status,
+    201,
+  );
+});
+
+test("the balance adds up what the plan's visits have paid", async () => {
+  await createPlan();
+  const { body } = await bookStep(await loadPlan(), 0, daysFromNow(3));
+  await payFor(ctx, {
+    appointmentId: body.appointmentId,
+    service,
+    email: PATIENT,
+  });
+
+  const summary = await getPlan((await loadPlan())._id);
+
+  assert.deepEqual(summary.body.balance, {
+    currency: "usd",
+    estimatedTotal: 8000,
+    paid: 5000,
+    refunded: 0,
+    due: 3000,
+  });
+  assert.equal(summary.body.payments.length, 1);
+});
+
+test("only the patient, their doctor and admins see a plan, and views are logged", async () => {
+  await createPlan();
+  const plan = await loadPlan();
+
+  const statuses = [];
+  for (const as of [PATIENT, doctor.email, ADMIN, "stranger@test.dev"]) {
+    statuses.push((await getPlan(plan._id, as)).status);
+  }
+
+  assert.deepEqual(statuses, [200, 200, 200, 403]);
+  const views = await ctx.db
+    .collection("audit-log")
+    .find({ action: "record.view" })
+    .toArray();
+  assert.equal(views.length, 3);
+});
+
+test("cancelling a plan cancels its visits under the usual policy", async () => {
+  await createPlan();
+  const plan = await loadPlan();
+  const later = await bookStep(plan, 0, daysFromNow(3));
+  // A visit starting soon, inside the cancellation window
+  const { insertedId: soon } = await ctx.db
+    .collection("appointments")
+    .insertOne({
+      email: PATIENT,
+      doctorId: doctor._id,
+      doctorEmail: doctor.email,
+      planId: plan._id,
+      date: daysFromNow(0),
+      startsAt: new Date(Date.now() + 2 * HOUR),
+      status: "confirmed",
+      paymentStatus: "unpaid",
+      deletedAt: null,
+    });
+
+  const response = await ctx.request("PATCH", `/treatment-plans/${plan._id}`, {
+    as: doctor.email,
+    body: { status: "cancelled" },
+  });
+
+  assert.equal(response.status, 200);
+  const appointments = ctx.db.collection("appointments");
+  const cancelledLater = await appointments.findOne({
+    _id: new ObjectId(later.body.appointmentId),
+  });
+  const cancelledSoon = await appointments.findOne({ _id: soon });
+  assert.equal(cancelledLater.status, "cancelled");
+  assert.equal(cancelledLater.cancelledBy, "doctor");
+  assert.equal(cancelledLater.cancelledWithinPolicy, true);
+  assert.equal(cancelledSoon.status, "cancelled");
+  assert.equal(cancelledSoon.cancelledWithinPolicy, false);
+
+  const blocked = await bookStep(await loadPlan(), 0, daysFromNow(4));
+  assert.equal(blocked.status, 400);
+});
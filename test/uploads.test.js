@@ -0,0 +1,174 @@
+const { test, before, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { startApp, tokenFor, seedUser, seedDoctor } = require("./support/app");
+
+let ctx;
+let png;
+
+const DOCTOR = "doctor@test.dev";
+const ADMIN = "admin@test.dev";
+const PDF = Buffer.from("%PDF-1.4\n1 0 obj\n<<>>\nendobj\n%%EOF\n");
+
+before(async () => {
+  png = await sharp({
+    create: { width: 800, height: 600, channels: 3, background: "#3a7" },
+  })
+    .png()
+    .toBuffer();
+});
+
+beforeEach(async () => {
+  ctx = await startApp();
+  await seedUser(ctx.db, ADMIN, "admin");
+});
+
+afterEach(() => ctx.close());
+
+// Sends `content` as the multipart `file` field
+const upload = async (purpose, content, { as = DOCTOR, name } = {}) => {
+  const form = new FormData();
+  form.append("file", new Blob([content]), name || "file.bin");
+
+  const response = await fetch(`${ctx.base}/uploads?purpose=${purpose}`, {
+    method: "POST",
+    headers: { authorization: `Bearer ${tokenFor(as)}` },
+    body: form,
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Stored URLs point at the configured base, the files live on the test server
+const fetchFile = (url) => fetch(url.replace(/^https?:\/\/[^/]+/, ctx.base));
+
+test("images are re-encoded as WebP with a thumbnail", async () => {
+  const response = await upload("doctor-photo", png, { name: "me.png" });
+
+  assert.equal(response.status, 201);
+  const { upload: stored } = response.body;
+  assert.equal(stored.visibility, "public");
+  assert.equal(stored.contentType, "image/webp");
+
+  const file = await fetchFile(stored.url);
+  const thumbnail = await fetchFile(stored.thumbnailUrl);
+  assert.equal(file.status, 200);
+  const meta = await sharp(Buffer.from(await file.arrayBuffer())).metadata();
+  const thumbMeta = await sharp(
+    Buffer.from(await thumbnail.arrayBuffer()),
+  ).metadata();
+  assert.equal(meta.format, "webp");
+  assert.equal(meta.width, 800);
+  assert.deepEqual([thumbMeta.width, thumbMeta.height], [320, 320]);
+});
+
+test("the file's bytes decide its type, not its name", async () => {
+  const disguised = await upload("avatar", PDF, { name: "photo.png" });
+  const fake = await upload("avatar", Buffer.from("not an image"), {
+    name: "photo.jpg",
+  });
+
+  assert.equal(disguised.status, 415);
+  assert.equal(fake.status, 415);
+  assert.equal(await ctx.db.collection("uploads").countDocuments({}), 0);
+});
+
+test("an image that only looks like one is rejected", async () => {
+  const truncated = png.subarray(0, 40);
+
+  const response = await upload("avatar", truncated);
+
+  assert.equal(response.status, 415);
+});
+
+test("purpose, size and admin-only rules apply", async () => {
+  const unknown = await upload("anything", png);
+  const service = await upload("service-image", png);
+  const tooBig = await upload(
+    "avatar",
+    Buffer.concat([png, Buffer.alloc(2 * 1024 * 1024)]),
+  );
+  const asAdmin = await upload("service-image", png, { as: ADMIN });
+
+  assert.equal(unknown.status, 400);
+  assert.equal(service.status, 403);
+  assert.equal(tooBig.status, 413);
+  assert.equal(asAdmin.status, 201);
+});
+
+test("credentials are private and only reachable through signed links", async () => {
+  const { body } = await upload("credential", PDF, { name: "licence.pdf" });
+  const id = body.upload._id;
+
+  assert.equal(body.upload.visibility, "private");
+  assert.equal(body.upload.url, null);
+
+  const record = await ctx.db.collection("uploads").findOne({});
+  const unsigned = await fetch(`${ctx.base}/files/${record.key}`);
+  assert.equal(unsigned.status, 403);
+
+  const link = await ctx.request("GET", `/uploads/${id}/url`, { as: DOCTOR });
+  const signed = await fetchFile(link.body.url);
+  assert.equal(signed.status, 200);
+  assert.equal(signed.headers.get("cache-control"), "private, no-store");
+  assert.deepEqual(Buffer.from(await signed.arrayBuffer()), PDF);
+
+  const tampered = await fetchFile(
+    link.body.url.replace(/signature=\w+/, `signature=${"0".repeat(64)}`),
+  );
+  assert.equal(tampered.status, 403);
+
+  const stranger = await ctx.request("GET", `/uploads/${id}/url`, {
+    as: "stranger@test.dev",
+  });
+  assert.equal(stranger.status, 403);
+});
+
+test("files outside the generated key format are never served", async () => {
+  const escaped = await fetch(
+    `${ctx.base}/files/public%2F..%2F..%2Fetc%2Fpasswd`,
+  );
+  const unknownKey = await fetch(`${ctx.base}/files/public/avatar/notes.txt`);
+
+  assert.equal(escaped.status, 404);
+  assert.equal(unknownKey.status, 404);
+});
+
+test("a file still in use can't be deleted", async () => {
+  const { body } = await upload("doctor-photo", png);
+  await seedDoctor(ctx.db, { doctorImage: body.upload.url });
+
+  const inUse = await ctx.request("DELETE", `/uploads/${body.upload._id}`, {
+    as: DOCTOR,
+  });
+  await ctx.db.collection("doctors-all").deleteMany({});
+  const unused = await ctx.request("DELETE", `/uploads/${body.upload._id}`, {
+    as: DOCTOR,
+  });
+
+  assert.equal(inUse.status, 409);
+  assert.equal(unused.status, 200);
+  assert.equal((await fetchFile(body.upload.url)).status, 404);
+});
+
+test("old uploads nothing refers to are cleaned up", async () => {
+  const orphan = await upload("avatar", png);
+  const kept = await upload("doctor-photo", png);
+  await seedDoctor(ctx.db, { doctorImage: kept.body.upload.url });
+  await ctx.db
+    .collection("uploads")
+    .updateMany(
+      {},
+      { $set: { createdAt: new Date(Date.now() - 2 * 86400000) } },
+    );
+
+  await ctx.request("GET", "/jobs/run", {
+    headers: { authorization: `Bearer ${process.env.CRON_SECRET}` },
+  });
+
+  const left = await ctx.db.collection("uploads").find({}).toArray();
+  assert.deepEqual(
+    left.map((record) => String(record._id)),
+    [kept.body.upload._id],
+  );
+  assert.equal((await fetchFile(orphan.body.upload.url)).status, 404);
+});
@@ -0,0 +1,191 @@
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { schemas, validate, toJsonSchema } = require("../schemas");
+const { startApp, seedUser, seedService } = require("./support/app");
+
+describe("validate", () => {
+  test("reports every missing required field", () => {
+    const { errors } = validate(schemas.booking, {});
+
+    assert.deepEqual(errors.map((error) => error.field).sort(), [
+      "date",
+      "email",
+      "time",
+    ]);
+  });
+
+  test("keeps only declared fields", () => {
+    const { value, errors } = validate(schemas.booking, {
+      email: "patient@test.dev",
+      date: "2030-01-02",
+      time: "10:00",
+      paymentStatus: "paid",
+      status: "completed",
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(value.paymentStatus, undefined);
+    assert.equal(value.status, undefined);
+  });
+
+  test("checks formats, enums, lengths and ranges", () => {
+    const { errors } = validate(schemas.service, {
+      title: "X",
+      img: "not a url",
+      price: -1,
+      paymentMode: "barter",
+    });
+
+    assert.deepEqual(errors.map((error) => error.field).sort(), [
+      "img",
+      "paymentMode",
+      "price",
+      "title",
+    ]);
+  });
+
+  test("reports nested fields with their path", () => {
+    const { errors } = validate(schemas.service, {
+      title: "Whitening",
+      prices: { usd: 12.5 },
+    });
+
+    assert.deepEqual(
+      errors.map((error) => error.field),
+      ["prices.usd"],
+    );
+  });
+
+  test("coerces numeric strings for number fields", () => {
+    const { value, errors } = validate(schemas.service, {
+      title: "Whitening",
+      price: "120",
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(value.price, 120);
+  });
+
+  test("partial updates may leave required fields out", () => {
+    const { errors } = validate(
+      schemas.service,
+      { price: 10 },
+      { partial: true },
+    );
+
+    assert.deepEqual(errors, []);
+  });
+
+  test("rejects malformed ids", () => {
+    const { errors } = validate(schemas.payment, {
+      appointmentId: "123",
+      paymentIntentId: "pi_1",
+    });
+
+    assert.equal(errors[0].field, "appointmentId");
+  });
+});
+
+describe("toJsonSchema", () => {
+  test("mirrors required fields and lets optional ones be null", () => {
+    const { $jsonSchema } = toJsonSchema(schemas.service);
+
+    assert.deepEqual($jsonSchema.required, ["title"]);
+    assert.deepEqual($jsonSchema.properties.title.bsonType, ["string"]);
+    assert.ok($jsonSchema.properties.price.bsonType.includes("null"));
+    assert.equal($jsonSchema.properties.title.minLength, 2);
+  });
+
+  test("stores converted ids as ObjectIds", () => {
+    const { $jsonSchema } = toJsonSchema(schemas.appointment);
+
+    assert.ok($jsonSchema.properties.doctorId.bsonType.includes("objectId"));
+  });
+});
+
+describe("service routes", () => {
+  const ADMIN = "admin@test.dev";
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = await startApp();
+    await seedUser(ctx.db, ADMIN, "admin");
+  });
+
+  afterEach(() => ctx.close());
+
+  test("an invalid service is rejected with field errors", async () => {
+    const response = await ctx.request("POST", "/services", {
+      as: ADMIN,
+      body: { title: "X", price: -5 },
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, "Validation failed");
+    assert.ok(response.body.errors.length >= 2);
+    assert.equal(await ctx.db.collection("services").countDocuments({}), 0);
+  });
+
+  test("unknown fields never reach the database", async () => {
+    const response = await ctx.request("POST", "/services", {
+      as: ADMIN,
+      body: { title: "Whitening", price: 120, rating: 5, isAdmin: true },
+    });
+
+    assert.equal(response.status, 200);
+    const service = await ctx.db
+      .collection("services")
+      .findOne({ _id: new ObjectId(response.body.insertedId) });
+    assert.equal(service.rating, undefined);
+    assert.equal(service.isAdmin, undefined);
+    assert.deepEqual(service.prices, { usd: 12000 });
+  });
+
+  test("only admins create services", async () => {
+    const response = await ctx.request("POST", "/services", {
+      as: "patient@test.dev",
+      body: { title: "Whitening", price: 120 },
+    });
+
+    assert.equal(response.status, 403);
+  });
+
+  test("updating a service that doesn't exist is a 404", async () => {
+    const response = await ctx.request("PUT", `/services/${new ObjectId()}`, {
+      as: ADMIN,
+      body: { price: 80 },
+    });
+
+    assert.equal(response.status, 404);
+    assert.equal(await ctx.db.collection("audit-log").countDocuments({}), 0);
+  });
+
+  test("an update changes only the fields sent and keeps prices in step", async () => {
+    const service = await seedService(ctx.db);
+
+    const response = await ctx.request("PUT", `/services/${service._id}`, {
+      as: ADMIN,
+      body: { price: 80 },
+    });
+
+    assert.equal(response.status, 200);
+    const stored = await ctx.db
+      .collection("services")
+      .findOne({ _id: service._id });
+    assert.equal(stored.title, "Cleaning");
+    assert.equal(stored.price, 80);
+    assert.equal(stored.prices.usd, 8000);
+  });
+
+  test("an invalid update is rejected", async () => {
+    const service = await seedService(ctx.db);
+
+    const response = await ctx.request("PUT", `/services/${service._id}`, {
+      as: ADMIN,
+      body: { paymentMode: "deposit", depositPercent: 150 },
+    });
+
+    assert.equal(response.status, 400);
+  });
+});
@@ -0,0 +1,221 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  startApp,
+  seedDoctor,
+  seedUser,
+  book,
+  daysFromNow,
+} = require("./support/app");
+
+let ctx;
+let doctor;
+
+const PATIENT = "patient@test.dev";
+const FIRST = "first@test.dev";
+const SECOND = "second@test.dev";
+const DATE = daysFromNow(3);
+
+beforeEach(async () => {
+  ctx = await startApp();
+  doctor = await seedDoctor(ctx.db);
+  await seedUser(ctx.db, PATIENT);
+});
+
+afterEach(() => ctx.close());
+
+const join = (email, extra = {}) =>
+  ctx.request("POST", "/waitlist", {
+    as: email,
+    body: {
+      email,
+      doctorId: doctor._id.toString(),
+      fromDate: daysFromNow(0),
+      toDate: daysFromNow(7),
+      ...extra,
+    },
+  });
+
+// Recurring jobs are due again right away
+const runJobs = async () => {
+  await ctx.db
+    .collection("jobs")
+    .updateMany({ status: "queued" }, { $set: { runAt: new Date(0) } });
+  return ctx.request("GET", "/jobs/run", {
+    headers: { authorization: `Bearer ${process.env.CRON_SECRET}` },
+  });
+};
+
+const entryOf = (email) => ctx.db.collection("waitlist").findOne({ email });
+
+// PATIENT books the 10:00 slot and cancels it; the offer goes out with
+// the next job run
+const freeSlot = async () => {
+  const booked = await book(ctx.request, {
+    doctor,
+    email: PATIENT,
+    date: DATE,
+  });
+  await ctx.request("DELETE", `/appointment/${booked.body.insertedId}`, {
+    as: PATIENT,
+  });
+  await runJobs();
+};
+
+const respond = async (email, action) => {
+  const entry = await entryOf(email);
+  return ctx.request("POST", `/waitlist/${entry._id}/${action}`, {
+    as: email,
+  });
+};
+
+test("joining needs a doctor or service and a sensible range", async () => {
+  const ok = await join(FIRST);
+  const noTarget = await join(SECOND, { doctorId: undefined });
+  const backwards = await join(SECOND, {
+    fromDate: daysFromNow(5),
+    toDate: daysFromNow(2),
+  });
+  const tooLong = await join(SECOND, { toDate: daysFromNow(120) });
+  const twice = await join(FIRST);
+  const forSomeoneElse = await ctx.request("POST", "/waitlist", {
+    as: SECOND,
+    body: {
+      email: FIRST,
+      doctorId: doctor._id.toString(),
+      fromDate: daysFromNow(0),
+      toDate: daysFromNow(7),
+    },
+  });
+
+  assert.equal(ok.status, 201);
+  assert.equal(noTarget.status, 400);
+  assert.equal(backwards.status, 400);
+  assert.equal(tooLong.status, 400);
+  assert.equal(twice.status, 409);
+  assert.equal(forSomeoneElse.status, 403);
+});
+
+test("a freed slot is held for the longest-waiting patient", async () => {
+  await join(FIRST);
+  await join(SECOND);
+
+  await freeSlot();
+
+  const first = await entryOf(FIRST);
+  assert.equal(first.status, "offered");
+  assert.deepEqual([first.offer.date, first.offer.time], [DATE, "10:00"]);
+  assert.equal((await entryOf(SECOND)).status, "waiting");
+  assert.ok(
+    await ctx.db
+      .collection("notifications")
+      .findOne({ event: "waitlist.offer", to: FIRST }),
+  );
+
+  // Held: nobody else can take it meanwhile
+  const taken = await book(ctx.request, {
+    doctor,
+    email: "walk-in@test.dev",
+    date: DATE,
+  });
+  assert.equal(taken.status, 409);
+});
+
+test("accepting books the held slot", async () => {
+  await join(FIRST);
+  await freeSlot();
+
+  const accepted = await respond(FIRST, "accept");
+
+  assert.equal(accepted.status, 201);
+  const appointment = await ctx.db
+    .collection("appointments")
+    .findOne({ _id: new ObjectId(accepted.body.appointmentId) });
+  assert.deepEqual(
+    [appointment.email, appointment.date, appointment.time],
+    [FIRST, DATE, "10:00"],
+  );
+  const entry = await entryOf(FIRST);
+  assert.equal(entry.status, "booked");
+  assert.equal(entry.offerHistory[0].outcome, "accepted");
+  assert.equal((await respond(FIRST, "accept")).status, 410);
+});
+
+test("a declined slot goes to the next patient, not back to the first", async () => {
+  await join(FIRST);
+  await join(SECOND);
+  await freeSlot();
+
+  const declined = await respond(FIRST, "decline");
+  await runJobs();
+
+  assert.equal(declined.status, 200);
+  const first = await entryOf(FIRST);
+  assert.equal(first.status, "waiting");
+  assert.equal(first.offerHistory[0].outcome, "declined");
+  assert.equal((await entryOf(SECOND)).status, "offered");
+
+  await respond(SECOND, "decline");
+  await runJobs();
+
+  assert.equal((await entryOf(FIRST)).status, "waiting");
+  const slot = await book(ctx.request, {
+    doctor,
+    email: "walk-in@test.dev",
+    date: DATE,
+  });
+  assert.equal(slot.status, 200);
+});
+
+test("an offer that runs out passes the slot on", async () => {
+  await join(FIRST);
+  await join(SECOND);
+  await freeSlot();
+  await ctx.db
+    .collection("waitlist")
+    .updateOne(
+      { email: FIRST },
+      { $set: { "offer.expiresAt": new Date(Date.now() - 1000) } },
+    );
+
+  const late = await respond(FIRST, "accept");
+  await runJobs();
+  await runJobs();
+
+  assert.equal(late.status, 410);
+  const first = await entryOf(FIRST);
+  assert.equal(first.status, "waiting");
+  assert.equal(first.offerHistory[0].outcome, "expired");
+  assert.equal((await entryOf(SECOND)).status, "offered");
+});
+
+test("leaving the waitlist gives up the held slot", async () => {
+  await join(FIRST);
+  await freeSlot();
+  const entry = await entryOf(FIRST);
+
+  const left = await ctx.request("DELETE", `/waitlist/${entry._id}`, {
+    as: FIRST,
+  });
+  const slot = await book(ctx.request, {
+    doctor,
+    email: "walk-in@test.dev",
+    date: DATE,
+  });
+
+  assert.equal(left.status, 200);
+  assert.equal((await entryOf(FIRST)).status, "cancelled");
+  assert.equal(slot.status, 200);
+});
+
+test("entries whose dates have passed expire", async () => {
+  await join(FIRST);
+  await ctx.db
+    .collection("waitlist")
+    .updateOne({ email: FIRST }, { $set: { toDate: daysFromNow(-1) } });
+
+  await runJobs();
+
+  assert.equal((await entryOf(FIRST)).status, "expired");
+});
@@ -0,0 +1,33 @@
+/**
+ * =========================================================
+ * Background Job Worker
+ * =========================================================
+ * For hosts that keep a process running (instead of Vercel
+ * Cron hitting GET /jobs/run): polls the job queue forever.
+ * Usage: npm run worker
+ * =========================================================
+ */
+
+const { createApp, connectDatabase, runDueJobs } = require("./index");
+
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS || 30000);
+
+async function startWorker() {
+  createApp();
+  await connectDatabase();
+  console.log("⚙️ Job worker started");
+
+  const tick = async () => {
+    try {
+      const ran = await runDueJobs({ timeBudgetMs: POLL_INTERVAL_MS });
+      if (ran) console.log(`⚙️ Ran ${ran} job(s)`);
+    } catch (error) {
+      console.error("❌ Job worker error:", error);
+    }
+    setTimeout(tick, POLL_INTERVAL_MS);
+  };
+
+  tick();
+}
+
+startWorker();